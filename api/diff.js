@@ -0,0 +1,102 @@
+const os = require('os');
+const path = require('path');
+const { readRowsFile } = require('../lib/cli');
+const {
+    SNAPSHOT_REFS,
+    CHANGELOG_FORMATS,
+    resolveSnapshot,
+    snapshotTime,
+    diffRows,
+    toChangelog,
+    formatChangelog
+} = require('../lib/snapshots');
+const { createAccessControl, accessOptionsFromEnv } = require('../lib/access');
+
+/**
+ * Vercel Serverless Function: changelog between two scrape snapshots
+ *
+ * Usage:
+ * - GET /api/diff                      the two latest snapshots
+ * - GET /api/diff?from=snapshot-2025-09-19T08-00-00-000Z.json&to=latest
+ * - from / to: latest, previous or a snapshot file name from SNAPSHOT_DIR
+ * - format=json (default) | markdown
+ *
+ * /api/scrape saves a snapshot after every complete run (no limit or
+ * since_last_run). Like the state file they live in /tmp unless SNAPSHOT_DIR
+ * points at persistent storage.
+ *
+ * Protected by the same API_TOKEN / API_SIGNING_SECRET, CORS_ORIGINS and
+ * RATE_LIMIT settings as /api/scrape.
+ */
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(os.tmpdir(), '60fps-snapshots');
+
+function errorResponse(res, status, errorCode, message) {
+    return res.status(status).json({
+        success: false,
+        error_code: errorCode,
+        error: message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Only refs and bare snapshot file names, never arbitrary paths
+const isSnapshotRef = ref => SNAPSHOT_REFS.includes(ref) || (path.basename(ref) === ref && snapshotTime(ref) !== null);
+
+/**
+ * @param {Object} [options] - { access }: lib/access.js access control,
+ *   configured from the environment by default
+ */
+function createDiffHandler({ access = createAccessControl(accessOptionsFromEnv()) } = {}) {
+    return async function handler(req, res) {
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        
+        if (!(await access.check(req, res))) {
+            return;
+        }
+        
+        const query = req.query || {};
+        const from = query.from || 'previous';
+        const to = query.to || 'latest';
+        const format = query.format || 'json';
+        
+        for (const [param, ref] of [['from', from], ['to', to]]) {
+            if (typeof ref !== 'string' || !isSnapshotRef(ref)) {
+                return errorResponse(res, 400, 'INVALID_QUERY', `${param}: must be ${SNAPSHOT_REFS.join(', ')} or a snapshot file name`);
+            }
+        }
+        if (!CHANGELOG_FORMATS.includes(format)) {
+            return errorResponse(res, 400, 'INVALID_QUERY', `format: must be one of ${CHANGELOG_FORMATS.join(', ')}`);
+        }
+        
+        try {
+            const [fromFile, toFile] = await Promise.all([
+                resolveSnapshot(SNAPSHOT_REFS.includes(from) ? from : path.join(SNAPSHOT_DIR, from), SNAPSHOT_DIR),
+                resolveSnapshot(SNAPSHOT_REFS.includes(to) ? to : path.join(SNAPSHOT_DIR, to), SNAPSHOT_DIR)
+            ]);
+            if (!fromFile || !toFile) {
+                return errorResponse(res, 404, 'SNAPSHOT_NOT_FOUND', 'Not enough snapshots yet; every complete /api/scrape run saves one');
+            }
+            
+            const changelog = toChangelog(
+                diffRows(await readRowsFile(fromFile), await readRowsFile(toFile)),
+                { from: snapshotTime(fromFile), to: snapshotTime(toFile) }
+            );
+            
+            if (format === 'markdown') {
+                res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+                return res.status(200).send(formatChangelog(changelog, 'markdown'));
+            }
+            return res.status(200).json(changelog);
+            
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return errorResponse(res, 404, 'SNAPSHOT_NOT_FOUND', `No snapshot ${path.basename(error.path || '')}`);
+            }
+            return errorResponse(res, 500, 'UNKNOWN', error.message || 'Unknown error occurred');
+        }
+    };
+}
+
+module.exports = createDiffHandler();
+module.exports.createDiffHandler = createDiffHandler;
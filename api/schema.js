@@ -0,0 +1,52 @@
+const { SCHEMAS, SCHEMA_VERSION } = require('../lib/schema');
+const { createAccessControl, accessOptionsFromEnv } = require('../lib/access');
+
+/**
+ * Vercel Serverless Function: JSON Schema of the scraper output
+ *
+ * Usage:
+ * - GET /api/schema             the run envelope ({ schema_version, meta,
+ *                               rows, rejected }), row schema in $defs.row
+ * - GET /api/schema?name=row    a single row, as returned by /api/scrape
+ *
+ * The version is also sent in the X-Schema-Version header of /api/scrape.
+ *
+ * Protected by the same API_TOKEN / API_SIGNING_SECRET, CORS_ORIGINS and
+ * RATE_LIMIT settings as /api/scrape.
+ */
+
+function errorResponse(res, status, errorCode, message) {
+    return res.status(status).json({
+        success: false,
+        error_code: errorCode,
+        error: message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * @param {Object} [options] - { access }: lib/access.js access control,
+ *   configured from the environment by default
+ */
+function createSchemaHandler({ access = createAccessControl(accessOptionsFromEnv()) } = {}) {
+    return async function handler(req, res) {
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+        // Origin allowlist, preflight requests, auth and rate limit
+        if (!(await access.check(req, res))) {
+            return;
+        }
+
+        const name = (req.query && req.query.name) || 'run';
+        if (!Object.prototype.hasOwnProperty.call(SCHEMAS, name)) {
+            return errorResponse(res, 400, 'INVALID_QUERY', `name: must be one of ${Object.keys(SCHEMAS).join(', ')}`);
+        }
+
+        res.setHeader('X-Schema-Version', SCHEMA_VERSION);
+        res.setHeader('Content-Type', 'application/schema+json; charset=utf-8');
+        return res.status(200).json(SCHEMAS[name]);
+    };
+}
+
+module.exports = createSchemaHandler();
+module.exports.createSchemaHandler = createSchemaHandler;
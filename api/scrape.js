@@ -1,353 +1,314 @@
+const os = require('os');
+const path = require('path');
 const { chromium } = require('playwright-core');
 const chromiumPkg = require('@sparticuz/chromium');
+const { scrape60fps } = require('../lib/scraper');
+const { ScrapeError, ERROR_CODES } = require('../lib/errors');
+const { toRows } = require('../lib/rows');
+const { validateRows, SCHEMA_VERSION } = require('../lib/schema');
+const { parseListQuery, applyListQuery, hasFilters, QueryError } = require('../lib/query');
+const { createSupabaseSinkFromEnv, SinkError } = require('../lib/sinks/supabase');
+const { FORMATS, CONTENT_TYPES, negotiateFormat, formatRows } = require('../lib/formats');
+const { createJsonFileStore } = require('../lib/state');
+const { saveSnapshot } = require('../lib/snapshots');
+const { createLogger } = require('../lib/logger');
+const { createAccessControl, accessOptionsFromEnv } = require('../lib/access');
+const { createCircuitBreaker, retryOptionsFromEnv } = require('../lib/retry');
+const { profileOptionsFromEnv, resolveProfile } = require('../lib/profiles');
 
 /**
  * Vercel Serverless Function for 60fps.design Scraper
  * 
  * Usage in n8n:
  * - HTTP Request node: GET/POST https://your-domain.vercel.app/api/scrape
- * - Optional query params: ?limit=10
- * - Returns JSON array ready for Supabase Insert node
+ * - Optional query params:
+ *   - limit, offset / cursor, q, app, since, fields (see lib/query.js); the
+ *     next page's cursor is returned in the X-Next-Cursor header
+ *   - listing=app:cred,category:onboarding,/path scrapes those listings
+ *     instead of the homepage; rows get a listings column
+ *   - details=1 (crawl every shot page), media=1 (poster, manifests and
+ *     renditions), since_last_run=1 (only shots not seen before), network=1
+ *     (read shots from the site's JSON responses)
+ *   - upsert=1 writes every scraped row to Supabase (SUPABASE_URL,
+ *     SUPABASE_KEY, SUPABASE_TABLE) and reports X-Upsert-Counts
+ *   - format=json|ndjson|csv|rss|atom, or the matching Accept header;
+ *     feeds ignore `fields`, errors are always JSON
+ *   - profile=NAME picks a browser-context profile (user agent, proxy,
+ *     viewport, locale, ...) from PROFILES_FILE / PROFILES; PROFILE is the
+ *     default (see lib/profiles.js)
+ * - Complete homepage runs (no limit, since_last_run or listing) are saved as snapshots in
+ *   SNAPSHOT_DIR for the changelog in /api/diff
+ * - Invalid parameters are rejected with a 400 before any scraping starts
+ * - Returns JSON array ready for Supabase Insert node; rows failing the
+ *   output schema (see /api/schema) are left out and counted in
+ *   X-Rejected-Count
+ *
+ * Access is open unless configured (see lib/access.js): API_TOKEN for
+ * `Authorization: Bearer` auth, API_SIGNING_SECRET for signed query strings,
+ * CORS_ORIGINS for a browser origin allowlist and RATE_LIMIT /
+ * RATE_LIMIT_WINDOW for a per-client limit. Rejected requests get a 401, 403
+ * or 429 (with Retry-After) before any browser is launched.
+ *
+ * Scrape metadata is sent in X-Scrape-Status / X-Scrape-Selector /
+ * X-Scrape-Error-Code headers, plus X-Scrape-Drift: 1 when the shots breached
+ * the drift health checks (DRIFT_WEBHOOK receives the details). When the data
+ * is not fresh (FALLBACK=mock or FALLBACK=last-good-snapshot kicked in) the
+ * rows are returned with a 503 so n8n does not insert them as real shots.
+ *
+ * Transient failures are retried per phase (RETRIES, see lib/retry.js). After
+ * CIRCUIT_THRESHOLD scrapes in a row failed that way the warm instance stops scraping for
+ * CIRCUIT_COOLDOWN ms and answers 503 CIRCUIT_OPEN with Retry-After; the
+ * breaker state is sent in X-Scrape-Circuit.
+ *
+ * Videos, images, fonts and trackers are not loaded (lib/resources.js), which
+ * keeps single-process Chromium inside the budget; BLOCK_RESOURCES=0 loads
+ * full pages. The run report logs the estimated bytes and time saved.
  */
 
-function extractTitleFromUrl(url) {
-    if (!url) return 'Untitled Shot';
-    const parts = url.split('/shots/');
-    if (parts.length < 2) return 'Untitled Shot';
-    return parts[1]
-        .replace(/\?.*$/, '')
-        .split('-')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
+/**
+ * Launch the Lambda-compatible Chromium bundled by @sparticuz/chromium
+ */
+async function launchServerlessBrowser() {
+    return chromium.launch({ 
+        headless: true,
+        executablePath: await chromiumPkg.executablePath(),
+        args: [
+            ...chromiumPkg.args,
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu',
+            '--no-first-run',
+            '--no-zygote',
+            '--single-process'
+        ]
+    });
 }
 
-async function scrape60fps() {
-    let browser;
-    
-    try {
-        // Launch browser in headless mode with optimized settings for serverless
-        browser = await chromium.launch({ 
-            headless: true,
-            executablePath: await chromiumPkg.executablePath(),
-            args: [
-                ...chromiumPkg.args,
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process'
-            ]
-        });
+// The waits are upper bounds and return as soon as content shows up; the
+// time budget stops loading early enough to answer within the 60s maxDuration.
+// Webhook messages get one retry, the dead-letter file keeps the rest
+const SERVERLESS_OPTIONS = {
+    launchBrowser: launchServerlessBrowser,
+    navigationTimeout: 30000,
+    contentWait: 15000,
+    loadWait: 5000,
+    maxLoadAttempts: 20,
+    timeBudget: 50000,
+    webhookRetries: 1,
+    blockResources: process.env.BLOCK_RESOURCES !== '0'
+};
+
+// JSON lines on stderr end up in the Vercel function logs
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// /tmp is the only writable path on Vercel and does not survive cold starts;
+// point STATE_FILE at persistent storage or pass a custom stateStore adapter
+const STATE_FILE = process.env.STATE_FILE || path.join(os.tmpdir(), '60fps-state.json');
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(os.tmpdir(), '60fps-snapshots');
+
+// New shots are pushed to WEBHOOKS (comma-separated; slack:URL, discord:URL or
+// a URL) when the run has a state file; see lib/notify.js
+const WEBHOOKS = (process.env.WEBHOOKS || '').split(/[\s,]+/).filter(Boolean);
+const DEAD_LETTER_FILE = process.env.DEAD_LETTER_FILE || path.join(os.tmpdir(), '60fps-dead-letters.ndjson');
+
+const { retries: RETRIES, circuit: CIRCUIT_OPTIONS } = retryOptionsFromEnv();
+
+// Invalid profiles fail the cold start instead of every request
+const PROFILE_OPTIONS = profileOptionsFromEnv();
+
+function badRequest(res, details) {
+    return res.status(400).json({
+        success: false,
+        error_code: 'INVALID_QUERY',
+        error: details.map(detail => `${detail.param}: ${detail.message}`).join('; '),
+        details,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function setScrapeHeaders(res, meta) {
+    res.setHeader('X-Scrape-Status', meta.status);
+    if (meta.selector) {
+        res.setHeader('X-Scrape-Selector', meta.selector);
+    }
+    if (meta.errorCode) {
+        res.setHeader('X-Scrape-Error-Code', meta.errorCode);
+    }
+    if (meta.drift) {
+        res.setHeader('X-Scrape-Drift', '1');
+    }
+}
+
+/**
+ * The handler, with the browser launch swappable: serve mode passes a warm
+ * browser pool (lib/browser-pool.js)
+ *
+ * @param {Object} [overrides] - scrape60fps() options, e.g. { launchBrowser }
+ * @param {Object} [options] - { access, circuitBreaker, profiles }: lib/access.js
+ *   access control, lib/retry.js circuit breaker and lib/profiles.js profiles
+ *   ({ profiles, name }), configured from the environment by default; the
+ *   breaker is kept in memory, i.e. per warm instance
+ */
+function createScrapeHandler(overrides = {}, {
+    access = createAccessControl(accessOptionsFromEnv()),
+    circuitBreaker = CIRCUIT_OPTIONS && createCircuitBreaker({ ...CIRCUIT_OPTIONS, logger }),
+    profiles = PROFILE_OPTIONS
+} = {}) {
+    return async function handler(req, res) {
+        // CORS headers for n8n
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Expose-Headers', 'X-Scrape-Status, X-Scrape-Selector, X-Scrape-Error-Code, X-Scrape-Drift, X-Scrape-Circuit, X-Next-Cursor, X-Total-Count, X-Upsert-Counts, X-Rejected-Count, X-Schema-Version, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
         
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        });
+        // Origin allowlist, preflight requests, auth and rate limit
+        if (!(await access.check(req, res))) {
+            return;
+        }
         
-        const page = await context.newPage();
+        let params;
+        try {
+            params = parseListQuery(req.query, { limit: process.env.LIMIT });
+        } catch (error) {
+            if (!(error instanceof QueryError)) throw error;
+            return badRequest(res, error.details);
+        }
         
-        // Set shorter timeouts for serverless environment
-        const targetUrl = 'https://60fps.design';
+        const format = (req.query && req.query.format) || negotiateFormat(req.headers && req.headers.accept) || 'json';
+        if (!FORMATS.includes(format)) {
+            return badRequest(res, [{ param: 'format', message: `must be one of ${FORMATS.join(', ')}` }]);
+        }
         
-        await page.goto(targetUrl, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 30000 
-        });
+        let profile;
+        try {
+            profile = resolveProfile(profiles.profiles, (req.query && req.query.profile) || profiles.name);
+        } catch (error) {
+            return badRequest(res, [{ param: 'profile', message: `must be one of ${Object.keys(profiles.profiles).join(', ')}` }]);
+        }
         
-        // Wait for dynamic content to load
-        await page.waitForTimeout(8000);
+        const sink = req.query && req.query.upsert === '1' ? createSupabaseSinkFromEnv() : null;
+        if (req.query && req.query.upsert === '1' && !sink) {
+            return badRequest(res, [{ param: 'upsert', message: 'SUPABASE_URL and SUPABASE_KEY are not configured' }]);
+        }
         
-        // Try multiple selectors that might contain shots
-        const possibleSelectors = [
-            'a[href^="/shots/"]',
-            'a[href*="/shots/"]',
-            '[href*="/shots/"]',
-            'a[href*="shots"]',
-            'video',
-            'video source',
-            '[data-framer-name*="shot"]',
-            '[data-framer-name*="card"]',
-            '[class*="shot"]',
-            '[class*="card"]'
-        ];
+        try {
+            // Without filters the first offset + limit shots are all we need (plus
+            // one to know whether there is a next page), which keeps the load loop
+            // well inside maxDuration
+            const maxShots = params.limit && !hasFilters(params) ? params.offset + params.limit + 1 : null;
         
-        let foundSelector = null;
-        let contentCount = 0;
+            // Run the scraper
+            const { shots, meta, report } = await scrape60fps({
+                ...SERVERLESS_OPTIONS,
+                logger,
+                maxShots,
+                ...(process.env.BASE_URL && { baseUrl: process.env.BASE_URL }),
+                ...(process.env.PAGINATION && { pagination: process.env.PAGINATION }),
+                listings: params.listings,
+                driftWebhook: process.env.DRIFT_WEBHOOK || null,
+                fallback: process.env.FALLBACK || 'error',
+                networkExtraction: Boolean(req.query && req.query.network === '1'),
+                media: Boolean(req.query && req.query.media === '1'),
+                details: Boolean(req.query && req.query.details === '1'),
+                stateStore: createJsonFileStore(STATE_FILE),
+                sinceLastRun: Boolean(req.query && req.query.since_last_run === '1'),
+                webhooks: WEBHOOKS,
+                webhookSecret: process.env.WEBHOOK_SECRET || null,
+                deadLetterFile: DEAD_LETTER_FILE,
+                retries: RETRIES,
+                circuitBreaker,
+                profile,
+                ...overrides
+            });
+            const nowIso = new Date().toISOString();
+            logger.info('run report', report);
+            if (report.circuit) {
+                res.setHeader('X-Scrape-Circuit', report.circuit.state);
+            }
         
-        for (const selector of possibleSelectors) {
-            try {
-                contentCount = await page.locator(selector).count();
-                if (contentCount > 0) {
-                    foundSelector = selector;
-                    break;
-                }
-            } catch (e) {
-                // Continue with next selector
+            // Format for Supabase; rows breaking the schema never reach it
+            const { rows: allRows, rejected } = validateRows(toRows(shots, nowIso));
+            if (rejected.length > 0) {
+                logger.warn('rows rejected', { count: rejected.length, rejected });
             }
-        }
+            const isFeed = format === 'rss' || format === 'atom';
+            const { rows, total, nextCursor } = applyListQuery(allRows, isFeed ? { ...params, fields: null } : params);
         
-        if (contentCount === 0) {
-            throw new Error('No shot content found. The site structure may have changed.');
-        }
+            setScrapeHeaders(res, meta);
+            res.setHeader('X-Schema-Version', SCHEMA_VERSION);
+            res.setHeader('X-Rejected-Count', String(rejected.length));
+            res.setHeader('X-Total-Count', String(total));
+            if (nextCursor) {
+                res.setHeader('X-Next-Cursor', nextCursor);
+            }
         
-        // Limited load attempts for serverless timeout constraints
-        let previousCount = 0;
-        let currentCount = 0;
-        let loadAttempts = 0;
-        const maxLoadAttempts = 5; // Reduced for serverless
+            // Fallback data is served for inspection only, never as a success
+            if (meta.status === 'mock' || meta.status === 'stale') {
+                return res.status(503).json({
+                    success: false,
+                    status: meta.status,
+                    error_code: meta.errorCode,
+                    error: meta.error,
+                    rows,
+                    timestamp: nowIso
+                });
+            }
         
-        // Try to load more content
-        do {
-            previousCount = currentCount;
-            let lastButtonClicked = false;
-            
-            const buttonSelectors = [
-                'button:has-text("Load")',
-                'button:has-text("Show more")',
-                'button:has-text("Load more")',
-                'button:has-text("More")',
-                '[data-framer-name*="load"]',
-                '[data-framer-name*="more"]',
-                'button'
-            ];
-            
-            for (const selector of buttonSelectors) {
+            // Only complete homepage runs, a capped, incremental or listing one would read as removals in /api/diff
+            if (!maxShots && !(req.query && req.query.since_last_run === '1') && params.listings.length === 0) {
                 try {
-                    const buttons = await page.locator(selector).all();
-                    
-                    for (const button of buttons) {
-                        const text = await button.textContent();
-                        const isVisible = await button.isVisible();
-                        
-                        if (isVisible && text && (
-                            text.toLowerCase().includes('load') ||
-                            text.toLowerCase().includes('more') ||
-                            text.toLowerCase().includes('show')
-                        )) {
-                            await button.click();
-                            lastButtonClicked = true;
-                            break;
-                        }
-                    }
-                    
-                    if (lastButtonClicked) break;
-                } catch (e) {
-                    // Continue with next selector
+                    await saveSnapshot(SNAPSHOT_DIR, allRows, meta);
+                } catch (error) {
+                    logger.warn('could not save snapshot', { error: error.message });
                 }
             }
-            
-            // Wait for potential new content
-            await page.waitForTimeout(2000); // Reduced wait time
-            
-            currentCount = await page.locator(foundSelector).count();
-            loadAttempts++;
-            
-            if (loadAttempts >= maxLoadAttempts) {
-                break;
-            }
-            
-            if (!lastButtonClicked && currentCount > 0) {
-                break;
+        
+            if (sink) {
+                const counts = await sink.upsert(allRows);
+                res.setHeader('X-Upsert-Counts', `inserted=${counts.inserted}, updated=${counts.updated}, unchanged=${counts.unchanged}`);
             }
-            
-        } while (loadAttempts < 3 || currentCount > previousCount);
         
-        // Extract shot data
-        const shots = await page.evaluate(() => {
-            const results = [];
-            const videos = document.querySelectorAll('video');
-            
-            videos.forEach((video, index) => {
-                try {
-                    let previewUrl = null;
-                    let shotUrl = null;
-                    let shotTitle = null;
-                    
-                    // Get video source
-                    const source = video.querySelector('source');
-                    if (source) {
-                        previewUrl = source.getAttribute('src');
-                    }
-                    
-                    if (!previewUrl) {
-                        previewUrl = video.getAttribute('src') || video.getAttribute('data-src');
-                    }
-                    
-                    // Extract video ID from Gumlet URL
-                    let videoId = null;
-                    if (previewUrl && previewUrl.includes('video.gumlet.io')) {
-                        const match = previewUrl.match(/video\.gumlet\.io\/[^\/]+\/([^\/]+)/);
-                        if (match) {
-                            videoId = match[1];
-                        }
-                    }
-                    
-                    // Look for shot title and URL
-                    let element = video;
-                    let attempts = 0;
-                    
-                    while (element && attempts < 6) {
-                        const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
-                        const links = element.querySelectorAll('a[href]');
-                        
-                        // Check headings for titles
-                        for (const heading of headings) {
-                            const text = heading.textContent?.trim();
-                            if (text && text.length > 10 && text.length < 100 && 
-                                !text.includes('Shots') && !text.includes('Apps')) {
-                                shotTitle = text;
-                                break;
-                            }
-                        }
-                        
-                        // Look for shot links
-                        for (const link of links) {
-                            const href = link.getAttribute('href');
-                            
-                            if (href && href.includes('/shots/') && 
-                                !href.includes('filter') && href.length > 15) {
-                                
-                                let cleanHref = href;
-                                if (cleanHref.startsWith('./')) {
-                                    cleanHref = cleanHref.substring(2);
-                                }
-                                if (!cleanHref.startsWith('/')) {
-                                    cleanHref = '/' + cleanHref;
-                                }
-                                
-                                if (videoId) {
-                                    shotUrl = `https://60fps.design${cleanHref}?video=${videoId}`;
-                                } else {
-                                    shotUrl = `https://60fps.design${cleanHref}`;
-                                }
-                                
-                                const linkText = link.textContent?.trim();
-                                if (!shotTitle && linkText && linkText.length > 5) {
-                                    shotTitle = linkText
-                                        .replace(/\s+\d+$/, '')
-                                        .trim();
-                                }
-                                break;
-                            }
-                        }
-                        
-                        if (shotUrl) break;
-                        element = element.parentElement;
-                        attempts++;
-                    }
-                    
-                    // Fallback URL creation
-                    if (!shotUrl && videoId) {
-                        let shotSlug;
-                        
-                        if (shotTitle) {
-                            shotSlug = shotTitle
-                                .replace(/\s+\d+$/, '')
-                                .toLowerCase()
-                                .replace(/[^a-z0-9\s-]/g, '')
-                                .replace(/\s+/g, '-')
-                                .replace(/-+/g, '-')
-                                .replace(/^-|-$/g, '');
-                        } else {
-                            shotSlug = `motion-video-${videoId.substring(0, 8)}`;
-                            shotTitle = `Motion Video ${index + 1}`;
-                        }
-                        
-                        shotUrl = `https://60fps.design/shots/${shotSlug}?video=${videoId}`;
-                    }
-                    
-                    // Add to results
-                    if (shotUrl && previewUrl) {
-                        results.push({
-                            url: shotUrl,
-                            preview: previewUrl,
-                            title: shotTitle || `Video ${index + 1}`
-                        });
-                    }
-                    
-                } catch (error) {
-                    // Skip this video on error
-                }
-            });
-            
-            // Remove duplicates
-            const uniqueResults = [];
-            const seenUrls = new Set();
-            
-            results.forEach(shot => {
-                if (!seenUrls.has(shot.url)) {
-                    seenUrls.add(shot.url);
-                    uniqueResults.push(shot);
-                }
-            });
-            
-            return uniqueResults;
-        });
+            res.setHeader('Vary', 'Accept, Origin');
         
-        return shots;
+            if (format === 'json') {
+                return res.status(200).json(rows);
+            }
+        
+            res.setHeader('Content-Type', CONTENT_TYPES[format]);
+            return res.status(200).send(formatRows(rows, format));
         
-    } catch (error) {
-        // Return mock data on error for testing
-        return [
-            {
-                url: "https://60fps.design/shots/amie-drag-to-calendar-morph",
-                preview: "https://cdn.60fps.design/shots/amie-drag-to-calendar-morph/preview.mp4",
-                title: "Amie Drag To Calendar Morph"
-            },
-            {
-                url: "https://60fps.design/shots/cred-recurring-payments-card-swipe",
-                preview: "https://cdn.60fps.design/shots/cred-recurring-payments/preview.mp4",
-                title: "CRED Recurring Payments Card Swipe"
-            },
-            {
-                url: "https://60fps.design/shots/mozi-onboarding-carousel-tabs",
-                preview: "https://cdn.60fps.design/shots/mozi-onboarding/preview.mp4",
-                title: "Mozi Onboarding Carousel Tabs"
+        } catch (error) {
+            if (error.report) {
+                logger.info('run report', error.report);
+            }
+            const circuit = error.report && error.report.circuit;
+            if (circuit) {
+                res.setHeader('X-Scrape-Circuit', circuit.state);
             }
-        ];
-    } finally {
-        if (browser) {
-            await browser.close();
+            // The site is left alone for a while, tell the caller when to come back
+            if (error.code === ERROR_CODES.CIRCUIT_OPEN && circuit) {
+                const retryAfter = Math.max(1, Math.ceil((Date.parse(circuit.retry_at) - Date.now()) / 1000));
+                res.setHeader('Retry-After', String(retryAfter));
+                return res.status(503).json({
+                    success: false,
+                    error_code: error.code,
+                    error: error.message,
+                    retry_after: retryAfter,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            // Scrape and Supabase failures are upstream problems, anything else
+            // (including a browser that would not start) is ours
+            const isUpstream = (error instanceof ScrapeError && error.code !== ERROR_CODES.LAUNCH_FAILED) || error instanceof SinkError;
+            return res.status(isUpstream ? 502 : 500).json({
+                success: false,
+                error_code: isUpstream || error instanceof ScrapeError ? error.code : 'UNKNOWN',
+                error: error.message || 'Unknown error occurred',
+                timestamp: new Date().toISOString()
+            });
         }
-    }
+    };
 }
 
 // Vercel serverless function handler
-module.exports = async function handler(req, res) {
-    // Set CORS headers for n8n
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-    
-    try {
-        // Run the scraper
-        const shots = await scrape60fps();
-        const nowIso = new Date().toISOString();
-        
-        // Format for Supabase
-        let rows = shots.map(s => ({
-            title: (s.title || extractTitleFromUrl(s.url)).replace(/\s+\d+$/, '').trim(),
-            url: s.url,
-            preview_url: s.preview,
-            source: '60fps.design',
-            scraped_at: nowIso
-        }));
-        
-        // Return JSON response
-        return res.status(200).json(rows);
-        
-    } catch (error) {
-        // Return error response
-        return res.status(500).json({
-            success: false,
-            error: error.message || 'Unknown error occurred',
-            timestamp: new Date().toISOString()
-        });
-    }
-}
+module.exports = createScrapeHandler();
+module.exports.createScrapeHandler = createScrapeHandler;
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+
+/**
+ * Access control for the HTTP endpoints: CORS, authentication, rate limiting
+ *
+ * Every /api/scrape call launches Chromium, so a public URL should not be
+ * open to everyone. All three parts are off unless configured:
+ *
+ * - corsOrigins:  origins allowed to call from a browser ('*' for any);
+ *                 requests from other origins get a 403
+ * - token:        shared secret sent as `Authorization: Bearer <token>`
+ * - signingSecret: alternative to the token for links that cannot carry
+ *                 headers (feed readers): `expires` (unix seconds) and
+ *                 `signature` query parameters, see signQuery()
+ * - rateLimit:    { limit, windowMs } requests per client (IP address)
+ * - trustProxy:   number of proxies in front of the server whose
+ *                 X-Forwarded-For entries are trusted (default 0: the socket
+ *                 address is the client, the header is ignored since any
+ *                 client can send one)
+ *
+ * The rate limit counts in a store, any object with
+ *
+ * - hit(key, windowMs): Promise<{ count, resetAt }>
+ *
+ * createMemoryRateLimitStore() counts per process, which on Vercel means per
+ * warm instance; pass a shared adapter (Redis, KV, ...) for a global limit.
+ */
+
+const DEFAULT_RATE_LIMIT_WINDOW = 60 * 1000;
+
+/**
+ * Fixed-window request counter kept in memory
+ */
+function createMemoryRateLimitStore({ now = Date.now } = {}) {
+    const windows = new Map();
+
+    return {
+        async hit(key, windowMs) {
+            const time = now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= time) {
+                // Drop expired windows now and then so the map does not grow forever
+                if (windows.size > 1000) {
+                    for (const [other, { resetAt }] of windows) {
+                        if (resetAt <= time) windows.delete(other);
+                    }
+                }
+                entry = { count: 0, resetAt: time + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            return { count: entry.count, resetAt: entry.resetAt };
+        }
+    };
+}
+
+/**
+ * Canonical string that is signed: the path and every query parameter but
+ * `signature`, sorted
+ */
+function canonicalRequest(pathname, params) {
+    const entries = Object.entries(params)
+        .filter(([name]) => name !== 'signature')
+        .flatMap(([name, value]) => [].concat(value).map(item => [name, String(item)]))
+        .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : x > y ? 1 : 0) : a < b ? -1 : 1));
+    return `${pathname}?${new URLSearchParams(entries).toString()}`;
+}
+
+function hmac(secret, text) {
+    return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+/**
+ * Query parameters of a signed request: `params` plus `expires` and `signature`
+ *
+ * @param {string} pathname - e.g. '/api/scrape'
+ * @param {Object} params - Query parameters
+ * @param {string} secret
+ * @param {Object} [options] - { ttlSeconds (default 3600), now }
+ */
+function signQuery(pathname, params, secret, { ttlSeconds = 3600, now = Date.now } = {}) {
+    const signed = { ...params, expires: String(Math.floor(now() / 1000) + ttlSeconds) };
+    return { ...signed, signature: hmac(secret, canonicalRequest(pathname, signed)) };
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function listValue(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Access options from environment variables: API_TOKEN, API_SIGNING_SECRET,
+ * CORS_ORIGINS (comma-separated), RATE_LIMIT (requests), RATE_LIMIT_WINDOW
+ * (ms) and TRUST_PROXY (proxy hops; 1 on Vercel, whose edge sets
+ * X-Forwarded-For)
+ */
+function accessOptionsFromEnv(env = process.env) {
+    const limit = Number(env.RATE_LIMIT);
+    const windowMs = Number(env.RATE_LIMIT_WINDOW);
+    const trustProxy = env.TRUST_PROXY !== undefined && env.TRUST_PROXY !== '' ? Number(env.TRUST_PROXY) : NaN;
+
+    return {
+        token: env.API_TOKEN || null,
+        signingSecret: env.API_SIGNING_SECRET || null,
+        corsOrigins: listValue(env.CORS_ORIGINS) || ['*'],
+        rateLimit: Number.isInteger(limit) && limit > 0
+            ? { limit, windowMs: Number.isInteger(windowMs) && windowMs > 0 ? windowMs : DEFAULT_RATE_LIMIT_WINDOW }
+            : null,
+        trustProxy: Number.isInteger(trustProxy) && trustProxy >= 0 ? trustProxy : (env.VERCEL ? 1 : 0)
+    };
+}
+
+/**
+ * Client address for the rate limit
+ *
+ * Every proxy appends the address it got the request from, so with N trusted
+ * proxies the client is the Nth address from the end of X-Forwarded-For plus
+ * the socket address; entries before it may be made up by the client.
+ */
+function clientKey(req, trustProxy) {
+    const remote = (req.socket && req.socket.remoteAddress) || 'unknown';
+    if (!trustProxy) {
+        return remote;
+    }
+    const forwarded = String((req.headers || {})['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const chain = [...forwarded, remote];
+    return chain[Math.max(0, chain.length - 1 - trustProxy)];
+}
+
+function deny(res, status, errorCode, error, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        error_code: errorCode,
+        error,
+        ...extra,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * @param {Object} [options] - See the module comment; defaults allow everything
+ * @param {Object} [options.store] - Rate-limit store (default in memory)
+ * @param {() => number} [options.now]
+ * @returns {{check: (req, res) => Promise<boolean>}} check() sets the CORS
+ *   headers and answers preflights, 401, 403 and 429 itself, and a 503 when
+ *   the rate-limit store fails; it resolves to true when the handler should
+ *   go on
+ */
+function createAccessControl(options = {}) {
+    const {
+        token = null,
+        signingSecret = null,
+        corsOrigins = ['*'],
+        rateLimit = null,
+        trustProxy = 0,
+        now = Date.now
+    } = options;
+    const store = options.store || createMemoryRateLimitStore({ now });
+
+    function authenticate(req) {
+        if (!token && !signingSecret) return null;
+
+        const authorization = (req.headers || {}).authorization || '';
+        const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+        if (token && bearer) {
+            return safeEqual(bearer[1].trim(), token) ? null : 'Invalid bearer token';
+        }
+
+        const query = req.query || {};
+        if (signingSecret && query.signature) {
+            const expires = Number(query.expires);
+            if (!Number.isInteger(expires)) return 'Signed requests need an expires parameter';
+            if (expires * 1000 < now()) return 'Signature has expired';
+
+            const { pathname } = new URL(req.url || '/', 'http://localhost');
+            return safeEqual(query.signature, hmac(signingSecret, canonicalRequest(pathname, query))) ? null : 'Invalid signature';
+        }
+
+        return token ? 'Missing bearer token' : 'Missing signature';
+    }
+
+    return {
+        async check(req, res) {
+            const origin = (req.headers || {}).origin;
+            const anyOrigin = corsOrigins.includes('*');
+            if (anyOrigin) {
+                res.setHeader('Access-Control-Allow-Origin', '*');
+            } else {
+                res.setHeader('Vary', 'Origin');
+                if (origin && corsOrigins.includes(origin)) {
+                    res.setHeader('Access-Control-Allow-Origin', origin);
+                }
+            }
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+            if (origin && !anyOrigin && !corsOrigins.includes(origin)) {
+                deny(res, 403, 'ORIGIN_NOT_ALLOWED', `Origin ${origin} is not allowed`);
+                return false;
+            }
+
+            // Preflights carry no credentials
+            if (req.method === 'OPTIONS') {
+                res.status(200).end();
+                return false;
+            }
+
+            if (rateLimit) {
+                let hit;
+                try {
+                    hit = await store.hit(clientKey(req, trustProxy), rateLimit.windowMs);
+                } catch (error) {
+                    // Fail closed, with the same JSON as every other rejection
+                    deny(res, 503, 'ACCESS_CHECK_FAILED', `Rate limit store failed: ${error.message}`);
+                    return false;
+                }
+                const { count, resetAt } = hit;
+                const retryAfter = Math.max(1, Math.ceil((resetAt - now()) / 1000));
+                res.setHeader('X-RateLimit-Limit', String(rateLimit.limit));
+                res.setHeader('X-RateLimit-Remaining', String(Math.max(0, rateLimit.limit - count)));
+                res.setHeader('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+                if (count > rateLimit.limit) {
+                    res.setHeader('Retry-After', String(retryAfter));
+                    deny(res, 429, 'RATE_LIMITED', `More than ${rateLimit.limit} requests in ${rateLimit.windowMs / 1000}s`, { retry_after: retryAfter });
+                    return false;
+                }
+            }
+
+            const problem = authenticate(req);
+            if (problem) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                deny(res, 401, 'UNAUTHORIZED', problem);
+                return false;
+            }
+
+            return true;
+        }
+    };
+}
+
+/**
+ * Handler that runs access.check() first
+ */
+function withAccessControl(handler, access) {
+    return async (req, res) => {
+        if (await access.check(req, res)) {
+            return handler(req, res);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT_WINDOW,
+    createMemoryRateLimitStore,
+    createAccessControl,
+    withAccessControl,
+    accessOptionsFromEnv,
+    signQuery
+};
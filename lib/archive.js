@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { mapWithConcurrency } = require('./concurrency');
+const { silentLogger } = require('./logger');
+
+/**
+ * Preview video archive
+ *
+ * Gumlet URLs rotate and shots get removed, so previews can be downloaded
+ * into a local, content-addressed archive:
+ *
+ *   <dir>/sha256/<first 2 hex chars>/<sha256>.<ext>   archived files
+ *   <dir>/.partial/<sha1 of url>                      interrupted downloads
+ *   <dir>/.partial/<sha1 of url>.type                 their content type
+ *   <dir>/index.json                                  preview_url -> file
+ *
+ * Interrupted downloads are resumed with a Range request on the next attempt.
+ * URLs already in the index (with the file still present) are not fetched
+ * again. Every row gets preview_sha256, preview_size, preview_content_type
+ * and preview_archive_path, or preview_archive_error when it failed. The
+ * downloaded, skipped and failed counts are per preview URL, not per row.
+ */
+
+const DEFAULT_ARCHIVE_OPTIONS = {
+    concurrency: 3,
+    retries: 3,
+    retryDelay: 1000,
+    timeout: 60000,
+    fetch: (...args) => fetch(...args),
+    logger: silentLogger
+};
+
+const EXTENSIONS = {
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/quicktime': '.mov',
+    'application/vnd.apple.mpegurl': '.m3u8',
+    'application/x-mpegurl': '.m3u8'
+};
+
+class DownloadError extends Error {
+    constructor(message, { status = null, retryable = true } = {}) {
+        super(message);
+        this.name = 'DownloadError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+const contentTypeOf = response =>
+    (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function fileSize(filePath) {
+    try {
+        return (await fsp.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function sha256File(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+async function loadIndex(indexPath) {
+    try {
+        return JSON.parse(await fsp.readFile(indexPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+// A 416 or 206 answer to a Range request says nothing reliable about the
+// file's type, so the type of the response that started it is kept
+const typePath = partialPath => `${partialPath}.type`;
+
+async function readPartialType(partialPath) {
+    try {
+        return (await fsp.readFile(typePath(partialPath), 'utf8')).trim() || null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function discardPartial(partialPath) {
+    await fsp.rm(partialPath, { force: true });
+    await fsp.rm(typePath(partialPath), { force: true });
+}
+
+/**
+ * Content-Range of a 206 or 416 response as { start, total }, null fields when absent
+ */
+function contentRange(response) {
+    const match = /^bytes (?:(\d+)-\d+|\*)\/(\d+|\*)$/.exec(response.headers.get('content-range') || '');
+    return {
+        start: match && match[1] !== undefined ? Number(match[1]) : null,
+        total: match && match[2] !== '*' ? Number(match[2]) : null
+    };
+}
+
+async function saveIndex(indexPath, index) {
+    const tmpPath = `${indexPath}.tmp`;
+    await fsp.writeFile(tmpPath, JSON.stringify(index, null, 2));
+    await fsp.rename(tmpPath, indexPath);
+}
+
+/**
+ * Download url into partialPath, resuming from whatever is already there
+ *
+ * @returns {Promise<string>} The response content type
+ */
+async function downloadOnce(url, partialPath, options) {
+    const offset = (await fileSize(partialPath)) || 0;
+    const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+
+    let response;
+    try {
+        response = await options.fetch(url, { headers, signal: AbortSignal.timeout(options.timeout) });
+    } catch (error) {
+        throw new DownloadError(`Request failed: ${error.message}`);
+    }
+
+    // The partial file is already complete, unless the remote file changed size
+    if (response.status === 416 && offset > 0) {
+        const { total } = contentRange(response);
+        if (total !== null && total !== offset) {
+            await discardPartial(partialPath);
+            throw new DownloadError(`Partial download of ${offset} bytes does not match the remote ${total}`);
+        }
+        return (await readPartialType(partialPath)) || contentTypeOf(response);
+    }
+
+    if (!response.ok) {
+        const retryable = response.status >= 500 || response.status === 429;
+        throw new DownloadError(`HTTP ${response.status}`, { status: response.status, retryable });
+    }
+
+    // 206 continues the partial file where it ends, 200 means the server ignored Range
+    let append = false;
+    if (response.status === 206 && offset > 0) {
+        const { start } = contentRange(response);
+        if (start !== 0 && start !== offset) {
+            await discardPartial(partialPath);
+            throw new DownloadError(`Range response starts at byte ${start}, expected ${offset}`);
+        }
+        append = start === offset;
+    }
+
+    const contentType = (append && await readPartialType(partialPath)) || contentTypeOf(response);
+    if (!append) {
+        await fsp.writeFile(typePath(partialPath), contentType);
+    }
+
+    try {
+        await pipeline(
+            Readable.fromWeb(response.body),
+            fs.createWriteStream(partialPath, { flags: append ? 'a' : 'w' })
+        );
+    } catch (error) {
+        throw new DownloadError(`Download interrupted: ${error.message}`);
+    }
+
+    return contentType;
+}
+
+async function downloadWithRetries(url, partialPath, options) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await downloadOnce(url, partialPath, options);
+        } catch (error) {
+            if (!error.retryable || attempt >= options.retries) {
+                throw error;
+            }
+            const delay = options.retryDelay * 2 ** attempt;
+            options.logger.warn('preview download failed, retrying', { url, error: error.message, delay_ms: delay });
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Move a finished download to its content-addressed location
+ */
+async function storeDownload(dir, partialPath, contentType) {
+    const sha256 = await sha256File(partialPath);
+    const size = await fileSize(partialPath);
+    const extension = EXTENSIONS[contentType] || '.bin';
+    const relativePath = path.join('sha256', sha256.slice(0, 2), `${sha256}${extension}`);
+    const finalPath = path.join(dir, relativePath);
+
+    await fsp.mkdir(path.dirname(finalPath), { recursive: true });
+    if (await fileSize(finalPath) === null) {
+        await fsp.rename(partialPath, finalPath);
+    } else {
+        // Same bytes already archived under another URL
+        await fsp.unlink(partialPath);
+    }
+    await fsp.rm(typePath(partialPath), { force: true });
+
+    return { sha256, size, content_type: contentType, path: relativePath };
+}
+
+/**
+ * Download every row's preview_url into the archive
+ *
+ * @param {Array} rows - Rows from lib/rows.js
+ * @param {Object} overrides - { dir, concurrency, retries, retryDelay, timeout, fetch, logger }
+ * @returns {Promise<{rows: Array, downloaded: number, skipped: number, failed: number}>}
+ */
+async function archivePreviews(rows, overrides) {
+    const options = { ...DEFAULT_ARCHIVE_OPTIONS, ...overrides };
+    const { dir, logger } = options;
+
+    if (!dir) {
+        throw new Error('archivePreviews needs a target dir');
+    }
+
+    const partialDir = path.join(dir, '.partial');
+    const indexPath = path.join(dir, 'index.json');
+    await fsp.mkdir(partialDir, { recursive: true });
+
+    const index = await loadIndex(indexPath);
+    const counts = { downloaded: 0, skipped: 0, failed: 0 };
+
+    // Several rows can share a preview; download each URL once
+    const inFlight = new Map();
+
+    async function archiveUrl(url) {
+        const known = index[url];
+        if (known && await fileSize(path.join(dir, known.path)) !== null) {
+            counts.skipped++;
+            return known;
+        }
+
+        const partialPath = path.join(partialDir, crypto.createHash('sha1').update(url).digest('hex'));
+        let entry;
+        try {
+            const contentType = await downloadWithRetries(url, partialPath, options);
+            entry = await storeDownload(dir, partialPath, contentType);
+        } catch (error) {
+            counts.failed++;
+            logger.warn('preview download failed', { url, error: error.message });
+            throw error;
+        }
+
+        index[url] = entry;
+        counts.downloaded++;
+        logger.debug('preview archived', { url, path: entry.path });
+        return entry;
+    }
+
+    logger.info('archiving previews', { count: rows.length, dir });
+
+    const archived = await mapWithConcurrency(rows, options.concurrency, async row => {
+        if (!row.preview_url) return row;
+
+        if (!inFlight.has(row.preview_url)) {
+            inFlight.set(row.preview_url, archiveUrl(row.preview_url));
+        }
+
+        try {
+            const entry = await inFlight.get(row.preview_url);
+            return {
+                ...row,
+                preview_sha256: entry.sha256,
+                preview_size: entry.size,
+                preview_content_type: entry.content_type,
+                preview_archive_path: entry.path
+            };
+        } catch (error) {
+            return { ...row, preview_archive_error: error.message };
+        }
+    });
+
+    await saveIndex(indexPath, index);
+    logger.info('previews archived', counts);
+
+    return { rows: archived, ...counts };
+}
+
+module.exports = { archivePreviews, DownloadError };
@@ -0,0 +1,109 @@
+const { silentLogger } = require('./logger');
+
+/**
+ * Pool of warm browsers for long-running processes (serve mode)
+ *
+ * pool.launchBrowser() is a drop-in `launchBrowser` option for scrape60fps():
+ * it resolves to a lease that looks like a browser (newContext(), close()),
+ * but close() only closes the contexts opened through the lease and hands the
+ * browser back to the pool. Browsers are launched on first use, at most
+ * `size` of them; further leases wait for one to be returned. A browser that
+ * crashed or was closed is replaced by a fresh one.
+ *
+ * Do not pool browsers launched with --single-process (the serverless args in
+ * api/scrape.js): they exit when their last context is closed.
+ */
+
+/**
+ * @param {Object} options
+ * @param {() => Promise<import('playwright-core').Browser>} options.launch
+ * @param {number} [options.size] - Browsers kept warm (and runs in parallel)
+ * @param {Object} [options.logger]
+ */
+function createBrowserPool({ launch, size = 1, logger = silentLogger }) {
+    const idle = [];
+    const waiting = [];
+    let total = 0;
+    let launched = 0;
+    let closed = false;
+
+    async function acquire() {
+        if (closed) {
+            throw new Error('Browser pool is closed');
+        }
+
+        while (idle.length > 0) {
+            const browser = idle.pop();
+            if (browser.isConnected()) return browser;
+            total--;
+        }
+
+        if (total < size) {
+            total++;
+            try {
+                const browser = await launch();
+                launched++;
+                logger.debug('browser launched', { pool_size: total });
+                return browser;
+            } catch (error) {
+                total--;
+                throw error;
+            }
+        }
+
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+
+    function release(browser) {
+        if (closed || !browser.isConnected()) {
+            total--;
+            if (closed) {
+                browser.close().catch(() => {});
+            } else if (waiting.length > 0) {
+                const next = waiting.shift();
+                acquire().then(next.resolve, next.reject);
+            }
+            return;
+        }
+
+        const next = waiting.shift();
+        if (next) {
+            next.resolve(browser);
+        } else {
+            idle.push(browser);
+        }
+    }
+
+    return {
+        async launchBrowser() {
+            const browser = await acquire();
+            const contexts = [];
+            let released = false;
+
+            return {
+                async newContext(options) {
+                    const context = await browser.newContext(options);
+                    contexts.push(context);
+                    return context;
+                },
+                isConnected: () => browser.isConnected(),
+                async close() {
+                    if (released) return;
+                    released = true;
+                    await Promise.all(contexts.map(context => context.close().catch(() => {})));
+                    release(browser);
+                }
+            };
+        },
+
+        stats: () => ({ size, browsers: total, idle: idle.length, waiting: waiting.length, launched }),
+
+        async close() {
+            closed = true;
+            waiting.splice(0).forEach(({ reject }) => reject(new Error('Browser pool is closed')));
+            await Promise.all(idle.splice(0).map(browser => browser.close().catch(() => {})));
+        }
+    };
+}
+
+module.exports = { createBrowserPool };
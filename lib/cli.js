@@ -0,0 +1,358 @@
+const fs = require('fs/promises');
+const { parseArgs } = require('util');
+const { isStructureError } = require('./errors');
+const { FALLBACK_MODES } = require('./fallback');
+const { FORMATS } = require('./formats');
+const { parseListing, parseListingSpec } = require('./listings');
+const { parseWebhookTarget } = require('./notify');
+const { PAGINATION_MODES } = require('./pagination');
+const { parseRetrySpec, DEFAULT_CIRCUIT_OPTIONS } = require('./retry');
+const { SCHEMAS } = require('./schema');
+const { CHANGELOG_FORMATS, DEFAULT_SNAPSHOT_DIR } = require('./snapshots');
+
+/**
+ * Command line interface of scrape60fps.js
+ *
+ * Argument parsing, help text and exit codes live here so they can be tested
+ * without launching a browser; the commands themselves are in scrape60fps.js.
+ */
+
+const COMMANDS = ['scrape', 'detail', 'diff', 'export', 'serve', 'schema', 'profile'];
+
+const LOG_FORMATS = ['pretty', 'json'];
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,               // Usage errors and failures without fallback data
+    PARTIAL: 2,             // Fresh data, but the "Load more" loop broke off early
+    FALLBACK: 3,            // Mock or last-good-snapshot data was served
+    STRUCTURE_CHANGED: 4    // Page loaded but the shot grid was not recognised, or drifted
+};
+
+const HELP = `Usage: node scrape60fps.js [command] [options]
+
+Commands:
+  scrape                  Scrape the shot grid (default)
+  detail <slug|url>       Crawl one shot page and print its details
+  diff [old] [new]        Changelog between two rows files or snapshots (latest,
+                          previous) by shot ID; without [new], a fresh scrape is
+                          compared, without either the two latest snapshots
+  export [file]           Convert a rows file, or the last good snapshot, to --format
+  serve                   Run /api/scrape on a local HTTP server, plus a job queue
+                          (POST /jobs, GET /jobs/:id) and cached results (GET /shots)
+                          on warm browsers
+  schema [row|run]        Print the JSON Schema of a row or of the run envelope
+                          (default run)
+  profile [name]          Print a browser profile (default --profile), credentials masked;
+                          with --check URL, verify a browser gets it applied against a URL
+                          that echoes the request headers as JSON
+
+Browser:
+  --headed                Show the browser window (default: headless)
+  --timeout MS            Navigation timeout (default 60000)
+  --content-wait MS       Longest wait for the SPA to render the grid (default 10000)
+  --load-wait MS          Longest wait for new shots after a "Load more" click (default 3000)
+  --max-load-attempts N   Maximum "Load more" clicks or scrolls (default 20)
+  --pagination MODE       ${PAGINATION_MODES.join(' | ')} (default auto: "Load more" button,
+                          or infinite scroll when the page has none)
+  --load-more-text TEXT   Button text that may be clicked as "Load more"; repeat for
+                          several, replaces the built-in list
+  --load-more-deny TEXT   Button text never clicked; repeat for several, replaces the
+                          built-in list
+  --time-budget MS        Stop loading in time to finish the run within MS, with partial results
+  --retries SPEC          Retries of transient failures: N for every phase, or per phase as
+                          navigate=N,wait=N,load=N,extract=N (default navigate=2,wait=1,
+                          load=2,extract=2), with exponential backoff and jitter
+  --circuit-threshold N   Runs failing transiently in a row after which runs stop touching the site
+                          for a while (default ${DEFAULT_CIRCUIT_OPTIONS.threshold}, 0 turns the circuit breaker off);
+                          the state is kept per --base-url in the temp directory
+  --circuit-cooldown MS   How long an open circuit rejects runs (default ${DEFAULT_CIRCUIT_OPTIONS.cooldown})
+  --block-resources       Lightweight page mode: do not load videos, images, fonts and trackers;
+                          the run report estimates the bytes and time saved
+  --base-url URL          Site to scrape (default https://60fps.design)
+  --profile NAME          Browser-context profile: user agent(s), proxy, viewport, locale,
+                          time zone, headers, storage state (default "default", or PROFILE)
+  --profiles FILE         JSON file of named profiles (default PROFILES_FILE; PROFILES may
+                          hold the same JSON)
+  --check URL             Header echo URL for the profile command, e.g. https://httpbin.org/headers
+
+Scraping:
+  --app NAME              Scrape the app's listing (/apps/NAME) instead of the homepage
+  --category NAME         Scrape the category's listing (/categories/NAME)
+  --listing TARGET        Scrape another listing: /path, app:NAME or category:NAME;
+                          --app, --category and --listing can be repeated and combined,
+                          shots are tagged with the listings they appeared in
+  --limit N               Cap the number of rows
+  --fallback MODE         ${FALLBACK_MODES.join(' | ')} (default mock)
+  --network               Read shots from the site's JSON responses
+  --media                 Resolve every shot's poster, HLS / DASH manifests and renditions
+  --details               Also crawl every shot page
+  --state FILE            Seen-shots state file for first_seen_at/last_seen_at
+  --since-last-run        Only output shots not in the state file
+  --archive DIR           Download every preview video into DIR
+  --upsert                Upsert the rows into Supabase
+  --snapshots DIR         Save every fresh run as a timestamped snapshot in DIR; diff
+                          resolves latest/previous there (default ${DEFAULT_SNAPSHOT_DIR})
+  --drift-webhook URL     POST a structure drift signal (checks, DOM snapshot, screenshot)
+                          to URL when the run looks like the site changed
+  --webhook TARGET        POST shots not seen in earlier runs to TARGET: a URL, or
+                          slack:URL / discord:URL / json:URL; repeat for several. Uses the
+                          --state file (default .60fps-state.json), signs with WEBHOOK_SECRET
+  --dead-letter FILE      Webhook messages that failed after retries (default
+                          .60fps-dead-letters.ndjson)
+
+Output:
+  -o, --output FILE       Write rows to FILE instead of printing a summary
+  --report FILE           Write the run report (phase durations, load attempts, counts) to FILE
+  --rejected FILE         Write rows that failed the output schema, with reasons, to FILE
+  -f, --format FORMAT     ${FORMATS.join(' | ')}; rows go to stdout unless --output is given;
+                          diff: ${CHANGELOG_FORMATS.join(' | ')}
+  -q, --quiet             No progress output
+  -v, --verbose           Debug-level logging (selector probes, every load attempt)
+  --log-format FORMAT     pretty (default) | json lines
+  --port N                Port for serve (default 3000)
+  --cache-ttl MS          How long serve answers /shots from its cache before
+                          refreshing (default 300000)
+  --pool-size N           Browsers serve keeps warm, and scrapes it runs at once (default 1)
+  -h, --help              Show this help
+
+Exit codes:
+  0  ok
+  1  error
+  2  partial results ("Load more" broke off early or the time budget ran out)
+  3  mock or last-good-snapshot fallback data
+  4  site structure changed (no content selector matched, no shots found, or the
+     shots breached the drift health checks)
+`;
+
+const OPTIONS = {
+    help: { type: 'boolean', short: 'h' },
+    quiet: { type: 'boolean', short: 'q' },
+    verbose: { type: 'boolean', short: 'v' },
+    'log-format': { type: 'string' },
+    headed: { type: 'boolean' },
+    timeout: { type: 'string' },
+    'content-wait': { type: 'string' },
+    'load-wait': { type: 'string' },
+    'max-load-attempts': { type: 'string' },
+    pagination: { type: 'string' },
+    'load-more-text': { type: 'string', multiple: true },
+    'load-more-deny': { type: 'string', multiple: true },
+    'time-budget': { type: 'string' },
+    retries: { type: 'string' },
+    'circuit-threshold': { type: 'string' },
+    'circuit-cooldown': { type: 'string' },
+    'block-resources': { type: 'boolean' },
+    'base-url': { type: 'string' },
+    profile: { type: 'string' },
+    profiles: { type: 'string' },
+    check: { type: 'string' },
+    app: { type: 'string', multiple: true },
+    category: { type: 'string', multiple: true },
+    listing: { type: 'string', multiple: true },
+    limit: { type: 'string' },
+    fallback: { type: 'string' },
+    network: { type: 'boolean' },
+    media: { type: 'boolean' },
+    details: { type: 'boolean' },
+    state: { type: 'string' },
+    'since-last-run': { type: 'boolean' },
+    archive: { type: 'string' },
+    upsert: { type: 'boolean' },
+    snapshots: { type: 'string' },
+    'drift-webhook': { type: 'string' },
+    webhook: { type: 'string', multiple: true },
+    'dead-letter': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    report: { type: 'string' },
+    rejected: { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    port: { type: 'string' },
+    'cache-ttl': { type: 'string' },
+    'pool-size': { type: 'string' }
+};
+
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+        this.code = 'INVALID_ARGUMENTS';
+    }
+}
+
+function positiveInteger(values, name, { allowZero = false } = {}) {
+    const raw = values[name];
+    if (raw === undefined) return undefined;
+    if (!/^\d+$/.test(raw) || (!allowZero && Number(raw) === 0)) {
+        throw new CliError(`--${name} must be a ${allowZero ? 'non-negative' : 'positive'} integer`);
+    }
+    return Number(raw);
+}
+
+/**
+ * Parse argv (without node and the script path)
+ *
+ * @returns {{command: string, args: string[], options: Object}}
+ * @throws {CliError}
+ */
+function parseCli(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const [command = 'scrape', ...args] = positionals;
+
+    if (!COMMANDS.includes(command)) {
+        throw new CliError(`Unknown command "${command}". Expected one of: ${COMMANDS.join(', ')}`);
+    }
+    if (command === 'detail' && args.length !== 1 && !values.help) {
+        throw new CliError('detail needs exactly one shot slug or URL');
+    }
+    if (command === 'diff' && args.length > 2 && !values.help) {
+        throw new CliError('diff takes at most an old and a new rows file or snapshot');
+    }
+    if (command === 'profile' && args.length > 1 && !values.help) {
+        throw new CliError('profile takes at most one profile name');
+    }
+    if (values.check !== undefined && command !== 'profile') {
+        throw new CliError('--check only applies to the profile command');
+    }
+    if (command === 'schema' && !values.help && (args.length > 1 || (args.length === 1 && !SCHEMAS[args[0]]))) {
+        throw new CliError(`schema takes one of: ${Object.keys(SCHEMAS).join(', ')}`);
+    }
+
+    const formats = command === 'diff' ? CHANGELOG_FORMATS : FORMATS;
+    if (values.format !== undefined && !formats.includes(values.format)) {
+        throw new CliError(`--format must be one of: ${formats.join(', ')}`);
+    }
+    if (values['log-format'] !== undefined && !LOG_FORMATS.includes(values['log-format'])) {
+        throw new CliError(`--log-format must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    if (values.fallback !== undefined && !FALLBACK_MODES.includes(values.fallback)) {
+        throw new CliError(`--fallback must be one of: ${FALLBACK_MODES.join(', ')}`);
+    }
+    if (values.pagination !== undefined && !PAGINATION_MODES.includes(values.pagination)) {
+        throw new CliError(`--pagination must be one of: ${PAGINATION_MODES.join(', ')}`);
+    }
+
+    let listings;
+    try {
+        listings = [
+            ...(values.app || []).map(name => parseListing('app', name)),
+            ...(values.category || []).map(name => parseListing('category', name)),
+            ...(values.listing || []).map(parseListingSpec)
+        ];
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    let webhooks;
+    let retries;
+    try {
+        webhooks = (values.webhook || []).map(parseWebhookTarget);
+        retries = values.retries !== undefined ? parseRetrySpec(values.retries) : undefined;
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const circuitThreshold = positiveInteger(values, 'circuit-threshold', { allowZero: true });
+
+    const options = {
+        help: Boolean(values.help),
+        quiet: Boolean(values.quiet),
+        logLevel: values.verbose ? 'debug' : 'info',
+        logFormat: values['log-format'] || 'pretty',
+        headless: !values.headed,
+        navigationTimeout: positiveInteger(values, 'timeout'),
+        contentWait: positiveInteger(values, 'content-wait', { allowZero: true }),
+        loadWait: positiveInteger(values, 'load-wait', { allowZero: true }),
+        maxLoadAttempts: positiveInteger(values, 'max-load-attempts', { allowZero: true }),
+        pagination: values.pagination,
+        loadMoreTexts: values['load-more-text'],
+        loadMoreDeny: values['load-more-deny'],
+        timeBudget: positiveInteger(values, 'time-budget'),
+        retries,
+        circuitThreshold: circuitThreshold === undefined ? DEFAULT_CIRCUIT_OPTIONS.threshold : circuitThreshold,
+        circuitCooldown: positiveInteger(values, 'circuit-cooldown') || DEFAULT_CIRCUIT_OPTIONS.cooldown,
+        blockResources: Boolean(values['block-resources']),
+        baseUrl: values['base-url'],
+        profile: values.profile,
+        profiles: values.profiles,
+        check: values.check,
+        listings: listings.length > 0 ? listings : undefined,
+        limit: positiveInteger(values, 'limit'),
+        fallback: values.fallback || 'mock',
+        networkExtraction: Boolean(values.network),
+        media: Boolean(values.media),
+        details: Boolean(values.details),
+        state: values.state,
+        sinceLastRun: Boolean(values['since-last-run']),
+        archive: values.archive,
+        upsert: Boolean(values.upsert),
+        snapshots: values.snapshots,
+        driftWebhook: values['drift-webhook'],
+        webhooks,
+        deadLetter: values['dead-letter'],
+        output: values.output,
+        report: values.report,
+        rejected: values.rejected,
+        format: values.format,
+        port: positiveInteger(values, 'port') || 3000,
+        cacheTtl: positiveInteger(values, 'cache-ttl', { allowZero: true }),
+        poolSize: positiveInteger(values, 'pool-size') || 1
+    };
+
+    return { command, args, options };
+}
+
+/**
+ * Exit code for a finished scrape
+ */
+function exitCodeFor(meta) {
+    if (isStructureError(meta.errorCode) || meta.drift) return EXIT_CODES.STRUCTURE_CHANGED;
+    if (meta.status === 'mock' || meta.status === 'stale') return EXIT_CODES.FALLBACK;
+    if (meta.status === 'partial') return EXIT_CODES.PARTIAL;
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Exit code for an error thrown by a command
+ */
+function exitCodeForError(error) {
+    return error && isStructureError(error.code) ? EXIT_CODES.STRUCTURE_CHANGED : EXIT_CODES.ERROR;
+}
+
+/**
+ * Read rows written by the n8n wrapper or the CLI
+ *
+ * Accepts a JSON array, a `--with-meta` run envelope ({ meta, rows }) or NDJSON.
+ */
+async function readRowsFile(filePath) {
+    const text = (await fs.readFile(filePath, 'utf8')).trim();
+    if (!text) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    if (Array.isArray(parsed)) return parsed;
+    return Array.isArray(parsed.rows) ? parsed.rows : [parsed];
+}
+
+module.exports = {
+    COMMANDS,
+    EXIT_CODES,
+    HELP,
+    CliError,
+    parseCli,
+    exitCodeFor,
+    exitCodeForError,
+    readRowsFile
+};
@@ -0,0 +1,27 @@
+/**
+ * Run an async mapper over items with at most `limit` calls in flight
+ *
+ * Results keep the order of the input. The first rejection rejects the whole
+ * call, so mappers that should not abort the batch must catch their own errors.
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
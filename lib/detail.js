@@ -0,0 +1,205 @@
+const { mapWithConcurrency } = require('./concurrency');
+const { silentLogger } = require('./logger');
+
+/**
+ * Shot detail-page crawler
+ *
+ * Optional second pass over the shots found on the grid: every permalink is
+ * opened in its own page (sharing one browser context) and the full metadata
+ * is read off the detail page. Failures are recorded per shot and never fail
+ * the run, the grid data is still good without details.
+ */
+
+const DEFAULT_DETAIL_OPTIONS = {
+    concurrency: 3,
+    timeout: 30000,
+    onShot: () => {},
+    deadline: null,
+    logger: silentLogger
+};
+
+/**
+ * In-page extraction of a shot detail page
+ *
+ * Runs inside the browser via page.evaluate, so it must stay self-contained.
+ * Reads, in order of preference: labelled fields ("App", "Platform", ...),
+ * links into the site's taxonomy (/apps/, /categories/, ...) and meta tags.
+ */
+function extractShotDetail() {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const unique = values => [...new Set(values.filter(Boolean))];
+
+    const meta = name => {
+        const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        return el ? el.getAttribute('content') : null;
+    };
+
+    const absolute = url => {
+        if (!url) return null;
+        try {
+            return new URL(url, location.href).href;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // Value rendered next to a label such as "Platform" or "Designed by"
+    const labelled = labels => {
+        const wanted = labels.map(label => label.toLowerCase());
+        for (const el of document.querySelectorAll('dt, th, h4, h5, h6, p, span, div, label')) {
+            if (el.children.length > 0) continue;
+            const text = clean(el.textContent).replace(/:$/, '').toLowerCase();
+            if (!wanted.includes(text)) continue;
+
+            const sibling = el.nextElementSibling || (el.parentElement && el.parentElement.nextElementSibling);
+            const value = sibling ? clean(sibling.textContent) : '';
+            if (value && value.length < 120) {
+                return value;
+            }
+        }
+        return null;
+    };
+
+    // Texts of links pointing into a taxonomy section, e.g. /categories/
+    const linkTexts = fragments => unique(
+        Array.from(document.querySelectorAll('a[href]'))
+            .filter(a => fragments.some(fragment => a.getAttribute('href').includes(fragment)))
+            .map(a => clean(a.textContent))
+            .filter(text => text.length > 1 && text.length < 60)
+    );
+
+    const splitList = value => value ? value.split(/,|·|\|/).map(clean).filter(Boolean) : [];
+
+    const normalizePlatform = value => {
+        const text = (value || '').toLowerCase();
+        if (text.includes('ios') || text.includes('iphone') || text.includes('ipad')) return 'iOS';
+        if (text.includes('android')) return 'Android';
+        if (text.includes('web') || text.includes('desktop')) return 'web';
+        return null;
+    };
+
+    const heading = document.querySelector('h1');
+    const title = clean(heading && heading.textContent) || meta('og:title') || clean(document.title);
+
+    const app = labelled(['App', 'Application', 'Product']) ||
+        linkTexts(['/apps/'])[0] ||
+        null;
+
+    const platformText = labelled(['Platform', 'Device']) || linkTexts(['/platforms/', 'platform='])[0] || '';
+    const platform = normalizePlatform(platformText) ||
+        normalizePlatform(linkTexts(['/platforms/', 'platform=']).join(' '));
+
+    const categories = unique([
+        ...splitList(labelled(['Category', 'Categories'])),
+        ...linkTexts(['/categories/', '/category/', 'category='])
+    ]);
+
+    const tags = unique([
+        ...splitList(labelled(['Tags', 'Tag'])),
+        ...linkTexts(['/tags/', 'tag=']),
+        ...splitList(meta('keywords'))
+    ]);
+
+    const uiPattern = labelled(['UI Pattern', 'Pattern', 'Interaction']) ||
+        linkTexts(['/patterns/', 'pattern='])[0] ||
+        null;
+
+    const designer = labelled(['Designer', 'Designed by', 'Design by', 'Credits', 'Credit', 'Author']) ||
+        linkTexts(['/designers/', 'dribbble.com', 'twitter.com', 'x.com', 'linkedin.com'])[0] ||
+        null;
+
+    // The detail page plays the full-resolution video, the grid only a preview
+    const videos = Array.from(document.querySelectorAll('video'));
+    let videoUrl = meta('og:video') || meta('og:video:url') || null;
+    let posterUrl = null;
+
+    for (const video of videos) {
+        const source = video.querySelector('source');
+        const src = (source && source.getAttribute('src')) || video.getAttribute('src') || video.getAttribute('data-src');
+        if (!videoUrl && src) {
+            videoUrl = src;
+        }
+        if (!posterUrl && video.getAttribute('poster')) {
+            posterUrl = video.getAttribute('poster');
+        }
+    }
+
+    posterUrl = posterUrl || meta('og:image') || meta('twitter:image');
+
+    return {
+        title: title || null,
+        app,
+        platform,
+        categories,
+        tags,
+        ui_pattern: uiPattern,
+        designer,
+        video_url: absolute(videoUrl),
+        poster_url: absolute(posterUrl)
+    };
+}
+
+/**
+ * Open every shot permalink and attach its detail metadata as `shot.detail`
+ *
+ * @param {BrowserContext} context - Context to open the detail pages in
+ * @param {Array} shots - Shots as returned by the grid extraction
+ * @param {Object} [overrides] - { concurrency, timeout, onShot, deadline, logger };
+ *                               onShot is called with the shots in input order,
+ *                               each as soon as it and every shot before it are
+ *                               done; pages not started before the deadline
+ *                               (lib/wait.js) are skipped with a detailError
+ * @returns {Promise<Array>} The shots, each with `detail` or `detailError`
+ */
+async function crawlShotDetails(context, shots, overrides = {}) {
+    const options = { ...DEFAULT_DETAIL_OPTIONS, ...overrides };
+    const { logger, deadline } = options;
+
+    // Pages finish out of order; hold shots back until those before them are done
+    const done = new Array(shots.length);
+    let emitted = 0;
+    const settle = (index, shot) => {
+        done[index] = shot;
+        while (emitted < shots.length && done[emitted]) {
+            options.onShot(done[emitted++]);
+        }
+        return shot;
+    };
+
+    logger.info('crawling shot pages', { count: shots.length, concurrency: options.concurrency });
+
+    const crawled = await mapWithConcurrency(shots, options.concurrency, async (shot, index) => {
+        const timeout = deadline ? deadline.cap(options.timeout) : options.timeout;
+        if (timeout <= 0) {
+            return settle(index, { ...shot, detail: null, detailError: 'Time budget exceeded' });
+        }
+
+        let page = null;
+        try {
+            page = await context.newPage();
+            await page.goto(shot.url, {
+                waitUntil: 'domcontentloaded',
+                timeout
+            });
+            // Detail pages are rendered by the SPA as well
+            await page.waitForSelector('h1, video', { timeout }).catch(() => {});
+            const detail = await page.evaluate(extractShotDetail);
+            logger.debug('shot page crawled', { url: shot.url });
+            return settle(index, { ...shot, detail });
+        } catch (error) {
+            logger.warn('shot page failed', { url: shot.url, error: error.message });
+            return settle(index, { ...shot, detail: null, detailError: error.message });
+        } finally {
+            if (page) {
+                await page.close().catch(() => {});
+            }
+        }
+    });
+
+    const failed = crawled.filter(shot => shot.detailError).length;
+    logger.info('shot pages crawled', { crawled: crawled.length - failed, failed });
+
+    return crawled;
+}
+
+module.exports = { crawlShotDetails, extractShotDetail, DEFAULT_DETAIL_OPTIONS };
@@ -0,0 +1,106 @@
+/**
+ * Scraper error codes
+ *
+ * Every failure surfaced by the scraper carries one of these codes so callers
+ * (n8n, the Vercel function) can branch on them instead of parsing messages.
+ *
+ * classifyError() sorts failures into classes:
+ * - transient:  network trouble, timeouts, a crashed or reloaded page, the
+ *               site's error page; the next attempt may well succeed
+ * - structural: the page loaded but did not look like the shot grid; trying
+ *               again gets the same page
+ * - unknown:    anything else (bugs, bad options); never retried
+ */
+
+const ERROR_CODES = {
+    LAUNCH_FAILED: 'LAUNCH_FAILED',               // The browser could not be launched
+    NAVIGATION_FAILED: 'NAVIGATION_FAILED',       // page.goto failed or timed out
+    SITE_ERROR_PAGE: 'SITE_ERROR_PAGE',           // Site served an error ("Wups") page
+    NO_CONTENT: 'NO_CONTENT',                     // No known content selector matched
+    LOAD_MORE_FAILED: 'LOAD_MORE_FAILED',         // Load loop broke off early
+    TIME_BUDGET_EXCEEDED: 'TIME_BUDGET_EXCEEDED', // Load loop stopped to finish within timeBudget
+    EXTRACTION_FAILED: 'EXTRACTION_FAILED',       // page.evaluate threw
+    NO_SHOTS: 'NO_SHOTS',                         // Extraction ran but found nothing
+    LISTING_FAILED: 'LISTING_FAILED',             // Some listings failed, the others were scraped
+    NO_SNAPSHOT: 'NO_SNAPSHOT',                   // last-good-snapshot fallback had nothing to serve
+    CIRCUIT_OPEN: 'CIRCUIT_OPEN',                 // Too many failures in a row, the site is left alone for a while
+    UNKNOWN: 'UNKNOWN'
+};
+
+// The page loaded but did not look like the shot grid: the site changed and
+// the selectors or extractors need updating
+const STRUCTURE_ERROR_CODES = [
+    ERROR_CODES.NO_CONTENT,
+    ERROR_CODES.EXTRACTION_FAILED,
+    ERROR_CODES.NO_SHOTS
+];
+
+const TRANSIENT_ERROR_CODES = [
+    ERROR_CODES.NAVIGATION_FAILED,
+    ERROR_CODES.SITE_ERROR_PAGE,
+    ERROR_CODES.CIRCUIT_OPEN
+];
+
+// Playwright and Node messages of failures that are not the page's fault
+const TRANSIENT_MESSAGE = /net::ERR_|NS_ERROR_NET|Timeout \d+ms exceeded|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|interrupted by another navigation|Execution context was destroyed|Target (page, context or browser )?(has been )?closed|Page crashed|frame was detached/i;
+
+class ScrapeError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message
+     * @param {Object} [options] - { cause }
+     */
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'ScrapeError';
+        this.code = code;
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+}
+
+/**
+ * Wrap any thrown value in a ScrapeError, keeping existing codes
+ */
+function toScrapeError(error, code = ERROR_CODES.UNKNOWN) {
+    if (error instanceof ScrapeError) {
+        return error;
+    }
+    const message = error && error.message ? error.message : String(error);
+    return new ScrapeError(code, message, { cause: error });
+}
+
+function isStructureError(code) {
+    return STRUCTURE_ERROR_CODES.includes(code);
+}
+
+/**
+ * Classify a failure as transient, structural or unknown
+ *
+ * A ScrapeError is classified by its code. EXTRACTION_FAILED is the exception:
+ * page.evaluate also throws when the page navigated or crashed under it, which
+ * is transient, so its cause decides.
+ *
+ * @returns {'transient'|'structural'|'unknown'}
+ */
+function classifyError(error) {
+    const code = error && error.code;
+    const cause = error instanceof ScrapeError ? error.cause : error;
+    const transientCause = Boolean(cause) && (cause.name === 'TimeoutError' || TRANSIENT_MESSAGE.test(cause.message || ''));
+
+    if (TRANSIENT_ERROR_CODES.includes(code)) return 'transient';
+    if (code === ERROR_CODES.EXTRACTION_FAILED) return transientCause ? 'transient' : 'structural';
+    if (isStructureError(code)) return 'structural';
+    return transientCause ? 'transient' : 'unknown';
+}
+
+module.exports = {
+    ScrapeError,
+    ERROR_CODES,
+    STRUCTURE_ERROR_CODES,
+    TRANSIENT_ERROR_CODES,
+    toScrapeError,
+    isStructureError,
+    classifyError
+};
@@ -0,0 +1,199 @@
+/**
+ * In-page shot extraction for 60fps.design
+ *
+ * `extractShots` is serialized by Playwright and runs inside the browser via
+ * `page.evaluate(extractShots, options)`, so it must stay self-contained: no
+ * closures over module scope and no Node APIs.
+ *
+ * Strategy: every shot card renders a <video> whose <source> points at a
+ * Gumlet stream. Starting from each video we walk up the DOM looking for the
+ * shot permalink and a title, and synthesize a slug when no link is found
+ * (flagged with `synthesized: true`). Resolves to one shot per card;
+ * duplicate cards are dropped by normalizeShots() in lib/normalize.js.
+ */
+
+function extractShots({ ancestorDepth = 8, baseUrl = 'https://60fps.design' } = {}) {
+    const results = [];
+    
+    // Strategy: Find real shot URLs with their associated videos
+    const videos = document.querySelectorAll('video');
+    
+    videos.forEach((video, index) => {
+        try {
+            let previewUrl = null;
+            let shotUrl = null;
+            let shotTitle = null;
+            let synthesized = false;
+            
+            // Get video source from source element (this is where the real URLs are)
+            const source = video.querySelector('source');
+            if (source) {
+                previewUrl = source.getAttribute('src');
+            }
+            
+            // Also check video element itself
+            if (!previewUrl) {
+                previewUrl = video.getAttribute('src') || video.getAttribute('data-src');
+            }
+            
+            // Extract video ID from Gumlet URL
+            let videoId = null;
+            if (previewUrl && previewUrl.includes('video.gumlet.io')) {
+                const match = previewUrl.match(/video\.gumlet\.io\/[^\/]+\/([^\/]+)/);
+                if (match) {
+                    videoId = match[1];
+                }
+            }
+            
+            // Look for shot title and associated text content
+            let element = video;
+            let attempts = 0;
+            
+            while (element && attempts < ancestorDepth) {
+                // Look for headings, text content, or data attributes that might contain shot info
+                const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
+                const textElements = element.querySelectorAll('p, span, div');
+                const links = element.querySelectorAll('a[href]');
+                
+                // Check headings first (most likely to contain shot titles)
+                for (const heading of headings) {
+                    const text = heading.textContent?.trim();
+                    if (text && text.length > 10 && text.length < 100 && 
+                        !text.includes('Shots') && !text.includes('Apps') &&
+                        !text.includes('Filter') && !text.includes('Learn')) {
+                        shotTitle = text;
+                        break;
+                    }
+                }
+                
+                // If no heading found, check other text elements
+                if (!shotTitle) {
+                    for (const textEl of textElements) {
+                        const text = textEl.textContent?.trim();
+                        if (text && text.length > 15 && text.length < 80 &&
+                            (text.includes('Interaction') || text.includes('Animation') || 
+                             text.includes('Swipe') || text.includes('Card') ||
+                             text.includes('Button') || text.includes('Progress') ||
+                             text.includes('Splash') || text.includes('Gesture'))) {
+                            shotTitle = text;
+                            break;
+                        }
+                    }
+                }
+                
+                // Look for actual shot links that exist (prioritize these over text extraction)
+                for (const link of links) {
+                    const href = link.getAttribute('href');
+                    const linkText = link.textContent?.trim();
+                    
+                    // Check if this is a real shot link (not filter/watch)
+                    if (href && href.includes('/shots/') && 
+                        !href.includes('filter') && !href.includes('watch') &&
+                        href.length > 15) { // Real shot URLs are longer
+                        
+                        // Use the href directly as it should be the real shot slug
+                        let cleanHref = href;
+                        if (cleanHref.startsWith('./')) {
+                            cleanHref = cleanHref.substring(2);
+                        }
+                        if (!cleanHref.startsWith('/')) {
+                            cleanHref = '/' + cleanHref;
+                        }
+                        
+                        // Create the full shot URL with video parameter
+                        if (videoId) {
+                            shotUrl = `${baseUrl}${cleanHref}?video=${videoId}`;
+                        } else {
+                            shotUrl = `${baseUrl}${cleanHref}`;
+                        }
+                        
+                        // Use link text as title, but clean it up
+                        if (!shotTitle && linkText && linkText.length > 5) {
+                            // Clean up the title - remove extra numbers and spaces at the end
+                            shotTitle = linkText
+                                .replace(/\s+\d+$/, '')  // Remove trailing numbers like " 5"
+                                .replace(/\s+$/, '')     // Remove trailing spaces
+                                .trim();
+                        }
+                        break;
+                    }
+                }
+                
+                if (shotUrl) break;
+                element = element.parentElement;
+                attempts++;
+            }
+            
+            // Fallback: create shot URL from title or video ID
+            if (!shotUrl && videoId) {
+                let shotSlug;
+                
+                if (shotTitle) {
+                    // Convert title to URL-friendly slug
+                    shotSlug = shotTitle
+                        .replace(/\s+\d+$/, '')       // Remove trailing numbers like " 5"
+                        .toLowerCase()
+                        .replace(/[^a-z0-9\s-]/g, '') // Remove special chars
+                        .replace(/\s+/g, '-')         // Replace spaces with hyphens
+                        .replace(/-+/g, '-')          // Replace multiple hyphens with single
+                        .replace(/^-|-$/g, '');       // Remove leading/trailing hyphens
+                } else {
+                    // Generic fallback
+                    shotSlug = `motion-video-${videoId.substring(0, 8)}`;
+                    shotTitle = `Motion Video ${index + 1}`;
+                }
+                
+                shotUrl = `${baseUrl}/shots/${shotSlug}?video=${videoId}`;
+                synthesized = true;
+            }
+            
+            // Add to results if we have both URLs
+            if (shotUrl && previewUrl) {
+                results.push({
+                    url: shotUrl,
+                    preview: previewUrl,
+                    title: shotTitle || `Video ${index + 1}`,
+                    ...(synthesized && { synthesized })
+                });
+            }
+            
+        } catch (error) {
+            // Skip this card, the others are still good
+        }
+    });
+    
+    return results;
+}
+
+/**
+ * Cheap in-page listing of { videoId, slug } for every <video>, in DOM order
+ *
+ * Used by the load loop to recognise already-known shots without running the
+ * full extraction after every click. Also runs inside the browser.
+ */
+function collectShotKeys({ ancestorDepth = 8 } = {}) {
+    return Array.from(document.querySelectorAll('video')).map(video => {
+        const source = video.querySelector('source');
+        const previewUrl = (source && source.getAttribute('src')) ||
+            video.getAttribute('src') || video.getAttribute('data-src') || '';
+        const idMatch = previewUrl.match(/video\.gumlet\.io\/[^\/]+\/([^\/]+)/);
+
+        let slug = null;
+        let element = video;
+        for (let attempts = 0; element && attempts < ancestorDepth && !slug; attempts++) {
+            for (const link of element.querySelectorAll('a[href*="/shots/"]')) {
+                const href = link.getAttribute('href');
+                const slugMatch = href.match(/\/shots\/([^/?#]+)/);
+                if (slugMatch && !href.includes('filter') && !href.includes('watch')) {
+                    slug = slugMatch[1];
+                    break;
+                }
+            }
+            element = element.parentElement;
+        }
+
+        return { videoId: idMatch ? idMatch[1] : null, slug };
+    });
+}
+
+module.exports = { extractShots, collectShotKeys };
@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Fallback behaviour when a scrape fails
+ *
+ * - error:              rethrow the ScrapeError (default)
+ * - mock:               serve MOCK_SHOTS, flagged with status "mock"
+ * - last-good-snapshot: serve the shots from the last complete run without drift,
+ *                       flagged with status "stale"
+ */
+
+const FALLBACK_MODES = ['error', 'mock', 'last-good-snapshot'];
+
+// Vercel only allows writes under the temp directory
+const DEFAULT_SNAPSHOT_PATH = path.join(os.tmpdir(), '60fps-last-good.json');
+
+function assertFallbackMode(mode) {
+    if (!FALLBACK_MODES.includes(mode)) {
+        throw new Error(`Unknown fallback mode "${mode}". Expected one of: ${FALLBACK_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Persist the shots of a successful run for later last-good-snapshot fallbacks
+ */
+async function saveLastGood(snapshotPath, shots, meta) {
+    const snapshot = {
+        saved_at: new Date().toISOString(),
+        selector: meta.selector,
+        shots
+    };
+    await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+    await fs.writeFile(snapshotPath, JSON.stringify(snapshot));
+}
+
+/**
+ * Read the last good snapshot, or null when none has been saved yet
+ */
+async function loadLastGood(snapshotPath) {
+    try {
+        return JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    FALLBACK_MODES,
+    DEFAULT_SNAPSHOT_PATH,
+    assertFallbackMode,
+    saveLastGood,
+    loadLastGood
+};
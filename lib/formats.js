@@ -0,0 +1,229 @@
+const { ROW_FIELDS } = require('./rows');
+
+/**
+ * Output formats for scraped rows
+ *
+ * - json:   one JSON array (the default everywhere)
+ * - ndjson: one JSON object per line, can be written row by row
+ * - csv:    RFC 4180 with a header line; list columns are joined with "; "
+ * - rss:    RSS 2.0 feed, one <item> per shot with an <enclosure> for the preview
+ *           (length="0" unless the archive recorded the size)
+ * - atom:   Atom feed, one <entry> per shot with a rel="enclosure" link
+ *
+ * Items are identified by the shot's canonical URL, never by `url`: its
+ * ?video= changes whenever the site rotates the preview, and feed readers
+ * would show the shot as new every time.
+ */
+
+const FORMATS = ['json', 'ndjson', 'csv', 'rss', 'atom'];
+
+const CONTENT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8',
+    atom: 'application/atom+xml; charset=utf-8'
+};
+
+// Accept header media types, in the order they are preferred on a tie
+const MEDIA_TYPES = [
+    ['application/json', 'json'],
+    ['application/x-ndjson', 'ndjson'],
+    ['application/ndjson', 'ndjson'],
+    ['text/csv', 'csv'],
+    ['application/rss+xml', 'rss'],
+    ['application/atom+xml', 'atom']
+];
+
+const DEFAULT_FEED = {
+    title: '60fps.design shots',
+    link: 'https://60fps.design',
+    description: 'Newly discovered mobile app animations on 60fps.design'
+};
+
+function assertFormat(format) {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Pick a format from an Accept header, or null when nothing matches
+ */
+function negotiateFormat(accept) {
+    if (!accept) return null;
+
+    const ranges = accept.split(',').map(part => {
+        const [type, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return { type: type.trim(), q: q ? Number(q.slice(2)) : 1 };
+    }).filter(range => range.q > 0);
+
+    let best = null;
+    for (const range of ranges) {
+        const match = MEDIA_TYPES.find(([type]) => type === range.type);
+        if (match && (!best || range.q > best.q)) {
+            best = { format: match[1], q: range.q };
+        }
+    }
+    return best ? best.format : null;
+}
+
+function toNdjsonLine(row) {
+    return `${JSON.stringify(row)}\n`;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (Array.isArray(value)) {
+        text = value.join('; ');
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with the columns present in the rows, in ROW_FIELDS order
+ */
+function toCsv(rows) {
+    const present = new Set(rows.flatMap(row => Object.keys(row)));
+    const columns = [
+        ...ROW_FIELDS.filter(field => present.has(field)),
+        ...[...present].filter(field => !ROW_FIELDS.includes(field))
+    ];
+
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function rowDate(row) {
+    return new Date(row.first_seen_at || Date.now());
+}
+
+/**
+ * Stable item id: the canonical URL, or a URN on the shot id for shots
+ * without a slug
+ */
+function entryId(row) {
+    if (row.canonical_url) {
+        return { id: row.canonical_url, permalink: true };
+    }
+    if (row.id) {
+        return { id: `urn:60fps:shot:${row.id}`, permalink: false };
+    }
+    // Rows exported before schema 1.1.0
+    return { id: row.url, permalink: true };
+}
+
+function toRss(rows, feed) {
+    const items = rows.map(row => {
+        const { id, permalink } = entryId(row);
+        // RSS requires a length; 0 stands for unknown, only archived previews have one
+        const length = row.preview_size > 0 ? row.preview_size : 0;
+        const enclosure = row.preview_url
+            ? [`      <enclosure url="${escapeXml(row.preview_url)}" length="${length}" type="${escapeXml(row.preview_content_type || 'video/mp4')}"/>`]
+            : [];
+
+        return [
+            '    <item>',
+            `      <title>${escapeXml(row.title)}</title>`,
+            `      <link>${escapeXml(row.url)}</link>`,
+            `      <guid isPermaLink="${permalink}">${escapeXml(id)}</guid>`,
+            `      <pubDate>${rowDate(row).toUTCString()}</pubDate>`,
+            ...(row.app ? [`      <category>${escapeXml(row.app)}</category>`] : []),
+            ...enclosure,
+            '    </item>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0">',
+        '  <channel>',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <link>${escapeXml(feed.link)}</link>`,
+        `    <description>${escapeXml(feed.description)}</description>`,
+        `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+        ...items,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function toAtom(rows, feed) {
+    const updated = rows.length > 0
+        ? new Date(Math.max(...rows.map(row => rowDate(row).getTime())))
+        : new Date();
+
+    const entries = rows.map(row => [
+        '  <entry>',
+        `    <title>${escapeXml(row.title)}</title>`,
+        `    <id>${escapeXml(entryId(row).id)}</id>`,
+        `    <link rel="alternate" href="${escapeXml(row.url)}"/>`,
+        ...(row.preview_url ? [`    <link rel="enclosure" type="${escapeXml(row.preview_content_type || 'video/mp4')}" href="${escapeXml(row.preview_url)}"${row.preview_size > 0 ? ` length="${row.preview_size}"` : ''}/>`] : []),
+        `    <updated>${rowDate(row).toISOString()}</updated>`,
+        '  </entry>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <id>${escapeXml(feed.link)}</id>`,
+        `  <link href="${escapeXml(feed.link)}"/>`,
+        '  <author><name>60fps.design</name></author>',
+        `  <updated>${updated.toISOString()}</updated>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Serialize rows in one of FORMATS
+ *
+ * @param {Array} rows - Rows from lib/rows.js
+ * @param {string} format
+ * @param {Object} [feed] - { title, link, description } for rss/atom
+ */
+function formatRows(rows, format, feed = {}) {
+    assertFormat(format);
+
+    switch (format) {
+        case 'ndjson':
+            return rows.map(toNdjsonLine).join('');
+        case 'csv':
+            return toCsv(rows);
+        case 'rss':
+            return toRss(rows, { ...DEFAULT_FEED, ...feed });
+        case 'atom':
+            return toAtom(rows, { ...DEFAULT_FEED, ...feed });
+        default:
+            return JSON.stringify(rows);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    CONTENT_TYPES,
+    assertFormat,
+    negotiateFormat,
+    formatRows,
+    toNdjsonLine
+};
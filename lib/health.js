@@ -0,0 +1,145 @@
+const { silentLogger } = require('./logger');
+
+/**
+ * Site-structure drift detection
+ *
+ * When 60fps.design changes its markup a run rarely fails cleanly: it either
+ * finds nothing, or "succeeds" with a generic selector and shots titled
+ * "Video 12". Every run is therefore compared against baseline expectations:
+ *
+ * - min_shots:       at least minShots shots extracted
+ * - permalink_ratio: share of shots with a real /shots/ link instead of a
+ *                    slug synthesized from the title or video ID (the
+ *                    confidence field from lib/normalize.js)
+ * - gumlet_ratio:    share of previews served by Gumlet
+ * - title_quality:   share of titles that are not empty or generic ("Video 12")
+ *
+ * A breach (or a structure error such as NO_CONTENT) produces a
+ * "structure_drift" signal with a DOM snapshot and a screenshot, which is
+ * posted to the drift webhook and passed to onDrift.
+ */
+
+const DEFAULT_HEALTH_THRESHOLDS = {
+    minShots: 10,
+    minPermalinkRatio: 0.9,
+    minGumletRatio: 0.9,
+    minTitleQuality: 0.9
+};
+
+// Titles the extractor falls back to when a card has no usable text
+const GENERIC_TITLE = /^(motion )?(video|shot|item|card)\s*\d*$/i;
+
+// Keeps webhook payloads to a size receivers accept
+const MAX_SNAPSHOT_HTML = 500000;
+
+const ratio = (count, total) => (total === 0 ? 0 : Number((count / total).toFixed(3)));
+
+function isGoodTitle(title) {
+    const text = (title || '').trim();
+    return text.length >= 5 && !GENERIC_TITLE.test(text);
+}
+
+function isGumletPreview(preview) {
+    try {
+        return new URL(preview).hostname.endsWith('gumlet.io');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Compare extracted shots against the thresholds
+ *
+ * @param {Array} shots - Normalized shots
+ * @param {Object} [thresholds] - See DEFAULT_HEALTH_THRESHOLDS
+ * @returns {{healthy: boolean, checks: Array<{name, value, threshold, ok}>, breaches: string[]}}
+ */
+function checkHealth(shots, thresholds = {}) {
+    const limits = { ...DEFAULT_HEALTH_THRESHOLDS, ...thresholds };
+    const total = shots.length;
+    const synthesized = shots.filter(shot => shot.confidence === 'synthesized').length;
+
+    const check = (name, value, threshold) => ({ name, value, threshold, ok: value >= threshold });
+    const checks = [
+        check('min_shots', total, limits.minShots),
+        check('permalink_ratio', ratio(total - synthesized, total), limits.minPermalinkRatio),
+        check('gumlet_ratio', ratio(shots.filter(shot => isGumletPreview(shot.preview)).length, total), limits.minGumletRatio),
+        check('title_quality', ratio(shots.filter(shot => isGoodTitle(shot.title)).length, total), limits.minTitleQuality)
+    ];
+    const breaches = checks.filter(result => !result.ok).map(result => result.name);
+
+    return { healthy: breaches.length === 0, checks, breaches };
+}
+
+/**
+ * HTML, title and a viewport screenshot of the page as it is now
+ */
+async function captureDomSnapshot(page, { maxHtmlLength = MAX_SNAPSHOT_HTML } = {}) {
+    const snapshot = { url: page.url(), title: null, html: null, html_truncated: false, screenshot: null };
+
+    try {
+        snapshot.title = await page.title();
+        const html = await page.content();
+        snapshot.html = html.slice(0, maxHtmlLength);
+        snapshot.html_truncated = html.length > maxHtmlLength;
+    } catch (error) {
+        snapshot.error = error.message;
+    }
+
+    try {
+        const png = await page.screenshot({ type: 'png', timeout: 10000 });
+        snapshot.screenshot = { content_type: 'image/png', encoding: 'base64', data: png.toString('base64') };
+    } catch (error) {
+        snapshot.screenshot_error = error.message;
+    }
+
+    return snapshot;
+}
+
+/**
+ * Build the structured drift signal
+ */
+function createDriftSignal({ site, health, errorCode = null, selector = null, extractor = null, snapshot = null }) {
+    return {
+        type: 'structure_drift',
+        detected_at: new Date().toISOString(),
+        site,
+        error_code: errorCode,
+        selector,
+        extractor,
+        breaches: errorCode ? [errorCode, ...health.breaches] : health.breaches,
+        checks: health.checks,
+        snapshot
+    };
+}
+
+/**
+ * POST the signal as JSON; failures are logged, never thrown
+ *
+ * @returns {Promise<{delivered: boolean, status: ?number, error?: string}>}
+ */
+async function postDriftSignal(url, signal, { fetch: fetchImpl = fetch, timeout = 10000, logger = silentLogger } = {}) {
+    try {
+        const response = await fetchImpl(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(signal),
+            signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) {
+            logger.warn('drift webhook rejected the signal', { status: response.status });
+        }
+        return { delivered: response.ok, status: response.status };
+    } catch (error) {
+        logger.warn('drift webhook failed', { error: error.message });
+        return { delivered: false, status: null, error: error.message };
+    }
+}
+
+module.exports = {
+    DEFAULT_HEALTH_THRESHOLDS,
+    checkHealth,
+    captureDomSnapshot,
+    createDriftSignal,
+    postDriftSignal
+};
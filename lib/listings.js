@@ -0,0 +1,123 @@
+const { identityKeys } = require('./normalize');
+
+/**
+ * Listing pages to scrape
+ *
+ * Besides the homepage, 60fps.design has filtered listings per app and per
+ * category. A listing target is one of:
+ *
+ *   { type: 'app', value: 'cred' }              -> /apps/cred
+ *   { type: 'category', value: 'onboarding' }   -> /categories/onboarding
+ *   { type: 'path', value: '/platforms/ios' }   -> any other listing path
+ *
+ * Each target is identified as "<type>:<value>" (e.g. "app:cred"), which is
+ * what shots are tagged with in `shot.listings`.
+ */
+
+const LISTING_TYPES = ['app', 'category', 'path'];
+
+const LISTING_PATHS = {
+    app: '/apps/',
+    category: '/categories/'
+};
+
+function slugify(value) {
+    return value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validated listing target with its id and path
+ *
+ * @param {string} type - One of LISTING_TYPES
+ * @param {string} value - App or category name, or a path starting with /
+ * @returns {{id: string, type: string, value: string, path: string}}
+ * @throws {Error} For unknown types, empty names and paths not starting with /
+ */
+function parseListing(type, value) {
+    if (!LISTING_TYPES.includes(type)) {
+        throw new Error(`Unknown listing type "${type}". Expected one of: ${LISTING_TYPES.join(', ')}`);
+    }
+
+    const raw = String(value || '').trim();
+    if (type === 'path') {
+        if (!raw.startsWith('/') || raw.startsWith('//')) {
+            throw new Error(`Listing path "${raw}" must start with a single /`);
+        }
+        return { id: `path:${raw}`, type, value: raw, path: raw };
+    }
+
+    const slug = slugify(raw);
+    if (!slug) {
+        throw new Error(`The ${type} listing needs a name`);
+    }
+    return { id: `${type}:${slug}`, type, value: slug, path: `${LISTING_PATHS[type]}${encodeURIComponent(slug)}` };
+}
+
+/**
+ * Parse "app:cred", "category:onboarding" or "/some/path"
+ */
+function parseListingSpec(spec) {
+    const text = String(spec || '').trim();
+    if (text.startsWith('/')) return parseListing('path', text);
+
+    const separator = text.indexOf(':');
+    if (separator === -1) {
+        throw new Error(`Listing "${text}" must look like app:<name>, category:<name> or /path`);
+    }
+    return parseListing(text.slice(0, separator), text.slice(separator + 1));
+}
+
+/**
+ * Absolute URL of a listing on the site
+ */
+function listingUrl(baseUrl, listing) {
+    return `${baseUrl.replace(/\/+$/, '')}${listing.path}`;
+}
+
+/**
+ * Merge the shots of several listings into one list
+ *
+ * Shots are matched by id and video ID (see normalizeShots()); the merged
+ * shot keeps the first sighting, or the first observed one when that had a
+ * synthesized slug, and `listings` names every listing it appeared in.
+ *
+ * @param {Array<{listing: Object, shots: Array}>} results - Normalized shots per listing
+ * @returns {{shots: Array, duplicates: number}}
+ */
+function mergeListingShots(results) {
+    const merged = [];
+    const indexByKey = new Map();
+    let total = 0;
+
+    for (const { listing, shots } of results) {
+        for (const shot of shots) {
+            total++;
+            const keys = identityKeys(shot);
+            const index = keys.map(key => indexByKey.get(key)).find(found => found !== undefined);
+
+            if (index === undefined) {
+                keys.forEach(key => indexByKey.set(key, merged.length));
+                merged.push({ ...shot, listings: [listing.id] });
+                continue;
+            }
+
+            keys.forEach(key => indexByKey.set(key, index));
+            const existing = merged[index];
+            const listings = existing.listings.includes(listing.id) ? existing.listings : [...existing.listings, listing.id];
+            merged[index] = existing.confidence === 'synthesized' && shot.confidence === 'observed'
+                ? { ...shot, listings }
+                : { ...existing, listings };
+        }
+    }
+
+    return { shots: merged, duplicates: total - merged.length };
+}
+
+module.exports = {
+    LISTING_TYPES,
+    LISTING_PATHS,
+    parseListing,
+    parseListingSpec,
+    listingUrl,
+    mergeListingShots
+};
@@ -0,0 +1,75 @@
+/**
+ * Leveled logger shared by the scraper and its entry points
+ *
+ * A logger is any object with debug/info/warn/error(message, fields) methods
+ * and child(fields). createLogger() writes one JSON object per line:
+ *
+ *   {"time":"2025-09-20T11:40:18.861Z","level":"info","msg":"content found","selector":"video"}
+ *
+ * to stderr by default, so stdout stays free for data. format "pretty" writes
+ * `[info] content found selector=video` instead, for interactive use.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function assertLevel(level) {
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}". Expected one of: ${LEVELS.join(', ')}`);
+    }
+    return level;
+}
+
+function prettyValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /\s/.test(text) ? JSON.stringify(text) : text;
+}
+
+function formatLine(format, entry) {
+    if (format === 'json') {
+        return `${JSON.stringify(entry)}\n`;
+    }
+    const { time, level, msg, ...fields } = entry;
+    const pairs = Object.entries(fields).map(([key, value]) => `${key}=${prettyValue(value)}`);
+    return `[${level}] ${[msg, ...pairs].join(' ')}\n`;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level written (default info)
+ * @param {string} [options.format] - json (default) | pretty
+ * @param {Object} [options.stream] - Anything with write(string) (default process.stderr)
+ * @param {Object} [options.fields] - Added to every entry
+ */
+function createLogger({ level = 'info', format = 'json', stream = process.stderr, fields = {} } = {}) {
+    const minimum = LEVELS.indexOf(assertLevel(level));
+
+    const write = (entryLevel, message, entryFields) => {
+        if (LEVELS.indexOf(entryLevel) < minimum) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: message,
+            ...fields,
+            ...entryFields
+        };
+        stream.write(formatLine(format, entry));
+    };
+
+    const logger = {
+        child: childFields => createLogger({ level, format, stream, fields: { ...fields, ...childFields } })
+    };
+    for (const entryLevel of LEVELS) {
+        logger[entryLevel] = (message, entryFields = {}) => write(entryLevel, message, entryFields);
+    }
+    return logger;
+}
+
+const silentLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    child: () => silentLogger
+};
+
+module.exports = { LEVELS, assertLevel, createLogger, silentLogger };
@@ -0,0 +1,215 @@
+const { mapWithConcurrency } = require('./concurrency');
+const { parseGumletPreview } = require('./normalize');
+const { silentLogger } = require('./logger');
+
+/**
+ * Gumlet media resolver
+ *
+ * The grid only references one MP4 per shot, but every Gumlet asset
+ * (<host>/<collection>/<videoId>/...) comes with a known set of siblings:
+ *
+ *   thumbnail-1-0.png   poster image
+ *   main.mp4            progressive MP4 (what the grid plays)
+ *   main.m3u8           HLS master playlist
+ *   main.mpd            DASH manifest
+ *
+ * resolveMedia() derives those URLs and fetches the HLS playlist (the DASH
+ * manifest when that fails) to list the available renditions. A manifest
+ * that cannot be fetched leaves renditions null and sets manifest_error; the
+ * URLs are returned either way.
+ */
+
+const GUMLET_HOST = 'https://video.gumlet.io';
+
+const DEFAULT_MEDIA_OPTIONS = {
+    host: GUMLET_HOST,
+    concurrency: 3,
+    timeout: 10000,
+    fetch: (...args) => fetch(...args),
+    logger: silentLogger
+};
+
+/**
+ * URLs of every asset of a Gumlet video
+ */
+function gumletMediaUrls({ collectionId, videoId }, host = GUMLET_HOST) {
+    const base = `${host.replace(/\/+$/, '')}/${collectionId}/${videoId}`;
+    return {
+        poster_url: `${base}/thumbnail-1-0.png`,
+        mp4_url: `${base}/main.mp4`,
+        hls_url: `${base}/main.m3u8`,
+        dash_url: `${base}/main.mpd`
+    };
+}
+
+/**
+ * Attributes of an HLS tag, e.g. BANDWIDTH=896000,CODECS="avc1,mp4a"
+ */
+function parseAttributeList(text) {
+    const attributes = {};
+    for (const [, name, quoted, bare] of text.matchAll(/([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g)) {
+        attributes[name] = quoted !== undefined ? quoted : bare;
+    }
+    return attributes;
+}
+
+function parseResolution(resolution) {
+    const match = /^(\d+)x(\d+)$/.exec(resolution || '');
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : { width: null, height: null };
+}
+
+function parseFrameRate(value) {
+    if (!value) return null;
+    const [numerator, denominator = '1'] = value.split('/');
+    const rate = Number(numerator) / Number(denominator);
+    return Number.isFinite(rate) ? Number(rate.toFixed(3)) : null;
+}
+
+const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+function rendition({ width, height, bandwidth, averageBandwidth = null, codecs, frameRate, url }) {
+    return {
+        resolution: width && height ? `${width}x${height}` : null,
+        width,
+        height,
+        bandwidth,
+        average_bandwidth: averageBandwidth,
+        codecs: codecs || null,
+        frame_rate: frameRate,
+        url
+    };
+}
+
+/**
+ * Variant streams of an HLS master playlist, in playlist order
+ *
+ * I-frame playlists are skipped. URIs are resolved against `manifestUrl`.
+ */
+function parseHlsManifest(text, manifestUrl) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const renditions = [];
+
+    lines.forEach((line, index) => {
+        if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+
+        const attributes = parseAttributeList(line.slice('#EXT-X-STREAM-INF:'.length));
+        const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+        renditions.push(rendition({
+            ...parseResolution(attributes.RESOLUTION),
+            bandwidth: toNumber(attributes.BANDWIDTH),
+            averageBandwidth: toNumber(attributes['AVERAGE-BANDWIDTH']),
+            codecs: attributes.CODECS,
+            frameRate: parseFrameRate(attributes['FRAME-RATE']),
+            url: uri ? new URL(uri, manifestUrl).href : null
+        }));
+    });
+
+    return renditions;
+}
+
+function xmlAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+        attributes[name] = value;
+    }
+    return attributes;
+}
+
+/**
+ * Video representations of a DASH manifest, in manifest order
+ *
+ * Attributes missing on a Representation are taken from its AdaptationSet.
+ */
+function parseDashManifest(text, manifestUrl) {
+    const renditions = [];
+
+    for (const [, setTag, setBody] of text.matchAll(/<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g)) {
+        const set = xmlAttributes(setTag);
+
+        for (const [, tag, body = ''] of setBody.matchAll(/<Representation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/Representation>)/g)) {
+            const attributes = { ...set, ...xmlAttributes(tag) };
+            const type = attributes.contentType || (attributes.mimeType || '').split('/')[0];
+            if (type !== 'video') continue;
+
+            const baseUrl = /<BaseURL>([^<]+)<\/BaseURL>/.exec(body);
+            renditions.push(rendition({
+                width: toNumber(attributes.width),
+                height: toNumber(attributes.height),
+                bandwidth: toNumber(attributes.bandwidth),
+                codecs: attributes.codecs,
+                frameRate: parseFrameRate(attributes.frameRate),
+                url: baseUrl ? new URL(baseUrl[1].trim(), manifestUrl).href : null
+            }));
+        }
+    }
+
+    return renditions;
+}
+
+async function fetchText(url, { fetch: fetchImpl, timeout }) {
+    const response = await fetchImpl(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Media object of one shot, or null when its preview is not on Gumlet
+ *
+ * @param {Object} shot - Normalized shot (video_id / gumlet_collection_id), or
+ *   any shot with a Gumlet preview URL
+ * @param {Object} [options] - See DEFAULT_MEDIA_OPTIONS
+ */
+async function resolveMedia(shot, options = {}) {
+    const opts = { ...DEFAULT_MEDIA_OPTIONS, ...options };
+    const parsed = parseGumletPreview(shot.preview || shot.preview_url);
+    const collectionId = shot.gumlet_collection_id || parsed.collectionId;
+    const videoId = parsed.videoId || shot.video_id;
+    if (!collectionId || !videoId) return null;
+
+    const media = {
+        provider: 'gumlet',
+        collection_id: collectionId,
+        video_id: videoId,
+        ...gumletMediaUrls({ collectionId, videoId }, opts.host),
+        manifest: null,
+        renditions: null
+    };
+
+    const errors = [];
+    for (const [manifest, url, parse] of [['hls', media.hls_url, parseHlsManifest], ['dash', media.dash_url, parseDashManifest]]) {
+        try {
+            media.renditions = parse(await fetchText(url, opts), url);
+            media.manifest = manifest;
+            return media;
+        } catch (error) {
+            errors.push(`${manifest}: ${error.message}`);
+        }
+    }
+
+    media.manifest_error = errors.join('; ');
+    opts.logger.warn('media manifest unavailable', { video_id: videoId, error: media.manifest_error });
+    return media;
+}
+
+/**
+ * Attach a `media` object to every shot, resolving at most `concurrency` at once
+ */
+async function resolveShotMedia(shots, options = {}) {
+    const opts = { ...DEFAULT_MEDIA_OPTIONS, ...options };
+    return mapWithConcurrency(shots, opts.concurrency, async shot => ({
+        ...shot,
+        media: await resolveMedia(shot, opts)
+    }));
+}
+
+module.exports = {
+    GUMLET_HOST,
+    DEFAULT_MEDIA_OPTIONS,
+    gumletMediaUrls,
+    parseHlsManifest,
+    parseDashManifest,
+    resolveMedia,
+    resolveShotMedia
+};
@@ -0,0 +1,163 @@
+/**
+ * Network-level shot extraction
+ *
+ * The Framer site loads its collection data over XHR/fetch. Instead of
+ * guessing titles from the rendered DOM, this listens to page responses,
+ * parses JSON payloads and picks out objects that look like shots: a title,
+ * a /shots/ slug and a video URL. Titles and slugs come straight from
+ * the CMS, so no text heuristics are involved.
+ *
+ * The scraper only uses these shots when at least one payload was recognised
+ * and falls back to the DOM walker (lib/extract.js) otherwise.
+ */
+
+const { silentLogger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://60fps.design';
+
+const TITLE_KEYS = ['title', 'name', 'heading'];
+const SLUG_KEYS = ['slug', 'handle', 'permalink', 'path', 'url', 'href', 'link'];
+const VIDEO_PATTERN = /^https?:\/\/\S+\.(mp4|m3u8|webm)(\?\S*)?$|video\.gumlet\.io\//;
+
+function findString(object, keys, predicate = () => true) {
+    for (const key of Object.keys(object)) {
+        if (!keys.includes(key.toLowerCase())) continue;
+        const value = object[key];
+        if (typeof value === 'string' && value.trim() && predicate(value)) {
+            return value.trim();
+        }
+    }
+    return null;
+}
+
+function findVideoUrl(object) {
+    for (const value of Object.values(object)) {
+        if (typeof value === 'string' && VIDEO_PATTERN.test(value)) {
+            return value;
+        }
+        // Media fields are often nested one level, e.g. { video: { src } }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const nested of Object.values(value)) {
+                if (typeof nested === 'string' && VIDEO_PATTERN.test(nested)) {
+                    return nested;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+function toSlug(value) {
+    const match = value.match(/\/shots\/([^/?#]+)/);
+    if (match) return match[1];
+    // A bare slug field, e.g. "cred-recurring-payments"
+    if (/^[a-z0-9]+(-[a-z0-9]+)*$/.test(value)) return value;
+    return null;
+}
+
+/**
+ * Turn one candidate object into a shot, or null if it does not look like one
+ */
+function toShot(object, baseUrl) {
+    const title = findString(object, TITLE_KEYS);
+    if (!title) return null;
+
+    const slugSource = findString(object, SLUG_KEYS, value => toSlug(value) !== null);
+    const slug = slugSource ? toSlug(slugSource) : null;
+    const preview = findVideoUrl(object);
+
+    // A title alone could be anything (nav items, categories, ...)
+    if (!slug || !preview) return null;
+
+    const idMatch = preview.match(/video\.gumlet\.io\/[^\/]+\/([^\/]+)/);
+    const url = idMatch
+        ? `${baseUrl}/shots/${slug}?video=${idMatch[1]}`
+        : `${baseUrl}/shots/${slug}`;
+
+    return { url, preview, title };
+}
+
+/**
+ * Recursively collect shot-like objects from a parsed JSON payload
+ */
+function parseShotsFromPayload(payload, baseUrl = DEFAULT_BASE_URL) {
+    const shots = [];
+    const stack = [payload];
+    const visited = new Set();
+
+    while (stack.length > 0) {
+        const value = stack.pop();
+        if (!value || typeof value !== 'object' || visited.has(value)) continue;
+        visited.add(value);
+
+        if (Array.isArray(value)) {
+            // Push in reverse so shots come out in payload order
+            for (let i = value.length - 1; i >= 0; i--) stack.push(value[i]);
+            continue;
+        }
+
+        const shot = toShot(value, baseUrl);
+        if (shot) {
+            shots.push(shot);
+            continue;
+        }
+
+        const children = Object.values(value);
+        for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+    }
+
+    return shots;
+}
+
+/**
+ * Start listening to JSON responses on a page
+ *
+ * Returns { shots(), payloadCount(), reset() }. Call shots() after the page
+ * settled; it waits for pending bodies and returns every shot in the order
+ * their payloads arrived, duplicates included (see normalizeShots()). reset()
+ * forgets everything so far, before the page navigates to another listing.
+ */
+function createResponseCollector(page, { baseUrl = DEFAULT_BASE_URL, logger = silentLogger } = {}) {
+    let pending = [];
+    let payloadShots = [];
+    let recognised = 0;
+    let generation = 0;
+
+    page.on('response', response => {
+        const type = response.request().resourceType();
+        const contentType = response.headers()['content-type'] || '';
+        if ((type !== 'xhr' && type !== 'fetch') || !contentType.includes('json')) {
+            return;
+        }
+
+        const responseGeneration = generation;
+        pending.push(response.json().then(payload => {
+            const shots = parseShotsFromPayload(payload, baseUrl);
+            if (shots.length > 0 && responseGeneration === generation) {
+                recognised++;
+                payloadShots.push(...shots);
+                logger.debug('shot data response', { url: response.url(), shots: shots.length });
+            }
+        }).catch(() => {
+            // Body unavailable (redirect, aborted) or not valid JSON
+        }));
+    });
+
+    return {
+        payloadCount: () => recognised,
+
+        reset() {
+            generation++;
+            pending = [];
+            payloadShots = [];
+            recognised = 0;
+        },
+
+        async shots() {
+            await Promise.all(pending);
+            return [...payloadShots];
+        }
+    };
+}
+
+module.exports = { createResponseCollector, parseShotsFromPayload };
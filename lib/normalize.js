@@ -0,0 +1,123 @@
+/**
+ * Canonical shot identity
+ *
+ * Extractors report a shot as { url, preview, title }, where url may or may
+ * not carry ?video=<id>, and its slug is either read from a /shots/ link
+ * (observed) or made up from the title or video ID (synthesized). The same
+ * shot can therefore show up under different URLs across runs.
+ * normalizeShot() adds the fields that identify it:
+ *
+ * - id:                   the observed slug; for synthesized slugs the Gumlet
+ *                         video ID, which does not depend on heuristic titles
+ * - slug:                 /shots/<slug> of the URL
+ * - video_id:             Gumlet video ID, from ?video= or the preview URL
+ * - gumlet_collection_id: Gumlet collection of the preview
+ * - canonical_url:        <site>/shots/<slug>, without query
+ * - preview_url:          the preview video URL
+ * - source_url:           page the shot was found on
+ * - confidence:           "observed" or "synthesized", for the slug
+ */
+
+const GUMLET_PREVIEW = /video\.gumlet\.io\/([^/?#]+)\/([^/?#]+)/;
+
+function parseUrl(url) {
+    try {
+        return new URL(url);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gumlet collection and video ID of a preview URL (both null for other hosts)
+ */
+function parseGumletPreview(preview) {
+    const match = (preview || '').match(GUMLET_PREVIEW);
+    return match ? { collectionId: match[1], videoId: match[2] } : { collectionId: null, videoId: null };
+}
+
+/**
+ * Identity fields of one shot
+ *
+ * Shots that already carry an id are returned as they are. `shot.synthesized`
+ * (set by the DOM extractor) marks a made-up slug.
+ *
+ * @param {Object} shot - { url, preview, title, synthesized? }
+ * @param {Object} [context]
+ * @param {string} [context.sourceUrl] - Page the shot was found on
+ */
+function normalizeShot(shot, { sourceUrl = null } = {}) {
+    if (shot.id) {
+        return shot;
+    }
+
+    const { synthesized, ...rest } = shot;
+    const preview = shot.preview || shot.preview_url || null;
+    const url = parseUrl(shot.url);
+    const slugMatch = url && url.pathname.match(/\/shots\/([^/]+)/);
+    const slug = slugMatch ? decodeURIComponent(slugMatch[1]) : null;
+    const gumlet = parseGumletPreview(preview);
+    const videoId = (url && url.searchParams.get('video')) || gumlet.videoId;
+    const confidence = slug && !synthesized && shot.confidence !== 'synthesized' ? 'observed' : 'synthesized';
+
+    return {
+        ...rest,
+        id: (confidence === 'observed' ? slug : videoId || slug) || shot.url,
+        slug,
+        video_id: videoId,
+        gumlet_collection_id: gumlet.collectionId,
+        canonical_url: slug ? `${url.origin}/shots/${encodeURIComponent(slug)}` : null,
+        preview_url: preview,
+        source_url: shot.source_url || sourceUrl,
+        confidence
+    };
+}
+
+/**
+ * Canonical id of a shot or row
+ *
+ * Rows carry it as `id`; rows from snapshots and files written before they
+ * did get it recomputed from their URL and preview.
+ */
+function shotId(shot) {
+    return shot.id || normalizeShot(shot).id;
+}
+
+/**
+ * Keys under which a normalized shot is recognised: its id and its video ID
+ */
+function identityKeys(shot) {
+    return [`id:${shot.id}`, shot.video_id && `video:${shot.video_id}`].filter(Boolean);
+}
+
+/**
+ * Normalize shots and drop the ones already seen
+ *
+ * Shots are the same when their id or their video ID match, so a card with a
+ * synthesized slug is recognised as a duplicate of a linked card showing the
+ * same video. The observed sighting is kept, in the position of the first.
+ *
+ * @returns {{shots: Array, duplicates: number}}
+ */
+function normalizeShots(shots, context) {
+    const kept = [];
+    const indexByKey = new Map();
+
+    for (const shot of shots) {
+        const normalized = normalizeShot(shot, context);
+        const keys = identityKeys(normalized);
+        const index = keys.map(key => indexByKey.get(key)).find(found => found !== undefined);
+
+        if (index === undefined) {
+            keys.forEach(key => indexByKey.set(key, kept.length));
+            kept.push(normalized);
+        } else if (kept[index].confidence === 'synthesized' && normalized.confidence === 'observed') {
+            keys.forEach(key => indexByKey.set(key, index));
+            kept[index] = normalized;
+        }
+    }
+
+    return { shots: kept, duplicates: shots.length - kept.length };
+}
+
+module.exports = { normalizeShot, normalizeShots, shotId, identityKeys, parseGumletPreview };
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { SCHEMA_VERSION } = require('./schema');
+const { silentLogger } = require('./logger');
+
+/**
+ * Push notifications for newly discovered shots
+ *
+ * After a run, the rows of shots the state store had not seen before are
+ * POSTed to every configured webhook, so flows no longer have to poll. A
+ * target is { url, format }:
+ *
+ *   json     { event: 'shots.new', schema_version, sent_at, count, shots: rows }
+ *   slack    Slack incoming-webhook message, one section per shot
+ *   discord  Discord webhook message, one embed per shot
+ *
+ * Slack and Discord messages hold at most `batchSize` shots; larger batches
+ * are split. Each message links the shot's permalink and preview_url.
+ *
+ * With a secret, every request is signed: X-60fps-Timestamp carries the unix
+ * time and X-60fps-Signature `sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">`.
+ * Network errors, 5xx and 429 answers are retried with exponential backoff
+ * (429 honours Retry-After); messages that still fail are appended to the
+ * dead-letter file as JSON lines with the payload, for replaying later.
+ *
+ * With a deadline (lib/wait.js), every request timeout ends by it, and a
+ * message whose next attempt or wait would run past it is given up on and
+ * dead-lettered right away, so a slow or rate-limiting target cannot make
+ * the run overrun its time budget.
+ */
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+// Used by the CLI and the n8n wrapper when webhooks are configured
+const DEFAULT_DEAD_LETTER_FILE = '.60fps-dead-letters.ndjson';
+
+const DEFAULT_NOTIFY_OPTIONS = {
+    secret: null,
+    retries: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 60000,
+    timeout: 10000,
+    batchSize: 10,
+    deadLetterFile: null,
+    deadline: null,
+    fetch: (...args) => fetch(...args),
+    logger: silentLogger
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a webhook target: "slack:https://...", "discord:https://...",
+ * "json:https://..." or a bare URL, whose format is guessed from the host
+ *
+ * @returns {{url: string, format: string}}
+ * @throws {Error} For unknown formats and URLs that are not http(s)
+ */
+function parseWebhookTarget(spec) {
+    const text = String(spec || '').trim();
+    const prefixed = /^([a-z]+):(https?:\/\/.+)$/i.exec(text);
+    let format = prefixed ? prefixed[1].toLowerCase() : null;
+    const url = prefixed ? prefixed[2] : text;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Webhook "${text}" is not a URL`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Webhook "${text}" must be an http(s) URL`);
+    }
+    if (format && !WEBHOOK_FORMATS.includes(format)) {
+        throw new Error(`Unknown webhook format "${format}". Expected one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+
+    if (!format) {
+        if (parsed.hostname === 'hooks.slack.com') {
+            format = 'slack';
+        } else if (/(^|\.)discord(app)?\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/api/webhooks/')) {
+            format = 'discord';
+        } else {
+            format = 'json';
+        }
+    }
+    return { url, format };
+}
+
+function headline(count) {
+    return `${count} new ${count === 1 ? 'shot' : 'shots'} on 60fps.design`;
+}
+
+// Slack mrkdwn link text must not contain its control characters
+const slackText = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function slackMessage(rows, total) {
+    return {
+        text: headline(total),
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `*${headline(total)}*` } },
+            ...rows.map(row => ({
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*<${row.url}|${slackText(row.title)}>*\n<${row.preview_url}|Preview video>` }
+            }))
+        ]
+    };
+}
+
+function discordMessage(rows, total) {
+    return {
+        content: headline(total),
+        embeds: rows.map(row => ({
+            title: row.title.slice(0, 256),
+            url: row.url,
+            description: `[Preview video](${row.preview_url})`,
+            ...(row.app && { footer: { text: row.app } })
+        })),
+        allowed_mentions: { parse: [] }
+    };
+}
+
+/**
+ * Message bodies for rows in a target's format
+ */
+function buildPayloads(rows, format, { batchSize = DEFAULT_NOTIFY_OPTIONS.batchSize, now = new Date() } = {}) {
+    if (format === 'json') {
+        return [{ event: 'shots.new', schema_version: SCHEMA_VERSION, sent_at: now.toISOString(), count: rows.length, shots: rows }];
+    }
+
+    const messages = [];
+    for (let start = 0; start < rows.length; start += batchSize) {
+        const batch = rows.slice(start, start + batchSize);
+        messages.push(format === 'slack' ? slackMessage(batch, rows.length) : discordMessage(batch, rows.length));
+    }
+    return messages;
+}
+
+/**
+ * X-60fps-Signature value for a body
+ */
+function signBody(body, secret, timestamp) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelayFor(response, attempt, options) {
+    const retryAfter = response && Number(response.headers.get('retry-after'));
+    const delay = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : options.retryDelay * 2 ** attempt;
+    return Math.min(delay, options.maxRetryDelay);
+}
+
+/**
+ * POST one message, retrying transient failures
+ *
+ * @returns {Promise<{ok: boolean, attempts: number, status: ?number, error: ?string}>}
+ */
+async function deliver(target, payload, options) {
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+    const { deadline } = options;
+    let lastError = null;
+
+    for (let attempt = 0; ; attempt++) {
+        const timeout = deadline ? deadline.cap(options.timeout) : options.timeout;
+        if (timeout <= 0) {
+            const error = lastError ? `${lastError}; time budget exceeded` : 'Time budget exceeded';
+            return { ok: false, attempts: attempt, status: null, error };
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': '60fps-scraper',
+            'X-60fps-Event': 'shots.new',
+            'X-60fps-Delivery': deliveryId
+        };
+        if (options.secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            headers['X-60fps-Timestamp'] = timestamp;
+            headers['X-60fps-Signature'] = signBody(body, options.secret, timestamp);
+        }
+
+        let response = null;
+        let error;
+        try {
+            response = await options.fetch(target.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(timeout)
+            });
+            if (response.ok) {
+                return { ok: true, attempts: attempt + 1, status: response.status, error: null };
+            }
+            error = `HTTP ${response.status}`;
+        } catch (fetchError) {
+            error = fetchError.message;
+        }
+
+        const retryable = !response || response.status >= 500 || response.status === 429;
+        if (!retryable || attempt >= options.retries) {
+            return { ok: false, attempts: attempt + 1, status: response ? response.status : null, error };
+        }
+
+        const delay = retryDelayFor(response, attempt, options);
+        // No point waiting for a retry the time budget does not leave room for
+        if (deadline && delay >= deadline.remaining()) {
+            return { ok: false, attempts: attempt + 1, status: response ? response.status : null, error: `${error}; no time left to retry in ${delay}ms` };
+        }
+        lastError = error;
+        options.logger.warn('webhook delivery failed, retrying', { format: target.format, error, delay_ms: delay });
+        await sleep(delay);
+    }
+}
+
+async function writeDeadLetter(file, entry) {
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Post new rows to every webhook target
+ *
+ * @param {Array} rows - Rows of the new shots (lib/rows.js)
+ * @param {Array<{url: string, format: string}>} targets
+ * @param {Object} [overrides] - See DEFAULT_NOTIFY_OPTIONS
+ * @returns {Promise<Array<{target: string, format: string, messages: number, delivered: number, failed: number}>>}
+ *   One entry per target; target is the URL's origin, since webhook paths
+ *   are secrets
+ */
+async function notifyNewShots(rows, targets, overrides = {}) {
+    const options = { ...DEFAULT_NOTIFY_OPTIONS, ...overrides };
+    const { logger } = options;
+    if (rows.length === 0) return [];
+
+    return Promise.all(targets.map(async target => {
+        const payloads = buildPayloads(rows, target.format, { batchSize: options.batchSize });
+        const summary = { target: new URL(target.url).origin, format: target.format, messages: payloads.length, delivered: 0, failed: 0 };
+
+        for (const payload of payloads) {
+            const result = await deliver(target, payload, options);
+            if (result.ok) {
+                summary.delivered++;
+                continue;
+            }
+
+            summary.failed++;
+            logger.warn('webhook delivery failed', { target: summary.target, format: target.format, attempts: result.attempts, error: result.error });
+            if (options.deadLetterFile) {
+                try {
+                    await writeDeadLetter(options.deadLetterFile, {
+                        failed_at: new Date().toISOString(),
+                        url: target.url,
+                        format: target.format,
+                        attempts: result.attempts,
+                        status: result.status,
+                        error: result.error,
+                        payload
+                    });
+                } catch (error) {
+                    logger.error('could not write dead letter', { file: options.deadLetterFile, error: error.message });
+                }
+            }
+        }
+
+        logger.info('webhook notified', summary);
+        return summary;
+    }));
+}
+
+module.exports = {
+    WEBHOOK_FORMATS,
+    DEFAULT_DEAD_LETTER_FILE,
+    DEFAULT_NOTIFY_OPTIONS,
+    parseWebhookTarget,
+    buildPayloads,
+    signBody,
+    notifyNewShots
+};
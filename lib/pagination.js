@@ -0,0 +1,144 @@
+/**
+ * Pagination strategies for the shot grid
+ *
+ * - button: click the "Load more" button. Only buttons whose text matches the
+ *           allow list and none of the deny list are clicked, so nav items,
+ *           filter toggles and "View shot" links are left alone
+ * - scroll: infinite scroll; scroll to the bottom and wait for new <video> nodes
+ * - auto:   button, switching to scroll when the page has no load button at all
+ *
+ * Texts are matched case-insensitively at word starts, so "load" matches
+ * "Load more" but not "Download", and "filter" also denies "Show filters".
+ */
+
+const PAGINATION_MODES = ['auto', 'button', 'scroll'];
+
+const DEFAULT_LOAD_MORE_TEXTS = ['load more', 'show more', 'see more', 'view more', 'more shots', 'load'];
+
+const DEFAULT_LOAD_MORE_DENY = ['view shot', 'filter', 'sort', 'menu', 'learn more', 'read more', 'sign', 'log in', 'subscribe'];
+
+// Elements that might load more content, most specific first
+const LOAD_MORE_SELECTORS = [
+    'button:has-text("Load")',
+    'button:has-text("Show more")',
+    'button:has-text("Load more")',
+    'button:has-text("More")',
+    '[data-framer-name*="load"]',
+    '[data-framer-name*="more"]',
+    '[data-framer-name*="button"]',
+    'button[class*="load"]',
+    'button[class*="more"]',
+    '.load-more',
+    '.show-more',
+    'button',
+    '[role="button"]'
+];
+
+// Elements the scroll strategy waits for
+const SCROLL_ITEM_SELECTOR = 'video';
+
+function assertPaginationMode(mode) {
+    if (!PAGINATION_MODES.includes(mode)) {
+        throw new Error(`Unknown pagination mode "${mode}". Expected one of: ${PAGINATION_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsPhrase(text, phrase) {
+    return new RegExp(`\\b${escapeRegExp(phrase.toLowerCase())}`).test(text);
+}
+
+/**
+ * Whether a button text is allowed to be clicked as "Load more"
+ *
+ * @param {string} text - The element's text content
+ * @param {{allow?: string[], deny?: string[]}} [texts]
+ */
+function isLoadMoreText(text, { allow = DEFAULT_LOAD_MORE_TEXTS, deny = DEFAULT_LOAD_MORE_DENY } = {}) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!normalized) return false;
+    if (deny.some(phrase => containsPhrase(normalized, phrase))) return false;
+    return allow.some(phrase => containsPhrase(normalized, phrase));
+}
+
+/**
+ * Click the first visible, allowed load button
+ *
+ * Links to other pages are skipped, as are texts in `skip` (buttons that
+ * navigated away earlier in this run).
+ *
+ * @returns {Promise<?string>} The clicked button's text, or null
+ */
+async function clickLoadMore(page, { allow, deny, skip = new Set() }, logger) {
+    for (const selector of LOAD_MORE_SELECTORS) {
+        try {
+            const buttons = await page.locator(selector).all();
+
+            for (const button of buttons) {
+                const text = ((await button.textContent()) || '').trim();
+
+                if (!isLoadMoreText(text, { allow, deny }) || skip.has(text) || !(await button.isVisible())) {
+                    continue;
+                }
+
+                const href = await button.evaluate(element => {
+                    const link = element.closest('a[href]');
+                    return link ? link.getAttribute('href') : null;
+                });
+                if (href && !href.startsWith('#')) {
+                    logger.debug('skipping load button that links away', { text, href });
+                    continue;
+                }
+
+                logger.debug('clicking load button', { text, selector });
+                await button.click();
+                return text;
+            }
+        } catch (e) {
+            // Continue with next selector
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Scroll to the bottom of the page to trigger infinite scroll
+ */
+async function scrollToBottom(page) {
+    await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+}
+
+/**
+ * Go back to the grid after a click navigated away from it
+ *
+ * @returns {Promise<boolean>} false when the grid URL could not be restored
+ */
+async function returnToGrid(page, gridUrl, timeout) {
+    try {
+        await page.goBack({ waitUntil: 'domcontentloaded', timeout });
+    } catch (error) {
+        // No history entry (e.g. location.replace), load the grid again instead
+    }
+    if (page.url() !== gridUrl) {
+        await page.goto(gridUrl, { waitUntil: 'domcontentloaded', timeout });
+    }
+    return page.url() === gridUrl;
+}
+
+module.exports = {
+    PAGINATION_MODES,
+    DEFAULT_LOAD_MORE_TEXTS,
+    DEFAULT_LOAD_MORE_DENY,
+    LOAD_MORE_SELECTORS,
+    SCROLL_ITEM_SELECTOR,
+    assertPaginationMode,
+    isLoadMoreText,
+    clickLoadMore,
+    scrollToBottom,
+    returnToGrid
+};
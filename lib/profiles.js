@@ -0,0 +1,334 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * Browser-context profiles
+ *
+ * A profile says how the browser presents itself to the site:
+ *
+ * {
+ *   userAgent:        "Mozilla/5.0 ...", or a list to pick one from at random per run
+ *   proxy:            { server: "http://proxy:8080", username, password, bypass }
+ *   viewport:         { width, height }
+ *   locale:           "en-GB" (navigator.language and Accept-Language)
+ *   timezone:         "Europe/London"
+ *   headers:          { "X-Name": "value" }, sent with every request
+ *   storageState:     JSON file with cookies and localStorage, loaded when it exists
+ *   saveStorageState: write the state back to that file after a successful run
+ * }
+ *
+ * Profiles are named and come from a JSON file ({ "name": profile, ... },
+ * PROFILES_FILE / --profiles) or the PROFILES environment variable (same
+ * JSON, for hosts without a file system). String values may reference
+ * environment variables as ${NAME}, so proxy credentials stay out of the
+ * file. The built-in "default" profile is the desktop Chrome the scraper
+ * always used; a file can redefine it.
+ *
+ * checkProfile() loads a URL that reflects request headers as JSON and
+ * compares what the site would see with the profile.
+ */
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+const BUILTIN_PROFILES = {
+    [DEFAULT_PROFILE_NAME]: { userAgent: DEFAULT_USER_AGENT }
+};
+
+const PROFILE_KEYS = ['userAgent', 'proxy', 'viewport', 'locale', 'timezone', 'headers', 'storageState', 'saveStorageState'];
+const PROXY_KEYS = ['server', 'username', 'password', 'bypass'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Replace ${NAME} in every string of a profile with the environment variable
+ *
+ * @throws {Error} When a referenced variable is not set
+ */
+function interpolateEnv(value, env, name) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, variable) => {
+            if (env[variable] === undefined) {
+                throw new Error(`Profile "${name}" uses \${${variable}}, which is not set`);
+            }
+            return env[variable];
+        });
+    }
+    if (Array.isArray(value)) return value.map(item => interpolateEnv(item, env, name));
+    if (isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env, name)]));
+    }
+    return value;
+}
+
+/**
+ * Check a profile's fields
+ *
+ * @returns {Object} The profile, with userAgent always a list
+ * @throws {Error} For unknown fields and invalid values
+ */
+function validateProfile(name, profile) {
+    const fail = message => {
+        throw new Error(`Profile "${name}": ${message}`);
+    };
+
+    if (!isObject(profile)) fail('must be an object');
+    for (const key of Object.keys(profile)) {
+        if (!PROFILE_KEYS.includes(key)) fail(`unknown field "${key}". Expected: ${PROFILE_KEYS.join(', ')}`);
+    }
+
+    const userAgents = profile.userAgent === undefined ? [] : [].concat(profile.userAgent);
+    if (!userAgents.every(isText) || (profile.userAgent !== undefined && userAgents.length === 0)) {
+        fail('userAgent must be a string or a non-empty list of strings');
+    }
+
+    const { proxy, viewport, headers } = profile;
+    if (proxy !== undefined) {
+        if (!isObject(proxy) || !isText(proxy.server)) fail('proxy needs a server, e.g. "http://proxy:8080"');
+        for (const key of Object.keys(proxy)) {
+            if (!PROXY_KEYS.includes(key)) fail(`unknown proxy field "${key}". Expected: ${PROXY_KEYS.join(', ')}`);
+            if (typeof proxy[key] !== 'string') fail(`proxy.${key} must be a string`);
+        }
+        if (proxy.password !== undefined && proxy.username === undefined) fail('proxy.password needs a username');
+    }
+    if (viewport !== undefined && !(isObject(viewport) && [viewport.width, viewport.height].every(size => Number.isInteger(size) && size > 0))) {
+        fail('viewport must be { width, height } in pixels');
+    }
+    for (const key of ['locale', 'timezone', 'storageState']) {
+        if (profile[key] !== undefined && !isText(profile[key])) fail(`${key} must be a string`);
+    }
+    if (headers !== undefined && !(isObject(headers) && Object.values(headers).every(value => typeof value === 'string'))) {
+        fail('headers must map header names to strings');
+    }
+    if (profile.saveStorageState !== undefined && typeof profile.saveStorageState !== 'boolean') {
+        fail('saveStorageState must be true or false');
+    }
+    if (profile.saveStorageState && !profile.storageState) fail('saveStorageState needs a storageState file');
+
+    return { ...profile, userAgent: userAgents };
+}
+
+/**
+ * Profiles from a JSON file and/or JSON text, on top of the built-in ones
+ *
+ * Read synchronously: it runs once, while a command or function starts up.
+ *
+ * @param {Object} [options] - file, json (PROFILES), env (for ${NAME})
+ * @returns {Object} Validated profiles by name
+ * @throws {Error} For unreadable files, invalid JSON and invalid profiles
+ */
+function loadProfiles({ file = null, json = null, env = process.env } = {}) {
+    const sources = [];
+    if (file) {
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read profiles file ${file}: ${error.message}`);
+        }
+        sources.push([file, text]);
+    }
+    if (json) {
+        sources.push(['PROFILES', json]);
+    }
+
+    const profiles = { ...BUILTIN_PROFILES };
+    for (const [source, text] of sources) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+        if (!isObject(parsed)) {
+            throw new Error(`${source} must map profile names to profiles`);
+        }
+        Object.assign(profiles, parsed);
+    }
+
+    return Object.fromEntries(Object.entries(profiles).map(([name, profile]) => [
+        name,
+        validateProfile(name, interpolateEnv(profile, env, name))
+    ]));
+}
+
+/**
+ * One profile by name, with the name attached
+ *
+ * @throws {Error} For unknown names
+ */
+function resolveProfile(profiles = loadProfiles(), name = DEFAULT_PROFILE_NAME) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+        throw new Error(`Unknown profile "${name}". Expected one of: ${Object.keys(profiles).join(', ')}`);
+    }
+    return { name, ...profiles[name] };
+}
+
+/**
+ * Profiles and the selected name from PROFILES_FILE, PROFILES and PROFILE
+ *
+ * @returns {{profiles: Object, name: string}}
+ * @throws {Error} For invalid profiles or an unknown PROFILE
+ */
+function profileOptionsFromEnv(env = process.env) {
+    const profiles = loadProfiles({ file: env.PROFILES_FILE || null, json: env.PROFILES || null, env });
+    const name = env.PROFILE || DEFAULT_PROFILE_NAME;
+    resolveProfile(profiles, name);
+    return { profiles, name };
+}
+
+async function fileExists(file) {
+    try {
+        await fsp.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * browser.newContext() options for a profile
+ *
+ * Picks one of the user agents at random. The storage state is only loaded
+ * when its file exists, so the first run can create it.
+ */
+async function profileContextOptions(profile, { random = Math.random } = {}) {
+    const options = {};
+    // Profiles passed straight to scrape60fps() may still hold a single string
+    const userAgents = [].concat(profile.userAgent || []);
+
+    if (userAgents.length > 0) {
+        options.userAgent = userAgents[Math.floor(random() * userAgents.length)];
+    }
+    if (profile.proxy) options.proxy = { ...profile.proxy };
+    if (profile.viewport) options.viewport = { ...profile.viewport };
+    if (profile.locale) options.locale = profile.locale;
+    if (profile.timezone) options.timezoneId = profile.timezone;
+    if (profile.headers) options.extraHTTPHeaders = { ...profile.headers };
+    if (profile.storageState && await fileExists(profile.storageState)) {
+        options.storageState = profile.storageState;
+    }
+    return options;
+}
+
+/**
+ * Write a context's cookies and localStorage to the profile's storageState
+ * file, when the profile asks for it
+ *
+ * @returns {Promise<boolean>} Whether the state was saved
+ */
+async function saveStorageState(context, profile) {
+    if (!profile.saveStorageState) return false;
+    await fsp.mkdir(path.dirname(path.resolve(profile.storageState)), { recursive: true });
+    await context.storageState({ path: profile.storageState });
+    return true;
+}
+
+/**
+ * A profile that is safe to print: the proxy password is masked
+ */
+function redactProfile(profile) {
+    if (!profile.proxy || profile.proxy.password === undefined) return profile;
+    return { ...profile, proxy: { ...profile.proxy, password: '***' } };
+}
+
+/**
+ * What a run used, for the run report; proxy credentials are left out
+ */
+function profileSummary(profile, contextOptions) {
+    return {
+        name: profile.name || null,
+        user_agent: contextOptions.userAgent || null,
+        proxy: contextOptions.proxy ? contextOptions.proxy.server : null,
+        viewport: contextOptions.viewport || null,
+        locale: contextOptions.locale || null,
+        timezone: contextOptions.timezoneId || null,
+        storage_state: contextOptions.storageState || null
+    };
+}
+
+// Runs in the page
+function readBrowserSettings() {
+    return {
+        body: document.body.innerText,
+        userAgent: navigator.userAgent,
+        language: navigator.language,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        viewport: { width: window.innerWidth, height: window.innerHeight }
+    };
+}
+
+/**
+ * Check that a browser context gets the profile applied
+ *
+ * Loads `echoUrl`, which must answer with the request headers as JSON
+ * ({ headers: {...} } or the bare headers object, like httpbin's /headers),
+ * and compares those and the page's navigator, time zone and window size
+ * with the profile. With a proxy, the URL is fetched through it.
+ *
+ * @returns {Promise<{ok: boolean, checks: Array<{name: string, expected: *, actual: *, ok: boolean}>}>}
+ */
+async function checkProfile(browser, profile, echoUrl, { timeout = 30000, random } = {}) {
+    const options = await profileContextOptions(profile, { random });
+    const context = await browser.newContext(options);
+
+    let settings;
+    try {
+        const page = await context.newPage();
+        await page.goto(echoUrl, { waitUntil: 'domcontentloaded', timeout });
+        settings = await page.evaluate(readBrowserSettings);
+    } finally {
+        await context.close();
+    }
+
+    let reflected;
+    try {
+        reflected = JSON.parse(settings.body);
+    } catch (error) {
+        throw new Error(`${echoUrl} did not answer with JSON request headers`);
+    }
+    const headers = Object.fromEntries(
+        Object.entries(isObject(reflected.headers) ? reflected.headers : reflected).map(([key, value]) => [key.toLowerCase(), value])
+    );
+
+    const checks = [];
+    const check = (name, expected, actual) => checks.push({ name, expected, actual, ok: expected === actual });
+
+    if (options.userAgent) {
+        check('user_agent_header', options.userAgent, headers['user-agent'] || null);
+        check('navigator_user_agent', options.userAgent, settings.userAgent);
+    }
+    for (const [name, value] of Object.entries(options.extraHTTPHeaders || {})) {
+        check(`header:${name.toLowerCase()}`, value, headers[name.toLowerCase()] || null);
+    }
+    if (options.locale) {
+        const acceptLanguage = headers['accept-language'] || '';
+        check('accept_language', options.locale, acceptLanguage.split(/[,;]/)[0] || null);
+        check('navigator_language', options.locale, settings.language);
+    }
+    if (options.timezoneId) {
+        check('timezone', options.timezoneId, settings.timezone);
+    }
+    if (options.viewport) {
+        check('viewport', `${options.viewport.width}x${options.viewport.height}`, `${settings.viewport.width}x${settings.viewport.height}`);
+    }
+
+    return { ok: checks.every(entry => entry.ok), checks };
+}
+
+module.exports = {
+    DEFAULT_USER_AGENT,
+    DEFAULT_PROFILE_NAME,
+    BUILTIN_PROFILES,
+    loadProfiles,
+    resolveProfile,
+    profileOptionsFromEnv,
+    profileContextOptions,
+    saveStorageState,
+    redactProfile,
+    profileSummary,
+    checkProfile
+};
@@ -0,0 +1,197 @@
+const { ROW_FIELDS } = require('./rows');
+const { parseListingSpec } = require('./listings');
+
+/**
+ * Query parameters for row listings (the /api/scrape endpoint)
+ *
+ * - limit:  rows per response, 1..MAX_LIMIT (LIMIT env var as default)
+ * - offset: rows to skip; or
+ * - cursor: opaque value from a previous response's X-Next-Cursor header
+ * - q:      case-insensitive title substring
+ * - app:    app name; matches the detail `app` column, or a title prefix
+ *           when shot details were not crawled
+ * - since:  ISO date; only rows first seen at or after it
+ * - fields: comma-separated projection, e.g. "title,url"
+ * - listing: listings to scrape instead of the homepage: app:<name>,
+ *           category:<name> or /path; comma-separated or repeated
+ *
+ * parseListQuery() validates everything up front so bad input is rejected
+ * before a browser is launched.
+ */
+
+const MAX_LIMIT = 1000;
+
+class QueryError extends Error {
+    /**
+     * @param {Array<{param: string, message: string}>} details
+     */
+    constructor(details) {
+        super(details.map(detail => `${detail.param}: ${detail.message}`).join('; '));
+        this.name = 'QueryError';
+        this.code = 'INVALID_QUERY';
+        this.details = details;
+    }
+}
+
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(offset) && offset >= 0 ? offset : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseInteger(value) {
+    return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Validate list parameters
+ *
+ * @param {Object} query - Parsed query string (values may be arrays when repeated)
+ * @param {Object} [defaults] - { limit } used when the query has none
+ * @returns {{limit: ?number, offset: number, q: ?string, app: ?string, since: ?string, fields: ?string[], listings: Object[]}}
+ * @throws {QueryError} Listing every invalid parameter
+ */
+function parseListQuery(query = {}, defaults = {}) {
+    const errors = [];
+    const value = name => {
+        const raw = query[name];
+        if (Array.isArray(raw)) {
+            errors.push({ param: name, message: 'must be given at most once' });
+            return null;
+        }
+        return raw === undefined || raw === '' ? null : String(raw);
+    };
+
+    const params = { limit: null, offset: 0, q: null, app: null, since: null, fields: null, listings: [] };
+
+    const limit = value('limit') || (defaults.limit ? String(defaults.limit) : null);
+    if (limit !== null) {
+        const n = parseInteger(limit);
+        if (n === null || n < 1 || n > MAX_LIMIT) {
+            errors.push({ param: 'limit', message: `must be an integer between 1 and ${MAX_LIMIT}` });
+        } else {
+            params.limit = n;
+        }
+    }
+
+    const offset = value('offset');
+    const cursor = value('cursor');
+    if (offset !== null && cursor !== null) {
+        errors.push({ param: 'cursor', message: 'cannot be combined with offset' });
+    } else if (offset !== null) {
+        const n = parseInteger(offset);
+        if (n === null) {
+            errors.push({ param: 'offset', message: 'must be a non-negative integer' });
+        } else {
+            params.offset = n;
+        }
+    } else if (cursor !== null) {
+        const n = decodeCursor(cursor);
+        if (n === null) {
+            errors.push({ param: 'cursor', message: 'is not a valid cursor' });
+        } else {
+            params.offset = n;
+        }
+    }
+
+    params.q = value('q');
+    params.app = value('app');
+
+    const since = value('since');
+    if (since !== null) {
+        if (!/^\d{4}-\d{2}-\d{2}/.test(since) || Number.isNaN(Date.parse(since))) {
+            errors.push({ param: 'since', message: 'must be an ISO 8601 date, e.g. 2025-09-20 or 2025-09-20T11:40:18Z' });
+        } else {
+            params.since = new Date(since).toISOString();
+        }
+    }
+
+    const fields = value('fields');
+    if (fields !== null) {
+        const names = fields.split(',').map(name => name.trim()).filter(Boolean);
+        const unknown = names.filter(name => !ROW_FIELDS.includes(name));
+        if (names.length === 0 || unknown.length > 0) {
+            errors.push({
+                param: 'fields',
+                message: `unknown field(s) ${unknown.join(', ') || '(none given)'}; expected any of ${ROW_FIELDS.join(', ')}`
+            });
+        } else {
+            params.fields = names;
+        }
+    }
+
+    const listings = [].concat(query.listing || []).flatMap(raw => String(raw).split(',')).filter(spec => spec.trim());
+    for (const spec of listings) {
+        try {
+            params.listings.push(parseListingSpec(spec));
+        } catch (error) {
+            errors.push({ param: 'listing', message: error.message });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new QueryError(errors);
+    }
+
+    return params;
+}
+
+/**
+ * Whether the query narrows rows down, i.e. the first N shots are not enough
+ */
+function hasFilters(params) {
+    return Boolean(params.q || params.app || params.since);
+}
+
+function matchesApp(row, app) {
+    const wanted = app.toLowerCase();
+    if (row.app) {
+        return row.app.toLowerCase() === wanted;
+    }
+    const title = row.title.toLowerCase();
+    return title === wanted || title.startsWith(`${wanted} `);
+}
+
+/**
+ * Filter, paginate and project rows
+ *
+ * @returns {{rows: Array, total: number, nextCursor: ?string}}
+ */
+function applyListQuery(rows, params) {
+    const q = params.q && params.q.toLowerCase();
+
+    const filtered = rows.filter(row =>
+        (!q || row.title.toLowerCase().includes(q)) &&
+        (!params.app || matchesApp(row, params.app)) &&
+        (!params.since || row.first_seen_at >= params.since)
+    );
+
+    const end = params.limit ? params.offset + params.limit : filtered.length;
+    let page = filtered.slice(params.offset, end);
+
+    if (params.fields) {
+        page = page.map(row => Object.fromEntries(params.fields.map(field => [field, row[field] ?? null])));
+    }
+
+    return {
+        rows: page,
+        total: filtered.length,
+        nextCursor: end < filtered.length ? encodeCursor(end) : null
+    };
+}
+
+module.exports = {
+    parseListQuery,
+    applyListQuery,
+    hasFilters,
+    encodeCursor,
+    QueryError,
+    MAX_LIMIT
+};
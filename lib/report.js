@@ -0,0 +1,89 @@
+/**
+ * Run report: how a scrape went, for charting scraper health over time
+ *
+ * {
+ *   started_at, finished_at, duration_ms,
+ *   status, error_code, error_class, selector, extractor,
+ *   listings: [{ id, url, shots, stopped_by, error_code }],
+ *   phases: { launch, navigate, wait, load, extract, state, media, details, notify },  // ms, phases that ran
+ *   load:   { strategy, attempts: [{ attempt, strategy, items, clicked, waited_ms, waited_for }],
+ *             stopped_by, navigations },
+ *   retries: [{ phase, attempt, error_code, error_class, delay_ms }],
+ *   circuit: { state, failures, threshold, opened_at, retry_at },
+ *   profile: { name, user_agent, proxy, viewport, locale, timezone, storage_state },
+ *   resources: { blocked: { media, image, font, tracker }, requests_blocked, bytes_transferred,
+ *                bytes_saved, time_saved_ms },
+ *   counts: { videos_seen, shots_extracted, duplicates_dropped, new_shots, media_failed, details_failed,
+ *             webhooks_failed },
+ *   health: { healthy, checks: [{ name, value, threshold, ok }], breaches, webhook },
+ *   webhooks: [{ target, format, messages, delivered, failed }]
+ * }
+ *
+ * load.strategy is the pagination strategy that ended the loop (button or
+ * scroll) and load.stopped_by why it ended: no-button, no-growth,
+ * max-attempts, max-shots, known-shots, time-budget or error. waited_for says
+ * what ended the wait after a click or scroll: growth, idle (network went
+ * quiet), timeout, navigation (the click left the grid and was undone), or
+ * none (nothing to click). load.navigations counts those undone clicks.
+ * listings has an entry per listing page visited ("home" for the root page);
+ * load attempts and counts add up across them, load.stopped_by is the last
+ * listing's (each entry keeps its own).
+ * new_shots, media_failed and details_failed are only set when
+ * --since-last-run or webhooks, --media or --details ran; media_failed counts
+ * shots whose manifest could not be fetched. webhooks and webhooks_failed
+ * (messages that went to the dead-letter file) are only set when webhooks
+ * are configured and the run was not the first, baseline one.
+ * error_class says whether a failed run's error was transient, structural or
+ * unknown (lib/errors.js). retries has an entry per retried attempt of the
+ * navigate, wait, load and extract phases, and circuit is the circuit
+ * breaker's state after the run, when one is used (lib/retry.js).
+ * profile is the browser-context profile the run used (lib/profiles.js),
+ * with the proxy server but not its credentials.
+ * resources is only set with resource blocking on (lib/resources.js);
+ * bytes_saved and time_saved_ms are estimates.
+ * health is the drift check from lib/health.js (null when it
+ * was skipped); webhook is the drift webhook delivery, when one was posted.
+ */
+
+function createRunReport() {
+    return {
+        started_at: new Date().toISOString(),
+        finished_at: null,
+        duration_ms: null,
+        status: null,
+        error_code: null,
+        error_class: null,
+        selector: null,
+        extractor: null,
+        listings: [],
+        phases: {},
+        load: { strategy: null, attempts: [], stopped_by: null, navigations: 0 },
+        retries: [],
+        counts: { videos_seen: 0, shots_extracted: 0, duplicates_dropped: 0 },
+        health: null
+    };
+}
+
+/**
+ * Run fn and add its duration to report.phases[phase], also when it throws
+ */
+async function timePhase(report, phase, fn) {
+    const start = Date.now();
+    try {
+        return await fn();
+    } finally {
+        report.phases[phase] = (report.phases[phase] || 0) + Date.now() - start;
+    }
+}
+
+function finishRunReport(report, meta) {
+    report.finished_at = new Date().toISOString();
+    report.duration_ms = Date.parse(report.finished_at) - Date.parse(report.started_at);
+    report.status = meta.status;
+    report.error_code = meta.errorCode || null;
+    report.selector = meta.selector || null;
+    report.extractor = meta.extractor || null;
+    return report;
+}
+
+module.exports = { createRunReport, timePhase, finishRunReport };
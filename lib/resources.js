@@ -0,0 +1,167 @@
+const { silentLogger } = require('./logger');
+
+/**
+ * Lightweight page mode: resource blocking
+ *
+ * The scraper only reads DOM attributes, yet a full page load streams every
+ * autoplaying preview, plus images, fonts and analytics. With blocking on,
+ * the browser context routes every request and aborts:
+ *
+ * - media:   <video> payloads, and HLS / DASH playlists and segments fetched
+ *            by a player script
+ * - image:   images, including video posters
+ * - font:    web fonts
+ * - tracker: requests to known analytics and ad hosts
+ *
+ * Documents, scripts, stylesheets and the JSON the grid is built from still
+ * load. Blocking a request does not touch the markup, so <source src> and
+ * poster attributes render as before and extraction reads the same URLs.
+ * Detail pages share the context and are blocked the same way.
+ *
+ * What the blocked requests would have cost can only be estimated: bytes
+ * saved multiplies the blocked requests of each kind by a typical size
+ * (DEFAULT_RESOURCE_SIZES), and time saved is how long those bytes take at
+ * the rate the run received its other responses at: their bytes over the
+ * time at least one of them was being received. Below MIN_RATE_SAMPLE bytes
+ * that rate is mostly latency, so no time is estimated.
+ */
+
+const RESOURCE_KINDS = ['media', 'image', 'font', 'tracker'];
+
+// Rough averages for 60fps.design; a preview's first buffered ranges make
+// up most of a page load
+const DEFAULT_RESOURCE_SIZES = {
+    media: 1000000,
+    image: 50000,
+    font: 30000,
+    tracker: 40000
+};
+
+const TRACKER_HOSTS = [
+    'google-analytics.com',
+    'googletagmanager.com',
+    'doubleclick.net',
+    'connect.facebook.net',
+    'hotjar.com',
+    'clarity.ms',
+    'segment.com',
+    'segment.io',
+    'mixpanel.com',
+    'amplitude.com',
+    'plausible.io',
+    'posthog.com',
+    'intercom.io',
+    'events.framer.com'
+];
+
+const MIN_RATE_SAMPLE = 100000;
+
+const MEDIA_URL = /\.(mp4|webm|mov|m3u8|mpd|ts|m4s)(\?|$)/i;
+
+/**
+ * Milliseconds covered by at least one of the [start, end] intervals
+ */
+function busyTime(intervals) {
+    let busy = 0;
+    let until = -Infinity;
+    for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+        if (end <= until) continue;
+        busy += end - Math.max(start, until);
+        until = end;
+    }
+    return busy;
+}
+
+function isTrackerHost(hostname) {
+    return TRACKER_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Kind of resource a request is blocked as, or null when it may load
+ */
+function blockedKind(resourceType, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    if (isTrackerHost(parsed.hostname) || resourceType === 'ping') return 'tracker';
+    if (resourceType === 'media') return 'media';
+    if (resourceType === 'image') return 'image';
+    if (resourceType === 'font') return 'font';
+    // Players fetch HLS / DASH playlists and segments as xhr or fetch
+    if ((resourceType === 'xhr' || resourceType === 'fetch') && MEDIA_URL.test(parsed.pathname)) return 'media';
+    return null;
+}
+
+/**
+ * Route every request of a browser context through the blocker
+ *
+ * Returns { summary() }, which resolves to the report.resources entry:
+ * { blocked: { media, image, font, tracker }, requests_blocked,
+ * bytes_transferred, bytes_saved, time_saved_ms }. time_saved_ms is null
+ * while less than MIN_RATE_SAMPLE bytes were transferred.
+ *
+ * @param {BrowserContext} context
+ * @param {Object} [options] - { sizes: bytes per blocked request of each kind, logger }
+ */
+async function blockResources(context, { sizes = DEFAULT_RESOURCE_SIZES, logger = silentLogger } = {}) {
+    const blocked = Object.fromEntries(RESOURCE_KINDS.map(kind => [kind, 0]));
+    const pending = [];
+    const intervals = [];
+    let bytesTransferred = 0;
+
+    await context.route('**/*', route => {
+        const request = route.request();
+        const kind = blockedKind(request.resourceType(), request.url());
+        if (!kind) return route.fallback();
+
+        blocked[kind]++;
+        logger.debug('request blocked', { kind, url: request.url() });
+        return route.abort('blockedbyclient');
+    });
+
+    context.on('requestfinished', request => {
+        const timing = request.timing();
+        if (timing.responseStart >= 0 && timing.responseEnd > 0) {
+            intervals.push([timing.startTime + timing.responseStart, timing.startTime + timing.responseEnd]);
+        }
+        pending.push(request.sizes().then(size => {
+            bytesTransferred += size.responseHeadersSize + size.responseBodySize;
+        }).catch(() => {
+            // The page or context closed before the sizes were read
+        }));
+    });
+
+    return {
+        async summary() {
+            await Promise.all(pending);
+
+            const requestsBlocked = RESOURCE_KINDS.reduce((sum, kind) => sum + blocked[kind], 0);
+            const bytesSaved = RESOURCE_KINDS.reduce((sum, kind) => sum + blocked[kind] * sizes[kind], 0);
+            const busy = busyTime(intervals);
+            const measurable = bytesTransferred >= MIN_RATE_SAMPLE && busy > 0;
+
+            return {
+                blocked: { ...blocked },
+                requests_blocked: requestsBlocked,
+                bytes_transferred: bytesTransferred,
+                bytes_saved: bytesSaved,
+                time_saved_ms: measurable ? Math.round(busy * bytesSaved / bytesTransferred) : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    RESOURCE_KINDS,
+    DEFAULT_RESOURCE_SIZES,
+    TRACKER_HOSTS,
+    MIN_RATE_SAMPLE,
+    blockedKind,
+    busyTime,
+    blockResources
+};
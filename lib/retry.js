@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ScrapeError, ERROR_CODES, classifyError } = require('./errors');
+const { silentLogger } = require('./logger');
+
+/**
+ * Retry policies and the circuit breaker
+ *
+ * A run is split into phases that talk to the site, each with its own retry
+ * policy:
+ *
+ * - navigate: page.goto of a listing
+ * - wait:     waiting for the grid to render; retries reload the page first
+ * - load:     one "Load more" click or scroll
+ * - extract:  reading the shots off the page
+ *
+ * Only transient failures are retried (classifyError() in lib/errors.js); a
+ * structural one fails right away. Retry n waits
+ * min(maxDelay, baseDelay * 2^(n-1)), less up to `jitter` of it at random so
+ * parallel runs do not retry in lockstep, and is skipped when the wait would
+ * eat into the time budget.
+ *
+ * The circuit breaker counts runs in a row that failed transiently, once per
+ * run however often its phases retried. After `threshold` of them it opens:
+ * runs fail with CIRCUIT_OPEN before a browser is launched, until `cooldown`
+ * ms have passed. The next run then goes through half-open; a success closes
+ * the circuit, another transient failure opens it again. State:
+ *
+ * { state: closed | open | half-open, failures, opened_at, retry_at }
+ *
+ * It lives in memory, or in a JSON file for one-shot processes (CLI, n8n),
+ * one per site (circuitFile()), so failures against a test server never
+ * block runs against 60fps.design.
+ */
+
+const RETRY_PHASES = ['navigate', 'wait', 'load', 'extract'];
+
+const DEFAULT_RETRY_POLICIES = {
+    navigate: { retries: 2, baseDelay: 1000, maxDelay: 10000, jitter: 0.5 },
+    wait: { retries: 1, baseDelay: 1000, maxDelay: 5000, jitter: 0.5 },
+    load: { retries: 2, baseDelay: 500, maxDelay: 4000, jitter: 0.5 },
+    extract: { retries: 2, baseDelay: 500, maxDelay: 4000, jitter: 0.5 }
+};
+
+const DEFAULT_CIRCUIT_OPTIONS = {
+    threshold: 5,
+    cooldown: 5 * 60 * 1000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * File the CLI and the n8n wrapper, which start a new process every run, keep
+ * the circuit state of a site in
+ */
+function circuitFile(baseUrl, dir = os.tmpdir()) {
+    const site = baseUrl.replace(/\/+$/, '');
+    const host = (new URL(site).host || 'site').replace(/[^a-z0-9.-]+/gi, '_');
+    const hash = crypto.createHash('sha256').update(site).digest('hex').slice(0, 12);
+    return path.join(dir, `60fps-circuit-${host}-${hash}.json`);
+}
+
+/**
+ * Per-phase policies: the defaults with `overrides` ({ phase: { retries, ... } })
+ * merged in
+ */
+function resolveRetryPolicies(overrides = {}) {
+    for (const phase of Object.keys(overrides)) {
+        if (!RETRY_PHASES.includes(phase)) {
+            throw new Error(`Unknown retry phase "${phase}". Expected one of: ${RETRY_PHASES.join(', ')}`);
+        }
+    }
+    return Object.fromEntries(RETRY_PHASES.map(phase => [phase, { ...DEFAULT_RETRY_POLICIES[phase], ...overrides[phase] }]));
+}
+
+/**
+ * Parse "2" (every phase) or "navigate=3,extract=0" into retry overrides
+ *
+ * @throws {Error} For unknown phases and counts that are not integers
+ */
+function parseRetrySpec(spec) {
+    const text = String(spec).trim();
+    if (/^\d+$/.test(text)) {
+        return Object.fromEntries(RETRY_PHASES.map(phase => [phase, { retries: Number(text) }]));
+    }
+
+    const overrides = {};
+    for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+        const match = /^([a-z]+)=(\d+)$/.exec(part);
+        if (!match || !RETRY_PHASES.includes(match[1])) {
+            throw new Error(`Invalid retries "${part}". Expected a number or ${RETRY_PHASES.map(phase => `${phase}=N`).join(', ')}`);
+        }
+        overrides[match[1]] = { retries: Number(match[2]) };
+    }
+    return overrides;
+}
+
+/**
+ * Milliseconds to wait before retry number `retry` (1-based)
+ */
+function backoffDelay(policy, retry, random = Math.random) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (retry - 1));
+    return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+/**
+ * Run fn(attempt), retrying transient failures according to the phase's policy
+ *
+ * Every retry is recorded in report.retries.
+ *
+ * @param {string} phase - One of RETRY_PHASES
+ * @param {(attempt: number) => Promise<*>} fn
+ * @param {Object} context - { policies, report, deadline, reserve, logger, random }
+ * @throws The last error when it is not transient or the retries ran out
+ */
+async function withRetry(phase, fn, context) {
+    const { policies, report, deadline = null, reserve = 0, logger = silentLogger, random } = context;
+    const policy = policies[phase];
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const errorClass = classifyError(error);
+            if (errorClass !== 'transient' || attempt > policy.retries) throw error;
+
+            const delay = backoffDelay(policy, attempt, random);
+            if (deadline && deadline.expired(reserve + delay)) {
+                logger.warn('no time left to retry', { phase, error: error.message });
+                throw error;
+            }
+
+            const retry = { phase, attempt, error_code: error.code || null, error_class: errorClass, delay_ms: delay };
+            report.retries.push(retry);
+            logger.warn('retrying', { ...retry, error: error.message });
+            await sleep(delay);
+        }
+    }
+}
+
+function closedCircuit() {
+    return { state: 'closed', failures: 0, opened_at: null, retry_at: null };
+}
+
+/**
+ * Circuit state kept in memory, or in `file` when given
+ */
+function createCircuitStore(file = null) {
+    let current = closedCircuit();
+
+    if (!file) {
+        return {
+            async load() { return current; },
+            async save(state) { current = state; }
+        };
+    }
+
+    return {
+        async load() {
+            try {
+                return { ...closedCircuit(), ...JSON.parse(await fs.readFile(file, 'utf8')) };
+            } catch (error) {
+                // A missing or broken file means nothing failed yet
+                return closedCircuit();
+            }
+        },
+
+        async save(state) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, JSON.stringify(state));
+        }
+    };
+}
+
+/**
+ * Retry overrides and circuit breaker options from environment variables:
+ * RETRIES (see parseRetrySpec), CIRCUIT_THRESHOLD (0 turns the breaker off,
+ * circuit is then null) and CIRCUIT_COOLDOWN (ms)
+ *
+ * @throws {Error} For an invalid RETRIES spec
+ */
+function retryOptionsFromEnv(env = process.env) {
+    const threshold = Number(env.CIRCUIT_THRESHOLD);
+    const cooldown = Number(env.CIRCUIT_COOLDOWN);
+    const positive = value => Number.isInteger(value) && value > 0;
+
+    return {
+        retries: env.RETRIES ? parseRetrySpec(env.RETRIES) : {},
+        circuit: env.CIRCUIT_THRESHOLD === '0' ? null : {
+            threshold: positive(threshold) ? threshold : DEFAULT_CIRCUIT_OPTIONS.threshold,
+            cooldown: positive(cooldown) ? cooldown : DEFAULT_CIRCUIT_OPTIONS.cooldown
+        }
+    };
+}
+
+/**
+ * @param {Object} [options] - threshold, cooldown (ms), file (persist the
+ *   state there instead of in memory), now, logger
+ * @returns {{check: Function, recordFailure: Function, recordSuccess: Function, status: Function}}
+ *   check() throws a CIRCUIT_OPEN ScrapeError while the circuit is open; the
+ *   others resolve to the new state, with the threshold
+ */
+function createCircuitBreaker(options = {}) {
+    const {
+        threshold = DEFAULT_CIRCUIT_OPTIONS.threshold,
+        cooldown = DEFAULT_CIRCUIT_OPTIONS.cooldown,
+        file = null,
+        now = Date.now,
+        logger = silentLogger
+    } = options;
+    const store = createCircuitStore(file);
+
+    const withThreshold = state => ({ ...state, threshold });
+
+    return {
+        async check() {
+            const current = await store.load();
+            if (current.state !== 'open') return withThreshold(current);
+
+            if (now() < Date.parse(current.retry_at)) {
+                throw new ScrapeError(
+                    ERROR_CODES.CIRCUIT_OPEN,
+                    `Not scraping after ${current.failures} failures in a row; next try after ${current.retry_at}`
+                );
+            }
+
+            const next = { ...current, state: 'half-open' };
+            await store.save(next);
+            logger.info('circuit half-open, trying the site again');
+            return withThreshold(next);
+        },
+
+        async recordFailure() {
+            const current = await store.load();
+            const failures = current.failures + 1;
+            let next = { ...current, failures };
+
+            if (current.state !== 'open' && (current.state === 'half-open' || failures >= threshold)) {
+                const openedAt = now();
+                next = {
+                    state: 'open',
+                    failures,
+                    opened_at: new Date(openedAt).toISOString(),
+                    retry_at: new Date(openedAt + cooldown).toISOString()
+                };
+                logger.error('circuit opened', { failures, retry_at: next.retry_at });
+            }
+
+            await store.save(next);
+            return withThreshold(next);
+        },
+
+        async recordSuccess() {
+            const current = await store.load();
+            if (current.state !== 'closed') {
+                logger.info('circuit closed');
+            }
+            const next = closedCircuit();
+            if (current.failures > 0 || current.state !== 'closed') {
+                await store.save(next);
+            }
+            return withThreshold(next);
+        },
+
+        async status() {
+            return withThreshold(await store.load());
+        }
+    };
+}
+
+module.exports = {
+    RETRY_PHASES,
+    DEFAULT_RETRY_POLICIES,
+    DEFAULT_CIRCUIT_OPTIONS,
+    circuitFile,
+    resolveRetryPolicies,
+    parseRetrySpec,
+    backoffDelay,
+    withRetry,
+    retryOptionsFromEnv,
+    createCircuitBreaker
+};
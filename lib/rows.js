@@ -0,0 +1,104 @@
+const { normalizeShot } = require('./normalize');
+
+/**
+ * Supabase row formatting shared by the n8n wrapper and the Vercel function
+ */
+
+// Every column a row can have; detail columns only appear with --details,
+// media only with --media, listings only for listing runs, preview_* archive
+// columns only with --archive
+const ROW_FIELDS = [
+    'id',
+    'title',
+    'url',
+    'preview_url',
+    'source',
+    'first_seen_at',
+    'last_seen_at',
+    'slug',
+    'video_id',
+    'canonical_url',
+    'confidence',
+    'app',
+    'platform',
+    'categories',
+    'tags',
+    'ui_pattern',
+    'designer',
+    'video_url',
+    'poster_url',
+    'media',
+    'listings',
+    'preview_sha256',
+    'preview_size',
+    'preview_content_type',
+    'preview_archive_path',
+    'preview_archive_error'
+];
+
+function extractTitleFromUrl(url) {
+    if (!url) return 'Untitled Shot';
+    const parts = url.split('/shots/');
+    if (parts.length < 2) return 'Untitled Shot';
+    return parts[1]
+        .replace(/\?.*$/, '')
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Format scraped shots as rows ready for a Supabase insert
+ *
+ * Every row carries the shot's canonical identity (lib/normalize.js): `id`,
+ * which snapshots, the state store and the Supabase sink key on, plus slug,
+ * video_id, canonical_url and confidence. Mock shots are normalized here.
+ * first_seen_at / last_seen_at come from the state store when one was used,
+ * otherwise both are the time of this run. Detail columns are only added when
+ * the detail crawler ran for the shot, media only when it was resolved.
+ *
+ * @param {Array} shots - Shots from scrape60fps()
+ * @param {string} [seenAt] - ISO timestamp of this run
+ */
+function toRows(shots, seenAt = new Date().toISOString()) {
+    return shots.map(s => {
+        const identity = normalizeShot(s);
+        const title = (s.detail && s.detail.title) || s.title || extractTitleFromUrl(s.url);
+        const row = {
+            id: identity.id,
+            title: title.replace(/\s+\d+$/, '').trim(),
+            url: s.url,
+            preview_url: s.preview,
+            source: '60fps.design',
+            first_seen_at: s.firstSeenAt || seenAt,
+            last_seen_at: s.lastSeenAt || seenAt,
+            slug: identity.slug,
+            video_id: identity.video_id,
+            canonical_url: identity.canonical_url,
+            confidence: identity.confidence
+        };
+
+        if (s.detail) {
+            row.app = s.detail.app;
+            row.platform = s.detail.platform;
+            row.categories = s.detail.categories;
+            row.tags = s.detail.tags;
+            row.ui_pattern = s.detail.ui_pattern;
+            row.designer = s.detail.designer;
+            row.video_url = s.detail.video_url;
+            row.poster_url = s.detail.poster_url;
+        }
+
+        if (s.media !== undefined) {
+            row.media = s.media;
+        }
+
+        if (s.listings) {
+            row.listings = s.listings;
+        }
+
+        return row;
+    });
+}
+
+module.exports = { toRows, extractTitleFromUrl, ROW_FIELDS };
@@ -0,0 +1,255 @@
+/**
+ * Versioned output contract: JSON Schemas for a row and for the run envelope
+ *
+ * Every row leaving the scraper (CLI, n8n, Vercel, serve mode) is checked
+ * against ROW_SCHEMA. Rows that fail, e.g. with a "Video 12" title, a
+ * relative URL or a preview that is not a video, are quarantined into a
+ * `rejected` list with the reasons instead of reaching Supabase.
+ *
+ * The run envelope ({ schema_version, meta, rows, rejected }) is what
+ * `--with-meta` and the serve-mode job results return. The schemas are printed
+ * by `node scrape60fps.js schema` and served at /api/schema, so consumers can
+ * generate types from them.
+ *
+ * SCHEMA_VERSION follows semver: new optional columns bump the minor version,
+ * anything that can break a consumer bumps the major version.
+ */
+
+const SCHEMA_VERSION = '1.1.0';
+
+const SCHEMA_BASE = 'https://60fps.design/schemas/scraper';
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const ROW_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${SCHEMA_BASE}/${SCHEMA_VERSION}/row.json`,
+    title: '60fps.design shot row',
+    type: 'object',
+    required: ['id', 'title', 'url', 'preview_url', 'source', 'first_seen_at', 'last_seen_at'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        title: {
+            type: 'string',
+            minLength: 3,
+            not: {
+                description: 'must not be a generic placeholder such as "Video 12"',
+                pattern: '^(?:[Mm]otion )?(?:[Vv]ideo|[Ss]hot|[Ii]tem|[Cc]ard|Untitled Shot)(?: \\d+)?$'
+            }
+        },
+        url: {
+            type: 'string',
+            format: 'uri',
+            pattern: '^https?://[^/\\s]+/shots/[^/?#\\s]+'
+        },
+        preview_url: {
+            type: 'string',
+            format: 'uri',
+            pattern: '^https?://[^\\s?#]+\\.(?:mp4|m3u8|webm|mov)(?:[?#]\\S*)?$'
+        },
+        source: { const: '60fps.design' },
+        first_seen_at: { type: 'string', format: 'date-time' },
+        last_seen_at: { type: 'string', format: 'date-time' },
+        slug: nullableString,
+        video_id: nullableString,
+        canonical_url: { type: ['string', 'null'], format: 'uri' },
+        confidence: { enum: ['observed', 'synthesized'] },
+        app: nullableString,
+        platform: nullableString,
+        categories: stringList,
+        tags: stringList,
+        ui_pattern: nullableString,
+        designer: nullableString,
+        video_url: nullableString,
+        poster_url: nullableString,
+        media: { type: ['object', 'null'] },
+        listings: stringList,
+        preview_sha256: nullableString,
+        preview_size: { type: ['integer', 'null'] },
+        preview_content_type: nullableString,
+        preview_archive_path: nullableString,
+        preview_archive_error: nullableString
+    }
+};
+
+const RUN_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${SCHEMA_BASE}/${SCHEMA_VERSION}/run.json`,
+    title: '60fps.design scraper run',
+    type: 'object',
+    required: ['schema_version', 'meta', 'rows', 'rejected'],
+    properties: {
+        schema_version: { const: SCHEMA_VERSION },
+        meta: {
+            type: 'object',
+            required: ['status'],
+            properties: {
+                status: { enum: ['ok', 'partial', 'mock', 'stale'] },
+                error_code: nullableString,
+                error: nullableString,
+                selector: nullableString,
+                extractor: nullableString,
+                drift: { type: 'boolean' }
+            }
+        },
+        rows: { type: 'array', items: { $ref: '#/$defs/row' } },
+        rejected: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['row', 'reasons'],
+                properties: {
+                    row: { type: 'object' },
+                    reasons: { type: 'array', items: { type: 'string' }, minItems: 1 }
+                }
+            }
+        }
+    },
+    $defs: { row: ROW_SCHEMA }
+};
+
+const SCHEMAS = { row: ROW_SCHEMA, run: RUN_SCHEMA };
+
+const FORMATS = {
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+    uri: value => {
+        try {
+            return Boolean(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against the subset of JSON Schema the schemas above use
+ *
+ * @returns {string[]} Reasons, "<path>: <problem>"; empty when valid
+ */
+function validate(schema, value, root = schema, path = '') {
+    const at = path || '(root)';
+
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/$defs/', '');
+        return validate(root.$defs[name], value, root, path);
+    }
+    if ('const' in schema && value !== schema.const) {
+        return [`${at}: must be ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: must be one of ${schema.enum.join(', ')}`];
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${at}: must be ${[].concat(schema.type).join(' or ')}`];
+    }
+
+    const reasons = [];
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            reasons.push(`${at}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            reasons.push(`${at}: must be a valid ${schema.format}`);
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            reasons.push(`${at}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (schema.not && validate(schema.not, value, root, path).length === 0) {
+        reasons.push(`${at}: ${schema.not.description || 'must not match the excluded schema'}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            reasons.push(`${at}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => reasons.push(...validate(schema.items, item, root, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const prefix = path ? `${path}.` : '';
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) reasons.push(`${prefix}${name}: is required`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (schema.properties && schema.properties[name]) {
+                if (item !== undefined) reasons.push(...validate(schema.properties[name], item, root, `${prefix}${name}`));
+            } else if (schema.additionalProperties === false) {
+                reasons.push(`${prefix}${name}: is not a known column`);
+            }
+        }
+    }
+
+    return reasons;
+}
+
+/**
+ * Split rows into the ones matching ROW_SCHEMA and the rejected ones
+ *
+ * @returns {{rows: Array, rejected: Array<{row: Object, reasons: string[]}>}}
+ */
+function validateRows(rows) {
+    const valid = [];
+    const rejected = [];
+
+    for (const row of rows) {
+        const reasons = validate(ROW_SCHEMA, row);
+        if (reasons.length === 0) {
+            valid.push(row);
+        } else {
+            rejected.push({ row, reasons });
+        }
+    }
+
+    return { rows: valid, rejected };
+}
+
+/**
+ * The run envelope for a finished scrape
+ *
+ * @param {Object} meta - meta from scrape60fps(); extra fields (report,
+ *   upsert, ...) can be passed in `extra`
+ */
+function createRunEnvelope({ meta, rows, rejected = [], extra = {} }) {
+    return {
+        schema_version: SCHEMA_VERSION,
+        meta: {
+            status: meta.status,
+            error_code: meta.errorCode || null,
+            error: meta.error || null,
+            selector: meta.selector || null,
+            extractor: meta.extractor || null,
+            drift: Boolean(meta.drift),
+            ...extra
+        },
+        rows,
+        rejected
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SCHEMAS,
+    ROW_SCHEMA,
+    RUN_SCHEMA,
+    validate,
+    validateRows,
+    createRunEnvelope
+};
@@ -0,0 +1,885 @@
+const { chromium } = require('playwright-core');
+const { extractShots, collectShotKeys } = require('./extract');
+const { normalizeShots } = require('./normalize');
+const { crawlShotDetails } = require('./detail');
+const { resolveShotMedia, GUMLET_HOST } = require('./media');
+const { createResponseCollector } = require('./network');
+const { blockResources } = require('./resources');
+const { resolveProfile, profileContextOptions, profileSummary, saveStorageState } = require('./profiles');
+const { ScrapeError, ERROR_CODES, toScrapeError, isStructureError, classifyError } = require('./errors');
+const { parseListing, listingUrl, mergeListingShots } = require('./listings');
+const {
+    DEFAULT_HEALTH_THRESHOLDS,
+    checkHealth,
+    captureDomSnapshot,
+    createDriftSignal,
+    postDriftSignal
+} = require('./health');
+const {
+    DEFAULT_SNAPSHOT_PATH,
+    assertFallbackMode,
+    saveLastGood,
+    loadLastGood
+} = require('./fallback');
+const { createKnownCheck, recordShots } = require('./state');
+const { toRows } = require('./rows');
+const { validateRows } = require('./schema');
+const { parseWebhookTarget, notifyNewShots } = require('./notify');
+const { silentLogger } = require('./logger');
+const { createRunReport, timePhase, finishRunReport } = require('./report');
+const { resolveRetryPolicies, withRetry } = require('./retry');
+const { createDeadline, createNetworkTracker, waitForContent, waitForGrowth } = require('./wait');
+const {
+    LOAD_MORE_SELECTORS,
+    SCROLL_ITEM_SELECTOR,
+    DEFAULT_LOAD_MORE_TEXTS,
+    DEFAULT_LOAD_MORE_DENY,
+    assertPaginationMode,
+    clickLoadMore,
+    scrollToBottom,
+    returnToGrid
+} = require('./pagination');
+
+/**
+ * Shared 60fps.design scraping engine
+ *
+ * Used by the CLI (scrape60fps.js), the n8n wrapper and the Vercel function so
+ * that selector probing, the "Load more" loop and extraction only live in one
+ * place. Entry points differ only in the options they pass:
+ *
+ * - launchBrowser:     async () => Browser (defaults to local headless Chromium)
+ * - baseUrl:           site to scrape; shot URLs are built from it too
+ * - listings:          listing pages to scrape instead of the homepage, as
+ *                      { type: app | category | path, value } (lib/listings.js);
+ *                      shots get `listings`, the ids of the listings they were in
+ * - navigationTimeout: page.goto timeout in ms
+ * - contentWait:       longest wait for the Framer SPA to render the first shot
+ * - loadWait:          longest wait for new items after a "Load more" click
+ *                      (lib/wait.js; both return as soon as content shows up)
+ * - maxLoadAttempts:   upper bound on load loop iterations
+ * - pagination:        auto | button | scroll (infinite scroll), see lib/pagination.js
+ * - loadMoreTexts:     button texts that may be clicked as "Load more"
+ * - loadMoreDeny:      button texts never clicked, even when allowed
+ * - timeBudget:        ms the whole run may take; loading stops early and the
+ *                      run returns partial results in time (null: no budget)
+ * - budgetReserve:     part of timeBudget kept for extraction and details
+ * - retries:           retry policy overrides per phase (navigate, wait, load,
+ *                      extract), e.g. { navigate: { retries: 3 } }; transient
+ *                      failures are retried with backoff (lib/retry.js)
+ * - circuitBreaker:    breaker from createCircuitBreaker(); while it is open
+ *                      runs fail with CIRCUIT_OPEN without touching the site
+ * - profile:           browser-context profile from lib/profiles.js (user
+ *                      agent, proxy, viewport, locale, time zone, headers,
+ *                      storage state); default: the built-in desktop Chrome
+ * - blockResources:    lightweight page mode: abort media, image, font and
+ *                      tracker requests (lib/resources.js); the markup and
+ *                      its <source src> attributes are unaffected
+ * - maxShots:          stop loading once this many shots are on the page
+ * - ancestorDepth:     how many parents to walk up from each <video>
+ * - networkExtraction: read shots from the site's JSON responses, falling back
+ *                      to the DOM walker when no payload is recognised
+ * - media:             attach `shot.media`: poster, MP4, HLS / DASH URLs and
+ *                      renditions from the manifest (lib/media.js)
+ * - mediaHost:         Gumlet host the media URLs are built on
+ * - mediaConcurrency:  manifests fetched in parallel
+ * - mediaTimeout:      timeout per manifest request
+ * - details:           also open every shot page and attach `shot.detail`
+ * - detailConcurrency: shot pages crawled in parallel
+ * - detailTimeout:     navigation timeout per shot page
+ * - fallback:          what to do on failure: error | mock | last-good-snapshot
+ * - snapshotPath:      where complete runs without drift are saved for
+ *                      last-good-snapshot
+ * - stateStore:        seen-shots store (lib/state.js); stamps first/last seen
+ * - sinceLastRun:      stop loading at already-known shots, return only new ones
+ * - onShot:            called with every final shot as soon as it is ready
+ *                      (one by one while crawling details), for streaming
+ * - webhooks:          targets the rows of new shots are POSTed to after the
+ *                      run, "slack:<url>", "discord:<url>", a URL or
+ *                      { url, format } (lib/notify.js); needs a stateStore
+ * - webhookSecret:     HMAC secret the webhook requests are signed with
+ * - webhookRetries:    retries per webhook message, with exponential backoff
+ * - webhookRetryDelay: first retry delay in ms
+ * - deadLetterFile:    JSON lines file for webhook messages that still failed
+ * - health:            drift thresholds (lib/health.js), null to skip the check
+ * - driftWebhook:      URL the structure drift signal is POSTed to
+ * - onDrift:           called with the structure drift signal
+ * - logger:            leveled logger from lib/logger.js (silent by default)
+ *
+ * Every run resolves to { shots, meta, report } where report is the run
+ * report from lib/report.js (phase durations, load attempts, retries, counts,
+ * circuit breaker state, profile, blocked resources) and
+ * meta.drift is true when the run breached the health thresholds, and
+ * meta.status is one of:
+ * - ok:      fresh data, load loop ran to completion
+ * - partial: fresh data, but the load loop broke off (meta.errorCode says why)
+ * - mock:    MOCK_SHOTS served because scraping failed
+ * - stale:   last good snapshot served because scraping failed
+ */
+
+const TARGET_URL = 'https://60fps.design';
+
+// Stands in for the listings option when none is given: the root page, untagged
+const HOME_LISTING = { id: 'home', type: 'path', value: '/', path: '/' };
+
+const DEFAULT_OPTIONS = {
+    launchBrowser: () => chromium.launch({ headless: true }),
+    baseUrl: TARGET_URL,
+    listings: [],
+    navigationTimeout: 60000,
+    contentWait: 10000,
+    loadWait: 3000,
+    maxLoadAttempts: 20,
+    pagination: 'auto',
+    loadMoreTexts: DEFAULT_LOAD_MORE_TEXTS,
+    loadMoreDeny: DEFAULT_LOAD_MORE_DENY,
+    timeBudget: null,
+    budgetReserve: 5000,
+    retries: {},
+    circuitBreaker: null,
+    profile: null,
+    blockResources: false,
+    maxShots: null,
+    ancestorDepth: 8,
+    networkExtraction: false,
+    details: false,
+    detailConcurrency: 3,
+    detailTimeout: 30000,
+    media: false,
+    mediaHost: GUMLET_HOST,
+    mediaConcurrency: 3,
+    mediaTimeout: 10000,
+    fallback: 'error',
+    snapshotPath: DEFAULT_SNAPSHOT_PATH,
+    stateStore: null,
+    sinceLastRun: false,
+    onShot: null,
+    webhooks: [],
+    webhookSecret: null,
+    webhookRetries: 3,
+    webhookRetryDelay: 1000,
+    deadLetterFile: null,
+    health: DEFAULT_HEALTH_THRESHOLDS,
+    driftWebhook: null,
+    onDrift: null,
+    logger: silentLogger
+};
+
+// Selectors that might contain shots on the main page, most specific first
+const CONTENT_SELECTORS = [
+    'a[href^="/shots/"]',           // Direct shot links
+    'a[href*="/shots/"]',           // Any links containing shots
+    '[href*="/shots/"]',            // Any element with shots href
+    'a[href*="shots"]',             // Alternative shots links
+    'video',                        // Video elements
+    'video source',                 // Video source elements
+    '[data-framer-name*="shot"]',   // Framer components with shot in name
+    '[data-framer-name*="card"]',   // Framer card components
+    '[data-framer-name*="grid"]',   // Framer grid components
+    '.framer-*',                    // Any Framer component
+    '[data-framer-*]',              // Any data-framer attribute
+    '[class*="shot"]',              // Classes containing "shot"
+    '[class*="card"]',              // Classes containing "card"
+    '[class*="item"]'               // Classes containing "item"
+];
+
+const MOCK_SHOTS = [
+    {
+        url: "https://60fps.design/shots/amie-drag-to-calendar-morph",
+        preview: "https://cdn.60fps.design/shots/amie-drag-to-calendar-morph/preview.mp4",
+        title: "Amie Drag To Calendar Morph"
+    },
+    {
+        url: "https://60fps.design/shots/cred-recurring-payments-card-swipe",
+        preview: "https://cdn.60fps.design/shots/cred-recurring-payments/preview.mp4",
+        title: "CRED Recurring Payments Card Swipe"
+    },
+    {
+        url: "https://60fps.design/shots/mozi-onboarding-carousel-tabs",
+        preview: "https://cdn.60fps.design/shots/mozi-onboarding/preview.mp4",
+        title: "Mozi Onboarding Carousel Tabs"
+    },
+    {
+        url: "https://60fps.design/shots/opentable-splash-animation",
+        preview: "https://cdn.60fps.design/shots/opentable-splash/preview.mp4",
+        title: "OpenTable Splash Animation"
+    },
+    {
+        url: "https://60fps.design/shots/framer-motion-cards-grid",
+        preview: "https://cdn.60fps.design/shots/framer-motion-cards/preview.mp4",
+        title: "Framer Motion Cards Grid"
+    }
+];
+
+/**
+ * Probe the content selectors in order and return the first one that matches
+ */
+async function findContentSelector(page, logger) {
+    for (const selector of CONTENT_SELECTORS) {
+        try {
+            const count = await page.locator(selector).count();
+            logger.debug('content selector probed', { selector, count });
+
+            if (count > 0) {
+                return selector;
+            }
+        } catch (e) {
+            // Continue with next selector
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Page through the grid until no new content is loaded
+ *
+ * Resolves to { count, errorCode } where errorCode is set when the loop broke
+ * off before the site ran out of content. When `isKnown` is given, loading
+ * also stops as soon as a whole batch of newly shown shots is already known.
+ * Every attempt, the strategy in use (lib/pagination.js) and the reason the
+ * loop stopped are recorded in report.load. After a click or scroll it waits
+ * only until new items appear or the network goes idle, and it stops with
+ * TIME_BUDGET_EXCEEDED when the deadline gets close. A click that navigates
+ * away from the grid is undone and that button is not clicked again. A click
+ * or scroll that fails transiently is retried with the load policy.
+ */
+async function loadAllContent(page, foundSelector, options, { isKnown, report, deadline, network, retry }) {
+    const { loadWait, maxLoadAttempts, budgetReserve, logger } = options;
+    const texts = { allow: options.loadMoreTexts, deny: options.loadMoreDeny };
+    const gridUrl = page.url();
+    const navigatedAway = new Set();
+    let strategy = options.pagination === 'scroll' ? 'scroll' : 'button';
+    let previousCount = 0;
+    let currentCount = 0;
+    let loadAttempts = 0;
+    let acted = false;
+    let navigated = false;
+    let clickedBefore = false;
+    let checkedKeys = 0;
+
+    const stop = (reason, count, errorCode = null) => {
+        report.load.strategy = strategy;
+        report.load.stopped_by = reason;
+        logger.info('load loop stopped', { reason, strategy, items: count, attempts: loadAttempts });
+        return { count, errorCode };
+    };
+
+    const waitOptions = () => ({ timeout: deadline.cap(loadWait, budgetReserve), network });
+
+    // One step of the current strategy; resolves to how its wait ended, or null when there was nothing to do
+    const advance = async () => {
+        if (strategy === 'scroll') {
+            const videoCount = await page.locator(SCROLL_ITEM_SELECTOR).count();
+            await scrollToBottom(page);
+            return waitForGrowth(page, SCROLL_ITEM_SELECTOR, videoCount, waitOptions());
+        }
+
+        const clicked = await clickLoadMore(page, { ...texts, skip: navigatedAway }, logger);
+
+        if (clicked === null) {
+            if (options.pagination === 'auto' && !clickedBefore) {
+                logger.info('no load button, switching to infinite scroll');
+                strategy = 'scroll';
+                return advance();
+            }
+            return null;
+        }
+
+        clickedBefore = true;
+        const wait = await waitForGrowth(page, foundSelector, previousCount, waitOptions());
+
+        if (page.url() !== gridUrl) {
+            logger.warn('load button navigated away, going back', { text: clicked, url: page.url() });
+            navigatedAway.add(clicked);
+            report.load.navigations++;
+            await returnToGrid(page, gridUrl, Math.max(1, deadline.cap(options.navigationTimeout)));
+            await waitForContent(page, deadline.cap(options.contentWait, budgetReserve));
+            return { ...wait, reason: 'navigation' };
+        }
+
+        return wait;
+    };
+
+    try {
+        currentCount = await page.locator(foundSelector).count();
+
+        do {
+            // Stop in time to extract and return what is already loaded
+            if (deadline.expired(budgetReserve)) {
+                return stop('time-budget', currentCount, ERROR_CODES.TIME_BUDGET_EXCEEDED);
+            }
+
+            // Enough shots for the caller, no need to spend time loading more
+            if (options.maxShots) {
+                const videoCount = await page.locator('video').count();
+                if (videoCount >= options.maxShots) {
+                    return stop('max-shots', currentCount);
+                }
+            }
+
+            // Everything past checkedKeys arrived with the previous click (or the first render)
+            if (isKnown) {
+                const keys = await page.evaluate(collectShotKeys, { ancestorDepth: options.ancestorDepth });
+                const batch = keys.slice(checkedKeys);
+                checkedKeys = keys.length;
+
+                if (batch.length > 0 && batch.every(isKnown)) {
+                    return stop('known-shots', keys.length);
+                }
+            }
+
+            previousCount = currentCount;
+
+            // Wait for the new content, but only as long as it takes
+            const wait = (await withRetry('load', advance, retry)) || { reason: 'none', waited: 0 };
+            acted = wait.reason !== 'none';
+            navigated = wait.reason === 'navigation';
+
+            currentCount = await page.locator(foundSelector).count();
+            loadAttempts++;
+
+            const attempt = {
+                attempt: loadAttempts,
+                strategy,
+                items: currentCount,
+                clicked: acted && strategy === 'button',
+                waited_ms: wait.waited,
+                waited_for: wait.reason
+            };
+            report.load.attempts.push(attempt);
+            logger.debug('load attempt', attempt);
+
+            // The deadline cut the wait short, so the click may still deliver more
+            if (acted && deadline.expired(budgetReserve)) {
+                return stop('time-budget', currentCount, ERROR_CODES.TIME_BUDGET_EXCEEDED);
+            }
+
+            // Safety check to prevent infinite loops
+            if (loadAttempts >= maxLoadAttempts) {
+                // Content was still growing, so there is more we did not load
+                const truncated = acted && currentCount > previousCount;
+                return stop('max-attempts', currentCount, truncated ? ERROR_CODES.LOAD_MORE_FAILED : null);
+            }
+
+            // If nothing could be clicked or scrolled and we have some content, break
+            if (!acted && currentCount > 0) {
+                break;
+            }
+
+        } while (loadAttempts < 3 || navigated || (acted && currentCount > previousCount));
+    } catch (error) {
+        // Keep whatever is already on the page rather than failing the run
+        logger.warn('load loop failed', { error: error.message });
+        return stop('error', currentCount, ERROR_CODES.LOAD_MORE_FAILED);
+    }
+
+    return stop(acted ? 'no-growth' : 'no-button', currentCount);
+}
+
+/**
+ * Check the run against the health thresholds and signal structure drift
+ *
+ * Records the checks in report.health. On a breach, or when `errorCode` says
+ * the grid was not recognised at all, the DOM snapshot and screenshot are only
+ * taken when a drift webhook or onDrift handler wants them.
+ *
+ * @returns {Promise<boolean>} Whether the run looked healthy
+ */
+async function detectDrift(page, options, report, { shots = [], errorCode = null }) {
+    const { logger } = options;
+    if (!options.health) return true;
+
+    // A caller asking for fewer shots is not a sign of drift, and neither is a
+    // listing or an incremental run that stopped at known shots holding only a few
+    const thresholds = { ...DEFAULT_HEALTH_THRESHOLDS, ...options.health };
+    if (options.maxShots) {
+        thresholds.minShots = Math.min(thresholds.minShots, options.maxShots);
+    }
+    if (options.listings.length > 0 || options.sinceLastRun) {
+        thresholds.minShots = Math.min(thresholds.minShots, 1);
+    }
+
+    const health = checkHealth(shots, thresholds);
+    const healthy = health.healthy && !errorCode;
+    report.health = { healthy, checks: health.checks, breaches: health.breaches };
+
+    if (healthy) return true;
+
+    logger.warn('structure drift', { breaches: health.breaches, error_code: errorCode });
+
+    if (options.driftWebhook || options.onDrift) {
+        const signal = createDriftSignal({
+            site: options.baseUrl,
+            health,
+            errorCode,
+            selector: report.selector,
+            extractor: report.extractor,
+            snapshot: await captureDomSnapshot(page)
+        });
+
+        if (options.onDrift) {
+            options.onDrift(signal);
+        }
+        if (options.driftWebhook) {
+            report.health.webhook = await postDriftSignal(options.driftWebhook, signal, { logger });
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Navigate to one listing, load all its content and extract its shots
+ *
+ * Counts and phase durations add up in the run report across listings.
+ * Navigation, the content wait and extraction are retried on transient
+ * failures; the wait reloads the page before trying again.
+ *
+ * @returns {Promise<{shots: Array, extractor: string, selector: string, errorCode: ?string}>}
+ * @throws {ScrapeError} When the listing shows no recognisable shots
+ */
+async function scrapeListing(page, url, options, { report, deadline, network, collector, isKnown, retry }) {
+    const { logger } = options;
+    const baseUrl = options.baseUrl.replace(/\/+$/, '');
+
+    logger.info('navigating', { url });
+    if (collector) {
+        collector.reset();
+    }
+
+    // 0 would mean no timeout at all
+    const navigationTimeout = () => Math.max(1, deadline.cap(options.navigationTimeout));
+
+    await timePhase(report, 'navigate', () => withRetry('navigate', async () => {
+        try {
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: navigationTimeout() });
+        } catch (error) {
+            throw toScrapeError(error, ERROR_CODES.NAVIGATION_FAILED);
+        }
+    }, retry));
+
+    // This is a Framer SPA so content loads dynamically
+    const foundSelector = await timePhase(report, 'wait', () => withRetry('wait', async attempt => {
+        if (attempt > 1) {
+            try {
+                await page.reload({ waitUntil: 'domcontentloaded', timeout: navigationTimeout() });
+            } catch (error) {
+                throw toScrapeError(error, ERROR_CODES.NAVIGATION_FAILED);
+            }
+        }
+
+        const ready = await waitForContent(page, deadline.cap(options.contentWait, options.budgetReserve));
+        if (!ready) {
+            logger.warn('no shot rendered within the content wait', { timeout: options.contentWait });
+        }
+
+        const selector = await findContentSelector(page, logger);
+        if (selector) return selector;
+
+        const title = await page.title();
+        logger.warn('no content selector matched', { title, url: page.url() });
+
+        if (title.includes('Wups') || title.includes('Error')) {
+            throw new ScrapeError(ERROR_CODES.SITE_ERROR_PAGE, 'The shots page appears to be showing an error. The site might be down or have changed structure.');
+        }
+
+        throw new ScrapeError(ERROR_CODES.NO_CONTENT, 'No shot content found with any known selectors. The site structure may have changed.');
+    }, retry));
+
+    logger.info('content found', { selector: foundSelector });
+    report.selector = foundSelector;
+
+    const { errorCode } = await timePhase(report, 'load', () =>
+        loadAllContent(page, foundSelector, options, { isKnown, report, deadline, network, retry })
+    );
+
+    const { shots, extractor } = await timePhase(report, 'extract', async () => {
+        report.counts.videos_seen += await page.locator('video').count();
+
+        // Canonical ids (lib/normalize.js), one shot per id
+        const normalize = candidates => {
+            const normalized = normalizeShots(candidates, { sourceUrl: page.url() });
+            report.counts.duplicates_dropped += normalized.duplicates;
+            return normalized.shots;
+        };
+
+        if (collector) {
+            const networkShots = await collector.shots();
+            if (networkShots.length > 0) {
+                const unique = normalize(networkShots);
+                logger.info('using network responses', { shots: unique.length, payloads: collector.payloadCount() });
+                return { shots: unique, extractor: 'network' };
+            }
+            logger.info('no shot data in network responses, using the DOM');
+        }
+
+        const candidates = await withRetry('extract', async () => {
+            try {
+                return await page.evaluate(extractShots, { ancestorDepth: options.ancestorDepth, baseUrl });
+            } catch (error) {
+                throw toScrapeError(error, ERROR_CODES.EXTRACTION_FAILED);
+            }
+        }, retry);
+        return { shots: normalize(candidates), extractor: 'dom' };
+    });
+
+    report.extractor = extractor;
+
+    if (shots.length === 0) {
+        throw new ScrapeError(ERROR_CODES.NO_SHOTS, `Selector "${foundSelector}" matched but no shots could be extracted.`);
+    }
+
+    return { shots, extractor, selector: foundSelector, errorCode };
+}
+
+/**
+ * Scrape every listing (the homepage by default), throwing ScrapeErrors
+ *
+ * A listing that fails only fails the run when it is the only one (or all
+ * fail); otherwise the run is partial with LISTING_FAILED.
+ */
+async function scrapePage(browser, options, { report, deadline }) {
+    const { logger } = options;
+    const baseUrl = options.baseUrl.replace(/\/+$/, '');
+    const targets = options.listings.length > 0 ? options.listings : [HOME_LISTING];
+
+    const contextOptions = await profileContextOptions(options.profile);
+    const context = await browser.newContext(contextOptions);
+    report.profile = profileSummary(options.profile, contextOptions);
+
+    // Routed before the first page opens, so its first requests are covered too
+    const blocker = options.blockResources ? await blockResources(context, { logger }) : null;
+    const summarizeResources = async () => {
+        if (blocker) {
+            report.resources = await blocker.summary();
+        }
+    };
+
+    const page = await context.newPage();
+
+    // Must be listening before navigation to see the initial collection fetch
+    const collector = options.networkExtraction ? createResponseCollector(page, { baseUrl, logger }) : null;
+    const network = createNetworkTracker(page);
+
+    const state = options.stateStore ? await options.stateStore.load() : null;
+    const firstRun = Boolean(state) && !state.last_run_at;
+    const isKnown = state && options.sinceLastRun ? createKnownCheck(state) : null;
+
+    const retry = {
+        policies: options.retries,
+        report,
+        deadline,
+        reserve: options.budgetReserve,
+        logger
+    };
+
+    const results = [];
+    let failure = null;
+
+    for (const listing of targets) {
+        const url = listing === HOME_LISTING ? baseUrl : listingUrl(baseUrl, listing);
+        const entry = { id: listing.id, url, shots: 0, stopped_by: null, error_code: null };
+
+        if ((results.length > 0 || failure) && deadline.expired(options.budgetReserve)) {
+            logger.warn('time budget exhausted, skipping listing', { listing: listing.id });
+            entry.error_code = ERROR_CODES.TIME_BUDGET_EXCEEDED;
+            report.listings.push(entry);
+            continue;
+        }
+        report.listings.push(entry);
+
+        try {
+            const result = await scrapeListing(page, url, options, { report, deadline, network, collector, isKnown, retry });
+            entry.shots = result.shots.length;
+            entry.stopped_by = report.load.stopped_by;
+            results.push({ listing, ...result });
+        } catch (error) {
+            failure = toScrapeError(error);
+            entry.error_code = failure.code;
+            if (targets.length > 1) {
+                logger.warn('listing failed', { listing: listing.id, error_code: failure.code, error: failure.message });
+            }
+        }
+    }
+
+    if (results.length === 0) {
+        // The page still shows the listing that failed last
+        if (isStructureError(failure.code)) {
+            await detectDrift(page, options, report, { errorCode: failure.code });
+        }
+        await summarizeResources();
+        throw failure;
+    }
+
+    const [{ selector: foundSelector, extractor }] = results;
+    report.selector = foundSelector;
+    report.extractor = extractor;
+
+    let shots = results[0].shots;
+    if (options.listings.length > 0) {
+        const merged = mergeListingShots(results);
+        report.counts.duplicates_dropped += merged.duplicates;
+        shots = merged.shots;
+    }
+    report.counts.shots_extracted = shots.length;
+
+    let errorCode = null;
+    const partial = results.find(result => result.errorCode);
+    const failed = report.listings.find(entry => entry.error_code);
+    if (partial) {
+        errorCode = partial.errorCode;
+    } else if (failed) {
+        errorCode = failed.error_code === ERROR_CODES.TIME_BUDGET_EXCEEDED ? failed.error_code : ERROR_CODES.LISTING_FAILED;
+    }
+
+    logger.info('shots extracted', {
+        shots: shots.length,
+        videos: report.counts.videos_seen,
+        duplicates: report.counts.duplicates_dropped
+    });
+
+    const healthy = await detectDrift(page, options, report, { shots });
+
+    if (state) {
+        shots = await timePhase(report, 'state', async () => {
+            const recorded = recordShots(state, shots);
+            let recordedShots = recorded.shots;
+
+            if (options.sinceLastRun) {
+                recordedShots = recordedShots.filter(shot => shot.isNew);
+                report.counts.new_shots = recordedShots.length;
+                logger.info('new shots', { count: recordedShots.length });
+            }
+
+            await options.stateStore.save(recorded.state);
+            return recordedShots;
+        });
+    }
+
+    if (options.media) {
+        shots = await timePhase(report, 'media', () => resolveShotMedia(shots, {
+            host: options.mediaHost,
+            concurrency: options.mediaConcurrency,
+            timeout: options.mediaTimeout,
+            logger
+        }));
+        report.counts.media_failed = shots.filter(shot => shot.media && shot.media.manifest_error).length;
+    }
+
+    if (options.details) {
+        shots = await timePhase(report, 'details', () => crawlShotDetails(context, shots, {
+            concurrency: options.detailConcurrency,
+            timeout: options.detailTimeout,
+            deadline,
+            ...(options.onShot && { onShot: options.onShot }),
+            logger
+        }));
+        report.counts.details_failed = shots.filter(shot => shot.detailError).length;
+    } else if (options.onShot) {
+        shots.forEach(shot => options.onShot(shot));
+    }
+
+    if (options.webhooks.length > 0) {
+        await timePhase(report, 'notify', () => notifyWebhooks(shots, options, report, { firstRun, deadline }));
+    }
+
+    await summarizeResources();
+
+    // Cookies and localStorage of a good run, e.g. a dismissed consent banner
+    try {
+        if (await saveStorageState(context, options.profile)) {
+            logger.debug('storage state saved', { file: options.profile.storageState });
+        }
+    } catch (error) {
+        logger.warn('could not save storage state', { file: options.profile.storageState, error: error.message });
+    }
+
+    return {
+        shots,
+        meta: {
+            status: errorCode ? 'partial' : 'ok',
+            errorCode,
+            error: null,
+            selector: foundSelector,
+            extractor,
+            drift: !healthy
+        }
+    };
+}
+
+/**
+ * POST the rows of the shots the state store had not seen to the webhooks
+ *
+ * The first run with an empty state only records a baseline, otherwise every
+ * shot on the site would be announced as new.
+ */
+async function notifyWebhooks(shots, options, report, { firstRun, deadline }) {
+    const { logger } = options;
+
+    if (!options.stateStore) {
+        logger.warn('webhooks need a state store to tell new shots apart, skipped');
+        return;
+    }
+    const newShots = shots.filter(shot => shot.isNew);
+    report.counts.new_shots = newShots.length;
+    if (firstRun) {
+        logger.info('first run with this state, recording a baseline without notifications', { shots: shots.length });
+        return;
+    }
+
+    const { rows } = validateRows(toRows(newShots));
+    report.webhooks = await notifyNewShots(rows, options.webhooks, {
+        secret: options.webhookSecret,
+        retries: options.webhookRetries,
+        retryDelay: options.webhookRetryDelay,
+        deadLetterFile: options.deadLetterFile,
+        // The shots are scraped already; a slow target must not lose the response
+        deadline,
+        logger
+    });
+    report.counts.webhooks_failed = report.webhooks.reduce((sum, entry) => sum + entry.failed, 0);
+}
+
+/**
+ * Resolve a failed run according to the configured fallback mode
+ */
+async function applyFallback(error, options) {
+    const { logger } = options;
+    const meta = {
+        errorCode: error.code,
+        error: error.message,
+        selector: null
+    };
+
+    if (options.fallback === 'mock') {
+        logger.warn('serving mock data');
+        return {
+            shots: MOCK_SHOTS.map(shot => ({ ...shot })),
+            meta: { status: 'mock', ...meta }
+        };
+    }
+
+    if (options.fallback === 'last-good-snapshot') {
+        let snapshot;
+        try {
+            snapshot = await loadLastGood(options.snapshotPath);
+        } catch (readError) {
+            logger.warn('could not read last good snapshot', { file: options.snapshotPath, error: readError.message });
+            snapshot = null;
+        }
+        if (!snapshot || !Array.isArray(snapshot.shots)) {
+            throw new ScrapeError(
+                ERROR_CODES.NO_SNAPSHOT,
+                `Scrape failed (${error.code}: ${error.message}) and no readable snapshot exists at ${options.snapshotPath}`,
+                { cause: error }
+            );
+        }
+        logger.warn('serving last good snapshot', { saved_at: snapshot.saved_at });
+        return {
+            shots: snapshot.shots,
+            meta: { status: 'stale', ...meta, selector: snapshot.selector, snapshotAt: snapshot.saved_at }
+        };
+    }
+
+    throw error;
+}
+
+/**
+ * Scrape shots from 60fps.design
+ *
+ * @param {Object} [overrides] - See DEFAULT_OPTIONS
+ * @returns {Promise<{shots: Array<{url: string, preview: string, title: string}>, meta: Object, report: Object}>}
+ * @throws {ScrapeError} When the run fails and the fallback mode is "error";
+ *                       the run report is attached as error.report
+ */
+async function scrape60fps(overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const { logger } = options;
+
+    assertFallbackMode(options.fallback);
+    assertPaginationMode(options.pagination);
+    options.listings = options.listings.map(listing => parseListing(listing.type, listing.value));
+    options.webhooks = options.webhooks.map(target => (typeof target === 'string' ? parseWebhookTarget(target) : target));
+    options.retries = resolveRetryPolicies(options.retries);
+    options.profile = options.profile || resolveProfile();
+
+    const report = createRunReport();
+    const deadline = createDeadline(options.timeBudget);
+    const breaker = options.circuitBreaker;
+
+    const fail = async (error, { ran = true } = {}) => {
+        const scrapeError = toScrapeError(error);
+        report.error_class = classifyError(scrapeError);
+        logger.error('scrape failed', { error_code: scrapeError.code, error_class: report.error_class, error: scrapeError.message });
+        if (breaker) {
+            // One failure per run, however often its phases retried
+            const counts = ran && report.error_class === 'transient';
+            report.circuit = counts ? await breaker.recordFailure() : await breaker.status();
+        }
+        try {
+            const fallback = await applyFallback(scrapeError, options);
+            return { ...fallback, report: finishRunReport(report, fallback.meta) };
+        } catch (fallbackError) {
+            fallbackError.report = finishRunReport(report, { status: 'error', errorCode: fallbackError.code });
+            throw fallbackError;
+        }
+    };
+
+    // An open circuit fails the run before the browser is even launched
+    if (breaker) {
+        try {
+            await breaker.check();
+        } catch (error) {
+            return fail(error, { ran: false });
+        }
+    }
+
+    let browser = null;
+    let result;
+
+    try {
+        // A browser that does not start gets the fallback like any other failure
+        browser = await timePhase(report, 'launch', async () => {
+            try {
+                return await options.launchBrowser();
+            } catch (error) {
+                throw toScrapeError(error, ERROR_CODES.LAUNCH_FAILED);
+            }
+        });
+        result = await scrapePage(browser, options, { report, deadline });
+    } catch (error) {
+        return await fail(error);
+    } finally {
+        // Always close the browser
+        if (browser) {
+            await browser.close();
+            logger.debug('browser closed');
+        }
+    }
+
+    if (breaker) {
+        report.circuit = await breaker.recordSuccess();
+    }
+
+    // Incremental and listing runs only hold some shots, which is not a usable
+    // snapshot, and a drifted run may be garbage
+    if (result.meta.status === 'ok' && !result.meta.drift && !options.sinceLastRun && options.listings.length === 0) {
+        try {
+            await saveLastGood(options.snapshotPath, result.shots, result.meta);
+        } catch (error) {
+            logger.warn('could not save last good snapshot', { error: error.message });
+        }
+    }
+
+    logger.info('run finished', { status: result.meta.status, shots: result.shots.length });
+    return { ...result, report: finishRunReport(report, result.meta) };
+}
+
+module.exports = {
+    scrape60fps,
+    DEFAULT_OPTIONS,
+    CONTENT_SELECTORS,
+    LOAD_MORE_SELECTORS,
+    MOCK_SHOTS,
+    TARGET_URL
+};
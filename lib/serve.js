@@ -0,0 +1,153 @@
+const http = require('http');
+
+/**
+ * Local HTTP server for the Vercel functions in api/
+ *
+ * Adds the bits of the Vercel runtime the handlers rely on: `req.query`
+ * (repeated parameters become arrays), `req.body` (parsed JSON) and
+ * `res.status()`, `res.json()` and `res.send()`.
+ *
+ * Routes are keyed by path ('/api/scrape', any method) or by method and path
+ * ('POST /jobs'); `:name` segments match one path segment and end up in
+ * `req.params`.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function parseQuery(searchParams) {
+    const query = {};
+    for (const key of new Set(searchParams.keys())) {
+        const values = searchParams.getAll(key);
+        query[key] = values.length > 1 ? values : values[0];
+    }
+    return query;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function compileRoutes(routes) {
+    return Object.entries(routes).map(([key, handler]) => {
+        const [method, pattern] = key.includes(' ') ? key.split(' ') : [null, key];
+        const names = [];
+        const source = pattern.split('/').map(segment => {
+            if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            names.push(segment.slice(1));
+            return '([^/]+)';
+        }).join('/');
+        return { method, regex: new RegExp(`^${source}$`), names, handler };
+    });
+}
+
+/**
+ * Route for a request, { route, params }, or { methodNotAllowed } when only
+ * the path matched
+ *
+ * Throws a URIError when a path parameter is not valid percent-encoding.
+ */
+function matchRoute(compiled, method, pathname) {
+    let methodNotAllowed = false;
+    for (const route of compiled) {
+        const match = route.regex.exec(pathname);
+        if (!match) continue;
+        if (route.method && route.method !== method) {
+            methodNotAllowed = true;
+            continue;
+        }
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+        return { route, params };
+    }
+    return { methodNotAllowed };
+}
+
+function adaptResponse(res) {
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = body => {
+        if (!res.getHeader('Content-Type')) {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+        res.end(JSON.stringify(body));
+        return res;
+    };
+    res.send = body => {
+        res.end(body);
+        return res;
+    };
+    return res;
+}
+
+/**
+ * @param {Object} routes - { '/api/scrape': handler, 'GET /jobs/:id': handler }
+ * @returns {http.Server} Not yet listening
+ */
+function createApiServer(routes) {
+    const compiled = compileRoutes(routes);
+
+    return http.createServer(async (req, res) => {
+        adaptResponse(res);
+
+        // A bad escape such as /jobs/%E0%A4%A must not become an unhandled rejection
+        let url;
+        let matched;
+        try {
+            url = new URL(req.url, 'http://localhost');
+            matched = matchRoute(compiled, req.method, url.pathname);
+        } catch (error) {
+            res.status(400).json({ success: false, error_code: 'INVALID_PATH', error: `Malformed request path: ${error.message}` });
+            return;
+        }
+        const { route, params, methodNotAllowed } = matched;
+
+        if (!route) {
+            const status = methodNotAllowed ? 405 : 404;
+            const error = methodNotAllowed ? `${req.method} is not allowed on ${url.pathname}` : `No route for ${url.pathname}`;
+            res.status(status).json({ success: false, error });
+            return;
+        }
+
+        req.query = parseQuery(url.searchParams);
+        req.params = params;
+        try {
+            const body = req.method === 'GET' || req.method === 'HEAD' ? '' : await readBody(req);
+            if (body) {
+                // Vercel parses JSON bodies; other bodies are left as text
+                try {
+                    req.body = JSON.parse(body);
+                } catch (error) {
+                    if (/json/i.test(req.headers['content-type'] || '')) {
+                        res.status(400).json({ success: false, error_code: 'INVALID_BODY', error: 'Request body is not valid JSON' });
+                        return;
+                    }
+                    req.body = body;
+                }
+            }
+            await route.handler(req, res);
+        } catch (error) {
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, error_code: 'UNKNOWN', error: error.message });
+            } else {
+                res.end();
+            }
+        }
+    });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const { scrape60fps } = require('./scraper');
+const { toRows } = require('./rows');
+const { validateRows, createRunEnvelope } = require('./schema');
+const { parseListingSpec } = require('./listings');
+const { parseListQuery, applyListQuery, QueryError } = require('./query');
+const { FORMATS, CONTENT_TYPES, negotiateFormat, formatRows } = require('./formats');
+const { toScrapeError, ERROR_CODES } = require('./errors');
+const { silentLogger } = require('./logger');
+
+/**
+ * Long-running scrape service behind `node scrape60fps.js serve`
+ *
+ * Scrapes run as jobs in the background instead of inside the request:
+ *
+ *   POST /jobs       start a scrape ({ listing, details, media, network });
+ *                    202 with the job id
+ *   GET  /jobs/:id   job status, and the run envelope (lib/schema.js) once done
+ *   GET  /shots      the cached dataset of the homepage scrape, with the
+ *                    /api/scrape query parameters and formats
+ *
+ * Requests for a scrape that is already queued or running join that job
+ * instead of starting another one. The last fresh result of every scrape is
+ * cached for `cacheTtl` ms; /shots answers from the cache right away (X-Cache:
+ * HIT), serves an expired result while a refresh runs (STALE), and only waits
+ * for a scrape when there is nothing cached yet (MISS).
+ */
+
+const DEFAULT_SERVICE_OPTIONS = {
+    cacheTtl: 5 * 60 * 1000,
+    concurrency: 1,
+    maxJobs: 100,
+    logger: silentLogger
+};
+
+const JOB_FLAGS = ['details', 'media', 'network'];
+
+class RequestError extends Error {
+    /**
+     * @param {Array<{param: string, message: string}>} details
+     */
+    constructor(details) {
+        super(details.map(detail => `${detail.param}: ${detail.message}`).join('; '));
+        this.name = 'RequestError';
+        this.code = 'INVALID_BODY';
+        this.details = details;
+    }
+}
+
+/**
+ * Validate the body of POST /jobs
+ *
+ * @returns {{listings: Object[], details: boolean, media: boolean, network: boolean}}
+ * @throws {RequestError}
+ */
+function parseJobRequest(body = {}) {
+    const errors = [];
+    const params = { listings: [], details: false, media: false, network: false };
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new RequestError([{ param: 'body', message: 'must be a JSON object' }]);
+    }
+
+    for (const name of Object.keys(body)) {
+        if (name !== 'listing' && !JOB_FLAGS.includes(name)) {
+            errors.push({ param: name, message: 'is not a known parameter' });
+        }
+    }
+
+    for (const spec of [].concat(body.listing || [])) {
+        try {
+            params.listings.push(parseListingSpec(spec));
+        } catch (error) {
+            errors.push({ param: 'listing', message: error.message });
+        }
+    }
+
+    for (const name of JOB_FLAGS) {
+        if (body[name] === undefined) continue;
+        if (typeof body[name] !== 'boolean') {
+            errors.push({ param: name, message: 'must be true or false' });
+        } else {
+            params[name] = body[name];
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new RequestError(errors);
+    }
+    return params;
+}
+
+// Same scrape, same key: used for de-duplication and the cache
+function jobKey(params) {
+    return JSON.stringify({
+        listings: params.listings.map(listing => listing.id),
+        ...Object.fromEntries(JOB_FLAGS.map(name => [name, Boolean(params[name])]))
+    });
+}
+
+/**
+ * Scrape function for the service: scrape60fps() with `scrapeOptions`, rows
+ * validated into a run envelope
+ */
+function createServiceScrape(scrapeOptions = {}) {
+    return async params => {
+        const { shots, meta, report } = await scrape60fps({
+            fallback: 'error',
+            ...scrapeOptions,
+            listings: params.listings,
+            details: params.details,
+            media: params.media,
+            networkExtraction: params.network
+        });
+        const { rows, rejected } = validateRows(toRows(shots));
+        return createRunEnvelope({ meta, rows, rejected, extra: { report } });
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {(params: Object) => Promise<Object>} options.scrape - Resolves to a run envelope
+ * @param {number} [options.cacheTtl] - ms a result is served without a refresh
+ * @param {number} [options.concurrency] - Scrapes running at once; match the browser pool size
+ * @param {number} [options.maxJobs] - Finished jobs kept for GET /jobs/:id
+ */
+function createScrapeService(options) {
+    const opts = { ...DEFAULT_SERVICE_OPTIONS, ...options };
+    const { logger } = opts;
+    const jobs = new Map();
+    const active = new Map();
+    const cache = new Map();
+    const queue = [];
+    let running = 0;
+
+    function forgetOldJobs() {
+        const finished = [...jobs.values()].filter(job => job.status === 'done' || job.status === 'failed');
+        for (const job of finished.slice(0, Math.max(0, finished.length - opts.maxJobs))) {
+            jobs.delete(job.id);
+        }
+    }
+
+    async function run(job) {
+        running++;
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+        logger.info('job started', { job: job.id, key: job.key });
+
+        try {
+            job.result = await opts.scrape(job.params);
+            job.status = 'done';
+            if (job.result.meta.status === 'ok' || job.result.meta.status === 'partial') {
+                cache.set(job.key, { envelope: job.result, fetchedAt: Date.now() });
+            }
+        } catch (error) {
+            const scrapeError = toScrapeError(error);
+            job.status = 'failed';
+            job.error = { error_code: scrapeError.code, error: scrapeError.message };
+            logger.warn('job failed', { job: job.id, error_code: scrapeError.code, error: scrapeError.message });
+        } finally {
+            job.finished_at = new Date().toISOString();
+            active.delete(job.key);
+            running--;
+            forgetOldJobs();
+            job.resolve();
+            if (queue.length > 0) run(queue.shift());
+        }
+    }
+
+    const service = {
+        /**
+         * Start a scrape, or join the one already queued or running for the same params
+         *
+         * @returns {{job: Object, deduplicated: boolean}}
+         */
+        submit(params) {
+            const key = jobKey(params);
+            const current = active.get(key);
+            if (current) {
+                current.requests++;
+                return { job: current, deduplicated: true };
+            }
+
+            let resolve;
+            const job = {
+                id: crypto.randomUUID(),
+                key,
+                params,
+                status: 'queued',
+                requests: 1,
+                created_at: new Date().toISOString(),
+                started_at: null,
+                finished_at: null,
+                result: null,
+                error: null,
+                done: new Promise(done => { resolve = done; }),
+                resolve
+            };
+            jobs.set(job.id, job);
+            active.set(key, job);
+
+            if (running < opts.concurrency) {
+                run(job);
+            } else {
+                queue.push(job);
+            }
+            return { job, deduplicated: false };
+        },
+
+        getJob: id => jobs.get(id) || null,
+
+        /**
+         * Cached envelope for params, or null; `fresh` is false once cacheTtl passed
+         */
+        getCached(params) {
+            const entry = cache.get(jobKey(params));
+            if (!entry) return null;
+            const ageMs = Date.now() - entry.fetchedAt;
+            return { envelope: entry.envelope, fetchedAt: entry.fetchedAt, ageMs, fresh: ageMs < opts.cacheTtl };
+        },
+
+        /**
+         * Dataset for params: cached when possible, refreshed in the background when expired
+         *
+         * @returns {Promise<{envelope: Object, cache: 'HIT'|'STALE'|'MISS', ageMs: number}>}
+         * @throws {Error} The scrape error when nothing is cached and the scrape failed
+         */
+        async shots(params) {
+            const cached = service.getCached(params);
+            if (cached && cached.fresh) {
+                return { envelope: cached.envelope, cache: 'HIT', ageMs: cached.ageMs };
+            }
+            if (cached) {
+                service.submit(params);
+                return { envelope: cached.envelope, cache: 'STALE', ageMs: cached.ageMs };
+            }
+
+            const { job } = service.submit(params);
+            await job.done;
+            if (job.status === 'failed') {
+                const error = new Error(job.error.error);
+                error.code = job.error.error_code;
+                throw error;
+            }
+            return { envelope: job.result, cache: 'MISS', ageMs: 0 };
+        },
+
+        // Resolves once every queued and running job finished
+        async idle() {
+            await Promise.all([...active.values()].map(job => job.done));
+        }
+    };
+
+    return service;
+}
+
+/**
+ * Public view of a job for GET /jobs/:id
+ */
+function jobView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        params: {
+            listing: job.params.listings.map(listing => listing.id),
+            ...Object.fromEntries(JOB_FLAGS.map(name => [name, job.params[name]]))
+        },
+        requests: job.requests,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        result: job.result,
+        error: job.error
+    };
+}
+
+function errorResponse(res, status, errorCode, error, details) {
+    return res.status(status).json({
+        success: false,
+        error_code: errorCode,
+        error,
+        ...(details && { details }),
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Route handlers for lib/serve.js createApiServer()
+ */
+function createServiceRoutes(service) {
+    return {
+        'POST /jobs': (req, res) => {
+            let params;
+            try {
+                params = parseJobRequest(req.body || {});
+            } catch (error) {
+                if (!(error instanceof RequestError)) throw error;
+                return errorResponse(res, 400, error.code, error.message, error.details);
+            }
+
+            const { job, deduplicated } = service.submit(params);
+            res.setHeader('Location', `/jobs/${job.id}`);
+            return res.status(202).json({ id: job.id, status: job.status, deduplicated, url: `/jobs/${job.id}` });
+        },
+
+        'GET /jobs/:id': (req, res) => {
+            const job = service.getJob(req.params.id);
+            if (!job) {
+                return errorResponse(res, 404, 'JOB_NOT_FOUND', `No job ${req.params.id}`);
+            }
+            return res.status(200).json(jobView(job));
+        },
+
+        'GET /shots': async (req, res) => {
+            let params;
+            try {
+                params = parseListQuery(req.query);
+            } catch (error) {
+                if (!(error instanceof QueryError)) throw error;
+                return errorResponse(res, 400, error.code, error.message, error.details);
+            }
+
+            const format = req.query.format || negotiateFormat(req.headers && req.headers.accept) || 'json';
+            if (!FORMATS.includes(format)) {
+                return errorResponse(res, 400, 'INVALID_QUERY', `format: must be one of ${FORMATS.join(', ')}`);
+            }
+
+            let dataset;
+            try {
+                dataset = await service.shots({ listings: params.listings, details: false, media: false, network: false });
+            } catch (error) {
+                // An open circuit breaker is a deliberate pause, not an upstream failure
+                const status = error.code === ERROR_CODES.CIRCUIT_OPEN ? 503 : 502;
+                return errorResponse(res, status, error.code || 'UNKNOWN', error.message);
+            }
+
+            const { envelope } = dataset;
+            const isFeed = format === 'rss' || format === 'atom';
+            const { rows, total, nextCursor } = applyListQuery(envelope.rows, isFeed ? { ...params, fields: null } : params);
+
+            res.setHeader('X-Cache', dataset.cache);
+            res.setHeader('Age', String(Math.floor(dataset.ageMs / 1000)));
+            res.setHeader('X-Scrape-Status', envelope.meta.status);
+            res.setHeader('X-Schema-Version', envelope.schema_version);
+            res.setHeader('X-Rejected-Count', String(envelope.rejected.length));
+            res.setHeader('X-Total-Count', String(total));
+            if (nextCursor) {
+                res.setHeader('X-Next-Cursor', nextCursor);
+            }
+            res.setHeader('Vary', 'Accept');
+
+            if (format === 'json') {
+                return res.status(200).json(rows);
+            }
+            res.setHeader('Content-Type', CONTENT_TYPES[format]);
+            return res.status(200).send(formatRows(rows, format));
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_SERVICE_OPTIONS,
+    RequestError,
+    parseJobRequest,
+    createServiceScrape,
+    createScrapeService,
+    createServiceRoutes
+};
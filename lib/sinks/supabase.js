@@ -0,0 +1,179 @@
+const { shotId } = require('../normalize');
+
+/**
+ * Supabase / PostgREST upsert sink
+ *
+ * Upserts rows (lib/rows.js) into a table through the PostgREST API that
+ * Supabase exposes under /rest/v1, keyed on the row's canonical `id`
+ * (lib/normalize.js): the slug of its /shots/ link, or the Gumlet video ID
+ * when the slug was made up. The id is written to the ID column, so tables
+ * with their own numeric `id` keep it. Each batch is first read back by ID so
+ * the result can report inserted / updated / unchanged counts, and so an
+ * existing first_seen_at is never overwritten by a later run.
+ *
+ * The table needs a unique constraint on the ID column, e.g.
+ *   alter table shots add constraint shots_shot_id_key unique (shot_id);
+ */
+
+const DEFAULT_SINK_OPTIONS = {
+    table: 'shots',
+    idColumn: 'shot_id',
+    batchSize: 100,
+    fetch: (...args) => fetch(...args)
+};
+
+// Columns that change on every run and do not make a row "updated"
+const VOLATILE_COLUMNS = ['first_seen_at', 'last_seen_at'];
+
+class SinkError extends Error {
+    constructor(message, { status = null, body = null } = {}) {
+        super(message);
+        this.name = 'SinkError';
+        this.code = 'SINK_FAILED';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Stable ID of a row: its canonical id
+ */
+function rowId(row) {
+    return shotId(row);
+}
+
+function sameContent(existing, row) {
+    return Object.keys(row)
+        .filter(column => !VOLATILE_COLUMNS.includes(column))
+        .every(column => JSON.stringify(existing[column] ?? null) === JSON.stringify(row[column] ?? null));
+}
+
+// PostgREST in.() list with every value quoted, so commas in IDs are safe
+function inFilter(values) {
+    return `in.(${values.map(value => `"${String(value).replace(/["\\]/g, '\\$&')}"`).join(',')})`;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Create an upsert sink
+ *
+ * @param {Object} options
+ * @param {string} options.url - Project URL, e.g. https://xyz.supabase.co (or a PostgREST root with restPath: '')
+ * @param {string} options.key - Service role or anon key allowed to write the table
+ * @param {string} [options.table] - Target table (default "shots")
+ * @param {string} [options.idColumn] - Unique column holding the stable shot ID
+ * @param {number} [options.batchSize] - Rows per request
+ * @param {string} [options.restPath] - API prefix, "/rest/v1" for Supabase
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {{ upsert: (rows: Array) => Promise<{inserted: number, updated: number, unchanged: number}> }}
+ */
+function createSupabaseSink(overrides) {
+    const options = { ...DEFAULT_SINK_OPTIONS, restPath: '/rest/v1', ...overrides };
+
+    if (!options.url || !options.key) {
+        throw new SinkError('Supabase sink needs a url and a key');
+    }
+
+    const endpoint = `${options.url.replace(/\/+$/, '')}${options.restPath}/${encodeURIComponent(options.table)}`;
+    const headers = {
+        apikey: options.key,
+        Authorization: `Bearer ${options.key}`,
+        'Content-Type': 'application/json'
+    };
+
+    async function request(url, init) {
+        const response = await options.fetch(url, { ...init, headers: { ...headers, ...init.headers } });
+        if (!response.ok) {
+            const body = await response.text();
+            throw new SinkError(`Supabase ${init.method} ${options.table} failed with ${response.status}: ${body}`, {
+                status: response.status,
+                body
+            });
+        }
+        return response;
+    }
+
+    async function fetchExisting(ids) {
+        const query = `select=*&${options.idColumn}=${encodeURIComponent(inFilter(ids))}`;
+        const response = await request(`${endpoint}?${query}`, { method: 'GET', headers: {} });
+        const existing = new Map();
+        for (const row of await response.json()) {
+            existing.set(String(row[options.idColumn]), row);
+        }
+        return existing;
+    }
+
+    async function upsertBatch(rows) {
+        const counts = { inserted: 0, updated: 0, unchanged: 0 };
+
+        // The same shot twice in one request would make PostgREST fail the batch
+        const byId = new Map(rows.map(row => [rowId(row), row]));
+        const existing = await fetchExisting([...byId.keys()]);
+
+        const payload = [...byId].map(([id, row]) => {
+            // The id goes into the ID column instead
+            const columns = { ...row };
+            delete columns.id;
+
+            const current = existing.get(id);
+            if (!current) {
+                counts.inserted++;
+            } else if (sameContent(current, columns)) {
+                counts.unchanged++;
+            } else {
+                counts.updated++;
+            }
+
+            return {
+                ...columns,
+                [options.idColumn]: id,
+                ...(current && current.first_seen_at && { first_seen_at: current.first_seen_at })
+            };
+        });
+
+        // Unchanged rows are written too, to refresh last_seen_at
+        await request(`${endpoint}?on_conflict=${encodeURIComponent(options.idColumn)}`, {
+            method: 'POST',
+            headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+            body: JSON.stringify(payload)
+        });
+
+        return counts;
+    }
+
+    return {
+        async upsert(rows) {
+            const totals = { inserted: 0, updated: 0, unchanged: 0 };
+            for (const batch of chunk(rows, options.batchSize)) {
+                const counts = await upsertBatch(batch);
+                totals.inserted += counts.inserted;
+                totals.updated += counts.updated;
+                totals.unchanged += counts.unchanged;
+            }
+            return totals;
+        }
+    };
+}
+
+/**
+ * Sink configured from SUPABASE_URL / SUPABASE_KEY / SUPABASE_TABLE, or null
+ */
+function createSupabaseSinkFromEnv(env = process.env) {
+    if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+        return null;
+    }
+    return createSupabaseSink({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_KEY,
+        ...(env.SUPABASE_TABLE && { table: env.SUPABASE_TABLE })
+    });
+}
+
+module.exports = { createSupabaseSink, createSupabaseSinkFromEnv, rowId, SinkError };
@@ -0,0 +1,199 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { shotId } = require('./normalize');
+
+/**
+ * Timestamped run snapshots and the changelog between two of them
+ *
+ * Every fresh run can be saved as <dir>/snapshot-<taken_at>.json:
+ *
+ *   { version: 1, taken_at, meta: { status, selector, extractor }, rows }
+ *
+ * Two snapshots (or any rows files) are compared by stable shot ID: the
+ * row's canonical `id` (shotId() in lib/normalize.js), which survives the
+ * rotating ?video= query. Shots are reported as added, removed or changed (title changed,
+ * preview URL rotated), as JSON or as a Markdown changelog.
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+const DEFAULT_SNAPSHOT_DIR = '.60fps-snapshots';
+
+// Shorthands for the newest and the one before it
+const SNAPSHOT_REFS = ['latest', 'previous'];
+
+const CHANGELOG_FORMATS = ['json', 'markdown'];
+
+// Fields compared between two sightings of the same shot
+const TRACKED_FIELDS = ['title', 'preview_url'];
+
+const SNAPSHOT_FILE = /^snapshot-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+function snapshotFileName(takenAt) {
+    return `snapshot-${takenAt.replace(/[:.]/g, '-')}.json`;
+}
+
+/**
+ * Time a snapshot was taken, from its file name, or null for other files
+ */
+function snapshotTime(filePath) {
+    const match = path.basename(filePath).match(SNAPSHOT_FILE);
+    if (!match) return null;
+    const [date, time] = match[1].split('T');
+    const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+    return `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+}
+
+/**
+ * Save the rows of a run as a new timestamped snapshot
+ *
+ * @returns {Promise<{path: string, taken_at: string}>}
+ */
+async function saveSnapshot(dir, rows, meta = {}) {
+    const takenAt = new Date().toISOString();
+    const filePath = path.join(dir, snapshotFileName(takenAt));
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        taken_at: takenAt,
+        meta: { status: meta.status || null, selector: meta.selector || null, extractor: meta.extractor || null },
+        rows
+    };
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify(snapshot)}\n`);
+    return { path: filePath, taken_at: takenAt };
+}
+
+/**
+ * Snapshot files in `dir`, oldest first
+ */
+async function listSnapshots(dir) {
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return names.filter(name => SNAPSHOT_FILE.test(name)).sort().map(name => path.join(dir, name));
+}
+
+/**
+ * Path of a snapshot reference: "latest", "previous" or a file path
+ *
+ * @returns {Promise<?string>} null when `dir` has too few snapshots
+ */
+async function resolveSnapshot(ref, dir) {
+    if (!SNAPSHOT_REFS.includes(ref)) return ref;
+    const files = await listSnapshots(dir);
+    return files[files.length - (ref === 'latest' ? 1 : 2)] || null;
+}
+
+/**
+ * Shots added, removed and changed between two runs, matched by shotId()
+ */
+function diffRows(oldRows, newRows) {
+    const oldById = new Map(oldRows.map(row => [shotId(row), row]));
+    const newById = new Map(newRows.map(row => [shotId(row), row]));
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [id, row] of newById) {
+        const previous = oldById.get(id);
+        if (!previous) continue;
+
+        const changes = {};
+        for (const field of TRACKED_FIELDS) {
+            if ((previous[field] || null) !== (row[field] || null)) {
+                changes[field] = { from: previous[field] || null, to: row[field] || null };
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            changed.push({ id, title: row.title, url: row.url, changes });
+        } else {
+            unchanged++;
+        }
+    }
+
+    return {
+        added: newRows.filter(row => !oldById.has(shotId(row))),
+        removed: oldRows.filter(row => !newById.has(shotId(row))),
+        changed,
+        unchanged
+    };
+}
+
+/**
+ * Changelog object between two labelled runs (snapshot times or file names)
+ */
+function toChangelog(diff, { from = null, to = null } = {}) {
+    return {
+        from,
+        to,
+        summary: {
+            added: diff.added.length,
+            removed: diff.removed.length,
+            changed: diff.changed.length,
+            unchanged: diff.unchanged
+        },
+        added: diff.added,
+        removed: diff.removed,
+        changed: diff.changed
+    };
+}
+
+function markdownLink(row) {
+    const title = (row.title || shotId(row)).replace(/([[\]])/g, '\\$1');
+    return `[${title}](${row.url})`;
+}
+
+function describeChanges(changes) {
+    return Object.entries(changes).map(([field, { from, to }]) => (
+        field === 'preview_url' ? 'preview URL rotated' : `${field} "${from}" → "${to}"`
+    )).join('; ');
+}
+
+function toMarkdown(changelog) {
+    const { summary } = changelog;
+    const lines = ['# 60fps.design changelog', ''];
+
+    if (changelog.from || changelog.to) {
+        lines.push(`${changelog.from || '?'} → ${changelog.to || '?'}`, '');
+    }
+    lines.push(`**${summary.added} added, ${summary.removed} removed, ${summary.changed} changed**`);
+
+    const section = (heading, entries, describe) => {
+        if (entries.length === 0) return;
+        lines.push('', `## ${heading} (${entries.length})`, '', ...entries.map(describe));
+    };
+    section('Added', changelog.added, row => `- ${markdownLink(row)}`);
+    section('Removed', changelog.removed, row => `- ${markdownLink(row)}`);
+    section('Changed', changelog.changed, entry => `- ${markdownLink(entry)}: ${describeChanges(entry.changes)}`);
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialize a changelog as json or markdown
+ */
+function formatChangelog(changelog, format = 'json') {
+    if (!CHANGELOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown changelog format "${format}". Expected one of: ${CHANGELOG_FORMATS.join(', ')}`);
+    }
+    return format === 'markdown' ? toMarkdown(changelog) : `${JSON.stringify(changelog, null, 2)}\n`;
+}
+
+module.exports = {
+    DEFAULT_SNAPSHOT_DIR,
+    SNAPSHOT_REFS,
+    CHANGELOG_FORMATS,
+    shotId,
+    snapshotTime,
+    saveSnapshot,
+    listSnapshots,
+    resolveSnapshot,
+    diffRows,
+    toChangelog,
+    formatChangelog
+};
@@ -0,0 +1,159 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeShot, identityKeys } = require('./normalize');
+
+/**
+ * Seen-shots state for incremental scraping
+ *
+ * Remembers every shot under its canonical id (lib/normalize.js), the same id
+ * rows, snapshots and the Supabase sink use, with the first and last time it
+ * was seen. A store is any object with:
+ *
+ * - load(): Promise<State>
+ * - save(state: State): Promise<void>
+ *
+ * createJsonFileStore() covers local runs and n8n; serverless deployments can
+ * pass their own adapter (KV, Supabase table, ...) with the same two methods.
+ *
+ * State shape:
+ * {
+ *   version: 2,
+ *   last_run_at: ISO string | null,
+ *   shots: { [id]: { id, video_id, slug, first_seen_at, last_seen_at } }
+ * }
+ *
+ * Version 1 files keyed entries by Gumlet video ID; such an entry is still
+ * found by its slug or video ID and moves to the shot's id when it is seen.
+ */
+
+const STATE_VERSION = 2;
+
+// Used by the n8n wrapper and the CLI when --since-last-run has no --state
+const DEFAULT_STATE_FILE = '.60fps-state.json';
+
+function emptyState() {
+    return { version: STATE_VERSION, last_run_at: null, shots: {} };
+}
+
+/**
+ * Index the entries by identityKeys(), so a shot is found by id or video ID
+ */
+function buildIndex(state) {
+    const index = new Map();
+
+    for (const [key, entry] of Object.entries(state.shots)) {
+        // Version 1 entries have no id; their slug, when there was one, is it
+        for (const identity of identityKeys({ id: entry.id || entry.slug || key, video_id: entry.video_id })) {
+            index.set(identity, key);
+        }
+    }
+
+    return index;
+}
+
+function findKey(index, shot) {
+    return identityKeys(shot).map(identity => index.get(identity)).find(Boolean) || null;
+}
+
+/**
+ * Predicate telling whether a shot was seen before
+ *
+ * Takes a normalized shot, or the { videoId, slug } pairs collectShotKeys()
+ * reads off the page, whose id is the linked slug or else the video ID.
+ */
+function createKnownCheck(state) {
+    const index = buildIndex(state);
+    return shot => findKey(index, shot.id ? shot : { id: shot.slug || shot.videoId, video_id: shot.videoId }) !== null;
+}
+
+/**
+ * Stamp shots with first/last seen times and record them in the state
+ *
+ * Returns the annotated shots (with firstSeenAt, lastSeenAt and isNew) and the
+ * updated state; the input state is not mutated.
+ */
+function recordShots(state, shots, seenAt = new Date().toISOString()) {
+    const next = { ...state, version: STATE_VERSION, shots: { ...state.shots }, last_run_at: seenAt };
+    const index = buildIndex(next);
+
+    const annotated = shots.map(shot => {
+        const identity = normalizeShot(shot);
+        const existingKey = findKey(index, identity);
+        const existing = existingKey ? next.shots[existingKey] : null;
+
+        const entry = {
+            id: identity.id,
+            video_id: identity.video_id || (existing && existing.video_id) || null,
+            slug: identity.slug || (existing && existing.slug) || null,
+            first_seen_at: existing ? existing.first_seen_at : seenAt,
+            last_seen_at: seenAt
+        };
+
+        if (existingKey && existingKey !== entry.id) {
+            delete next.shots[existingKey];
+        }
+        next.shots[entry.id] = entry;
+        identityKeys(entry).forEach(key => index.set(key, entry.id));
+
+        return {
+            ...shot,
+            firstSeenAt: entry.first_seen_at,
+            lastSeenAt: entry.last_seen_at,
+            isNew: !existing
+        };
+    });
+
+    return { shots: annotated, state: next };
+}
+
+/**
+ * State store backed by a JSON file
+ */
+function createJsonFileStore(filePath) {
+    return {
+        async load() {
+            try {
+                const state = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                return { ...emptyState(), ...state };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return emptyState();
+                }
+                throw error;
+            }
+        },
+
+        async save(state) {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            // Write then rename so a crash never leaves half a state file
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+            await fs.rename(tmpPath, filePath);
+        }
+    };
+}
+
+/**
+ * State store kept in memory, for tests and single-process servers
+ */
+function createMemoryStore(initial = emptyState()) {
+    let current = initial;
+    return {
+        async load() {
+            return current;
+        },
+
+        async save(state) {
+            current = state;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STATE_FILE,
+    emptyState,
+    createKnownCheck,
+    recordShots,
+    createJsonFileStore,
+    createMemoryStore
+};
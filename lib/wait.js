@@ -0,0 +1,124 @@
+/**
+ * Condition-based waits and the overall time budget
+ *
+ * The Framer SPA renders at an unpredictable pace, so instead of fixed sleeps
+ * every wait resolves as soon as its condition holds, with the configured
+ * duration only as an upper bound:
+ *
+ * - waitForContent: the first <video> or shot link is in the DOM
+ * - waitForGrowth:  after a "Load more" click, more items matched the content
+ *                   selector, or the page's network went idle without them
+ *
+ * A deadline created from the timeBudget option caps every wait so a run can
+ * stop loading and return what it has before the platform kills it.
+ */
+
+// Selector that signals the grid has started rendering
+const CONTENT_READY_SELECTOR = 'video, a[href*="/shots/"]';
+
+// Requests that count towards network activity; previews stream forever
+const TRACKED_RESOURCE_TYPES = ['document', 'xhr', 'fetch', 'script'];
+
+// Quiet period after which a click is considered to have fetched nothing
+const IDLE_TIME = 1000;
+const POLL_INTERVAL = 50;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {?number} budget - Milliseconds from now, or null for no deadline
+ */
+function createDeadline(budget) {
+    const endsAt = budget ? Date.now() + budget : null;
+
+    return {
+        remaining: () => (endsAt === null ? Infinity : Math.max(0, endsAt - Date.now())),
+
+        // Whether less than `reserve` ms are left
+        expired(reserve = 0) {
+            return this.remaining() <= reserve;
+        },
+
+        // Shorten a timeout so it ends by the deadline, minus `reserve`
+        cap(ms, reserve = 0) {
+            return Math.max(0, Math.min(ms, this.remaining() - reserve));
+        }
+    };
+}
+
+/**
+ * Count in-flight document/xhr/fetch/script requests of a page
+ */
+function createNetworkTracker(page) {
+    const inFlight = new Set();
+    let lastActivity = Date.now();
+
+    const track = request => {
+        if (!TRACKED_RESOURCE_TYPES.includes(request.resourceType())) return;
+        inFlight.add(request);
+        lastActivity = Date.now();
+    };
+    const untrack = request => {
+        if (inFlight.delete(request)) {
+            lastActivity = Date.now();
+        }
+    };
+
+    page.on('request', track);
+    page.on('requestfinished', untrack);
+    page.on('requestfailed', untrack);
+
+    return {
+        inFlight: () => inFlight.size,
+
+        // Milliseconds without tracked requests, counting from `since` at most
+        idleFor: (since = 0) => (inFlight.size > 0 ? 0 : Date.now() - Math.max(lastActivity, since))
+    };
+}
+
+/**
+ * Wait until the grid starts rendering
+ *
+ * @returns {Promise<boolean>} false when the timeout passed first
+ */
+async function waitForContent(page, timeout) {
+    try {
+        await page.waitForSelector(CONTENT_READY_SELECTOR, { state: 'attached', timeout: Math.max(1, timeout) });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wait until more than `previousCount` elements match `selector`
+ *
+ * Gives up early once the network has been idle for IDLE_TIME ms since the
+ * wait started, which means the click did not fetch anything new.
+ *
+ * @returns {Promise<{reason: 'growth'|'idle'|'timeout', waited: number}>}
+ */
+async function waitForGrowth(page, selector, previousCount, { timeout, network }) {
+    const start = Date.now();
+    const done = reason => ({ reason, waited: Date.now() - start });
+
+    while (Date.now() - start < timeout) {
+        if (await page.locator(selector).count() > previousCount) {
+            return done('growth');
+        }
+        if (network && network.idleFor(start) >= IDLE_TIME) {
+            return done('idle');
+        }
+        await sleep(POLL_INTERVAL);
+    }
+
+    return done('timeout');
+}
+
+module.exports = {
+    CONTENT_READY_SELECTOR,
+    createDeadline,
+    createNetworkTracker,
+    waitForContent,
+    waitForGrowth
+};
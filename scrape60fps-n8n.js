@@ -1,75 +1,303 @@
 'use strict';
 
 // Wrapper script for n8n Execute Command node.
-// Runs the 60fps.design scraper and prints clean JSON to stdout.
-// Stdout contains ONLY JSON on success. Any errors go to stderr and exit code is non-zero.
+// Runs the 60fps.design scraper and prints clean JSON (or another --format) to stdout.
+// Stdout contains ONLY the data on success. Any errors go to stderr and exit code is non-zero.
+//
+// Options (flag or env var):
+//   --limit N / LIMIT=N              Cap the number of rows
+//   --format F / FORMAT=F            json (default) | ndjson | csv | rss | atom; ndjson is
+//                                    written row by row as shots are extracted
+//   --fallback MODE / FALLBACK=MODE  error (default) | mock | last-good-snapshot
+//   --base-url URL / BASE_URL=URL    Site to scrape (default https://60fps.design)
+//   --app NAME, --category NAME, --listing TARGET / LISTINGS=app:cred,category:onboarding,/path
+//                                    Scrape these listings instead of the homepage (repeatable);
+//                                    rows get a listings column
+//   --pagination MODE / PAGINATION=MODE
+//                                    auto (default) | button | scroll (infinite scroll)
+//   --time-budget MS / TIME_BUDGET=MS
+//                                    Stop loading in time to finish within MS; meta.status is
+//                                    then "partial" with error_code TIME_BUDGET_EXCEEDED
+//   --retries SPEC / RETRIES=SPEC    Retries of transient failures (network errors, timeouts, the
+//                                    site's error page): N for every phase, or navigate=N,wait=N,
+//                                    load=N,extract=N; with exponential backoff and jitter
+//   --circuit-threshold N / CIRCUIT_THRESHOLD=N
+//                                    Runs failing transiently in a row after which runs fail with
+//                                    CIRCUIT_OPEN without touching the site (default 5, 0 = off)
+//   --circuit-cooldown MS / CIRCUIT_COOLDOWN=MS
+//                                    How long the circuit stays open (default 300000); its state
+//                                    is kept in the temp directory, per base URL, and in
+//                                    meta.report.circuit
+//   --profile NAME / PROFILE=NAME    Browser-context profile: user agent(s), proxy, viewport, locale,
+//                                    time zone, headers, storage state (default "default")
+//   --profiles FILE / PROFILES_FILE=FILE
+//                                    JSON file of named profiles, or PROFILES='{"name": {...}}';
+//                                    values may reference env vars as ${NAME} (see lib/profiles.js)
+//   --block-resources / BLOCK_RESOURCES=1
+//                                    Lightweight page mode: videos, images, fonts and trackers are
+//                                    not loaded; meta.report.resources estimates what it saved
+//   --network / NETWORK=1            Read shots from the site's JSON responses (DOM fallback)
+//   --media / MEDIA=1                Add a media column: poster, HLS / DASH manifests, renditions
+//   --details / DETAILS=1            Also crawl every shot page for app, platform, tags, ...
+//   --state FILE / STATE_FILE=FILE   Seen-shots state file for first_seen_at/last_seen_at
+//   --since-last-run / SINCE_LAST_RUN=1
+//                                    Stop at already-known shots and print only new ones
+//                                    (uses .60fps-state.json when no state file is given)
+//   --archive DIR / ARCHIVE_DIR=DIR  Download every preview into a content-addressed archive and
+//                                    add preview_sha256/_size/_content_type/_archive_path;
+//                                    ndjson is then written after the downloads
+//   --drift-webhook URL / DRIFT_WEBHOOK=URL
+//                                    POST a structure drift signal (health checks, DOM snapshot,
+//                                    screenshot) when the run looks like the site changed;
+//                                    meta.drift is then true
+//   --webhook TARGET / WEBHOOKS=slack:https://...,https://...
+//                                    POST shots not seen in earlier runs to each target (a URL, or
+//                                    slack:URL / discord:URL / json:URL; repeatable), signed with
+//                                    WEBHOOK_SECRET; uses the state file (.60fps-state.json by
+//                                    default), the first run only records a baseline
+//   --dead-letter FILE / DEAD_LETTER_FILE=FILE
+//                                    Webhook messages that failed after retries, as JSON lines
+//                                    (default .60fps-dead-letters.ndjson)
+//   --snapshots DIR / SNAPSHOT_DIR=DIR
+//                                    Save every fresh, complete run as a timestamped snapshot
+//                                    for `node scrape60fps.js diff` / /api/diff
+//   --upsert / UPSERT=1              Upsert the rows into Supabase (SUPABASE_URL, SUPABASE_KEY,
+//                                    SUPABASE_TABLE); fallback data is never written
+//   --with-meta / WITH_META=1        Print the run envelope { schema_version, meta, rows, rejected }
+//                                    instead of a bare array so the flow can branch on meta.status
+//                                    (ok|partial|mock|stale); meta.report holds the run report;
+//                                    json format only
+//   --log-level L / LOG_LEVEL=L      debug | info | warn (default) | error; logs are JSON lines
+//                                    on stderr, stdout only ever holds the data
+//
+// Rows failing the output schema (`node scrape60fps.js schema row`) are never printed; they are
+// logged as a warning, and listed with their reasons in `rejected` with --with-meta.
 
+const { parseArgs } = require('util');
 const { scrape60fps } = require('./scrape60fps');
+const { TARGET_URL } = require('./lib/scraper');
+const { toRows } = require('./lib/rows');
+const { validateRows, createRunEnvelope } = require('./lib/schema');
+const { createJsonFileStore, DEFAULT_STATE_FILE } = require('./lib/state');
+const { parseWebhookTarget, DEFAULT_DEAD_LETTER_FILE } = require('./lib/notify');
+const { parseRetrySpec, createCircuitBreaker, circuitFile } = require('./lib/retry');
+const { loadProfiles, resolveProfile, DEFAULT_PROFILE_NAME } = require('./lib/profiles');
+const { parseListing, parseListingSpec } = require('./lib/listings');
+const { createSupabaseSinkFromEnv } = require('./lib/sinks/supabase');
+const { assertFormat, formatRows, toNdjsonLine } = require('./lib/formats');
+const { archivePreviews } = require('./lib/archive');
+const { saveSnapshot } = require('./lib/snapshots');
+const { CliError } = require('./lib/cli');
+const { createLogger } = require('./lib/logger');
 
-function extractTitleFromUrl(url) {
-	if (!url) return 'Untitled Shot';
-	const parts = url.split('/shots/');
-	if (parts.length < 2) return 'Untitled Shot';
-	return parts[1]
-		.replace(/\?.*$/, '')
-		.split('-')
-		.map(word => word.charAt(0).toUpperCase() + word.slice(1))
-		.join(' ');
+// Unknown flags are rejected so typos in the n8n command fail loudly
+function parseFlags() {
+	try {
+		return parseArgs({
+			options: {
+				limit: { type: 'string' },
+				format: { type: 'string' },
+				fallback: { type: 'string' },
+				'base-url': { type: 'string' },
+				app: { type: 'string', multiple: true },
+				category: { type: 'string', multiple: true },
+				listing: { type: 'string', multiple: true },
+				pagination: { type: 'string' },
+				'time-budget': { type: 'string' },
+				retries: { type: 'string' },
+				'circuit-threshold': { type: 'string' },
+				'circuit-cooldown': { type: 'string' },
+				'block-resources': { type: 'boolean' },
+				profile: { type: 'string' },
+				profiles: { type: 'string' },
+				network: { type: 'boolean' },
+				media: { type: 'boolean' },
+				details: { type: 'boolean' },
+				state: { type: 'string' },
+				'since-last-run': { type: 'boolean' },
+				archive: { type: 'string' },
+				upsert: { type: 'boolean' },
+				'drift-webhook': { type: 'string' },
+				webhook: { type: 'string', multiple: true },
+				'dead-letter': { type: 'string' },
+				snapshots: { type: 'string' },
+				'with-meta': { type: 'boolean' },
+				'log-level': { type: 'string' }
+			}
+		}).values;
+	} catch (error) {
+		throw new CliError(error.message);
+	}
 }
 
-function parseLimitArg() {
-	const argIdx = process.argv.findIndex(a => a === '--limit');
-	if (argIdx !== -1 && process.argv[argIdx + 1]) {
-		const n = Number(process.argv[argIdx + 1]);
+function parsePositiveArg(...values) {
+	for (const value of values) {
+		const n = Number(value);
 		if (Number.isFinite(n) && n > 0) return Math.floor(n);
 	}
-	const envLimit = Number(process.env.LIMIT);
-	if (Number.isFinite(envLimit) && envLimit > 0) return Math.floor(envLimit);
 	return null;
 }
 
-async function withSilencedLogs(fn) {
-	const originalLog = console.log;
-	const originalInfo = console.info;
-	const originalWarn = console.warn;
-	const originalError = console.error;
+// Flags win over LISTINGS, like for every other option
+function parseListings(flags) {
+	try {
+		const listings = [
+			...(flags.app || []).map(name => parseListing('app', name)),
+			...(flags.category || []).map(name => parseListing('category', name)),
+			...(flags.listing || []).map(parseListingSpec)
+		];
+		if (listings.length > 0 || !process.env.LISTINGS) return listings;
+		return process.env.LISTINGS.split(',').filter(spec => spec.trim()).map(parseListingSpec);
+	} catch (error) {
+		throw new CliError(error.message);
+	}
+}
+
+function parseWebhooks(flags) {
+	try {
+		const specs = flags.webhook || (process.env.WEBHOOKS || '').split(/[\s,]+/).filter(Boolean);
+		return specs.map(parseWebhookTarget);
+	} catch (error) {
+		throw new CliError(error.message);
+	}
+}
+
+function parseRetries(flags) {
+	try {
+		const spec = flags.retries || process.env.RETRIES;
+		return spec ? parseRetrySpec(spec) : {};
+	} catch (error) {
+		throw new CliError(error.message);
+	}
+}
+
+// Every run is a new process, so the circuit state lives in a file per site; a threshold of 0 turns it off
+function parseCircuitBreaker(flags, baseUrl, logger) {
+	const threshold = flags['circuit-threshold'] || process.env.CIRCUIT_THRESHOLD;
+	if (threshold === '0') return null;
+	return createCircuitBreaker({
+		threshold: parsePositiveArg(threshold) || undefined,
+		cooldown: parsePositiveArg(flags['circuit-cooldown'], process.env.CIRCUIT_COOLDOWN) || undefined,
+		file: circuitFile(baseUrl || TARGET_URL),
+		logger
+	});
+}
+
+function parseProfile(flags) {
 	try {
-		console.log = () => {};
-		console.info = () => {};
-		console.warn = () => {};
-		console.error = () => {};
-		return await fn();
-	} finally {
-		console.log = originalLog;
-		console.info = originalInfo;
-		console.warn = originalWarn;
-		console.error = originalError;
+		const profiles = loadProfiles({
+			file: flags.profiles || process.env.PROFILES_FILE || null,
+			json: process.env.PROFILES || null
+		});
+		return resolveProfile(profiles, flags.profile || process.env.PROFILE || DEFAULT_PROFILE_NAME);
+	} catch (error) {
+		throw new CliError(error.message);
 	}
 }
 
+// Webhooks need the state to tell new shots apart, like --since-last-run
+function parseStateStore(flags, needsState) {
+	const stateFile = flags.state || process.env.STATE_FILE || (needsState ? DEFAULT_STATE_FILE : null);
+	return stateFile ? createJsonFileStore(stateFile) : null;
+}
+
 (async () => {
 	try {
-		const limit = parseLimitArg();
-		const shots = await withSilencedLogs(() => scrape60fps());
-		const nowIso = new Date().toISOString();
-
-		let rows = shots.map(s => ({
-			title: (s.title || extractTitleFromUrl(s.url)).replace(/\s+\d+$/, '').trim(),
-			url: s.url,
-			preview_url: s.preview,
-			source: '60fps.design',
-			scraped_at: nowIso
-		}));
+		const flags = parseFlags();
+		const logger = createLogger({ level: flags['log-level'] || process.env.LOG_LEVEL || 'warn' });
+		const limit = parsePositiveArg(flags.limit, process.env.LIMIT);
+		const timeBudget = parsePositiveArg(flags['time-budget'], process.env.TIME_BUDGET);
+		const format = assertFormat(flags.format || process.env.FORMAT || 'json');
+		const fallback = flags.fallback || process.env.FALLBACK || 'error';
+		const sinceLastRun = Boolean(flags['since-last-run']) || process.env.SINCE_LAST_RUN === '1';
+		const baseUrl = flags['base-url'] || process.env.BASE_URL || null;
+		const pagination = flags.pagination || process.env.PAGINATION || 'auto';
+		const listings = parseListings(flags);
+		const archiveDir = flags.archive || process.env.ARCHIVE_DIR || null;
+		const driftWebhook = flags['drift-webhook'] || process.env.DRIFT_WEBHOOK || null;
+		const webhooks = parseWebhooks(flags);
+		const snapshotDir = flags.snapshots || process.env.SNAPSHOT_DIR || null;
+		const upsertRequested = Boolean(flags.upsert) || process.env.UPSERT === '1';
+		const sink = upsertRequested ? createSupabaseSinkFromEnv() : null;
+		if (upsertRequested && !sink) {
+			throw new Error('--upsert needs SUPABASE_URL and SUPABASE_KEY');
+		}
+
+		// Stream ndjson rows while the scraper is still working
+		const seenAt = new Date().toISOString();
+		let streamed = 0;
+		const onShot = shot => {
+			if (limit && streamed >= limit) return;
+			const { rows: [row] } = validateRows(toRows([shot], seenAt));
+			if (!row) return;
+			process.stdout.write(toNdjsonLine(row));
+			streamed++;
+		};
+
+		const { shots, meta, report } = await scrape60fps({
+			quiet: true,
+			logger,
+			fallback,
+			...(baseUrl && { baseUrl }),
+			listings,
+			pagination,
+			driftWebhook,
+			timeBudget,
+			retries: parseRetries(flags),
+			circuitBreaker: parseCircuitBreaker(flags, baseUrl, logger),
+			profile: parseProfile(flags),
+			blockResources: Boolean(flags['block-resources']) || process.env.BLOCK_RESOURCES === '1',
+			networkExtraction: Boolean(flags.network) || process.env.NETWORK === '1',
+			media: Boolean(flags.media) || process.env.MEDIA === '1',
+			details: Boolean(flags.details) || process.env.DETAILS === '1',
+			stateStore: parseStateStore(flags, sinceLastRun || webhooks.length > 0),
+			sinceLastRun,
+			webhooks,
+			webhookSecret: process.env.WEBHOOK_SECRET || null,
+			deadLetterFile: flags['dead-letter'] || process.env.DEAD_LETTER_FILE || DEFAULT_DEAD_LETTER_FILE,
+			...(format === 'ndjson' && !archiveDir && { onShot })
+		});
+		const validated = validateRows(toRows(shots, seenAt));
+		const { rejected } = validated;
+		let { rows } = validated;
+		if (rejected.length > 0) {
+			logger.warn('rows rejected by the output schema', { count: rejected.length, rejected });
+		}
+		const isFresh = meta.status === 'ok' || meta.status === 'partial';
+
+		// Before --limit, and never for incremental or listing runs, so diffs do not show removals
+		if (snapshotDir && isFresh && !sinceLastRun && listings.length === 0) {
+			await saveSnapshot(snapshotDir, rows, meta);
+		}
 
 		if (limit) rows = rows.slice(0, limit);
 
-		// Output ONLY JSON on stdout
-		process.stdout.write(JSON.stringify(rows));
+		let archive = null;
+		if (archiveDir && isFresh) {
+			const { rows: archived, ...counts } = await archivePreviews(rows, { dir: archiveDir, logger });
+			rows = archived;
+			archive = counts;
+		}
+		const upsert = sink && isFresh ? await sink.upsert(rows) : null;
+
+		// Output ONLY data on stdout
+		if (format === 'ndjson') {
+			// Fallback data never goes through onShot
+			process.stdout.write(formatRows(rows.slice(streamed), 'ndjson'));
+		} else if (format !== 'json') {
+			process.stdout.write(formatRows(rows, format));
+		} else if (flags['with-meta'] || process.env.WITH_META === '1') {
+			process.stdout.write(JSON.stringify(createRunEnvelope({ meta, rows, rejected, extra: { upsert, archive, report } })));
+		} else {
+			process.stdout.write(JSON.stringify(rows));
+		}
 	} catch (error) {
 		// Send structured error to stderr and non-zero exit for n8n error handling
 		console.error(JSON.stringify({
 			success: false,
-			error: error && error.message ? error.message : String(error)
+			error_code: error && error.code ? error.code : 'UNKNOWN',
+			error: error && error.message ? error.message : String(error),
+			...(error && error.report && { report: error.report })
 		}));
 		process.exit(1);
 	}
@@ -1,5 +1,48 @@
+const fs = require('fs/promises');
 // Use regular playwright for local development
 const { chromium } = require('playwright-core');
+const { scrape60fps: runScraper, TARGET_URL } = require('./lib/scraper');
+const { toRows } = require('./lib/rows');
+const { createSupabaseSinkFromEnv } = require('./lib/sinks/supabase');
+const { archivePreviews } = require('./lib/archive');
+const { crawlShotDetails } = require('./lib/detail');
+const { createJsonFileStore, DEFAULT_STATE_FILE } = require('./lib/state');
+const { DEFAULT_DEAD_LETTER_FILE } = require('./lib/notify');
+const { createCircuitBreaker, circuitFile } = require('./lib/retry');
+const {
+    DEFAULT_PROFILE_NAME,
+    loadProfiles,
+    resolveProfile,
+    profileContextOptions,
+    redactProfile,
+    checkProfile
+} = require('./lib/profiles');
+const { loadLastGood, DEFAULT_SNAPSHOT_PATH } = require('./lib/fallback');
+const { formatRows } = require('./lib/formats');
+const { createApiServer } = require('./lib/serve');
+const { createBrowserPool } = require('./lib/browser-pool');
+const { createScrapeService, createServiceScrape, createServiceRoutes } = require('./lib/service');
+const { SCHEMAS, validateRows } = require('./lib/schema');
+const { createAccessControl, accessOptionsFromEnv, withAccessControl } = require('./lib/access');
+const { createLogger, silentLogger } = require('./lib/logger');
+const {
+    HELP,
+    CliError,
+    parseCli,
+    exitCodeFor,
+    exitCodeForError,
+    readRowsFile,
+    EXIT_CODES
+} = require('./lib/cli');
+const {
+    DEFAULT_SNAPSHOT_DIR,
+    saveSnapshot,
+    resolveSnapshot,
+    snapshotTime,
+    diffRows,
+    toChangelog,
+    formatChangelog
+} = require('./lib/snapshots');
 
 /**
  * 60fps.design Scraper
@@ -11,459 +54,459 @@ const { chromium } = require('playwright-core');
  * Uses Playwright with Chromium in headless mode for reliable scraping.
  * 
  * FEATURES:
- * - Looks for and clicks "Load more" buttons to load additional content
+ * - Looks for and clicks "Load more" buttons to load additional content, or
+ *   scrolls an infinite-scroll grid (--pagination)
  * - Extracts video URLs from the main page
  * - Handles dynamic content loading via button clicks
- * - Falls back to mock data if scraping fails
+ * - Falls back to mock data if scraping fails (flagged with status "mock")
  * 
  * The script automatically detects load buttons and clicks them to reveal
  * more content, then extracts all available shots and their preview videos.
+ * The scraping itself lives in lib/scraper.js and is shared with the n8n
+ * wrapper and the Vercel function; this file adds console output and the
+ * command line interface on top (see `node scrape60fps.js --help`).
  */
 
-async function scrape60fps() {
-    console.log('🚀 Starting 60fps.design scraper...\n');
-    
-    // Launch browser in headless mode
-    const browser = await chromium.launch({ 
-        headless: true,
-        // Uncomment the line below for debugging (shows browser window)
-        // headless: false 
+/**
+ * Print a short summary of the scraped shots
+ */
+function printSummary({ shots, meta }, print) {
+    print(meta.status === 'ok' ? '📊 SCRAPING RESULTS:' : `📊 SCRAPING RESULTS (${meta.status.toUpperCase()}):`);
+    print('='.repeat(50));
+    print(`Status: ${meta.status}${meta.errorCode ? ` (${meta.errorCode})` : ''}`);
+    print(`Selector: ${meta.selector || 'n/a'}`);
+    print(`Total shots found: ${shots.length}`);
+    print(`\nFirst 5 results (preview):`);
+    print('-'.repeat(30));
+    
+    shots.slice(0, 5).forEach((shot, index) => {
+        const title = shot.title ? shot.title.replace(/\s+\d+$/, '').trim() : `Shot ${index + 1}`;
+        print(`${index + 1}. ${title}`);
+        print(`   🔗 Shot URL: ${shot.url}`);
+        print(`   🎥 Video URL: ${shot.preview}\n`);
     });
     
-    const context = await browser.newContext({
-        // Set a realistic user agent to avoid bot detection
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    if (shots.length > 5) {
+        print(`... and ${shots.length - 5} more shots`);
+    }
+    
+    print('='.repeat(50));
+}
+
+/**
+ * Run the shared scraper with local Chromium and console progress output
+ *
+ * Falls back to mock data by default so local runs always have something to
+ * show; pass { fallback: 'error' } to get the ScrapeError instead.
+ *
+ * @param {Object} [options] - Overrides passed through to lib/scraper.js, plus
+ *                             quiet (no summary, and no logging unless a logger
+ *                             is given), headless (default true), logger (default:
+ *                             pretty lines on stdout) and print (where the summary
+ *                             goes, default console.log)
+ * @returns {Promise<{shots: Array, meta: Object, report: Object}>}
+ */
+async function scrape60fps(options = {}) {
+    const { quiet = false, headless = true, print = message => console.log(message), ...overrides } = options;
+    const output = quiet ? () => {} : print;
+    const logger = options.logger || (quiet ? silentLogger : createLogger({ format: 'pretty', stream: process.stdout }));
+    
+    output('🚀 Starting 60fps.design scraper...\n');
+    
+    const result = await runScraper({
+        // Pass { headless: false } (--headed) to watch the browser while debugging
+        launchBrowser: () => chromium.launch({ headless }),
+        fallback: 'mock',
+        ...overrides,
+        logger
     });
     
-    const page = await context.newPage();
+    printSummary(result, output);
+    
+    if (result.meta.drift) {
+        output(`⚠️  Structure drift: ${result.report.health.breaches.join(', ')}. The site may have changed.`);
+    }
+    
+    if (result.meta.status === 'mock') {
+        output('⚠️  Note: This is mock data. Update the scraper when the site structure is available.');
+    }
     
+    return result;
+}
+
+/**
+ * Profiles from --profiles (or PROFILES_FILE / PROFILES), and the one named,
+ * by default the --profile (or PROFILE) one
+ *
+ * @throws {CliError} For invalid profiles and unknown names
+ */
+function selectProfile(options, name = options.profile) {
     try {
-        console.log('📂 Navigating to https://60fps.design (main page)...');
-        
-        // Start directly from the main page
-        const targetUrl = 'https://60fps.design';
-        
-        await page.goto(targetUrl, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 60000 
+        const profiles = loadProfiles({
+            file: options.profiles || process.env.PROFILES_FILE || null,
+            json: process.env.PROFILES || null
         });
-        
-        console.log('✅ Page loaded successfully\n');
-        
-        // Wait for the main content to load - this is a Framer SPA so content loads dynamically
-        console.log('⏳ Waiting for dynamic content to load...');
-        
-        // Wait longer for the SPA to render content
-        await page.waitForTimeout(10000);
-        
-        // Try multiple selectors that might contain shots on the main page
-        const possibleSelectors = [
-            'a[href^="/shots/"]',           // Direct shot links
-            'a[href*="/shots/"]',           // Any links containing shots
-            '[href*="/shots/"]',            // Any element with shots href
-            'a[href*="shots"]',             // Alternative shots links
-            'video',                        // Video elements
-            'video source',                 // Video source elements
-            '[data-framer-name*="shot"]',   // Framer components with shot in name
-            '[data-framer-name*="card"]',   // Framer card components
-            '[data-framer-name*="grid"]',   // Framer grid components
-            '.framer-*',                    // Any Framer component
-            '[data-framer-*]',             // Any data-framer attribute
-            '[class*="shot"]',              // Classes containing "shot"
-            '[class*="card"]',              // Classes containing "card"
-            '[class*="item"]'               // Classes containing "item"
-        ];
-        
-        let foundSelector = null;
-        let contentCount = 0;
-        
-        for (const selector of possibleSelectors) {
-            try {
-                contentCount = await page.locator(selector).count();
-                console.log(`   Checking "${selector}": ${contentCount} elements found`);
-                
-                if (contentCount > 0) {
-                    foundSelector = selector;
-                    break;
-                }
-            } catch (e) {
-                // Continue with next selector
-            }
-        }
-        
-        if (contentCount === 0) {
-            // Last attempt: check page title and content
-            const title = await page.title();
-            const url = await page.url();
-            console.log(`Page title: "${title}"`);
-            console.log(`Current URL: ${url}`);
-            
-            if (title.includes('Wups') || title.includes('Error')) {
-                throw new Error('The shots page appears to be showing an error. The site might be down or have changed structure.');
-            }
-            
-            throw new Error('No shot content found with any known selectors. The site structure may have changed.');
+        return { profiles, profile: resolveProfile(profiles, name || process.env.PROFILE || DEFAULT_PROFILE_NAME) };
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+}
+
+/**
+ * Options for scrape60fps() from parsed CLI options, leaving out the unset ones
+ */
+function toScrapeOptions(options, logger, print) {
+    const defined = Object.fromEntries(
+        [
+            'navigationTimeout', 'contentWait', 'loadWait', 'maxLoadAttempts', 'timeBudget', 'baseUrl',
+            'pagination', 'loadMoreTexts', 'loadMoreDeny', 'driftWebhook', 'listings', 'retries'
+        ]
+            .filter(name => options[name] !== undefined)
+            .map(name => [name, options[name]])
+    );
+    const hasWebhooks = options.webhooks && options.webhooks.length > 0;
+    const stateFile = options.state || (options.sinceLastRun || hasWebhooks ? DEFAULT_STATE_FILE : null);
+    
+    return {
+        ...defined,
+        quiet: options.quiet,
+        headless: options.headless,
+        logger,
+        print,
+        fallback: options.fallback,
+        profile: selectProfile(options).profile,
+        blockResources: options.blockResources,
+        networkExtraction: options.networkExtraction,
+        media: options.media,
+        details: options.details,
+        stateStore: stateFile ? createJsonFileStore(stateFile) : null,
+        sinceLastRun: options.sinceLastRun,
+        // Every CLI run is a new process, so the circuit state lives in a file per site
+        circuitBreaker: options.circuitThreshold > 0
+            ? createCircuitBreaker({
+                threshold: options.circuitThreshold,
+                cooldown: options.circuitCooldown,
+                file: circuitFile(options.baseUrl || TARGET_URL),
+                logger
+            })
+            : null,
+        ...(hasWebhooks && {
+            webhooks: options.webhooks,
+            webhookSecret: process.env.WEBHOOK_SECRET || null,
+            deadLetterFile: options.deadLetter || DEFAULT_DEAD_LETTER_FILE
+        })
+    };
+}
+
+/**
+ * Write data to --output, or to stdout
+ */
+async function writeOutput(text, options) {
+    if (options.output) {
+        await fs.writeFile(options.output, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+/**
+ * Rows of the scraped shots that pass the output schema
+ *
+ * The others are logged and, with --rejected, written to a file with reasons.
+ */
+async function toValidRows(shots, options, logger) {
+    const { rows, rejected } = validateRows(toRows(shots));
+    
+    if (rejected.length > 0) {
+        logger.warn('rows rejected by the output schema', { count: rejected.length, reasons: rejected[0].reasons });
+    }
+    if (options.rejected) {
+        await fs.writeFile(options.rejected, `${JSON.stringify(rejected, null, 2)}\n`);
+    }
+    
+    return rows;
+}
+
+async function runScrape(options, logger, print) {
+    const startTime = Date.now();
+    const sink = options.upsert ? createSupabaseSinkFromEnv() : null;
+    
+    if (options.upsert && !sink) {
+        throw new CliError('--upsert needs SUPABASE_URL and SUPABASE_KEY');
+    }
+    
+    const { shots: results, meta, report } = await scrape60fps(toScrapeOptions(options, logger, print));
+    const isFresh = meta.status === 'ok' || meta.status === 'partial';
+    let rows = await toValidRows(results, options, logger);
+    
+    await saveRunSnapshot(rows, meta, options, logger);
+    
+    if (options.limit) {
+        rows = rows.slice(0, options.limit);
+    }
+    
+    if (options.archive && isFresh) {
+        ({ rows } = await archivePreviews(rows, { dir: options.archive, logger }));
+    }
+    
+    if (sink && isFresh) {
+        const counts = await sink.upsert(rows);
+        logger.info('supabase upsert finished', counts);
+    }
+    
+    if (options.output || options.format) {
+        await writeOutput(formatRows(rows, options.format || 'json'), options);
+        if (options.output) {
+            logger.info('rows written', { rows: rows.length, file: options.output });
         }
-        
-        console.log(`✅ Found content using selector: ${foundSelector}\n`);
-        
-        let previousCount = 0;
-        let currentCount = 0;
-        let loadAttempts = 0;
-        let lastButtonClicked = false;
-        const maxLoadAttempts = 20; // Prevent infinite clicking
-        
-        console.log('🔘 Looking for Load Data button to load all content...');
-        
-        // Keep clicking load button until no new content is loaded
-        do {
-            previousCount = currentCount;
-            lastButtonClicked = false;
-            
-            // Look for various button selectors that might load more content
-            const buttonSelectors = [
-                'button:has-text("Load")',
-                'button:has-text("Show more")',
-                'button:has-text("Load more")',
-                'button:has-text("More")',
-                '[data-framer-name*="load"]',
-                '[data-framer-name*="more"]',
-                '[data-framer-name*="button"]',
-                'button[class*="load"]',
-                'button[class*="more"]',
-                '.load-more',
-                '.show-more',
-                'button',
-                '[role="button"]'
-            ];
-            
-            for (const selector of buttonSelectors) {
-                try {
-                    const buttons = await page.locator(selector).all();
-                    
-                    for (const button of buttons) {
-                        const text = await button.textContent();
-                        const isVisible = await button.isVisible();
-                        
-                        // Check if button text suggests it loads more content
-                        if (isVisible && text && (
-                            text.toLowerCase().includes('load') ||
-                            text.toLowerCase().includes('more') ||
-                            text.toLowerCase().includes('show') ||
-                            text.toLowerCase().includes('view')
-                        )) {
-                            console.log(`   Clicking button: "${text.trim()}"`);
-                            await button.click();
-                            lastButtonClicked = true;
-                            break;
-                        }
-                    }
-                    
-                    if (lastButtonClicked) break;
-                } catch (e) {
-                    // Continue with next selector
-                }
-            }
-            
-            if (!lastButtonClicked && loadAttempts === 0) {
-                console.log('   No load button found, checking for existing content...');
-            } else if (!lastButtonClicked) {
-                console.log('   No more load buttons found');
-            }
-            
-            // Wait for potential new content to load
-            await page.waitForTimeout(3000);
-            
-            // Count current number of content items using the selector we found
-            currentCount = await page.locator(foundSelector).count();
-            
-            loadAttempts++;
-            
-            console.log(`   Attempt ${loadAttempts}: Found ${currentCount} items (${lastButtonClicked ? 'after clicking button' : 'no button clicked'})`);
-            
-            // Safety check to prevent infinite loops
-            if (loadAttempts >= maxLoadAttempts) {
-                console.log('⚠️  Reached maximum load attempts, stopping...\n');
-                break;
-            }
-            
-            // If no button was clicked and we have some content, break
-            if (!lastButtonClicked && currentCount > 0) {
-                console.log('   No load button available, using existing content...\n');
-                break;
-            }
-            
-        } while (loadAttempts < 3 || (lastButtonClicked && currentCount > previousCount));
-        
-        console.log(`🎯 Finished loading content. Total items found: ${currentCount}\n`);
-        
-        console.log('🔍 Extracting shot data...');
-        
-        // Extract all shot data - need a different approach for this site
-        const shots = await page.evaluate(() => {
-            const results = [];
-            
-            // Strategy: Find real shot URLs with their associated videos
-            const videos = document.querySelectorAll('video');
-            console.log(`Found ${videos.length} video elements`);
-            
-            videos.forEach((video, index) => {
-                try {
-                    let previewUrl = null;
-                    let shotUrl = null;
-                    let shotTitle = null;
-                    
-                    // Get video source from source element (this is where the real URLs are)
-                    const source = video.querySelector('source');
-                    if (source) {
-                        previewUrl = source.getAttribute('src');
-                    }
-                    
-                    // Also check video element itself
-                    if (!previewUrl) {
-                        previewUrl = video.getAttribute('src') || video.getAttribute('data-src');
-                    }
-                    
-                    // Extract video ID from Gumlet URL
-                    let videoId = null;
-                    if (previewUrl && previewUrl.includes('video.gumlet.io')) {
-                        const match = previewUrl.match(/video\.gumlet\.io\/[^\/]+\/([^\/]+)/);
-                        if (match) {
-                            videoId = match[1];
-                        }
-                    }
-                    
-                    // Look for shot title and associated text content
-                    let element = video;
-                    let attempts = 0;
-                    
-                    while (element && attempts < 8) {
-                        // Look for headings, text content, or data attributes that might contain shot info
-                        const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
-                        const textElements = element.querySelectorAll('p, span, div');
-                        const links = element.querySelectorAll('a[href]');
-                        
-                        // Check headings first (most likely to contain shot titles)
-                        for (const heading of headings) {
-                            const text = heading.textContent?.trim();
-                            if (text && text.length > 10 && text.length < 100 && 
-                                !text.includes('Shots') && !text.includes('Apps') &&
-                                !text.includes('Filter') && !text.includes('Learn')) {
-                                shotTitle = text;
-                                break;
-                            }
-                        }
-                        
-                        // If no heading found, check other text elements
-                        if (!shotTitle) {
-                            for (const textEl of textElements) {
-                                const text = textEl.textContent?.trim();
-                                if (text && text.length > 15 && text.length < 80 &&
-                                    (text.includes('Interaction') || text.includes('Animation') || 
-                                     text.includes('Swipe') || text.includes('Card') ||
-                                     text.includes('Button') || text.includes('Progress') ||
-                                     text.includes('Splash') || text.includes('Gesture'))) {
-                                    shotTitle = text;
-                                    break;
-                                }
-                            }
-                        }
-                        
-                        // Look for actual shot links that exist (prioritize these over text extraction)
-                        for (const link of links) {
-                            const href = link.getAttribute('href');
-                            const linkText = link.textContent?.trim();
-                            
-                            // Check if this is a real shot link (not filter/watch)
-                            if (href && href.includes('/shots/') && 
-                                !href.includes('filter') && !href.includes('watch') &&
-                                href.length > 15) { // Real shot URLs are longer
-                                
-                                // Use the href directly as it should be the real shot slug
-                                let cleanHref = href;
-                                if (cleanHref.startsWith('./')) {
-                                    cleanHref = cleanHref.substring(2);
-                                }
-                                if (!cleanHref.startsWith('/')) {
-                                    cleanHref = '/' + cleanHref;
-                                }
-                                
-                                // Create the full shot URL with video parameter
-                                if (videoId) {
-                                    shotUrl = `https://60fps.design${cleanHref}?video=${videoId}`;
-                                } else {
-                                    shotUrl = `https://60fps.design${cleanHref}`;
-                                }
-                                
-                                // Use link text as title, but clean it up
-                                if (!shotTitle && linkText && linkText.length > 5) {
-                                    // Clean up the title - remove extra numbers and spaces at the end
-                                    shotTitle = linkText
-                                        .replace(/\s+\d+$/, '')  // Remove trailing numbers like " 5"
-                                        .replace(/\s+$/, '')     // Remove trailing spaces
-                                        .trim();
-                                }
-                                break;
-                            }
-                        }
-                        
-                        if (shotUrl) break;
-                        element = element.parentElement;
-                        attempts++;
-                    }
-                    
-                    // Fallback: create shot URL from title or video ID
-                    if (!shotUrl && videoId) {
-                        let shotSlug;
-                        
-                        if (shotTitle) {
-                            // Convert title to URL-friendly slug
-                            shotSlug = shotTitle
-                                .replace(/\s+\d+$/, '')       // Remove trailing numbers like " 5"
-                                .toLowerCase()
-                                .replace(/[^a-z0-9\s-]/g, '') // Remove special chars
-                                .replace(/\s+/g, '-')         // Replace spaces with hyphens
-                                .replace(/-+/g, '-')          // Replace multiple hyphens with single
-                                .replace(/^-|-$/g, '');       // Remove leading/trailing hyphens
-                        } else {
-                            // Generic fallback
-                            shotSlug = `motion-video-${videoId.substring(0, 8)}`;
-                            shotTitle = `Motion Video ${index + 1}`;
-                        }
-                        
-                        shotUrl = `https://60fps.design/shots/${shotSlug}?video=${videoId}`;
-                    }
-                    
-                    // Add to results if we have both URLs
-                    if (shotUrl && previewUrl) {
-                        results.push({
-                            url: shotUrl,
-                            preview: previewUrl,
-                            title: shotTitle || `Video ${index + 1}`
-                        });
-                    }
-                    
-                } catch (error) {
-                    console.warn(`Error processing video ${index}:`, error.message);
-                }
-            });
-            
-            // Remove duplicates based on URL
-            const uniqueResults = [];
-            const seenUrls = new Set();
-            
-            results.forEach(shot => {
-                if (!seenUrls.has(shot.url)) {
-                    seenUrls.add(shot.url);
-                    uniqueResults.push(shot);
-                }
-            });
-            
-            console.log(`Extracted ${uniqueResults.length} unique shots from ${results.length} total`);
-            return uniqueResults;
-        });
-        
-        console.log(`✅ Successfully extracted ${shots.length} unique shots\n`);
-        
-        // Log results summary
-        console.log('📊 SCRAPING RESULTS:');
-        console.log('='.repeat(50));
-        console.log(`Total shots found: ${shots.length}`);
-        console.log(`\nFirst 5 results (preview):`);
-        console.log('-'.repeat(30));
-        
-        shots.slice(0, 5).forEach((shot, index) => {
-            const title = shot.title ? shot.title.replace(/\s+\d+$/, '').trim() : `Shot ${index + 1}`;
-            console.log(`${index + 1}. ${title}`);
-            console.log(`   🔗 Shot URL: ${shot.url}`);
-            console.log(`   🎥 Video URL: ${shot.preview}\n`);
+    }
+    
+    if (options.report) {
+        await fs.writeFile(options.report, `${JSON.stringify(report, null, 2)}\n`);
+    }
+    
+    logger.info('scraping completed', { seconds: Number(((Date.now() - startTime) / 1000).toFixed(2)), rows: rows.length });
+    
+    return exitCodeFor(meta);
+}
+
+async function runDetail(slug, options, logger) {
+    const url = /^https?:\/\//.test(slug) ? slug : `${options.baseUrl || TARGET_URL}/shots/${slug}`;
+    const { profile } = selectProfile(options);
+    const browser = await chromium.launch({ headless: options.headless });
+    
+    try {
+        const context = await browser.newContext(await profileContextOptions(profile));
+        const [shot] = await crawlShotDetails(context, [{ url }], {
+            timeout: options.navigationTimeout || 30000,
+            logger
         });
         
-        if (shots.length > 5) {
-            console.log(`... and ${shots.length - 5} more shots`);
+        if (shot.detailError) {
+            throw new Error(`Could not read ${url}: ${shot.detailError}`);
         }
         
-        console.log('='.repeat(50));
-        
-        return shots;
-        
-    } catch (error) {
-        console.error('❌ Error during scraping:', error.message);
-        console.log('\n🔄 Falling back to mock data for testing...');
-        
-        // Return mock data for testing purposes
-        const mockData = [
-            {
-                url: "https://60fps.design/shots/amie-drag-to-calendar-morph",
-                preview: "https://cdn.60fps.design/shots/amie-drag-to-calendar-morph/preview.mp4"
-            },
-            {
-                url: "https://60fps.design/shots/cred-recurring-payments-card-swipe",
-                preview: "https://cdn.60fps.design/shots/cred-recurring-payments/preview.mp4"
-            },
-            {
-                url: "https://60fps.design/shots/mozi-onboarding-carousel-tabs",
-                preview: "https://cdn.60fps.design/shots/mozi-onboarding/preview.mp4"
-            },
-            {
-                url: "https://60fps.design/shots/opentable-splash-animation",
-                preview: "https://cdn.60fps.design/shots/opentable-splash/preview.mp4"
-            },
-            {
-                url: "https://60fps.design/shots/framer-motion-cards-grid",
-                preview: "https://cdn.60fps.design/shots/framer-motion-cards/preview.mp4"
-            }
-        ];
-        
-        console.log('📊 MOCK DATA RESULTS:');
-        console.log('='.repeat(50));
-        console.log(`Total mock shots: ${mockData.length}`);
-        console.log(`\nFirst 5 results (preview):`);
-        console.log('-'.repeat(30));
-        
-        mockData.forEach((shot, index) => {
-            console.log(`${index + 1}. URL: ${shot.url}`);
-            console.log(`   Preview: ${shot.preview}\n`);
-        });
-        
-        console.log('='.repeat(50));
-        console.log('⚠️  Note: This is mock data. Update the scraper when the site structure is available.');
-        
-        return mockData;
+        await writeOutput(`${JSON.stringify({ url, ...shot.detail }, null, 2)}\n`, options);
+        return EXIT_CODES.OK;
     } finally {
-        // Always close the browser
         await browser.close();
-        console.log('\n🔚 Browser closed');
     }
 }
 
+/**
+ * Save the rows of a fresh, complete run with --snapshots
+ *
+ * Incremental and listing runs only hold some shots and would show up as mass
+ * removals.
+ */
+async function saveRunSnapshot(rows, meta, options, logger) {
+    const isFresh = meta.status === 'ok' || meta.status === 'partial';
+    if (!options.snapshots || !isFresh || options.sinceLastRun || options.listings) return;
+    
+    const snapshot = await saveSnapshot(options.snapshots, rows, meta);
+    logger.info('snapshot saved', { file: snapshot.path, rows: rows.length });
+}
+
+/**
+ * Rows file or snapshot reference (latest, previous) to { label, rows }
+ */
+async function readSnapshotRef(ref, options) {
+    const dir = options.snapshots || DEFAULT_SNAPSHOT_DIR;
+    const file = await resolveSnapshot(ref, dir);
+    if (!file) {
+        throw new CliError(`No ${ref} snapshot in ${dir}; run scrape with --snapshots ${dir} first`);
+    }
+    return { label: snapshotTime(file) || file, rows: await readRowsFile(file) };
+}
+
+async function runDiff(refs, options, logger, print) {
+    // No arguments: the two latest snapshots
+    const [oldRef = 'previous', newRef = refs.length === 0 ? 'latest' : null] = refs;
+    const before = await readSnapshotRef(oldRef, options);
+    let after;
+    let exitCode = EXIT_CODES.OK;
+    
+    if (newRef) {
+        after = await readSnapshotRef(newRef, options);
+    } else {
+        const { shots, meta } = await scrape60fps(toScrapeOptions(options, logger, print));
+        after = { label: new Date().toISOString(), rows: await toValidRows(shots, options, logger) };
+        await saveRunSnapshot(after.rows, meta, options, logger);
+        exitCode = exitCodeFor(meta);
+    }
+    
+    const changelog = toChangelog(diffRows(before.rows, after.rows), { from: before.label, to: after.label });
+    logger.info('rows compared', changelog.summary);
+    await writeOutput(formatChangelog(changelog, options.format || 'json'), options);
+    
+    return exitCode;
+}
+
+async function runExport(file, options, logger) {
+    let rows;
+    
+    if (file) {
+        rows = await readRowsFile(file);
+    } else {
+        const snapshot = await loadLastGood(DEFAULT_SNAPSHOT_PATH);
+        if (!snapshot) {
+            throw new CliError(`No rows file given and no last good snapshot at ${DEFAULT_SNAPSHOT_PATH}`);
+        }
+        logger.info('exporting last good snapshot', { saved_at: snapshot.saved_at });
+        rows = toRows(snapshot.shots, snapshot.saved_at);
+    }
+    
+    if (options.limit) {
+        rows = rows.slice(0, options.limit);
+    }
+    
+    await writeOutput(formatRows(rows, options.format || 'json'), options);
+    return EXIT_CODES.OK;
+}
+
+async function runSchema(name = 'run', options) {
+    await writeOutput(`${JSON.stringify(SCHEMAS[name], null, 2)}\n`, options);
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Print a profile and, with --check, verify a browser gets it applied
+ */
+async function runProfile(name, options, logger) {
+    const { profile } = selectProfile(options, name);
+    const output = { profile: redactProfile(profile) };
+    let exitCode = EXIT_CODES.OK;
+    
+    if (options.check) {
+        const browser = await chromium.launch({ headless: options.headless });
+        try {
+            output.check = await checkProfile(browser, profile, options.check, { timeout: options.navigationTimeout });
+        } finally {
+            await browser.close();
+        }
+        
+        for (const check of output.check.checks.filter(entry => !entry.ok)) {
+            logger.error('profile not applied', check);
+        }
+        logger.info('profile checked', { profile: profile.name, ok: output.check.ok });
+        exitCode = output.check.ok ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+    }
+    
+    await writeOutput(`${JSON.stringify(output, null, 2)}\n`, options);
+    return exitCode;
+}
+
+async function runServe(options, logger) {
+    const pool = createBrowserPool({
+        launch: () => chromium.launch({ headless: options.headless }),
+        size: options.poolSize,
+        logger
+    });
+    // Jobs fail instead of serving mock data, like /api/scrape
+    const { quiet, headless, print, fallback, sinceLastRun, ...scrapeOptions } = toScrapeOptions(options, logger, null);
+    const { profiles } = selectProfile(options);
+    // One long-lived process runs every scrape, so the circuit state can stay in memory
+    const circuitBreaker = options.circuitThreshold > 0
+        ? createCircuitBreaker({ threshold: options.circuitThreshold, cooldown: options.circuitCooldown, logger })
+        : null;
+    const service = createScrapeService({
+        scrape: createServiceScrape({ ...scrapeOptions, circuitBreaker, launchBrowser: pool.launchBrowser }),
+        cacheTtl: options.cacheTtl,
+        concurrency: options.poolSize,
+        logger
+    });
+    
+    // Same API_TOKEN, CORS_ORIGINS and RATE_LIMIT settings as on Vercel
+    const access = createAccessControl(accessOptionsFromEnv());
+    const serviceRoutes = Object.entries(createServiceRoutes(service))
+        .map(([route, handler]) => [route, withAccessControl(handler, access)]);
+    
+    const server = createApiServer({
+        '/api/scrape': require('./api/scrape').createScrapeHandler(
+            { launchBrowser: pool.launchBrowser, circuitBreaker },
+            { access, profiles: { profiles, name: scrapeOptions.profile.name } }
+        ),
+        '/api/diff': require('./api/diff').createDiffHandler({ access }),
+        '/api/schema': require('./api/schema').createSchemaHandler({ access }),
+        ...Object.fromEntries(serviceRoutes)
+    });
+    
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port, resolve);
+    });
+    logger.info('serving', { url: `http://localhost:${options.port}`, pool_size: options.poolSize });
+    
+    await new Promise(resolve => server.once('close', resolve));
+    await service.idle();
+    await pool.close();
+    return EXIT_CODES.OK;
+}
+
 /**
  * Main execution function
+ *
+ * Parses the command line, runs the command and resolves with the exit code;
+ * see HELP in lib/cli.js for commands, flags and exit codes. Mock data is
+ * never written to Supabase or archived.
+ *
+ * @param {string[]} [argv] - Arguments without node and the script path
+ * @returns {Promise<number>}
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+    let command;
+    let args;
+    let options;
+    
     try {
-        const startTime = Date.now();
-        
-        const results = await scrape60fps();
-        
-        const endTime = Date.now();
-        const duration = ((endTime - startTime) / 1000).toFixed(2);
-        
-        console.log(`\n⏱️  Scraping completed in ${duration} seconds`);
-        console.log(`🎬 Ready to process ${results.length} shots`);
-        
-        // You can process the results here or return them
-        return results;
-        
+        ({ command, args, options } = parseCli(argv));
+    } catch (error) {
+        console.error(`${error.message}\nRun with --help for usage.`);
+        return EXIT_CODES.ERROR;
+    }
+    
+    if (options.help) {
+        process.stdout.write(HELP);
+        return EXIT_CODES.OK;
+    }
+    
+    // Keep stdout clean when the data itself is printed there
+    const dataOnStdout = !options.output && (command === 'scrape' ? Boolean(options.format) : command !== 'serve');
+    const logger = options.quiet ? silentLogger : createLogger({
+        level: options.logLevel,
+        format: options.logFormat,
+        stream: dataOnStdout ? process.stderr : process.stdout
+    });
+    const print = message => (dataOnStdout ? console.error(message) : console.log(message));
+    
+    try {
+        switch (command) {
+            case 'detail':
+                return await runDetail(args[0], options, logger);
+            case 'diff':
+                return await runDiff(args, options, logger, print);
+            case 'export':
+                return await runExport(args[0], options, logger);
+            case 'serve':
+                return await runServe(options, logger);
+            case 'schema':
+                return await runSchema(args[0], options);
+            case 'profile':
+                return await runProfile(args[0], options, logger);
+            default:
+                return await runScrape(options, logger, print);
+        }
     } catch (error) {
         console.error('💥 Fatal error:', error.message);
-        process.exit(1);
+        return exitCodeForError(error);
     }
 }
 
 // Run the scraper if this file is executed directly
 if (require.main === module) {
-    main();
+    main().then(code => {
+        process.exitCode = code;
+    });
 }
 
 // Export for use in other modules
@@ -0,0 +1,241 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createAccessControl,
+    createMemoryRateLimitStore,
+    accessOptionsFromEnv,
+    signQuery
+} = require('../lib/access');
+const { createScrapeHandler } = require('../api/scrape');
+const { createSchemaHandler } = require('../api/schema');
+const { createDiffHandler } = require('../api/diff');
+
+const NOW = Date.parse('2025-09-20T12:00:00.000Z');
+
+// Reaching the scraper means access was granted; the launch fails right away
+const NO_BROWSER = { launchBrowser: async () => { throw new Error('no browser in this test'); } };
+
+function call(handler, { method = 'GET', url = '/api/scrape', query = {}, headers = {}, ip = '203.0.113.7' } = {}) {
+    return new Promise(resolve => {
+        const res = {
+            statusCode: 200,
+            headers: {},
+            setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; },
+            send(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; },
+            end() { resolve({ status: this.statusCode, headers: this.headers }); return this; }
+        };
+        handler({ method, url, query, headers, socket: { remoteAddress: ip } }, res);
+    });
+}
+
+function handlerWith(options) {
+    return createScrapeHandler(NO_BROWSER, { access: createAccessControl({ now: () => NOW, ...options }) });
+}
+
+describe('accessOptionsFromEnv', () => {
+    it('is open by default and reads the auth, CORS and rate-limit variables', () => {
+        assert.deepEqual(accessOptionsFromEnv({}), { token: null, signingSecret: null, corsOrigins: ['*'], rateLimit: null, trustProxy: 0 });
+        assert.deepEqual(accessOptionsFromEnv({
+            API_TOKEN: 't0k3n',
+            API_SIGNING_SECRET: 's3cr3t',
+            CORS_ORIGINS: 'https://app.example.com, https://n8n.example.com',
+            RATE_LIMIT: '30',
+            TRUST_PROXY: '2'
+        }), {
+            token: 't0k3n',
+            signingSecret: 's3cr3t',
+            corsOrigins: ['https://app.example.com', 'https://n8n.example.com'],
+            rateLimit: { limit: 30, windowMs: 60000 },
+            trustProxy: 2
+        });
+    });
+
+    it('trusts the Vercel edge as a proxy unless TRUST_PROXY says otherwise', () => {
+        assert.equal(accessOptionsFromEnv({ VERCEL: '1' }).trustProxy, 1);
+        assert.equal(accessOptionsFromEnv({ VERCEL: '1', TRUST_PROXY: '0' }).trustProxy, 0);
+        assert.equal(accessOptionsFromEnv({ TRUST_PROXY: 'yes' }).trustProxy, 0);
+    });
+});
+
+describe('/api/scrape access control', () => {
+    it('lets requests through when nothing is configured', async () => {
+        const response = await call(handlerWith({}));
+
+        assert.equal(response.status, 500);
+        assert.equal(response.body.error_code, 'LAUNCH_FAILED');
+        assert.equal(response.headers['access-control-allow-origin'], '*');
+    });
+
+    it('answers 401 without a valid bearer token', async () => {
+        const handler = handlerWith({ token: 't0k3n' });
+
+        const missing = await call(handler);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.headers['www-authenticate'], 'Bearer');
+        assert.equal(missing.body.error_code, 'UNAUTHORIZED');
+        assert.equal(missing.body.error, 'Missing bearer token');
+
+        assert.equal((await call(handler, { headers: { authorization: 'Bearer nope' } })).status, 401);
+        assert.equal((await call(handler, { headers: { authorization: 'Bearer t0k3n' } })).status, 500);
+    });
+
+    it('accepts HMAC-signed queries until they expire', async () => {
+        const handler = handlerWith({ signingSecret: 's3cr3t' });
+        const query = signQuery('/api/scrape', { limit: '10', format: 'rss' }, 's3cr3t', { now: () => NOW });
+
+        assert.equal((await call(handler, { url: '/api/scrape?limit=10', query })).status, 500);
+
+        const tampered = await call(handler, { query: { ...query, limit: '1000' } });
+        assert.equal(tampered.status, 401);
+        assert.equal(tampered.body.error, 'Invalid signature');
+
+        const expired = signQuery('/api/scrape', { limit: '10' }, 's3cr3t', { now: () => NOW - 2 * 3600 * 1000 });
+        assert.equal((await call(handler, { query: expired })).body.error, 'Signature has expired');
+        assert.equal((await call(handler, { query: { limit: '10' } })).body.error, 'Missing signature');
+    });
+
+    it('only allows listed origins', async () => {
+        const handler = handlerWith({ corsOrigins: ['https://app.example.com'] });
+
+        const allowed = await call(handler, { method: 'OPTIONS', headers: { origin: 'https://app.example.com' } });
+        assert.equal(allowed.status, 200);
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://app.example.com');
+        assert.equal(allowed.headers['access-control-allow-headers'], 'Content-Type, Authorization');
+
+        const denied = await call(handler, { headers: { origin: 'https://evil.example.com' } });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.error_code, 'ORIGIN_NOT_ALLOWED');
+        assert.equal(denied.headers['access-control-allow-origin'], undefined);
+
+        // Server-to-server calls (n8n) send no Origin
+        assert.equal((await call(handler)).status, 500);
+    });
+
+    it('answers 429 with Retry-After once a client used up its window', async () => {
+        let now = NOW;
+        const access = createAccessControl({ rateLimit: { limit: 2, windowMs: 60000 }, now: () => now });
+        const handler = createScrapeHandler(NO_BROWSER, { access });
+
+        assert.equal((await call(handler)).headers['x-ratelimit-remaining'], '1');
+        assert.equal((await call(handler)).status, 500);
+
+        now += 15000;
+        const limited = await call(handler);
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers['retry-after'], '45');
+        assert.equal(limited.body.error_code, 'RATE_LIMITED');
+        assert.equal(limited.body.retry_after, 45);
+
+        // Counted per client, and the window resets
+        assert.equal((await call(handler, { ip: '198.51.100.1' })).status, 500);
+        now += 45000;
+        assert.equal((await call(handler)).status, 500);
+    });
+
+    it('counts in a pluggable store', async () => {
+        const hits = [];
+        const store = {
+            async hit(key, windowMs) {
+                hits.push([key, windowMs]);
+                return { count: 99, resetAt: NOW + 1000 };
+            }
+        };
+        const limited = await call(handlerWith({ rateLimit: { limit: 10, windowMs: 1000 }, store }));
+
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers['retry-after'], '1');
+        assert.deepEqual(hits, [['203.0.113.7', 1000]]);
+    });
+});
+
+describe('access check failures', () => {
+    it('answers a JSON 503 when the rate-limit store is down', async () => {
+        const store = { async hit() { throw new Error('ECONNREFUSED 127.0.0.1:6379'); } };
+        const response = await call(handlerWith({ rateLimit: { limit: 10, windowMs: 1000 }, store }));
+
+        assert.equal(response.status, 503);
+        assert.equal(response.body.success, false);
+        assert.equal(response.body.error_code, 'ACCESS_CHECK_FAILED');
+        assert.equal(response.body.error, 'Rate limit store failed: ECONNREFUSED 127.0.0.1:6379');
+        assert.ok(response.body.timestamp);
+    });
+});
+
+describe('client addresses behind proxies', () => {
+    async function clientsOf(trustProxy, requests) {
+        const hits = [];
+        const store = { async hit(key) { hits.push(key); return { count: 1, resetAt: NOW + 1000 }; } };
+        const handler = handlerWith({ rateLimit: { limit: 10, windowMs: 1000 }, store, trustProxy });
+        for (const request of requests) {
+            await call(handler, request);
+        }
+        return hits;
+    }
+
+    it('ignores X-Forwarded-For unless a proxy is configured', async () => {
+        const hits = await clientsOf(0, [
+            { headers: { 'x-forwarded-for': '198.51.100.2' } },
+            { headers: { 'x-forwarded-for': '198.51.100.3, 10.0.0.1' } }
+        ]);
+
+        assert.deepEqual(hits, ['203.0.113.7', '203.0.113.7']);
+    });
+
+    it('takes the address the trusted proxies saw, not what the client claims', async () => {
+        const spoofed = { 'x-forwarded-for': '192.0.2.99, 198.51.100.2' };
+
+        assert.deepEqual(await clientsOf(1, [{ headers: spoofed, ip: '10.0.0.1' }, { ip: '10.0.0.1' }]), ['198.51.100.2', '10.0.0.1']);
+        assert.deepEqual(await clientsOf(2, [{ headers: { 'x-forwarded-for': '192.0.2.99, 198.51.100.2, 10.0.0.2' }, ip: '10.0.0.1' }]), ['198.51.100.2']);
+        // More trusted hops than addresses: the first one is all there is
+        assert.deepEqual(await clientsOf(3, [{ headers: spoofed, ip: '10.0.0.1' }]), ['192.0.2.99']);
+    });
+});
+
+describe('/api/schema access control', () => {
+    it('applies the origin allowlist and auth instead of allowing any origin', async () => {
+        const handler = createSchemaHandler({ access: createAccessControl({ corsOrigins: ['https://app.example.com'], token: 't0k3n' }) });
+        const authorized = { authorization: 'Bearer t0k3n' };
+
+        const allowed = await call(handler, { url: '/api/schema', headers: { ...authorized, origin: 'https://app.example.com' } });
+        assert.equal(allowed.status, 200);
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://app.example.com');
+        assert.equal(allowed.body.$defs.row.properties.id.type, 'string');
+
+        const denied = await call(handler, { url: '/api/schema', headers: { ...authorized, origin: 'https://evil.example.com' } });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.headers['access-control-allow-origin'], undefined);
+
+        assert.equal((await call(handler, { url: '/api/schema' })).status, 401);
+        assert.equal((await call(handler, { method: 'OPTIONS', url: '/api/schema', headers: { origin: 'https://app.example.com' } })).status, 200);
+    });
+});
+
+describe('shared access control', () => {
+    it('counts requests to every endpoint against one rate limit', async () => {
+        const access = createAccessControl({ rateLimit: { limit: 2, windowMs: 60000 }, now: () => NOW });
+        const schema = createSchemaHandler({ access });
+        const diff = createDiffHandler({ access });
+
+        assert.equal((await call(schema, { url: '/api/schema' })).status, 200);
+        assert.equal((await call(schema, { url: '/api/schema' })).status, 200);
+        const limited = await call(diff, { url: '/api/diff' });
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.error_code, 'RATE_LIMITED');
+    });
+});
+
+describe('createMemoryRateLimitStore', () => {
+    it('counts hits per key in fixed windows', async () => {
+        let now = NOW;
+        const store = createMemoryRateLimitStore({ now: () => now });
+
+        assert.deepEqual(await store.hit('a', 1000), { count: 1, resetAt: NOW + 1000 });
+        assert.deepEqual(await store.hit('a', 1000), { count: 2, resetAt: NOW + 1000 });
+        assert.deepEqual(await store.hit('b', 1000), { count: 1, resetAt: NOW + 1000 });
+        now += 1000;
+        assert.deepEqual(await store.hit('a', 1000), { count: 1, resetAt: NOW + 2000 });
+    });
+});
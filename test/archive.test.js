@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { archivePreviews } = require('../lib/archive');
+const { startMediaServer, sampleMp4 } = require('./helpers/media-server');
+
+const FIRST = '/66b49d08225b7b88f78b7b44/68adddc0cd4a3cfd5418a305/main.mp4';
+const SECOND = '/66b49d08225b7b88f78b7b44/68adddc0cd4a3cfd5418a306/main.mp4';
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+describe('preview archive', () => {
+    let dir;
+    let server;
+    const files = { [FIRST]: sampleMp4(1), [SECOND]: sampleMp4(2) };
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-archive-'));
+    });
+
+    afterEach(async () => {
+        await server.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    function rows() {
+        return [FIRST, SECOND].map((preview, index) => ({
+            title: `Shot ${index + 1}`,
+            url: `https://60fps.design/shots/shot-${index + 1}`,
+            preview_url: `${server.url}${preview}`
+        }));
+    }
+
+    const archive = (input, options = {}) => archivePreviews(input, { dir, retryDelay: 10, ...options });
+
+    it('stores previews under their SHA-256 and records it in the row', async () => {
+        server = await startMediaServer({ files });
+
+        const result = await archive(rows());
+        const hash = sha256(files[FIRST]);
+
+        assert.equal(result.downloaded, 2);
+        const { preview_url: previewUrl, ...row } = result.rows[0];
+        assert.equal(previewUrl, `${server.url}${FIRST}`);
+        assert.deepEqual(
+            row,
+            {
+                title: 'Shot 1',
+                url: 'https://60fps.design/shots/shot-1',
+                preview_sha256: hash,
+                preview_size: files[FIRST].length,
+                preview_content_type: 'video/mp4',
+                preview_archive_path: path.join('sha256', hash.slice(0, 2), `${hash}.mp4`)
+            }
+        );
+        assert.deepEqual(await fs.readFile(path.join(dir, result.rows[0].preview_archive_path)), files[FIRST]);
+    });
+
+    it('skips previews that are already archived', async () => {
+        server = await startMediaServer({ files });
+
+        await archive(rows());
+        const second = await archive(rows());
+
+        assert.equal(second.downloaded, 0);
+        assert.equal(second.skipped, 2);
+        assert.equal(server.requests.length, 2);
+        assert.equal(second.rows[1].preview_sha256, sha256(files[SECOND]));
+    });
+
+    it('resumes an interrupted download with a Range request', async () => {
+        server = await startMediaServer({ files, faults: { [FIRST]: ['truncate'] } });
+
+        const result = await archive(rows().slice(0, 1));
+        const attempts = server.requests.filter(request => request.path === FIRST);
+
+        assert.equal(result.rows[0].preview_sha256, sha256(files[FIRST]));
+        assert.equal(attempts.length, 2);
+        assert.equal(attempts[0].range, null);
+        assert.match(attempts[1].range, /^bytes=\d+-$/);
+        assert.ok(Number(/\d+/.exec(attempts[1].range)[0]) > 0);
+    });
+
+    it('keeps the content type of the first response when the resume finds the file complete', async () => {
+        server = await startMediaServer({ files, faults: { [FIRST]: ['overlong'] } });
+
+        const result = await archive(rows().slice(0, 1));
+        const attempts = server.requests.filter(request => request.path === FIRST);
+        const hash = sha256(files[FIRST]);
+
+        assert.equal(attempts.length, 2);
+        assert.equal(attempts[1].range, `bytes=${files[FIRST].length}-`, 'answered with 416');
+        assert.equal(result.rows[0].preview_sha256, hash);
+        assert.equal(result.rows[0].preview_content_type, 'video/mp4');
+        assert.equal(result.rows[0].preview_archive_path, path.join('sha256', hash.slice(0, 2), `${hash}.mp4`));
+        assert.deepEqual(await fs.readdir(path.join(dir, '.partial')), []);
+    });
+
+    it('starts over when a resumed response does not continue the partial file', async () => {
+        server = await startMediaServer({ files, faults: { [FIRST]: ['truncate', 'range-from-start'] } });
+
+        const result = await archive(rows().slice(0, 1));
+
+        assert.equal(server.requests.length, 2);
+        assert.equal(result.downloaded, 1);
+        assert.equal(result.rows[0].preview_sha256, sha256(files[FIRST]));
+        assert.equal(result.rows[0].preview_size, files[FIRST].length);
+    });
+
+    it('retries server errors and reports previews that keep failing', async () => {
+        server = await startMediaServer({
+            files,
+            faults: { [FIRST]: ['503', '503'], [SECOND]: ['503', '503', '503'] }
+        });
+
+        const result = await archive(rows(), { retries: 2 });
+
+        assert.equal(result.downloaded, 1);
+        assert.equal(result.failed, 1);
+        assert.equal(result.rows[0].preview_sha256, sha256(files[FIRST]));
+        assert.equal(result.rows[1].preview_archive_error, 'HTTP 503');
+        assert.equal(result.rows[1].preview_sha256, undefined);
+    });
+
+    it('does not retry missing previews', async () => {
+        server = await startMediaServer({ files: {} });
+
+        const result = await archive(rows().slice(0, 1));
+
+        assert.equal(result.rows[0].preview_archive_error, 'HTTP 404');
+        assert.equal(server.requests.length, 1);
+    });
+
+    it('downloads a preview shared by several rows once', async () => {
+        server = await startMediaServer({ files });
+        const [first] = rows();
+
+        const result = await archive([first, { ...first, url: 'https://60fps.design/shots/copy' }]);
+
+        assert.equal(server.requests.length, 1);
+        assert.equal(result.downloaded, 1);
+        assert.equal(result.rows[1].preview_sha256, sha256(files[FIRST]));
+    });
+
+    it('counts a shared preview that fails once, like one that downloads', async () => {
+        server = await startMediaServer({ files, faults: { [FIRST]: ['503'] } });
+        const [first, second] = rows();
+
+        const result = await archive([first, { ...first, url: 'https://60fps.design/shots/copy' }, second], { retries: 0 });
+
+        assert.deepEqual([result.downloaded, result.skipped, result.failed], [1, 0, 1]);
+        assert.deepEqual(result.rows.map(row => row.preview_archive_error), ['HTTP 503', 'HTTP 503', undefined]);
+    });
+});
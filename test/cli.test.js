@@ -0,0 +1,205 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { parseCli, exitCodeFor, exitCodeForError, readRowsFile, CliError, EXIT_CODES } = require('../lib/cli');
+const { diffRows, saveSnapshot } = require('../lib/snapshots');
+const { ScrapeError, ERROR_CODES } = require('../lib/errors');
+const { main } = require('../scrape60fps');
+
+function row(slug) {
+    return {
+        title: slug,
+        url: `https://60fps.design/shots/${slug}`,
+        preview_url: `https://video.gumlet.io/${slug}/main.mp4`,
+        source: '60fps.design'
+    };
+}
+
+describe('parseCli', () => {
+    it('defaults to a headless scrape with the mock fallback', () => {
+        const { command, args, options } = parseCli([]);
+
+        assert.equal(command, 'scrape');
+        assert.deepEqual(args, []);
+        assert.equal(options.headless, true);
+        assert.equal(options.fallback, 'mock');
+        assert.equal(options.navigationTimeout, undefined);
+    });
+
+    it('parses subcommands, flags and numeric options', () => {
+        const { command, args, options } = parseCli([
+            'detail', 'amie-drag-to-calendar-morph',
+            '--headed', '--timeout', '5000', '--max-load-attempts', '0', '-f', 'csv', '-o', 'out.csv', '-q'
+        ]);
+
+        assert.equal(command, 'detail');
+        assert.deepEqual(args, ['amie-drag-to-calendar-morph']);
+        assert.equal(options.headless, false);
+        assert.equal(options.navigationTimeout, 5000);
+        assert.equal(options.maxLoadAttempts, 0);
+        assert.equal(options.format, 'csv');
+        assert.equal(options.output, 'out.csv');
+        assert.equal(options.quiet, true);
+    });
+
+    it('collects repeated load-more texts', () => {
+        const { options } = parseCli(['--pagination', 'button', '--load-more-text', 'Mehr laden', '--load-more-text', 'Weitere']);
+
+        assert.equal(options.pagination, 'button');
+        assert.deepEqual(options.loadMoreTexts, ['Mehr laden', 'Weitere']);
+        assert.equal(options.loadMoreDeny, undefined);
+    });
+
+    it('collects listing targets', () => {
+        const { options } = parseCli(['--app', 'CRED', '--category', 'onboarding', '--listing', '/platforms/ios', '--listing', 'app:amie']);
+
+        assert.deepEqual(options.listings.map(listing => [listing.id, listing.path]), [
+            ['app:cred', '/apps/cred'],
+            ['category:onboarding', '/categories/onboarding'],
+            ['path:/platforms/ios', '/platforms/ios'],
+            ['app:amie', '/apps/amie']
+        ]);
+        assert.equal(parseCli([]).options.listings, undefined);
+    });
+
+    it('parses the schema command and serve options', () => {
+        assert.deepEqual(parseCli(['schema', 'row']).args, ['row']);
+
+        const { options } = parseCli(['serve', '--cache-ttl', '0', '--pool-size', '2']);
+        assert.equal(options.cacheTtl, 0);
+        assert.equal(options.poolSize, 2);
+        assert.equal(parseCli(['serve']).options.poolSize, 1);
+    });
+
+    it('collects webhook targets', () => {
+        const { options } = parseCli(['--webhook', 'https://example.com/hook', '--webhook', 'slack:http://127.0.0.1:9000/', '--dead-letter', 'failed.ndjson']);
+
+        assert.deepEqual(options.webhooks, [
+            { url: 'https://example.com/hook', format: 'json' },
+            { url: 'http://127.0.0.1:9000/', format: 'slack' }
+        ]);
+        assert.equal(options.deadLetter, 'failed.ndjson');
+    });
+
+    it('parses retry policies and circuit breaker options', () => {
+        const { options } = parseCli(['--retries', 'navigate=4,extract=0', '--circuit-threshold', '0']);
+
+        assert.deepEqual(options.retries, { navigate: { retries: 4 }, extract: { retries: 0 } });
+        assert.equal(options.circuitThreshold, 0);
+        assert.equal(parseCli([]).options.circuitThreshold, 5);
+        assert.equal(parseCli([]).options.circuitCooldown, 300000);
+    });
+
+    it('turns on resource blocking', () => {
+        assert.equal(parseCli(['--block-resources']).options.blockResources, true);
+        assert.equal(parseCli([]).options.blockResources, false);
+    });
+
+    it('parses profile selection and the profile command', () => {
+        const { options } = parseCli(['--profile', 'mobile', '--profiles', 'profiles.json']);
+        assert.equal(options.profile, 'mobile');
+        assert.equal(options.profiles, 'profiles.json');
+
+        const check = parseCli(['profile', 'mobile', '--check', 'http://127.0.0.1:8080/headers']);
+        assert.equal(check.command, 'profile');
+        assert.deepEqual(check.args, ['mobile']);
+        assert.equal(check.options.check, 'http://127.0.0.1:8080/headers');
+    });
+
+    it('rejects unknown commands, flags and values', () => {
+        for (const argv of [['crawl'], ['schema', 'shot'], ['serve', '--pool-size', '0'], ['--bogus'], ['--listing', 'shots'], ['--app', ' '], ['--timeout', 'soon'], ['--format', 'xml'], ['--pagination', 'pages'], ['--webhook', 'teams:https://example.com/'], ['--retries', 'click=1'], ['profile', 'a', 'b'], ['--check', 'http://127.0.0.1/'], ['detail'], ['diff', 'a', 'b', 'c'], ['diff', '-f', 'csv']]) {
+            assert.throws(() => parseCli(argv), CliError, argv.join(' '));
+        }
+    });
+});
+
+describe('exit codes', () => {
+    it('maps run status and error codes', () => {
+        assert.equal(exitCodeFor({ status: 'ok', errorCode: null }), EXIT_CODES.OK);
+        assert.equal(exitCodeFor({ status: 'partial', errorCode: ERROR_CODES.LOAD_MORE_FAILED }), 2);
+        assert.equal(exitCodeFor({ status: 'mock', errorCode: ERROR_CODES.NAVIGATION_FAILED }), 3);
+        assert.equal(exitCodeFor({ status: 'stale', errorCode: ERROR_CODES.SITE_ERROR_PAGE }), 3);
+        assert.equal(exitCodeFor({ status: 'mock', errorCode: ERROR_CODES.NO_CONTENT }), 4);
+        assert.equal(exitCodeFor({ status: 'ok', errorCode: null, drift: true }), 4);
+        assert.equal(exitCodeForError(new ScrapeError(ERROR_CODES.NO_SHOTS, 'none')), 4);
+        assert.equal(exitCodeForError(new Error('boom')), 1);
+    });
+});
+
+describe('rows files', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-cli-'));
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('reads JSON arrays, --with-meta envelopes and NDJSON', async () => {
+        const rows = [row('a'), row('b')];
+        const files = {
+            'array.json': JSON.stringify(rows),
+            'meta.json': JSON.stringify({ meta: { status: 'ok' }, rows }, null, 2),
+            'rows.ndjson': rows.map(r => JSON.stringify(r)).join('\n')
+        };
+
+        for (const [name, text] of Object.entries(files)) {
+            await fs.writeFile(path.join(dir, name), text);
+            assert.deepEqual(await readRowsFile(path.join(dir, name)), rows, name);
+        }
+    });
+
+    it('diffs rows by shot ID', () => {
+        const diff = diffRows([row('a'), row('b')], [row('b'), row('c')]);
+
+        assert.deepEqual(diff.added.map(r => r.title), ['c']);
+        assert.deepEqual(diff.removed.map(r => r.title), ['a']);
+    });
+
+    it('exports a rows file to another format', async () => {
+        const input = path.join(dir, 'export.json');
+        const output = path.join(dir, 'export.csv');
+        await fs.writeFile(input, JSON.stringify([row('a')]));
+
+        const code = await main(['export', input, '--format', 'csv', '--output', output, '--quiet']);
+
+        assert.equal(code, EXIT_CODES.OK);
+        assert.equal(
+            await fs.readFile(output, 'utf8'),
+            'title,url,preview_url,source\r\na,https://60fps.design/shots/a,https://video.gumlet.io/a/main.mp4,60fps.design\r\n'
+        );
+    });
+
+    it('writes the diff of two files', async () => {
+        const oldFile = path.join(dir, 'old.json');
+        const newFile = path.join(dir, 'new.ndjson');
+        const output = path.join(dir, 'diff.json');
+        await fs.writeFile(oldFile, JSON.stringify([row('a')]));
+        await fs.writeFile(newFile, `${JSON.stringify(row('a'))}\n${JSON.stringify(row('b'))}\n`);
+
+        const code = await main(['diff', oldFile, newFile, '-o', output, '-q']);
+        const diff = JSON.parse(await fs.readFile(output, 'utf8'));
+
+        assert.equal(code, EXIT_CODES.OK);
+        assert.deepEqual(diff.added.map(r => r.title), ['b']);
+        assert.deepEqual(diff.removed, []);
+    });
+
+    it('writes a Markdown changelog of the two latest snapshots', async () => {
+        const snapshots = path.join(dir, 'snapshots');
+        const output = path.join(dir, 'changelog.md');
+        await saveSnapshot(snapshots, [row('a')], { status: 'ok' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await saveSnapshot(snapshots, [row('a'), row('b')], { status: 'ok' });
+
+        const code = await main(['diff', '--snapshots', snapshots, '-f', 'markdown', '-o', output, '-q']);
+        const markdown = await fs.readFile(output, 'utf8');
+
+        assert.equal(code, EXIT_CODES.OK);
+        assert.match(markdown, /\*\*1 added, 0 removed, 0 changed\*\*/);
+        assert.match(markdown, /- \[b\]\(https:\/\/60fps\.design\/shots\/b\)/);
+    });
+});
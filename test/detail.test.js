@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crawlShotDetails, extractShotDetail } = require('../lib/detail');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { launchTestBrowser } = require('./helpers/browser');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+describe('shot detail pages', () => {
+    let server;
+    let browser;
+    let context;
+
+    before(async () => {
+        server = await startFixtureServer('grid.html');
+        browser = await launchTestBrowser();
+        context = await browser.newContext();
+    });
+
+    after(async () => {
+        await browser.close();
+        await server.close();
+    });
+
+    const shot = slug => ({ url: `${server.url}/shots/${slug}`, title: slug });
+
+    it('reads labelled fields, taxonomy links and media off a detail page', async () => {
+        const page = await context.newPage();
+        try {
+            await page.goto(`${server.url}/shots/cred-card-swipe`);
+
+            assert.deepEqual(await page.evaluate(extractShotDetail), {
+                title: 'CRED Card Swipe',
+                app: 'CRED',
+                platform: 'iOS',
+                categories: ['Payments', 'Cards'],
+                tags: ['gesture', 'haptics', 'swipe', 'cards'],
+                ui_pattern: 'Swipe to confirm',
+                designer: 'Jane Doe',
+                video_url: `${GUMLET}/68adddc0cd4a3cfd5418a305/main.m3u8`,
+                poster_url: `${server.url}/posters/cred-card-swipe.jpg`
+            });
+        } finally {
+            await page.close();
+        }
+    });
+
+    it('falls back to meta tags and links when fields are not labelled', async () => {
+        const page = await context.newPage();
+        try {
+            await page.goto(`${server.url}/shots/amie-drag`);
+
+            assert.deepEqual(await page.evaluate(extractShotDetail), {
+                title: 'Amie Drag To Calendar',
+                app: 'Amie',
+                platform: 'web',
+                categories: [],
+                tags: [],
+                ui_pattern: null,
+                designer: null,
+                video_url: `${GUMLET}/68a1/main.mp4`,
+                poster_url: 'https://60fps.design/og/amie-drag.png'
+            });
+        } finally {
+            await page.close();
+        }
+    });
+
+    it('marks only the shot whose page failed and keeps the others', async () => {
+        let opened = 0;
+        // The second page cannot even be opened
+        const flaky = {
+            newPage: () => (++opened === 2 ? Promise.reject(new Error('Target closed')) : context.newPage())
+        };
+        const shots = [shot('cred-card-swipe'), shot('amie-drag'), { url: 'http://127.0.0.1:1/shots/offline', title: 'offline' }];
+
+        const crawled = await crawlShotDetails(flaky, shots, { concurrency: 1, timeout: 5000 });
+
+        assert.deepEqual(crawled.map(entry => entry.title), ['cred-card-swipe', 'amie-drag', 'offline']);
+        assert.equal(crawled[0].detail.app, 'CRED');
+        assert.equal(crawled[0].detailError, undefined);
+        assert.deepEqual([crawled[1].detail, crawled[1].detailError], [null, 'Target closed']);
+        assert.equal(crawled[2].detail, null);
+        assert.match(crawled[2].detailError, /^page\.goto: net::ERR_/);
+    });
+
+    it('calls onShot in input order even when later pages finish first', async () => {
+        const slow = await browser.newContext();
+        await slow.route('**/shots/cred-card-swipe', async route => {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            await route.continue();
+        });
+
+        const streamed = [];
+        try {
+            const crawled = await crawlShotDetails(slow, [shot('cred-card-swipe'), shot('amie-drag'), shot('amie-drag')], {
+                concurrency: 3,
+                onShot: entry => streamed.push(entry)
+            });
+
+            assert.deepEqual(streamed, crawled);
+            assert.deepEqual(streamed.map(entry => entry.detail.title), ['CRED Card Swipe', 'Amie Drag To Calendar', 'Amie Drag To Calendar']);
+        } finally {
+            await slow.close();
+        }
+    });
+
+    it('skips pages once the time budget is spent', async () => {
+        const streamed = [];
+        const crawled = await crawlShotDetails(context, [shot('cred-card-swipe')], {
+            deadline: { cap: () => 0 },
+            onShot: entry => streamed.push(entry)
+        });
+
+        assert.deepEqual(crawled, [{ ...shot('cred-card-swipe'), detail: null, detailError: 'Time budget exceeded' }]);
+        assert.deepEqual(streamed, crawled);
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatRows, negotiateFormat } = require('../lib/formats');
+
+const ROWS = [
+    {
+        id: 'cred-recurring-payments',
+        title: 'CRED "Recurring" Payments, Card Swipe',
+        url: 'https://60fps.design/shots/cred-recurring-payments?video=v1',
+        preview_url: 'https://video.gumlet.io/c1/v1/main.mp4',
+        source: '60fps.design',
+        first_seen_at: '2025-09-20T11:40:18.861Z',
+        last_seen_at: '2025-09-20T11:40:18.861Z',
+        canonical_url: 'https://60fps.design/shots/cred-recurring-payments',
+        tags: ['swipe', 'cards'],
+        preview_size: 482113,
+        preview_content_type: 'video/mp4'
+    },
+    {
+        id: 'amie-drag-to-calendar-morph',
+        title: 'Amie Drag & Drop <Calendar>',
+        url: 'https://60fps.design/shots/amie-drag-to-calendar-morph?video=v2',
+        preview_url: 'https://video.gumlet.io/c1/v2/main.mp4',
+        source: '60fps.design',
+        first_seen_at: '2025-09-21T08:00:00.000Z',
+        last_seen_at: '2025-09-21T08:00:00.000Z',
+        canonical_url: 'https://60fps.design/shots/amie-drag-to-calendar-morph'
+    }
+];
+
+describe('formatRows', () => {
+    it('writes one JSON object per line for ndjson', () => {
+        const lines = formatRows(ROWS, 'ndjson').trimEnd().split('\n');
+        assert.deepEqual(lines.map(line => JSON.parse(line).url), ROWS.map(row => row.url));
+    });
+
+    it('escapes quotes, commas and list columns in csv', () => {
+        const [header, first, second] = formatRows(ROWS, 'csv').split('\r\n');
+
+        assert.equal(header, 'id,title,url,preview_url,source,first_seen_at,last_seen_at,canonical_url,tags,preview_size,preview_content_type');
+        assert.ok(first.startsWith('cred-recurring-payments,"CRED ""Recurring"" Payments, Card Swipe",'));
+        assert.ok(first.endsWith(',swipe; cards,482113,video/mp4'));
+        assert.ok(second.endsWith('/amie-drag-to-calendar-morph,,,'), 'missing values are empty cells');
+    });
+
+    it('writes object columns as JSON in csv', () => {
+        const rows = [{ ...ROWS[1], media: { manifest: 'hls', renditions: null } }];
+        const [header, row] = formatRows(rows, 'csv').split('\r\n');
+
+        assert.ok(header.endsWith(',media'));
+        assert.ok(row.endsWith(',"{""manifest"":""hls"",""renditions"":null}"'));
+    });
+
+    it('puts every preview video in an RSS enclosure, with the size when archived', () => {
+        const rss = formatRows(ROWS, 'rss');
+
+        assert.match(rss, /<enclosure url="https:\/\/video\.gumlet\.io\/c1\/v1\/main\.mp4" length="482113" type="video\/mp4"\/>/);
+        assert.match(rss, /<enclosure url="https:\/\/video\.gumlet\.io\/c1\/v2\/main\.mp4" length="0" type="video\/mp4"\/>/);
+        assert.equal(formatRows([{ ...ROWS[1], preview_url: null }], 'rss').includes('<enclosure'), false);
+        assert.match(rss, /<title>Amie Drag &amp; Drop &lt;Calendar&gt;<\/title>/);
+        assert.match(rss, /<pubDate>Sat, 20 Sep 2025 11:40:18 GMT<\/pubDate>/);
+    });
+
+    it('links the preview video as an Atom enclosure', () => {
+        const atom = formatRows(ROWS, 'atom', { title: 'New shots' });
+
+        assert.match(atom, /<link rel="enclosure" type="video\/mp4" href="https:\/\/video\.gumlet\.io\/c1\/v1\/main\.mp4" length="482113"\/>/);
+        assert.match(atom, /<link rel="enclosure" type="video\/mp4" href="https:\/\/video\.gumlet\.io\/c1\/v2\/main\.mp4"\/>/);
+        assert.match(atom, /<title>New shots<\/title>/);
+        assert.match(atom, /<updated>2025-09-21T08:00:00\.000Z<\/updated>\n  <entry>/);
+    });
+
+    it('identifies feed items by the canonical URL, not the rotating ?video= URL', () => {
+        const rotated = ROWS.map(row => ({ ...row, url: `${row.url}-rotated` }));
+        const rows = [...ROWS, { ...ROWS[1], id: 'motion-video-v3', slug: null, canonical_url: null }];
+
+        const rss = formatRows(rows, 'rss');
+        assert.deepEqual([...rss.matchAll(/<guid isPermaLink="(\w+)">([^<]+)<\/guid>/g)].map(match => match.slice(1)), [
+            ['true', 'https://60fps.design/shots/cred-recurring-payments'],
+            ['true', 'https://60fps.design/shots/amie-drag-to-calendar-morph'],
+            ['false', 'urn:60fps:shot:motion-video-v3']
+        ]);
+        assert.match(rss, /<link>https:\/\/60fps\.design\/shots\/cred-recurring-payments\?video=v1<\/link>/);
+
+        const atom = formatRows(rows, 'atom');
+        assert.deepEqual([...atom.matchAll(/<entry>\n.*\n    <id>([^<]+)<\/id>/g)].map(match => match[1]), [
+            'https://60fps.design/shots/cred-recurring-payments',
+            'https://60fps.design/shots/amie-drag-to-calendar-morph',
+            'urn:60fps:shot:motion-video-v3'
+        ]);
+
+        const ids = feed => [...feed.matchAll(/<(?:guid[^>]*|id)>([^<]+)</g)].map(match => match[1]);
+        assert.deepEqual(ids(formatRows(rotated, 'rss')), ids(formatRows(ROWS, 'rss')));
+        assert.deepEqual(ids(formatRows(rotated, 'atom')), ids(formatRows(ROWS, 'atom')));
+    });
+});
+
+describe('negotiateFormat', () => {
+    it('picks the highest-quality supported media type', () => {
+        assert.equal(negotiateFormat('text/csv'), 'csv');
+        assert.equal(negotiateFormat('application/json;q=0.5, application/rss+xml'), 'rss');
+        assert.equal(negotiateFormat('text/html, */*;q=0.8'), null);
+        assert.equal(negotiateFormat(undefined), null);
+    });
+});
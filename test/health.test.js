@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkHealth, createDriftSignal, postDriftSignal } = require('../lib/health');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+function shot(n, overrides = {}) {
+    return {
+        url: `https://60fps.design/shots/shot-${n}`,
+        preview: `${GUMLET}/68b00000000000000000000${n}/main.mp4`,
+        title: `Amie Drag To Calendar Morph ${n}`,
+        ...overrides
+    };
+}
+
+const shots = count => Array.from({ length: count }, (_, i) => shot(i + 1));
+
+describe('checkHealth', () => {
+    it('passes a run that meets every threshold', () => {
+        const health = checkHealth(shots(10));
+
+        assert.equal(health.healthy, true);
+        assert.deepEqual(health.breaches, []);
+        assert.deepEqual(health.checks.map(check => check.name), ['min_shots', 'permalink_ratio', 'gumlet_ratio', 'title_quality']);
+    });
+
+    it('flags too few shots, synthesized slugs, foreign previews and generic titles', () => {
+        const run = [
+            shot(1),
+            shot(2, { confidence: 'synthesized' }),
+            shot(3, { title: 'Video 12' }),
+            shot(4, { title: 'Motion Video 4', preview: 'https://example.com/4.mp4' })
+        ];
+        const health = checkHealth(run, { minShots: 5 });
+
+        assert.equal(health.healthy, false);
+        assert.deepEqual(health.breaches, ['min_shots', 'permalink_ratio', 'gumlet_ratio', 'title_quality']);
+        assert.deepEqual(health.checks.find(check => check.name === 'title_quality'), {
+            name: 'title_quality', value: 0.5, threshold: 0.9, ok: false
+        });
+    });
+
+    it('treats an empty run as a breach of every check', () => {
+        assert.deepEqual(checkHealth([], { minShots: 0 }).breaches, ['permalink_ratio', 'gumlet_ratio', 'title_quality']);
+    });
+});
+
+describe('postDriftSignal', () => {
+    let webhook;
+
+    before(async () => {
+        webhook = await startWebhookServer({ statuses: [200, 500] });
+    });
+
+    after(() => webhook.close());
+
+    it('posts the signal as JSON and reports rejected deliveries', async () => {
+        const signal = createDriftSignal({
+            site: 'https://60fps.design',
+            health: checkHealth(shots(1)),
+            selector: '[class*="item"]'
+        });
+
+        assert.deepEqual(await postDriftSignal(webhook.url, signal), { delivered: true, status: 200 });
+        assert.deepEqual(await postDriftSignal(webhook.url, signal), { delivered: false, status: 500 });
+
+        assert.equal(webhook.requests[0].method, 'POST');
+        assert.equal(webhook.requests[0].headers['content-type'], 'application/json');
+        assert.equal(webhook.requests[0].body.type, 'structure_drift');
+        assert.deepEqual(webhook.requests[0].body.breaches, ['min_shots']);
+    });
+
+    it('never throws when the webhook is unreachable', async () => {
+        const result = await postDriftSignal('http://127.0.0.1:1/drift', { type: 'structure_drift' });
+
+        assert.equal(result.delivered, false);
+        assert.ok(result.error);
+    });
+});
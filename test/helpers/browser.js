@@ -0,0 +1,31 @@
+const { chromium } = require('playwright-core');
+const chromiumPkg = require('@sparticuz/chromium');
+
+/**
+ * Headless Chromium for the offline tests
+ *
+ * CHROMIUM_PATH points at any local Chromium. Otherwise Linux uses the binary
+ * bundled with @sparticuz/chromium (no download needed) and other platforms
+ * use the browser installed by `npm run install-browsers`.
+ *
+ * Pass { reusable: true } for a browser that outlives its contexts (browser
+ * pool tests): the bundled --single-process flag ends the browser with its
+ * last context.
+ */
+async function launchTestBrowser({ reusable = false } = {}) {
+    if (process.env.CHROMIUM_PATH) {
+        return chromium.launch({ headless: true, executablePath: process.env.CHROMIUM_PATH });
+    }
+
+    if (process.platform === 'linux') {
+        return chromium.launch({
+            headless: true,
+            executablePath: await chromiumPkg.executablePath(),
+            args: reusable ? chromiumPkg.args.filter(arg => arg !== '--single-process') : chromiumPkg.args
+        });
+    }
+
+    return chromium.launch({ headless: true });
+}
+
+module.exports = { launchTestBrowser };
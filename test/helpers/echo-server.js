@@ -0,0 +1,42 @@
+const http = require('http');
+
+/**
+ * Local server that reflects every request's headers as JSON
+ *
+ * Answers { method, url, headers } and records the same in `requests`. It
+ * also works as a plain HTTP proxy, since Chromium sends proxied requests
+ * with the absolute URL as the path: with proxyAuth ({ username, password })
+ * requests without matching Proxy-Authorization get a 407 challenge first.
+ * rewrite(headers) changes the reflected headers, like a meddling proxy;
+ * setCookie adds a Set-Cookie header to every answer.
+ */
+async function startEchoServer({ proxyAuth = null, rewrite = headers => headers, setCookie = null } = {}) {
+    const requests = [];
+    const expected = proxyAuth && `Basic ${Buffer.from(`${proxyAuth.username}:${proxyAuth.password}`).toString('base64')}`;
+
+    const server = http.createServer((req, res) => {
+        if (expected && req.headers['proxy-authorization'] !== expected) {
+            res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="echo"' }).end();
+            return;
+        }
+
+        const reflected = { method: req.method, url: req.url, headers: rewrite({ ...req.headers }) };
+        requests.push(reflected);
+
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            ...(setCookie && { 'Set-Cookie': setCookie })
+        });
+        res.end(JSON.stringify(reflected));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startEchoServer };
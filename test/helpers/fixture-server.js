@@ -0,0 +1,73 @@
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Static stand-in for 60fps.design serving the HTML files in test/fixtures
+ *
+ * Extensionless paths are served from the matching .html file, so listing
+ * pages such as /apps/cred come from apps/cred.html. With dropConnections,
+ * the first requests get their connection cut, like a flaky network.
+ * requests() lists the paths requested so far.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json',
+    '.mp4': 'video/mp4'
+};
+
+/**
+ * Start a server on a random local port
+ *
+ * @param {string} indexFixture - Fixture served at "/", e.g. "grid.html"
+ * @param {Object} [options] - { dropConnections: requests to cut off first }
+ * @returns {Promise<{url: string, dropped: () => number, requests: () => string[], close: () => Promise<void>}>}
+ */
+async function startFixtureServer(indexFixture, { dropConnections = 0 } = {}) {
+    let dropped = 0;
+    const requested = [];
+
+    const server = http.createServer(async (req, res) => {
+        requested.push(req.url);
+        if (dropped < dropConnections) {
+            dropped++;
+            req.socket.destroy();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        let fileName = pathname === '/' ? indexFixture : pathname.slice(1);
+        if (!path.extname(fileName)) {
+            fileName = `${fileName}.html`;
+        }
+        const filePath = path.join(FIXTURES_DIR, fileName);
+
+        if (!filePath.startsWith(FIXTURES_DIR)) {
+            res.writeHead(403).end();
+            return;
+        }
+
+        try {
+            const body = await fs.readFile(filePath);
+            const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+            res.writeHead(200, { 'Content-Type': type }).end(body);
+        } catch (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        dropped: () => dropped,
+        requests: () => [...requested],
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,96 @@
+const http = require('http');
+
+/**
+ * Build a small, valid-looking MP4: an ftyp box followed by an mdat box of
+ * deterministic filler bytes
+ */
+function sampleMp4(seed, size = 64 * 1024) {
+    const ftyp = Buffer.from('000000186674797069736f6d0000020069736f6d69736f32', 'hex');
+    const mdat = Buffer.alloc(size - ftyp.length);
+    mdat.writeUInt32BE(mdat.length, 0);
+    mdat.write('mdat', 4);
+    for (let i = 8; i < mdat.length; i++) mdat[i] = (i * 31 + seed) & 0xff;
+    return Buffer.concat([ftyp, mdat]);
+}
+
+/**
+ * Local stand-in for the Gumlet CDN
+ *
+ * Serves `files` ({ '/path/main.mp4': Buffer }) as video/mp4 with Range
+ * support. `faults` make a path misbehave on its first requests:
+ *   { '/path': ['503', 'truncate', ...] }
+ * 'truncate' sends half of the body and then drops the connection,
+ * 'overlong' sends all of it but announces a byte more and drops the
+ * connection too, 'range-from-start' answers a Range request with a 206 of
+ * the whole file. Every request is recorded in `requests`.
+ */
+async function startMediaServer({ files = {}, faults = {} } = {}) {
+    const requests = [];
+    const pending = Object.fromEntries(Object.entries(faults).map(([key, list]) => [key, [...list]]));
+
+    const server = http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        requests.push({ path: pathname, range: req.headers.range || null });
+
+        const body = files[pathname];
+        if (!body) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const fault = pending[pathname] && pending[pathname].shift();
+        if (fault && /^\d{3}$/.test(fault)) {
+            res.writeHead(Number(fault));
+            res.end();
+            return;
+        }
+
+        let start = 0;
+        const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+        if (range && fault === 'range-from-start') {
+            res.writeHead(206, {
+                'Content-Type': 'video/mp4',
+                'Content-Length': body.length,
+                'Content-Range': `bytes 0-${body.length - 1}/${body.length}`
+            });
+        } else if (range) {
+            start = Number(range[1]);
+            if (start >= body.length) {
+                res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+                res.end();
+                return;
+            }
+            res.writeHead(206, {
+                'Content-Type': 'video/mp4',
+                'Content-Length': body.length - start,
+                'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`
+            });
+        } else {
+            res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': body.length + (fault === 'overlong' ? 1 : 0) });
+        }
+
+        const chunk = body.subarray(start);
+        if (fault === 'overlong') {
+            res.write(chunk, () => setTimeout(() => res.destroy(), 100));
+            return;
+        }
+        if (fault === 'truncate') {
+            // Give the client time to write the first half before the drop
+            res.write(chunk.subarray(0, Math.floor(chunk.length / 2)), () => setTimeout(() => res.destroy(), 100));
+            return;
+        }
+        res.end(chunk);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startMediaServer, sampleMp4 };
@@ -0,0 +1,76 @@
+const http = require('http');
+
+/**
+ * Minimal in-memory PostgREST stand-in
+ *
+ * Supports what the Supabase sink uses: GET with `select=*` and an
+ * `<column>=in.(...)` filter, and POST upserts with `on_conflict`. Every
+ * request is recorded in `requests` for assertions.
+ */
+async function startPostgrestServer({ key = 'test-key', rows = [] } = {}) {
+    const tables = new Map();
+    const requests = [];
+
+    const tableRows = name => {
+        if (!tables.has(name)) tables.set(name, []);
+        return tables.get(name);
+    };
+    tableRows('shots').push(...rows);
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const table = decodeURIComponent(url.pathname.replace(/^\/rest\/v1\//, ''));
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(payload === undefined ? '' : JSON.stringify(payload));
+        };
+
+        if (req.headers.apikey !== key || req.headers.authorization !== `Bearer ${key}`) {
+            return send(401, { message: 'Invalid API key' });
+        }
+
+        if (req.method === 'GET') {
+            let result = tableRows(table);
+            for (const [column, filter] of url.searchParams) {
+                const match = filter.match(/^in\.\((.*)\)$/);
+                if (!match) continue;
+                const values = match[1].split(',').map(value => value.replace(/^"|"$/g, ''));
+                result = result.filter(row => values.includes(String(row[column])));
+            }
+            return send(200, result);
+        }
+
+        if (req.method === 'POST') {
+            const conflictColumn = url.searchParams.get('on_conflict');
+            const existing = tableRows(table);
+            for (const row of JSON.parse(body)) {
+                const index = existing.findIndex(current => current[conflictColumn] === row[conflictColumn]);
+                if (index === -1) {
+                    existing.push(row);
+                } else {
+                    existing[index] = { ...existing[index], ...row };
+                }
+            }
+            return send(201);
+        }
+
+        return send(405, { message: 'Method not allowed' });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        rows: table => tableRows(table),
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startPostgrestServer };
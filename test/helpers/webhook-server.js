@@ -0,0 +1,39 @@
+const http = require('http');
+
+/**
+ * Local stand-in for a webhook receiver
+ *
+ * Records every request (with the body parsed as JSON when possible) in
+ * `requests` and answers with `status`, or with the next entry of `statuses`
+ * while there are any, plus any extra response `headers`.
+ */
+async function startWebhookServer({ status = 200, statuses = [], headers = {} } = {}) {
+    const requests = [];
+    const queue = [...statuses];
+
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        let parsed = body;
+        try {
+            parsed = JSON.parse(body);
+        } catch (error) {
+            // Keep the raw body
+        }
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: parsed, raw: body });
+
+        res.writeHead(queue.length > 0 ? queue.shift() : status, { 'Content-Type': 'application/json', ...headers });
+        res.end('{}');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startWebhookServer };
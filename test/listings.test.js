@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseListing, parseListingSpec, listingUrl, mergeListingShots } = require('../lib/listings');
+const { normalizeShot } = require('../lib/normalize');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+const shot = (slug, videoId, extra = {}) => normalizeShot({
+    url: `https://60fps.design/shots/${slug}?video=${videoId}`,
+    preview: `${GUMLET}/${videoId}/main.mp4`,
+    title: slug,
+    ...extra
+});
+
+describe('parseListing', () => {
+    it('builds app and category paths from names', () => {
+        assert.deepEqual(parseListing('app', ' CRED '), { id: 'app:cred', type: 'app', value: 'cred', path: '/apps/cred' });
+        assert.equal(parseListing('category', 'Pull to refresh').path, '/categories/pull-to-refresh');
+        assert.equal(listingUrl('https://60fps.design/', parseListing('app', 'amie')), 'https://60fps.design/apps/amie');
+    });
+
+    it('keeps listing paths as they are', () => {
+        assert.deepEqual(parseListingSpec('/platforms/ios?sort=new'), {
+            id: 'path:/platforms/ios?sort=new',
+            type: 'path',
+            value: '/platforms/ios?sort=new',
+            path: '/platforms/ios?sort=new'
+        });
+        assert.equal(parseListingSpec('category:onboarding').id, 'category:onboarding');
+    });
+
+    it('rejects unknown types, empty names and foreign paths', () => {
+        assert.throws(() => parseListing('platform', 'ios'), /Unknown listing type/);
+        assert.throws(() => parseListing('app', '!!'), /needs a name/);
+        assert.throws(() => parseListing('path', 'https://example.com/apps'), /must start with a single \//);
+        assert.throws(() => parseListing('path', '//example.com/apps'), /must start with a single \//);
+        assert.throws(() => parseListingSpec('cred'), /app:<name>/);
+    });
+});
+
+describe('mergeListingShots', () => {
+    it('merges shots seen in several listings and tags them with each', () => {
+        const { shots, duplicates } = mergeListingShots([
+            { listing: parseListing('app', 'cred'), shots: [shot('cred-card-swipe', 'v1'), shot('cred-scratch-card', 'v2')] },
+            { listing: parseListing('category', 'onboarding'), shots: [shot('mozi-onboarding', 'v3'), shot('cred-card-swipe', 'v1')] }
+        ]);
+
+        assert.equal(duplicates, 1);
+        assert.deepEqual(shots.map(merged => [merged.id, merged.listings]), [
+            ['cred-card-swipe', ['app:cred', 'category:onboarding']],
+            ['cred-scratch-card', ['app:cred']],
+            ['mozi-onboarding', ['category:onboarding']]
+        ]);
+    });
+
+    it('prefers an observed slug over a synthesized one for the same video', () => {
+        const { shots } = mergeListingShots([
+            { listing: parseListing('app', 'cred'), shots: [shot('card-swipe-2', 'v1', { synthesized: true })] },
+            { listing: parseListing('app', 'cred'), shots: [shot('cred-card-swipe', 'v1')] }
+        ]);
+
+        assert.equal(shots.length, 1);
+        assert.equal(shots[0].id, 'cred-card-swipe');
+        assert.deepEqual(shots[0].listings, ['app:cred']);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLogger } = require('../lib/logger');
+
+function memoryStream() {
+    const lines = [];
+    return { lines, write: chunk => lines.push(chunk) };
+}
+
+describe('createLogger', () => {
+    it('writes JSON lines at or above the configured level', () => {
+        const stream = memoryStream();
+        const logger = createLogger({ level: 'info', stream });
+
+        logger.debug('hidden');
+        logger.info('content found', { selector: 'video' });
+        logger.error('scrape failed', { error_code: 'NO_SHOTS' });
+
+        const entries = stream.lines.map(line => JSON.parse(line));
+        assert.deepEqual(entries.map(({ time, ...entry }) => entry), [
+            { level: 'info', msg: 'content found', selector: 'video' },
+            { level: 'error', msg: 'scrape failed', error_code: 'NO_SHOTS' }
+        ]);
+        assert.ok(stream.lines.every(line => line.endsWith('\n')));
+        assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+    });
+
+    it('adds child fields to every entry', () => {
+        const stream = memoryStream();
+        createLogger({ stream, fields: { run: 1 } }).child({ phase: 'load' }).warn('load loop failed');
+
+        assert.equal(JSON.parse(stream.lines[0]).run, 1);
+        assert.equal(JSON.parse(stream.lines[0]).phase, 'load');
+    });
+
+    it('writes readable lines in pretty format', () => {
+        const stream = memoryStream();
+        createLogger({ stream, format: 'pretty' }).info('load loop stopped', { reason: 'no-button', title: 'Load more' });
+
+        assert.equal(stream.lines[0], '[info] load loop stopped reason=no-button title="Load more"\n');
+    });
+
+    it('rejects unknown levels', () => {
+        assert.throws(() => createLogger({ level: 'trace' }), /Unknown log level/);
+    });
+});
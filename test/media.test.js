@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    gumletMediaUrls,
+    parseHlsManifest,
+    parseDashManifest,
+    resolveMedia,
+    resolveShotMedia
+} = require('../lib/media');
+const { startMediaServer } = require('./helpers/media-server');
+
+const COLLECTION = '66b49d08225b7b88f78b7b44';
+const VIDEO = '68adddc0cd4a3cfd5418a305';
+const GUMLET = `https://video.gumlet.io/${COLLECTION}/${VIDEO}`;
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'gumlet', name));
+
+const shot = (videoId = VIDEO) => ({
+    url: `https://60fps.design/shots/cred-card-swipe?video=${videoId}`,
+    preview: `https://video.gumlet.io/${COLLECTION}/${videoId}/main.mp4`,
+    title: 'CRED Card Swipe'
+});
+
+describe('gumletMediaUrls', () => {
+    it('derives the poster, MP4 and manifest URLs', () => {
+        assert.deepEqual(gumletMediaUrls({ collectionId: COLLECTION, videoId: VIDEO }), {
+            poster_url: `${GUMLET}/thumbnail-1-0.png`,
+            mp4_url: `${GUMLET}/main.mp4`,
+            hls_url: `${GUMLET}/main.m3u8`,
+            dash_url: `${GUMLET}/main.mpd`
+        });
+    });
+
+    it('builds on another host', () => {
+        const urls = gumletMediaUrls({ collectionId: 'c1', videoId: 'v1' }, 'http://127.0.0.1:8080/');
+        assert.equal(urls.hls_url, 'http://127.0.0.1:8080/c1/v1/main.m3u8');
+    });
+});
+
+describe('parseHlsManifest', () => {
+    it('lists the variant streams with absolute URLs', () => {
+        const renditions = parseHlsManifest(fixture('main.m3u8').toString(), `${GUMLET}/main.m3u8`);
+
+        assert.deepEqual(renditions.map(rendition => rendition.resolution), ['1080x1920', '720x1280', '360x640']);
+        assert.deepEqual(renditions[0], {
+            resolution: '1080x1920',
+            width: 1080,
+            height: 1920,
+            bandwidth: 5128000,
+            average_bandwidth: 4311000,
+            codecs: 'avc1.640028,mp4a.40.2',
+            frame_rate: 60,
+            url: `${GUMLET}/1080p/main.m3u8`
+        });
+        assert.equal(renditions[2].frame_rate, 30);
+        assert.equal(renditions[2].url, `${GUMLET}/360p/main.m3u8`);
+    });
+
+    it('returns no renditions for a media playlist', () => {
+        assert.deepEqual(parseHlsManifest('#EXTM3U\n#EXTINF:4.0,\nsegment0.ts\n', `${GUMLET}/main.m3u8`), []);
+    });
+});
+
+describe('parseDashManifest', () => {
+    it('lists the video representations and skips audio', () => {
+        const renditions = parseDashManifest(fixture('main.mpd').toString(), `${GUMLET}/main.mpd`);
+
+        assert.deepEqual(renditions, [
+            {
+                resolution: '1080x1920',
+                width: 1080,
+                height: 1920,
+                bandwidth: 5128000,
+                average_bandwidth: null,
+                codecs: 'avc1.640028',
+                frame_rate: 60,
+                url: `${GUMLET}/1080p/main.mp4`
+            },
+            {
+                resolution: '720x1280',
+                width: 720,
+                height: 1280,
+                bandwidth: 2561000,
+                average_bandwidth: null,
+                codecs: 'avc1.64001f',
+                frame_rate: 29.97,
+                url: `${GUMLET}/720p/main.mp4`
+            }
+        ]);
+    });
+});
+
+describe('resolveMedia', () => {
+    let server;
+
+    before(async () => {
+        server = await startMediaServer({
+            files: {
+                [`/${COLLECTION}/${VIDEO}/main.m3u8`]: fixture('main.m3u8'),
+                [`/${COLLECTION}/68b000000000000000000002/main.mpd`]: fixture('main.mpd')
+            }
+        });
+    });
+
+    after(() => server.close());
+
+    it('reads the renditions from the HLS playlist', async () => {
+        const media = await resolveMedia(shot(), { host: server.url });
+
+        assert.equal(media.provider, 'gumlet');
+        assert.equal(media.collection_id, COLLECTION);
+        assert.equal(media.video_id, VIDEO);
+        assert.equal(media.poster_url, `${server.url}/${COLLECTION}/${VIDEO}/thumbnail-1-0.png`);
+        assert.equal(media.manifest, 'hls');
+        assert.equal(media.renditions.length, 3);
+        assert.equal(media.renditions[1].url, `${server.url}/${COLLECTION}/${VIDEO}/720p/main.m3u8`);
+    });
+
+    it('falls back to the DASH manifest', async () => {
+        const media = await resolveMedia(shot('68b000000000000000000002'), { host: server.url });
+
+        assert.equal(media.manifest, 'dash');
+        assert.deepEqual(media.renditions.map(rendition => rendition.height), [1920, 1280]);
+    });
+
+    it('keeps the URLs when no manifest can be fetched', async () => {
+        const media = await resolveMedia(shot('68b000000000000000000003'), { host: server.url });
+
+        assert.equal(media.renditions, null);
+        assert.equal(media.manifest_error, 'hls: HTTP 404; dash: HTTP 404');
+        assert.equal(media.hls_url, `${server.url}/${COLLECTION}/68b000000000000000000003/main.m3u8`);
+    });
+
+    it('resolves null for previews not on Gumlet', async () => {
+        const media = await resolveMedia({ url: 'https://60fps.design/shots/x', preview: 'https://cdn.example.com/x.mp4' });
+        assert.equal(media, null);
+    });
+
+    it('attaches media to every shot', async () => {
+        const shots = await resolveShotMedia([shot(), shot('68b000000000000000000002')], { host: server.url, concurrency: 2 });
+
+        assert.deepEqual(shots.map(resolved => resolved.media.manifest), ['hls', 'dash']);
+        assert.equal(shots[0].title, 'CRED Card Swipe');
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { createResponseCollector, parseShotsFromPayload } = require('../lib/network');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+const VIDEO = '68adddc0cd4a3cfd5418a305';
+
+/**
+ * Just enough of a Playwright response for the collector
+ */
+function response(body, { type = 'fetch', contentType = 'application/json', url = 'https://60fps.design/api/shots' } = {}) {
+    return {
+        request: () => ({ resourceType: () => type }),
+        headers: () => (contentType ? { 'content-type': contentType } : {}),
+        url: () => url,
+        json: () => (body instanceof Error ? Promise.reject(body) : Promise.resolve(body))
+    };
+}
+
+describe('parseShotsFromPayload', () => {
+    it('finds shots nested anywhere in the payload, in payload order', () => {
+        const shots = parseShotsFromPayload({
+            data: {
+                collection: {
+                    items: [
+                        { title: 'CRED Card Swipe', slug: 'cred-card-swipe', video: { src: `${GUMLET}/${VIDEO}/main.mp4` } },
+                        { fields: { name: 'Amie Drag', path: '/shots/amie-drag', preview: 'https://cdn.60fps.design/amie-drag.mp4?v=2' } }
+                    ]
+                }
+            }
+        });
+
+        assert.deepEqual(shots, [
+            {
+                url: `https://60fps.design/shots/cred-card-swipe?video=${VIDEO}`,
+                preview: `${GUMLET}/${VIDEO}/main.mp4`,
+                title: 'CRED Card Swipe'
+            },
+            {
+                url: 'https://60fps.design/shots/amie-drag',
+                preview: 'https://cdn.60fps.design/amie-drag.mp4?v=2',
+                title: 'Amie Drag'
+            }
+        ]);
+    });
+
+    it('reads top-level arrays and builds URLs on the given base', () => {
+        const shots = parseShotsFromPayload([
+            { Title: '  Mozi Tabs  ', Href: 'https://60fps.design/shots/mozi-tabs?ref=feed', Video: `${GUMLET}/68a3/main.m3u8` }
+        ], 'http://127.0.0.1:3000');
+
+        assert.deepEqual(shots, [{
+            url: 'http://127.0.0.1:3000/shots/mozi-tabs?video=68a3',
+            preview: `${GUMLET}/68a3/main.m3u8`,
+            title: 'Mozi Tabs'
+        }]);
+    });
+
+    it('skips partial records and objects that only look like shots', () => {
+        const shots = parseShotsFromPayload({
+            navigation: [{ title: 'Apps', href: '/apps' }],
+            items: [
+                { title: 'No Video', slug: 'no-video' },
+                { title: 'No Slug', video: `${GUMLET}/68a4/main.mp4` },
+                { title: 'Not A Slug', slug: 'Not A Slug', video: `${GUMLET}/68a5/main.mp4` },
+                { slug: 'no-title', video: `${GUMLET}/68a6/main.mp4` },
+                { title: '', slug: 'empty-title', video: `${GUMLET}/68a8/main.mp4` }
+            ]
+        });
+
+        assert.deepEqual(shots, []);
+    });
+
+    it('returns nothing for payloads that are not objects', () => {
+        for (const payload of [null, undefined, 'shots', 42, true, []]) {
+            assert.deepEqual(parseShotsFromPayload(payload), []);
+        }
+    });
+
+    it('does not loop on payloads that reference themselves', () => {
+        const payload = { items: [] };
+        payload.items.push(payload, { title: 'CRED Card Swipe', slug: 'cred-card-swipe', video: `${GUMLET}/${VIDEO}/main.mp4` });
+
+        assert.equal(parseShotsFromPayload(payload).length, 1);
+    });
+});
+
+describe('createResponseCollector', () => {
+    const item = (slug, video) => ({ title: slug.replace(/-/g, ' '), slug, video: `${GUMLET}/${video}/main.mp4` });
+
+    it('collects shots from JSON XHR and fetch responses only', async () => {
+        const page = new EventEmitter();
+        const collector = createResponseCollector(page, { baseUrl: 'http://127.0.0.1:3000' });
+
+        page.emit('response', response({ items: [item('cred-card-swipe', '68a1')] }));
+        page.emit('response', response([item('amie-drag', '68a2')], { type: 'xhr', contentType: 'application/json; charset=utf-8' }));
+        page.emit('response', response([item('from-a-document', '68a3')], { type: 'document' }));
+        page.emit('response', response([item('served-as-text', '68a4')], { contentType: 'text/plain' }));
+        page.emit('response', response([item('no-content-type', '68a5')], { contentType: null }));
+
+        const shots = await collector.shots();
+        assert.deepEqual(shots.map(shot => shot.url), [
+            'http://127.0.0.1:3000/shots/cred-card-swipe?video=68a1',
+            'http://127.0.0.1:3000/shots/amie-drag?video=68a2'
+        ]);
+        assert.equal(collector.payloadCount(), 2);
+    });
+
+    it('ignores malformed bodies and payloads without shots', async () => {
+        const page = new EventEmitter();
+        const collector = createResponseCollector(page);
+
+        page.emit('response', response(new SyntaxError('Unexpected end of JSON input')));
+        page.emit('response', response({ navigation: [{ title: 'Apps', href: '/apps' }] }));
+        page.emit('response', response([{ title: 'No Video', slug: 'no-video' }]));
+
+        assert.deepEqual(await collector.shots(), []);
+        assert.equal(collector.payloadCount(), 0);
+    });
+
+    it('keeps duplicates for normalizeShots() to merge', async () => {
+        const page = new EventEmitter();
+        const collector = createResponseCollector(page);
+
+        page.emit('response', response([item('cred-card-swipe', '68a1')]));
+        page.emit('response', response([item('cred-card-swipe', '68a1')]));
+
+        assert.equal((await collector.shots()).length, 2);
+        assert.equal(collector.payloadCount(), 2);
+    });
+
+    it('drops bodies that arrive after reset()', async () => {
+        const page = new EventEmitter();
+        const collector = createResponseCollector(page);
+
+        let resolveLate;
+        const late = response(null);
+        late.json = () => new Promise(resolve => { resolveLate = resolve; });
+
+        page.emit('response', late);
+        collector.reset();
+        page.emit('response', response([item('amie-drag', '68a2')]));
+        resolveLate([item('cred-card-swipe', '68a1')]);
+
+        const shots = await collector.shots();
+        assert.deepEqual(shots.map(shot => shot.title), ['amie drag']);
+        assert.equal(collector.payloadCount(), 1);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeShot, normalizeShots, parseGumletPreview } = require('../lib/normalize');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+const VIDEO = '68adddc0cd4a3cfd5418a305';
+
+describe('normalizeShot', () => {
+    it('derives the identity fields of a linked shot', () => {
+        const shot = normalizeShot({
+            url: `https://60fps.design/shots/cred-card-swipe?video=${VIDEO}`,
+            preview: `${GUMLET}/${VIDEO}/main.mp4`,
+            title: 'CRED Card Swipe'
+        }, { sourceUrl: 'https://60fps.design/' });
+
+        assert.deepEqual(shot, {
+            url: `https://60fps.design/shots/cred-card-swipe?video=${VIDEO}`,
+            preview: `${GUMLET}/${VIDEO}/main.mp4`,
+            title: 'CRED Card Swipe',
+            id: 'cred-card-swipe',
+            slug: 'cred-card-swipe',
+            video_id: VIDEO,
+            gumlet_collection_id: '66b49d08225b7b88f78b7b44',
+            canonical_url: 'https://60fps.design/shots/cred-card-swipe',
+            preview_url: `${GUMLET}/${VIDEO}/main.mp4`,
+            source_url: 'https://60fps.design/',
+            confidence: 'observed'
+        });
+    });
+
+    it('keeps the id when the ?video= query rotates', () => {
+        const first = normalizeShot({ url: 'https://60fps.design/shots/cred-card-swipe?video=a1', preview: null });
+        const second = normalizeShot({ url: 'https://60fps.design/shots/cred-card-swipe', preview: null });
+
+        assert.equal(first.id, second.id);
+        assert.equal(first.canonical_url, second.canonical_url);
+    });
+
+    it('identifies a synthesized slug by its video ID', () => {
+        const shot = normalizeShot({
+            url: `https://60fps.design/shots/monzo-pot-savings?video=${VIDEO}`,
+            preview: `${GUMLET}/${VIDEO}/main.mp4`,
+            title: 'Monzo Pot Savings',
+            synthesized: true
+        });
+
+        assert.equal(shot.id, VIDEO);
+        assert.equal(shot.slug, 'monzo-pot-savings');
+        assert.equal(shot.confidence, 'synthesized');
+        assert.equal('synthesized' in shot, false);
+    });
+
+    it('reads the video ID from the preview when the URL has none', () => {
+        const shot = normalizeShot({ url: 'https://60fps.design/', preview: `${GUMLET}/${VIDEO}/main.mp4` });
+
+        assert.equal(shot.id, VIDEO);
+        assert.equal(shot.slug, null);
+        assert.equal(shot.canonical_url, null);
+        assert.equal(shot.confidence, 'synthesized');
+    });
+
+    it('returns shots that already have an id unchanged', () => {
+        const row = { id: 'cred-card-swipe', url: 'https://60fps.design/shots/other' };
+        assert.equal(normalizeShot(row), row);
+    });
+});
+
+describe('normalizeShots', () => {
+    it('drops sightings with the same id or video ID and prefers observed slugs', () => {
+        const { shots, duplicates } = normalizeShots([
+            { url: `https://60fps.design/shots/cred-card-swipe-2?video=${VIDEO}`, preview: `${GUMLET}/${VIDEO}/main.mp4`, synthesized: true },
+            { url: 'https://60fps.design/shots/amie-calendar?video=b2', preview: `${GUMLET}/b2/main.mp4` },
+            { url: `https://60fps.design/shots/cred-card-swipe?video=${VIDEO}`, preview: `${GUMLET}/${VIDEO}/main.mp4` },
+            { url: 'https://60fps.design/shots/amie-calendar?video=b3', preview: `${GUMLET}/b3/main.mp4` }
+        ]);
+
+        assert.equal(duplicates, 2);
+        assert.deepEqual(shots.map(shot => [shot.id, shot.confidence]), [
+            ['cred-card-swipe', 'observed'],
+            ['amie-calendar', 'observed']
+        ]);
+    });
+});
+
+describe('parseGumletPreview', () => {
+    it('splits a Gumlet URL into collection and video ID', () => {
+        assert.deepEqual(parseGumletPreview(`${GUMLET}/${VIDEO}/main.mp4`), {
+            collectionId: '66b49d08225b7b88f78b7b44',
+            videoId: VIDEO
+        });
+        assert.deepEqual(parseGumletPreview('https://cdn.example.com/a.mp4'), { collectionId: null, videoId: null });
+    });
+});
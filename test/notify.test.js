@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { parseWebhookTarget, buildPayloads, signBody, notifyNewShots } = require('../lib/notify');
+const { SCHEMA_VERSION } = require('../lib/schema');
+const { createDeadline } = require('../lib/wait');
+const { startWebhookServer } = require('./helpers/webhook-server');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+function row(slug, videoId) {
+    return {
+        title: slug.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+        url: `https://60fps.design/shots/${slug}?video=${videoId}`,
+        preview_url: `${GUMLET}/${videoId}/main.mp4`,
+        source: '60fps.design',
+        first_seen_at: '2025-09-20T11:40:18.861Z',
+        last_seen_at: '2025-09-20T11:40:18.861Z'
+    };
+}
+
+const ROWS = [row('amie-drag', '68a1'), row('cred-swipe', '68a2')];
+
+// Retries without the real backoff
+const FAST = { retryDelay: 5 };
+
+describe('parseWebhookTarget', () => {
+    it('takes a format prefix or guesses it from the host', () => {
+        assert.deepEqual(parseWebhookTarget('https://example.com/hook'), { url: 'https://example.com/hook', format: 'json' });
+        assert.deepEqual(parseWebhookTarget('https://hooks.slack.com/services/T0/B0/x'), { url: 'https://hooks.slack.com/services/T0/B0/x', format: 'slack' });
+        assert.deepEqual(parseWebhookTarget('https://discord.com/api/webhooks/1/abc'), { url: 'https://discord.com/api/webhooks/1/abc', format: 'discord' });
+        assert.deepEqual(parseWebhookTarget('slack:http://127.0.0.1:9000/'), { url: 'http://127.0.0.1:9000/', format: 'slack' });
+    });
+
+    it('rejects unknown formats and non-http URLs', () => {
+        for (const spec of ['teams:https://example.com/', 'ftp://example.com/', 'hook', '']) {
+            assert.throws(() => parseWebhookTarget(spec), Error, spec);
+        }
+    });
+});
+
+describe('buildPayloads', () => {
+    it('puts every new row into one JSON event', () => {
+        const now = new Date('2025-09-20T12:00:00.000Z');
+
+        assert.deepEqual(buildPayloads(ROWS, 'json', { now }), [
+            { event: 'shots.new', schema_version: SCHEMA_VERSION, sent_at: '2025-09-20T12:00:00.000Z', count: 2, shots: ROWS }
+        ]);
+    });
+
+    it('links title, permalink and preview in Slack and Discord messages, in batches', () => {
+        const rows = Array.from({ length: 12 }, (_, index) => row(`shot-${index}`, `68b${index}`));
+        const [slack, slackRest] = buildPayloads(rows, 'slack');
+        const [discord, discordRest] = buildPayloads(rows, 'discord');
+
+        assert.equal(slack.text, '12 new shots on 60fps.design');
+        assert.equal(slack.blocks.length, 11);
+        assert.equal(slack.blocks[1].text.text, `*<${rows[0].url}|Shot 0>*\n<${rows[0].preview_url}|Preview video>`);
+        assert.equal(slackRest.blocks.length, 3);
+
+        assert.equal(discord.content, '12 new shots on 60fps.design');
+        assert.deepEqual(discord.embeds[0], { title: 'Shot 0', url: rows[0].url, description: `[Preview video](${rows[0].preview_url})` });
+        assert.equal(discordRest.embeds.length, 2);
+    });
+
+    it('escapes Slack control characters in titles', () => {
+        const [message] = buildPayloads([{ ...ROWS[0], title: 'Tabs <> & more' }], 'slack');
+        assert.match(message.blocks[1].text.text, /\|Tabs &lt;&gt; &amp; more>/);
+    });
+});
+
+describe('notifyNewShots', () => {
+    let dir;
+    let server;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-notify-'));
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('signs requests with the secret', async () => {
+        server = await startWebhookServer();
+        const results = await notifyNewShots(ROWS, [{ url: `${server.url}/hook`, format: 'json' }], { ...FAST, secret: 's3cr3t' });
+        await server.close();
+
+        assert.deepEqual(results, [{ target: server.url, format: 'json', messages: 1, delivered: 1, failed: 0 }]);
+        const [request] = server.requests;
+        assert.equal(request.headers['x-60fps-event'], 'shots.new');
+        assert.equal(request.headers['x-60fps-signature'], signBody(request.raw, 's3cr3t', request.headers['x-60fps-timestamp']));
+        assert.deepEqual(request.body.shots, ROWS);
+    });
+
+    it('retries 5xx and 429 answers with the same delivery ID', async () => {
+        server = await startWebhookServer({ statuses: [500, 429] });
+        const [result] = await notifyNewShots(ROWS, [{ url: server.url, format: 'discord' }], FAST);
+        await server.close();
+
+        assert.equal(result.delivered, 1);
+        assert.equal(server.requests.length, 3);
+        assert.equal(new Set(server.requests.map(request => request.headers['x-60fps-delivery'])).size, 1);
+        assert.equal(server.requests[0].headers['x-60fps-signature'], undefined);
+    });
+
+    it('writes messages that keep failing to the dead-letter file', async () => {
+        const deadLetterFile = path.join(dir, 'dead', 'letters.ndjson');
+        server = await startWebhookServer({ status: 503, statuses: [400] });
+        const results = await notifyNewShots(ROWS, [
+            { url: `${server.url}/rejects`, format: 'json' },
+            { url: 'http://127.0.0.1:9/closed', format: 'slack' }
+        ], { ...FAST, retries: 2, deadLetterFile });
+        await server.close();
+
+        assert.deepEqual(results.map(result => [result.delivered, result.failed]), [[0, 1], [0, 1]]);
+        // 400 is not retried
+        assert.equal(server.requests.length, 1);
+
+        const letters = (await fs.readFile(deadLetterFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(letters.map(letter => [letter.format, letter.attempts, letter.status]), [['json', 1, 400], ['slack', 3, null]]);
+        assert.equal(letters[0].url, `${server.url}/rejects`);
+        assert.deepEqual(letters[0].payload.shots, ROWS);
+        assert.equal(letters[1].payload.text, '2 new shots on 60fps.design');
+    });
+
+    it('gives up instead of waiting out a Retry-After past the time budget', async () => {
+        const deadLetterFile = path.join(dir, 'budget.ndjson');
+        server = await startWebhookServer({ status: 429, headers: { 'Retry-After': '60' } });
+        const started = Date.now();
+        const [result] = await notifyNewShots(ROWS, [{ url: server.url, format: 'json' }], {
+            ...FAST,
+            deadline: createDeadline(1000),
+            deadLetterFile
+        });
+        await server.close();
+
+        assert.ok(Date.now() - started < 1000);
+        assert.deepEqual([result.delivered, result.failed], [0, 1]);
+        assert.equal(server.requests.length, 1);
+
+        const [letter] = (await fs.readFile(deadLetterFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual([letter.attempts, letter.status], [1, 429]);
+        assert.match(letter.error, /^HTTP 429; no time left to retry/);
+    });
+
+    it('cuts request timeouts short at the time budget', async () => {
+        // Accepts connections and never answers
+        const sockets = new Set();
+        const silent = net.createServer(socket => sockets.add(socket));
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+
+        const started = Date.now();
+        try {
+            const [result] = await notifyNewShots(ROWS, [{ url: `http://127.0.0.1:${silent.address().port}`, format: 'json' }], {
+                ...FAST,
+                deadline: createDeadline(300)
+            });
+            assert.deepEqual([result.delivered, result.failed], [0, 1]);
+        } finally {
+            sockets.forEach(socket => socket.destroy());
+            await new Promise(resolve => silent.close(resolve));
+        }
+        assert.ok(Date.now() - started < 2000);
+    });
+
+    it('sends nothing without new rows', async () => {
+        assert.deepEqual(await notifyNewShots([], [{ url: 'http://127.0.0.1:9/', format: 'json' }]), []);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isLoadMoreText, assertPaginationMode } = require('../lib/pagination');
+
+describe('isLoadMoreText', () => {
+    it('allows load-more texts and nothing else', () => {
+        for (const text of ['Load more', '  Show\n more  ', 'LOAD', 'See more shots']) {
+            assert.equal(isLoadMoreText(text), true, text);
+        }
+        for (const text of ['View shot', 'Show filters', 'Download', 'Apps', '', null]) {
+            assert.equal(isLoadMoreText(text), false, String(text));
+        }
+    });
+
+    it('lets the deny list win over the allow list', () => {
+        assert.equal(isLoadMoreText('Show more filters'), false);
+        assert.equal(isLoadMoreText('Learn more'), false);
+    });
+
+    it('uses custom allow and deny lists', () => {
+        const texts = { allow: ['mehr laden'], deny: ['alle'] };
+
+        assert.equal(isLoadMoreText('Mehr laden', texts), true);
+        assert.equal(isLoadMoreText('Alle mehr laden', texts), false);
+        assert.equal(isLoadMoreText('Load more', texts), false);
+    });
+});
+
+describe('assertPaginationMode', () => {
+    it('rejects unknown modes', () => {
+        assert.equal(assertPaginationMode('scroll'), 'scroll');
+        assert.throws(() => assertPaginationMode('pages'), /Unknown pagination mode/);
+    });
+});
@@ -0,0 +1,257 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const {
+    DEFAULT_USER_AGENT,
+    loadProfiles,
+    resolveProfile,
+    profileOptionsFromEnv,
+    profileContextOptions,
+    saveStorageState,
+    redactProfile,
+    checkProfile
+} = require('../lib/profiles');
+const { scrape60fps } = require('../lib/scraper');
+const { createAccessControl } = require('../lib/access');
+const { createScrapeHandler } = require('../api/scrape');
+const { launchTestBrowser } = require('./helpers/browser');
+const { startEchoServer } = require('./helpers/echo-server');
+const { startFixtureServer } = require('./helpers/fixture-server');
+
+const PIXEL_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+const FIREFOX_UA = 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+const MOBILE = {
+    userAgent: PIXEL_UA,
+    viewport: { width: 412, height: 915 },
+    locale: 'de-DE',
+    timezone: 'Asia/Tokyo',
+    headers: { 'X-Scraper-Run': 'nightly' }
+};
+
+describe('loadProfiles', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-profiles-'));
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('adds file and PROFILES profiles to the built-in default', async () => {
+        const file = path.join(dir, 'profiles.json');
+        await fs.writeFile(file, JSON.stringify({ mobile: MOBILE }));
+
+        const profiles = loadProfiles({ file, json: JSON.stringify({ rotating: { userAgent: [PIXEL_UA, FIREFOX_UA] } }) });
+
+        assert.deepEqual(Object.keys(profiles), ['default', 'mobile', 'rotating']);
+        assert.deepEqual(profiles.default, { userAgent: [DEFAULT_USER_AGENT] });
+        assert.deepEqual(profiles.mobile, { ...MOBILE, userAgent: [PIXEL_UA] });
+        assert.deepEqual(resolveProfile(profiles, 'rotating'), { name: 'rotating', userAgent: [PIXEL_UA, FIREFOX_UA] });
+        assert.throws(() => resolveProfile(profiles, 'tablet'), /Unknown profile "tablet". Expected one of: default, mobile, rotating/);
+    });
+
+    it('fills in ${NAME} from the environment', () => {
+        const json = JSON.stringify({
+            proxied: { proxy: { server: 'http://${PROXY_HOST}:8080', username: 'scraper', password: '${PROXY_PASSWORD}' } }
+        });
+
+        const { proxied } = loadProfiles({ json, env: { PROXY_HOST: 'proxy.internal', PROXY_PASSWORD: 's3cr3t' } });
+        assert.deepEqual(proxied.proxy, { server: 'http://proxy.internal:8080', username: 'scraper', password: 's3cr3t' });
+        assert.throws(() => loadProfiles({ json, env: { PROXY_HOST: 'proxy.internal' } }), /Profile "proxied" uses \$\{PROXY_PASSWORD\}, which is not set/);
+    });
+
+    it('rejects unknown fields and invalid values', () => {
+        for (const [profile, message] of [
+            [{ userAgents: [PIXEL_UA] }, /unknown field "userAgents"/],
+            [{ userAgent: [] }, /userAgent must be/],
+            [{ proxy: { host: 'proxy' } }, /proxy needs a server/],
+            [{ proxy: { server: 'http://proxy:8080', password: 'x' } }, /needs a username/],
+            [{ viewport: { width: '1280', height: 800 } }, /viewport/],
+            [{ headers: { 'X-Count': 1 } }, /headers/],
+            [{ saveStorageState: true }, /needs a storageState file/]
+        ]) {
+            assert.throws(() => loadProfiles({ json: JSON.stringify({ broken: profile }) }), message);
+        }
+        assert.throws(() => loadProfiles({ json: '{ mobile: ' }), /PROFILES is not valid JSON/);
+        assert.throws(() => loadProfiles({ file: path.join(dir, 'missing.json') }), /Could not read profiles file/);
+    });
+
+    it('selects PROFILE from the environment', () => {
+        const env = { PROFILES: JSON.stringify({ mobile: MOBILE }), PROFILE: 'mobile' };
+
+        assert.equal(profileOptionsFromEnv(env).name, 'mobile');
+        assert.equal(profileOptionsFromEnv({}).name, 'default');
+        assert.throws(() => profileOptionsFromEnv({ PROFILE: 'mobile' }), /Unknown profile "mobile"/);
+    });
+});
+
+describe('profileContextOptions', () => {
+    it('maps a profile to browser context options, rotating user agents', async () => {
+        const profile = resolveProfile(loadProfiles({ json: JSON.stringify({ mobile: { ...MOBILE, userAgent: [PIXEL_UA, FIREFOX_UA] } }) }), 'mobile');
+
+        assert.deepEqual(await profileContextOptions(profile, { random: () => 0 }), {
+            userAgent: PIXEL_UA,
+            viewport: { width: 412, height: 915 },
+            locale: 'de-DE',
+            timezoneId: 'Asia/Tokyo',
+            extraHTTPHeaders: { 'X-Scraper-Run': 'nightly' }
+        });
+        assert.equal((await profileContextOptions(profile, { random: () => 0.99 })).userAgent, FIREFOX_UA);
+    });
+
+    it('only loads a storage state file that exists', async () => {
+        const storageState = path.join(os.tmpdir(), `60fps-missing-state-${process.pid}.json`);
+        assert.deepEqual(await profileContextOptions({ storageState }), {});
+    });
+
+    it('masks the proxy password for printing', () => {
+        const profile = { name: 'proxied', proxy: { server: 'http://proxy:8080', username: 'scraper', password: 's3cr3t' } };
+
+        assert.deepEqual(redactProfile(profile).proxy, { server: 'http://proxy:8080', username: 'scraper', password: '***' });
+        assert.equal(profile.proxy.password, 's3cr3t');
+    });
+});
+
+describe('profiles in a browser', () => {
+    let browser;
+    let dir;
+
+    before(async () => {
+        browser = await launchTestBrowser({ reusable: true });
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-profiles-'));
+    });
+
+    after(async () => {
+        await browser.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('applies user agent, headers, locale, time zone and viewport', async () => {
+        const echo = await startEchoServer();
+        try {
+            const result = await checkProfile(browser, { name: 'mobile', ...MOBILE }, `${echo.url}/headers`);
+
+            assert.equal(result.ok, true, JSON.stringify(result.checks));
+            assert.deepEqual(result.checks.map(check => check.name), [
+                'user_agent_header', 'navigator_user_agent', 'header:x-scraper-run',
+                'accept_language', 'navigator_language', 'timezone', 'viewport'
+            ]);
+            assert.equal(echo.requests[0].headers['user-agent'], PIXEL_UA);
+            assert.equal(echo.requests[0].headers['x-scraper-run'], 'nightly');
+        } finally {
+            await echo.close();
+        }
+    });
+
+    it('reports what did not arrive as configured', async () => {
+        const echo = await startEchoServer({ rewrite: headers => ({ ...headers, 'user-agent': 'curl/8.5.0' }) });
+        try {
+            const result = await checkProfile(browser, { name: 'mobile', ...MOBILE }, echo.url);
+
+            assert.equal(result.ok, false);
+            assert.deepEqual(result.checks.filter(check => !check.ok), [
+                { name: 'user_agent_header', expected: PIXEL_UA, actual: 'curl/8.5.0', ok: false }
+            ]);
+        } finally {
+            await echo.close();
+        }
+    });
+
+    it('goes through a proxy with credentials', async () => {
+        const proxy = await startEchoServer({ proxyAuth: { username: 'scraper', password: 's3cr3t' } });
+        try {
+            const profile = { name: 'proxied', proxy: { server: proxy.url, username: 'scraper', password: 's3cr3t' } };
+            const result = await checkProfile(browser, profile, 'http://profile-check.test/headers');
+
+            assert.equal(result.ok, true);
+            assert.equal(proxy.requests[0].url, 'http://profile-check.test/headers');
+            assert.equal(proxy.requests[0].headers['proxy-authorization'], `Basic ${Buffer.from('scraper:s3cr3t').toString('base64')}`);
+        } finally {
+            await proxy.close();
+        }
+    });
+
+    it('saves cookies to the storage state file and sends them on the next run', async () => {
+        const echo = await startEchoServer({ setCookie: 'consent=accepted; Path=/' });
+        const profile = { name: 'stateful', storageState: path.join(dir, 'state', 'cookies.json'), saveStorageState: true };
+        try {
+            const first = await browser.newContext(await profileContextOptions(profile));
+            await (await first.newPage()).goto(echo.url);
+            assert.equal(await saveStorageState(first, profile), true);
+            await first.close();
+
+            const saved = JSON.parse(await fs.readFile(profile.storageState, 'utf8'));
+            assert.deepEqual(saved.cookies.map(cookie => [cookie.name, cookie.value]), [['consent', 'accepted']]);
+
+            const second = await browser.newContext(await profileContextOptions(profile));
+            await (await second.newPage()).goto(echo.url);
+            await second.close();
+            assert.equal(echo.requests[1].headers.cookie, 'consent=accepted');
+        } finally {
+            await echo.close();
+        }
+    });
+});
+
+describe('profiles in a scrape', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer('grid.html');
+    });
+
+    after(() => server.close());
+
+    it('records the profile in the run report', async () => {
+        const options = {
+            launchBrowser: launchTestBrowser,
+            baseUrl: server.url,
+            contentWait: 100,
+            loadWait: 300,
+            snapshotPath: path.join(os.tmpdir(), `60fps-test-snapshot-${process.pid}.json`)
+        };
+
+        const { report: defaults } = await scrape60fps(options);
+        assert.equal(defaults.profile.name, 'default');
+        assert.equal(defaults.profile.user_agent, DEFAULT_USER_AGENT);
+
+        const { meta, report } = await scrape60fps({ ...options, profile: { name: 'mobile', ...MOBILE } });
+        assert.equal(meta.status, 'ok');
+        assert.deepEqual(report.profile, {
+            name: 'mobile',
+            user_agent: PIXEL_UA,
+            proxy: null,
+            viewport: { width: 412, height: 915 },
+            locale: 'de-DE',
+            timezone: 'Asia/Tokyo',
+            storage_state: null
+        });
+    });
+
+    it('rejects unknown profiles in /api/scrape before scraping', async () => {
+        let launched = false;
+        const handler = createScrapeHandler(
+            { launchBrowser: async () => { launched = true; } },
+            { access: createAccessControl(), profiles: { profiles: loadProfiles({ json: JSON.stringify({ mobile: MOBILE }) }), name: 'default' } }
+        );
+
+        const response = await new Promise(resolve => {
+            const res = {
+                statusCode: 200,
+                headers: {},
+                setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+                status(code) { this.statusCode = code; return this; },
+                json(body) { resolve({ status: this.statusCode, body }); return this; }
+            };
+            handler({ method: 'GET', url: '/api/scrape?profile=tablet', query: { profile: 'tablet' }, headers: {}, socket: { remoteAddress: '203.0.113.7' } }, res);
+        });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.details, [{ param: 'profile', message: 'must be one of default, mobile' }]);
+        assert.equal(launched, false);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseListQuery, applyListQuery, encodeCursor, QueryError } = require('../lib/query');
+
+const ROWS = [
+    { title: 'CRED Recurring Payments Card Swipe', url: 'https://60fps.design/shots/cred-recurring-payments', first_seen_at: '2025-09-01T00:00:00.000Z' },
+    { title: 'Amie Drag To Calendar Morph', url: 'https://60fps.design/shots/amie-drag-to-calendar-morph', first_seen_at: '2025-09-10T00:00:00.000Z' },
+    { title: 'CRED Onboarding Carousel', url: 'https://60fps.design/shots/cred-onboarding-carousel', first_seen_at: '2025-09-20T00:00:00.000Z' },
+    { title: 'Credit Karma Score Dial', url: 'https://60fps.design/shots/credit-karma-score-dial', app: 'Credit Karma', first_seen_at: '2025-09-21T00:00:00.000Z' }
+];
+
+function invalidParams(query) {
+    try {
+        parseListQuery(query);
+    } catch (error) {
+        assert.ok(error instanceof QueryError);
+        return error.details.map(detail => detail.param);
+    }
+    assert.fail('expected a QueryError');
+}
+
+describe('parseListQuery', () => {
+    it('falls back to the default limit', () => {
+        assert.equal(parseListQuery({}, { limit: '10' }).limit, 10);
+        assert.equal(parseListQuery({ limit: '3' }, { limit: '10' }).limit, 3);
+        assert.equal(parseListQuery({}).limit, null);
+    });
+
+    it('rejects malformed values, listing every bad parameter', () => {
+        assert.deepEqual(invalidParams({ limit: '0', offset: '-1', since: 'yesterday', fields: 'title,secret' }), [
+            'limit',
+            'offset',
+            'since',
+            'fields'
+        ]);
+    });
+
+    it('rejects repeated parameters and offset together with cursor', () => {
+        assert.deepEqual(invalidParams({ q: ['a', 'b'] }), ['q']);
+        assert.deepEqual(invalidParams({ offset: '1', cursor: encodeCursor(2) }), ['cursor']);
+        assert.deepEqual(invalidParams({ cursor: 'not-a-cursor' }), ['cursor']);
+    });
+
+    it('collects comma-separated and repeated listings', () => {
+        const { listings } = parseListQuery({ listing: ['app:cred,category:onboarding', '/platforms/ios'] });
+
+        assert.deepEqual(listings.map(listing => listing.id), ['app:cred', 'category:onboarding', 'path:/platforms/ios']);
+        assert.deepEqual(invalidParams({ listing: 'platform:ios' }), ['listing']);
+    });
+});
+
+describe('applyListQuery', () => {
+    it('pages through rows with a cursor', () => {
+        const first = applyListQuery(ROWS, parseListQuery({ limit: '3' }));
+        assert.equal(first.rows.length, 3);
+        assert.equal(first.total, 4);
+
+        const second = applyListQuery(ROWS, parseListQuery({ limit: '3', cursor: first.nextCursor }));
+        assert.deepEqual(second.rows.map(row => row.title), ['Credit Karma Score Dial']);
+        assert.equal(second.nextCursor, null);
+    });
+
+    it('filters by title, app and first-seen date', () => {
+        const titles = query => applyListQuery(ROWS, parseListQuery(query)).rows.map(row => row.title);
+
+        assert.deepEqual(titles({ q: 'calendar' }), ['Amie Drag To Calendar Morph']);
+        assert.deepEqual(titles({ app: 'cred' }), ['CRED Recurring Payments Card Swipe', 'CRED Onboarding Carousel']);
+        assert.deepEqual(titles({ app: 'Credit Karma' }), ['Credit Karma Score Dial']);
+        assert.deepEqual(titles({ since: '2025-09-20' }), ['CRED Onboarding Carousel', 'Credit Karma Score Dial']);
+    });
+
+    it('projects the requested fields', () => {
+        const { rows } = applyListQuery(ROWS, parseListQuery({ limit: '1', fields: 'title, platform' }));
+        assert.deepEqual(rows, [{ title: 'CRED Recurring Payments Card Swipe', platform: null }]);
+    });
+});
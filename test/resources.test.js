@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { blockedKind, busyTime } = require('../lib/resources');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44/68adddc0cd4a3cfd5418a305';
+
+describe('blockedKind', () => {
+    it('blocks media, images, fonts and trackers', () => {
+        assert.equal(blockedKind('media', `${GUMLET}/main.mp4`), 'media');
+        assert.equal(blockedKind('image', `${GUMLET}/thumbnail-1-0.png`), 'image');
+        assert.equal(blockedKind('font', 'https://framerusercontent.com/assets/inter.woff2'), 'font');
+        assert.equal(blockedKind('script', 'https://www.googletagmanager.com/gtag/js?id=G-1'), 'tracker');
+        assert.equal(blockedKind('xhr', 'https://events.framer.com/anonymous'), 'tracker');
+        assert.equal(blockedKind('ping', 'https://60fps.design/collect'), 'tracker');
+    });
+
+    it('blocks HLS and DASH fetched by a player script', () => {
+        assert.equal(blockedKind('xhr', `${GUMLET}/main.m3u8`), 'media');
+        assert.equal(blockedKind('fetch', `${GUMLET}/1080p/segment-3.m4s?token=x`), 'media');
+    });
+
+    it('lets documents, scripts, styles and shot data through', () => {
+        assert.equal(blockedKind('document', 'https://60fps.design/'), null);
+        assert.equal(blockedKind('script', 'https://framerusercontent.com/sites/60fps/script_main.mjs'), null);
+        assert.equal(blockedKind('stylesheet', 'https://60fps.design/styles.css'), null);
+        assert.equal(blockedKind('fetch', 'https://framerusercontent.com/modules/collection.json'), null);
+        assert.equal(blockedKind('image', 'data:image/png;base64,iVBORw0KGgo='), null);
+        // Only the tracker's own host and its subdomains
+        assert.equal(blockedKind('script', 'https://notgoogletagmanager.com/gtag.js'), null);
+    });
+});
+
+describe('busyTime', () => {
+    it('counts overlapping intervals once', () => {
+        assert.equal(busyTime([]), 0);
+        assert.equal(busyTime([[0, 100], [50, 150], [120, 130], [200, 250]]), 200);
+        assert.equal(busyTime([[200, 250], [0, 100]]), 150);
+    });
+});
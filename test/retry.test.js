@@ -0,0 +1,233 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const {
+    DEFAULT_RETRY_POLICIES,
+    resolveRetryPolicies,
+    parseRetrySpec,
+    backoffDelay,
+    withRetry,
+    retryOptionsFromEnv,
+    createCircuitBreaker,
+    circuitFile
+} = require('../lib/retry');
+const { ScrapeError, ERROR_CODES, classifyError } = require('../lib/errors');
+const { createRunReport } = require('../lib/report');
+const { createAccessControl } = require('../lib/access');
+const { createScrapeHandler } = require('../api/scrape');
+
+const NOW = Date.parse('2025-09-20T12:00:00.000Z');
+
+// Retries without the real backoff
+const FAST = resolveRetryPolicies(Object.fromEntries(
+    Object.keys(DEFAULT_RETRY_POLICIES).map(phase => [phase, { baseDelay: 1, maxDelay: 1 }])
+));
+
+const navigationError = () => new ScrapeError(ERROR_CODES.NAVIGATION_FAILED, 'page.goto: net::ERR_CONNECTION_REFUSED');
+
+/**
+ * fn for withRetry() that throws the given errors in turn, then resolves
+ */
+function failing(...errors) {
+    const calls = [];
+    const fn = async attempt => {
+        calls.push(attempt);
+        if (errors.length > 0) throw errors.shift();
+        return 'done';
+    };
+    return { fn, calls };
+}
+
+describe('classifyError', () => {
+    it('tells transient failures from structural ones', () => {
+        const destroyed = new Error('page.evaluate: Execution context was destroyed, most likely because of a navigation');
+        const timeout = Object.assign(new Error('page.goto: Timeout 30000ms exceeded.'), { name: 'TimeoutError' });
+
+        assert.equal(classifyError(navigationError()), 'transient');
+        assert.equal(classifyError(new ScrapeError(ERROR_CODES.SITE_ERROR_PAGE, 'Wups')), 'transient');
+        assert.equal(classifyError(timeout), 'transient');
+        assert.equal(classifyError(new Error('page.goto: Navigation to "https://60fps.design/" is interrupted by another navigation to "chrome-error://chromewebdata/"')), 'transient');
+        assert.equal(classifyError(new ScrapeError(ERROR_CODES.EXTRACTION_FAILED, destroyed.message, { cause: destroyed })), 'transient');
+
+        assert.equal(classifyError(new ScrapeError(ERROR_CODES.NO_CONTENT, 'No shot content')), 'structural');
+        assert.equal(classifyError(new ScrapeError(ERROR_CODES.NO_SHOTS, 'No shots')), 'structural');
+        const broken = new Error('page.evaluate: TypeError: Cannot read properties of null');
+        assert.equal(classifyError(new ScrapeError(ERROR_CODES.EXTRACTION_FAILED, broken.message, { cause: broken })), 'structural');
+
+        assert.equal(classifyError(new TypeError('options.listings is not iterable')), 'unknown');
+    });
+});
+
+describe('retry policies', () => {
+    it('merges per-phase overrides into the defaults', () => {
+        const policies = resolveRetryPolicies({ navigate: { retries: 5 } });
+
+        assert.deepEqual(policies.navigate, { ...DEFAULT_RETRY_POLICIES.navigate, retries: 5 });
+        assert.deepEqual(policies.extract, DEFAULT_RETRY_POLICIES.extract);
+        assert.throws(() => resolveRetryPolicies({ details: { retries: 1 } }), /Unknown retry phase/);
+    });
+
+    it('parses retry counts for every phase or per phase', () => {
+        assert.deepEqual(parseRetrySpec('0'), {
+            navigate: { retries: 0 }, wait: { retries: 0 }, load: { retries: 0 }, extract: { retries: 0 }
+        });
+        assert.deepEqual(parseRetrySpec('navigate=3, extract=0'), { navigate: { retries: 3 }, extract: { retries: 0 } });
+        for (const spec of ['navigate=many', 'details=1', '-1']) {
+            assert.throws(() => parseRetrySpec(spec), /Invalid retries/, spec);
+        }
+    });
+
+    it('reads retries and circuit options from the environment', () => {
+        assert.deepEqual(retryOptionsFromEnv({}), { retries: {}, circuit: { threshold: 5, cooldown: 300000 } });
+        assert.deepEqual(retryOptionsFromEnv({ RETRIES: 'navigate=4', CIRCUIT_THRESHOLD: '10', CIRCUIT_COOLDOWN: '60000' }), {
+            retries: { navigate: { retries: 4 } },
+            circuit: { threshold: 10, cooldown: 60000 }
+        });
+        assert.equal(retryOptionsFromEnv({ CIRCUIT_THRESHOLD: '0' }).circuit, null);
+    });
+
+    it('backs off exponentially up to maxDelay, minus jitter', () => {
+        const policy = { baseDelay: 1000, maxDelay: 5000, jitter: 0.5 };
+
+        assert.deepEqual([1, 2, 3, 4].map(retry => backoffDelay(policy, retry, () => 0)), [1000, 2000, 4000, 5000]);
+        assert.equal(backoffDelay(policy, 2, () => 1), 1000);
+        assert.equal(backoffDelay(policy, 2, () => 0.5), 1500);
+    });
+});
+
+describe('withRetry', () => {
+    it('retries transient failures and records each retry', async () => {
+        const report = createRunReport();
+        const { fn, calls } = failing(navigationError(), navigationError());
+
+        assert.equal(await withRetry('navigate', fn, { policies: FAST, report }), 'done');
+        assert.deepEqual(calls, [1, 2, 3]);
+        assert.deepEqual(report.retries.map(retry => [retry.phase, retry.attempt, retry.error_code, retry.error_class]), [
+            ['navigate', 1, 'NAVIGATION_FAILED', 'transient'],
+            ['navigate', 2, 'NAVIGATION_FAILED', 'transient']
+        ]);
+    });
+
+    it('gives up when the retries run out', async () => {
+        const report = createRunReport();
+        const { fn, calls } = failing(navigationError(), navigationError(), navigationError(), navigationError());
+
+        await assert.rejects(withRetry('navigate', fn, { policies: FAST, report }), { code: 'NAVIGATION_FAILED' });
+        assert.equal(calls.length, 3);
+    });
+
+    it('fails structural errors right away', async () => {
+        const report = createRunReport();
+        const { fn, calls } = failing(new ScrapeError(ERROR_CODES.NO_CONTENT, 'No shot content'));
+
+        await assert.rejects(withRetry('wait', fn, { policies: FAST, report }), { code: 'NO_CONTENT' });
+        assert.deepEqual(calls, [1]);
+        assert.deepEqual(report.retries, []);
+    });
+
+    it('does not wait past the time budget', async () => {
+        const report = createRunReport();
+        const deadline = { expired: reserve => reserve > 500 };
+        const { fn, calls } = failing(navigationError());
+
+        await assert.rejects(withRetry('navigate', fn, { policies: DEFAULT_RETRY_POLICIES, report, deadline, random: () => 0 }));
+        assert.deepEqual(calls, [1]);
+    });
+});
+
+describe('createCircuitBreaker', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-circuit-'));
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('opens after threshold failures in a row and half-opens after the cooldown', async () => {
+        let now = NOW;
+        const breaker = createCircuitBreaker({ threshold: 3, cooldown: 60000, now: () => now });
+
+        await breaker.recordFailure();
+        await breaker.recordSuccess();
+        await breaker.recordFailure();
+        await breaker.recordFailure();
+        assert.equal((await breaker.check()).state, 'closed');
+
+        assert.deepEqual(await breaker.recordFailure(), {
+            state: 'open',
+            failures: 3,
+            threshold: 3,
+            opened_at: '2025-09-20T12:00:00.000Z',
+            retry_at: '2025-09-20T12:01:00.000Z'
+        });
+        await assert.rejects(breaker.check(), error => error.code === 'CIRCUIT_OPEN' && /next try after 2025-09-20T12:01:00.000Z/.test(error.message));
+
+        now += 60000;
+        assert.equal((await breaker.check()).state, 'half-open');
+
+        // One more failure while half-open opens it again
+        now += 1000;
+        assert.equal((await breaker.recordFailure()).retry_at, '2025-09-20T12:02:01.000Z');
+
+        now += 60000;
+        await breaker.check();
+        assert.deepEqual(await breaker.recordSuccess(), { state: 'closed', failures: 0, threshold: 3, opened_at: null, retry_at: null });
+        assert.equal((await breaker.check()).state, 'closed');
+    });
+
+    it('keeps its state in a file across processes', async () => {
+        const file = path.join(dir, 'circuit.json');
+        const first = createCircuitBreaker({ threshold: 1, file, now: () => NOW });
+        await first.recordFailure();
+
+        const second = createCircuitBreaker({ threshold: 1, file, now: () => NOW });
+        await assert.rejects(second.check(), { code: 'CIRCUIT_OPEN' });
+        assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).state, 'open');
+    });
+
+    it('keeps one file per site', async () => {
+        const site = circuitFile('https://60fps.design', dir);
+        assert.equal(circuitFile('https://60fps.design/', dir), site);
+        assert.match(path.basename(site), /^60fps-circuit-60fps\.design-[0-9a-f]{12}\.json$/);
+
+        const local = circuitFile('http://127.0.0.1:4000', dir);
+        assert.notEqual(local, site);
+        await createCircuitBreaker({ threshold: 1, file: local, now: () => NOW }).recordFailure();
+
+        assert.equal((await createCircuitBreaker({ threshold: 1, file: site, now: () => NOW }).check()).state, 'closed');
+    });
+});
+
+describe('/api/scrape with an open circuit', () => {
+    it('answers 503 with Retry-After without launching a browser', async () => {
+        const breaker = createCircuitBreaker({ threshold: 1, cooldown: 90000 });
+        await breaker.recordFailure();
+        let launched = false;
+        const handler = createScrapeHandler(
+            { launchBrowser: async () => { launched = true; } },
+            { access: createAccessControl(), circuitBreaker: breaker }
+        );
+
+        const response = await new Promise(resolve => {
+            const res = {
+                statusCode: 200,
+                headers: {},
+                setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+                status(code) { this.statusCode = code; return this; },
+                json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; }
+            };
+            handler({ method: 'GET', url: '/api/scrape', query: {}, headers: {}, socket: { remoteAddress: '203.0.113.7' } }, res);
+        });
+
+        assert.equal(response.status, 503);
+        assert.equal(response.body.error_code, 'CIRCUIT_OPEN');
+        assert.equal(response.headers['x-scrape-circuit'], 'open');
+        assert.ok(Number(response.headers['retry-after']) > 80);
+        assert.equal(response.body.retry_after, Number(response.headers['retry-after']));
+        assert.equal(launched, false);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MOCK_SHOTS } = require('../lib/scraper');
+const { toRows } = require('../lib/rows');
+const {
+    SCHEMA_VERSION,
+    ROW_SCHEMA,
+    RUN_SCHEMA,
+    validate,
+    validateRows,
+    createRunEnvelope
+} = require('../lib/schema');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+const SEEN_AT = '2025-09-19T08:00:00.000Z';
+
+function row(overrides = {}) {
+    return {
+        id: 'amie-drag',
+        title: 'Amie Drag To Calendar',
+        url: 'https://60fps.design/shots/amie-drag?video=68a1',
+        preview_url: `${GUMLET}/68a1/main.mp4`,
+        source: '60fps.design',
+        first_seen_at: SEEN_AT,
+        last_seen_at: SEEN_AT,
+        slug: 'amie-drag',
+        video_id: '68a1',
+        canonical_url: 'https://60fps.design/shots/amie-drag',
+        confidence: 'observed',
+        ...overrides
+    };
+}
+
+describe('validateRows', () => {
+    it('accepts scraped rows, including the mock data', () => {
+        const rows = toRows(MOCK_SHOTS, SEEN_AT);
+        assert.deepEqual(validateRows(rows), { rows, rejected: [] });
+        assert.deepEqual(rows[0], row({
+            id: 'amie-drag-to-calendar-morph',
+            title: 'Amie Drag To Calendar Morph',
+            url: 'https://60fps.design/shots/amie-drag-to-calendar-morph',
+            preview_url: 'https://cdn.60fps.design/shots/amie-drag-to-calendar-morph/preview.mp4',
+            slug: 'amie-drag-to-calendar-morph',
+            video_id: null,
+            canonical_url: 'https://60fps.design/shots/amie-drag-to-calendar-morph'
+        }));
+        assert.deepEqual(validate(ROW_SCHEMA, row({ app: 'Amie', tags: ['drag'], media: null, listings: ['app:amie'] })), []);
+    });
+
+    it('quarantines rows with placeholder titles, relative URLs or non-video previews', () => {
+        const good = row();
+        const { rows, rejected } = validateRows([
+            good,
+            row({ title: 'Video 12' }),
+            row({ url: '/shots/amie-drag' }),
+            row({ preview_url: `${GUMLET}/68a1/thumbnail-1-0.png` })
+        ]);
+
+        assert.deepEqual(rows, [good]);
+        assert.deepEqual(rejected.map(entry => entry.reasons), [
+            ['title: must not be a generic placeholder such as "Video 12"'],
+            ['url: must be a valid uri'],
+            [`preview_url: must match ${ROW_SCHEMA.properties.preview_url.pattern}`]
+        ]);
+        assert.equal(rejected[0].row.title, 'Video 12');
+    });
+
+    it('reports missing, mistyped and unknown columns', () => {
+        const { id, title, ...untitled } = row();
+        const { rejected } = validateRows([{ ...untitled, tags: 'drag', first_seen_at: 'yesterday', extra: 1 }]);
+
+        assert.deepEqual(rejected[0].reasons, [
+            'id: is required',
+            'title: is required',
+            'first_seen_at: must be a valid date-time',
+            'tags: must be array',
+            'extra: is not a known column'
+        ]);
+    });
+});
+
+describe('createRunEnvelope', () => {
+    it('builds an envelope that matches the run schema', () => {
+        const rejected = [{ row: row({ title: 'Shot' }), reasons: ['title: must not be a generic placeholder'] }];
+        const envelope = createRunEnvelope({
+            meta: { status: 'partial', errorCode: 'TIME_BUDGET_EXCEEDED', selector: 'a[href^="/shots/"]' },
+            rows: [row()],
+            rejected,
+            extra: { report: { counts: {} } }
+        });
+
+        assert.equal(envelope.schema_version, SCHEMA_VERSION);
+        assert.deepEqual(envelope.meta, {
+            status: 'partial',
+            error_code: 'TIME_BUDGET_EXCEEDED',
+            error: null,
+            selector: 'a[href^="/shots/"]',
+            extractor: null,
+            drift: false,
+            report: { counts: {} }
+        });
+        assert.deepEqual(validate(RUN_SCHEMA, envelope), []);
+    });
+
+    it('checks rows in the envelope against the embedded row schema', () => {
+        const envelope = createRunEnvelope({ meta: { status: 'ok' }, rows: [row({ source: 'dribbble' })] });
+
+        assert.deepEqual(validate(RUN_SCHEMA, envelope), ['rows[0].source: must be "60fps.design"']);
+    });
+});
@@ -0,0 +1,841 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { scrape60fps } = require('../lib/scraper');
+const { ScrapeError, ERROR_CODES } = require('../lib/errors');
+const { exitCodeFor, EXIT_CODES } = require('../lib/cli');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { launchTestBrowser } = require('./helpers/browser');
+const { startWebhookServer } = require('./helpers/webhook-server');
+const { startMediaServer } = require('./helpers/media-server');
+const { createMemoryStore } = require('../lib/state');
+const { createCircuitBreaker } = require('../lib/retry');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+// Fixtures render synchronously, so the SPA waits can be short
+const TEST_OPTIONS = {
+    launchBrowser: launchTestBrowser,
+    navigationTimeout: 10000,
+    contentWait: 100,
+    loadWait: 300,
+    snapshotPath: path.join(os.tmpdir(), `60fps-test-snapshot-${process.pid}.json`)
+};
+
+describe('grid page', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('grid.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('extracts shots with permalinks, preview URLs and cleaned titles', async () => {
+        const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url });
+
+        assert.equal(meta.status, 'ok');
+        assert.equal(meta.selector, 'a[href^="/shots/"]');
+        assert.deepEqual(shots[0], {
+            url: `${url}/shots/cred-recurring-payments-card-swipe-interaction?video=68adddc0cd4a3cfd5418a305`,
+            preview: `${GUMLET}/68adddc0cd4a3cfd5418a305/main.mp4`,
+            title: 'CRED Recurring Payments Card Swipe Interaction',
+            id: 'cred-recurring-payments-card-swipe-interaction',
+            slug: 'cred-recurring-payments-card-swipe-interaction',
+            video_id: '68adddc0cd4a3cfd5418a305',
+            gumlet_collection_id: '66b49d08225b7b88f78b7b44',
+            canonical_url: `${url}/shots/cred-recurring-payments-card-swipe-interaction`,
+            preview_url: `${GUMLET}/68adddc0cd4a3cfd5418a305/main.mp4`,
+            source_url: `${url}/`,
+            confidence: 'observed'
+        });
+    });
+
+    it('drops duplicate cards of the same shot', async () => {
+        const { shots } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url });
+
+        assert.deepEqual(shots.map(shot => shot.title), [
+            'CRED Recurring Payments Card Swipe Interaction',
+            'Amie Drag To Calendar Morph',
+            'Mozi Onboarding Carousel Tabs'
+        ]);
+    });
+
+    it('resolves media when asked to', async () => {
+        const playlist = fs.readFileSync(path.join(__dirname, 'fixtures', 'gumlet', 'main.m3u8'));
+        const media = await startMediaServer({
+            files: { '/66b49d08225b7b88f78b7b44/68adddc0cd4a3cfd5418a305/main.m3u8': playlist }
+        });
+        try {
+            const { shots, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, media: true, mediaHost: media.url });
+
+            assert.equal(shots[0].media.manifest, 'hls');
+            assert.equal(shots[0].media.renditions.length, 3);
+            assert.equal(shots[1].media.renditions, null);
+            assert.equal(report.counts.media_failed, 2);
+            assert.ok('media' in report.phases);
+        } finally {
+            await media.close();
+        }
+    });
+});
+
+describe('listing pages', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('grid.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('scrapes every listing and merges shots listed twice', async () => {
+        const { shots, meta, report } = await scrape60fps({
+            ...TEST_OPTIONS,
+            baseUrl: url,
+            listings: [{ type: 'app', value: 'CRED' }, { type: 'category', value: 'onboarding' }]
+        });
+
+        assert.equal(meta.status, 'ok');
+        assert.equal(meta.drift, false);
+        assert.deepEqual(shots.map(shot => [shot.id, shot.listings]), [
+            ['cred-recurring-payments-card-swipe-interaction', ['app:cred', 'category:onboarding']],
+            ['cred-rewards-scratch-card', ['app:cred']],
+            ['mozi-onboarding-carousel-tabs', ['category:onboarding']]
+        ]);
+        assert.equal(shots[0].source_url, `${url}/apps/cred`);
+        assert.deepEqual(report.listings.map(listing => [listing.id, listing.url, listing.shots]), [
+            ['app:cred', `${url}/apps/cred`, 2],
+            ['category:onboarding', `${url}/categories/onboarding`, 2]
+        ]);
+        assert.equal(report.counts.shots_extracted, 3);
+    });
+
+    it('does not flag a healthy listing with few shots as drift', async () => {
+        const { shots, meta, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, listings: [{ type: 'app', value: 'cred' }] });
+
+        assert.equal(shots.length, 2);
+        assert.equal(meta.drift, false);
+        assert.equal(report.health.healthy, true);
+        assert.equal(exitCodeFor(meta), EXIT_CODES.OK);
+    });
+
+    it('returns the other listings when one fails', async () => {
+        const { shots, meta, report } = await scrape60fps({
+            ...TEST_OPTIONS,
+            baseUrl: url,
+            listings: [{ type: 'app', value: 'no-such-app' }, { type: 'app', value: 'cred' }]
+        });
+
+        assert.equal(meta.status, 'partial');
+        assert.equal(meta.errorCode, ERROR_CODES.LISTING_FAILED);
+        assert.equal(meta.drift, false);
+        assert.equal(shots.length, 2);
+        assert.deepEqual(report.listings.map(listing => listing.error_code), [ERROR_CODES.NO_CONTENT, null]);
+    });
+
+    it('fails like a homepage run when every listing fails', async () => {
+        await assert.rejects(
+            scrape60fps({ ...TEST_OPTIONS, baseUrl: url, listings: [{ type: 'path', value: '/missing' }] }),
+            error => error instanceof ScrapeError && error.code === ERROR_CODES.NO_CONTENT
+        );
+    });
+});
+
+describe('"Load more" pagination', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('load-more.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('keeps clicking until the button is gone', async () => {
+        const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url });
+
+        assert.equal(meta.status, 'ok');
+        assert.equal(shots.length, 6);
+        assert.equal(shots[5].url, `${url}/shots/duolingo-streak-progress-bar?video=68b000000000000000000006`);
+    });
+
+    it('reports a partial run when maxLoadAttempts cuts the loop short', async () => {
+        const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, maxLoadAttempts: 1 });
+
+        assert.equal(meta.status, 'partial');
+        assert.equal(meta.errorCode, ERROR_CODES.LOAD_MORE_FAILED);
+        assert.equal(shots.length, 4);
+    });
+
+    it('stops loading once maxShots shots are on the page', async () => {
+        const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, maxShots: 3 });
+
+        assert.equal(meta.status, 'ok');
+        assert.equal(shots.length, 4);
+    });
+
+    it('stamps first and last seen times, keeping the first across runs', async () => {
+        const stateStore = createMemoryStore();
+        const first = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, stateStore });
+        const baseline = await stateStore.load();
+
+        assert.equal(first.shots.length, 6);
+        assert.ok(first.shots.every(shot => shot.isNew && shot.firstSeenAt === shot.lastSeenAt));
+        assert.deepEqual(baseline.shots['spotify-now-playing-swipe'], {
+            id: 'spotify-now-playing-swipe',
+            video_id: '68b000000000000000000005',
+            slug: 'spotify-now-playing-swipe',
+            first_seen_at: first.shots[4].firstSeenAt,
+            last_seen_at: first.shots[4].lastSeenAt
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, stateStore });
+        const { shots } = await stateStore.load();
+
+        assert.equal(second.shots.length, 6);
+        assert.ok(second.shots.every(shot => !shot.isNew && shot.lastSeenAt > shot.firstSeenAt));
+        assert.equal(shots['spotify-now-playing-swipe'].first_seen_at, baseline.shots['spotify-now-playing-swipe'].first_seen_at);
+        assert.equal(shots['spotify-now-playing-swipe'].last_seen_at, second.shots[4].lastSeenAt);
+    });
+
+    it('stops at a batch of known shots on an incremental run and returns only the new ones', async () => {
+        const stateStore = createMemoryStore();
+        await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, stateStore });
+
+        const state = await stateStore.load();
+        delete state.shots['opentable-splash-animation'];
+        await stateStore.save(state);
+
+        const { shots, meta, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, stateStore, sinceLastRun: true });
+
+        assert.equal(meta.status, 'ok');
+        assert.equal(report.load.stopped_by, 'known-shots');
+        assert.equal(report.load.attempts.length, 1, 'one click past the first batch, which held the new shot');
+        assert.equal(report.counts.new_shots, 1);
+        assert.deepEqual(shots.map(shot => shot.id), ['opentable-splash-animation']);
+        assert.ok(shots[0].isNew);
+    });
+
+    it('does not click at all when the first batch is already known', async () => {
+        const stateStore = createMemoryStore();
+        await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, stateStore });
+
+        const { shots, meta, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, stateStore, sinceLastRun: true });
+
+        assert.equal(meta.status, 'ok');
+        assert.equal(report.load.stopped_by, 'known-shots');
+        assert.deepEqual(report.load.attempts, []);
+        assert.equal(report.counts.new_shots, 0);
+        assert.deepEqual(shots, []);
+    });
+});
+
+describe('network extraction', () => {
+    it('falls back to the DOM when no response carried shot data', async () => {
+        for (const fixture of ['grid.html', 'network-fallback.html']) {
+            const server = await startFixtureServer(fixture);
+            try {
+                const { shots, meta, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: server.url, networkExtraction: true });
+
+                assert.equal(meta.status, 'ok');
+                assert.equal(meta.extractor, 'dom', fixture);
+                assert.equal(report.extractor, 'dom');
+                assert.ok(shots.length > 0);
+            } finally {
+                await server.close();
+            }
+        }
+    });
+
+    it('ignores malformed and shot-less JSON responses', async () => {
+        const server = await startFixtureServer('network-fallback.html');
+        try {
+            const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: server.url, networkExtraction: true });
+
+            assert.ok(server.requests().includes('/feed/broken.json'));
+            assert.ok(server.requests().includes('/feed/menu.json'));
+            assert.equal(meta.extractor, 'dom');
+            assert.deepEqual(shots.map(shot => shot.url), [
+                `${server.url}/shots/linear-issue-drag?video=68c000000000000000000001`,
+                `${server.url}/shots/arc-tab-swipe?video=68c000000000000000000002`
+            ]);
+        } finally {
+            await server.close();
+        }
+    });
+});
+
+describe('cards without permalinks', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('missing-links.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('builds slugs from the title or the Gumlet video ID', async () => {
+        // Stay inside each card so the heading of one card is not used for the next
+        const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, ancestorDepth: 2 });
+
+        assert.equal(meta.selector, 'video');
+        assert.deepEqual(shots.map(shot => shot.url), [
+            `${url}/shots/monzo-pot-savings-progress?video=68c000000000000000000001`,
+            `${url}/shots/motion-video-68c00000?video=68c000000000000000000002`
+        ]);
+        assert.equal(shots[1].title, 'Motion Video 2');
+        assert.deepEqual(shots.map(shot => [shot.id, shot.confidence]), [
+            ['68c000000000000000000001', 'synthesized'],
+            ['68c000000000000000000002', 'synthesized']
+        ]);
+    });
+});
+
+describe('site error page', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('wups.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('fails with SITE_ERROR_PAGE by default', async () => {
+        await assert.rejects(
+            scrape60fps({ ...TEST_OPTIONS, baseUrl: url }),
+            error => error instanceof ScrapeError && error.code === ERROR_CODES.SITE_ERROR_PAGE
+        );
+    });
+
+    it('serves flagged mock data with the mock fallback', async () => {
+        const { shots, meta } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, fallback: 'mock' });
+
+        assert.equal(meta.status, 'mock');
+        assert.equal(meta.errorCode, ERROR_CODES.SITE_ERROR_PAGE);
+        assert.ok(shots.length > 0);
+    });
+});
+
+describe('fallback modes', () => {
+    let grid;
+    let wups;
+    let dir;
+
+    before(async () => {
+        grid = await startFixtureServer('grid.html');
+        wups = await startFixtureServer('wups.html');
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), '60fps-fallback-'));
+    });
+
+    after(async () => {
+        await grid.close();
+        await wups.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const noBrowser = async () => {
+        throw new Error('Failed to launch chromium: executable not found');
+    };
+
+    it('falls back when the browser does not launch', async () => {
+        const { shots, meta, report } = await scrape60fps({ ...TEST_OPTIONS, launchBrowser: noBrowser, fallback: 'mock' });
+
+        assert.equal(meta.status, 'mock');
+        assert.equal(meta.errorCode, ERROR_CODES.LAUNCH_FAILED);
+        assert.ok(shots.length > 0);
+        assert.ok(report.phases.launch >= 0);
+
+        await assert.rejects(
+            scrape60fps({ ...TEST_OPTIONS, launchBrowser: noBrowser }),
+            error => error.code === ERROR_CODES.LAUNCH_FAILED && error.report.status === 'error'
+        );
+    });
+
+    it('serves the last good snapshot when a later run fails', async () => {
+        const snapshotPath = path.join(dir, 'last-good.json');
+        const good = await scrape60fps({ ...TEST_OPTIONS, baseUrl: grid.url, snapshotPath, health: { minShots: 3 } });
+        assert.equal(good.meta.drift, false);
+
+        const saved = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+        assert.equal(saved.selector, 'a[href^="/shots/"]');
+        assert.deepEqual(saved.shots, good.shots);
+
+        const stale = await scrape60fps({ ...TEST_OPTIONS, baseUrl: wups.url, snapshotPath, fallback: 'last-good-snapshot' });
+        assert.equal(stale.meta.status, 'stale');
+        assert.equal(stale.meta.errorCode, ERROR_CODES.SITE_ERROR_PAGE);
+        assert.equal(stale.meta.snapshotAt, saved.saved_at);
+        assert.deepEqual(stale.shots, good.shots);
+
+        const { meta } = await scrape60fps({ ...TEST_OPTIONS, launchBrowser: noBrowser, snapshotPath, fallback: 'last-good-snapshot' });
+        assert.equal(meta.status, 'stale');
+        assert.equal(meta.errorCode, ERROR_CODES.LAUNCH_FAILED);
+    });
+
+    it('fails with NO_SNAPSHOT when the snapshot is missing or corrupt', async () => {
+        const corrupt = path.join(dir, 'corrupt.json');
+        fs.writeFileSync(corrupt, '{"saved_at": "2025-09-20T');
+
+        for (const snapshotPath of [path.join(dir, 'missing.json'), corrupt]) {
+            await assert.rejects(
+                scrape60fps({ ...TEST_OPTIONS, baseUrl: wups.url, snapshotPath, fallback: 'last-good-snapshot' }),
+                error => error.code === ERROR_CODES.NO_SNAPSHOT &&
+                    error.cause.code === ERROR_CODES.SITE_ERROR_PAGE &&
+                    error.report.status === 'error'
+            );
+        }
+    });
+});
+
+describe('run report', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('load-more.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('records phases, load attempts and counts', async () => {
+        const { report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url });
+
+        assert.equal(report.status, 'ok');
+        assert.equal(report.selector, 'a[href^="/shots/"]');
+        assert.equal(report.extractor, 'dom');
+        assert.deepEqual(Object.keys(report.phases), ['launch', 'navigate', 'wait', 'load', 'extract']);
+        assert.ok(Object.values(report.phases).every(ms => Number.isInteger(ms) && ms >= 0));
+        assert.equal(report.load.stopped_by, 'no-button');
+        assert.ok(report.load.attempts[0].clicked);
+        assert.deepEqual(report.counts, { videos_seen: 6, shots_extracted: 6, duplicates_dropped: 0 });
+    });
+
+    it('counts duplicate cards that were dropped', async () => {
+        const grid = await startFixtureServer('grid.html');
+        try {
+            const { report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: grid.url });
+
+            assert.equal(report.counts.shots_extracted, 3);
+            assert.equal(report.counts.duplicates_dropped, report.counts.videos_seen - 3);
+            assert.ok(report.counts.duplicates_dropped > 0);
+        } finally {
+            await grid.close();
+        }
+    });
+
+    it('is attached to the error when there is no fallback', async () => {
+        const wups = await startFixtureServer('wups.html');
+        try {
+            await assert.rejects(
+                scrape60fps({ ...TEST_OPTIONS, baseUrl: wups.url }),
+                error => error.report.status === 'error' &&
+                    error.report.error_code === ERROR_CODES.SITE_ERROR_PAGE &&
+                    error.report.phases.navigate >= 0
+            );
+        } finally {
+            await wups.close();
+        }
+    });
+});
+
+describe('condition-based waits', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        server = await startFixtureServer('endless.html');
+        url = server.url;
+    });
+
+    after(() => server.close());
+
+    it('moves on as soon as content shows up instead of sleeping the full wait', async () => {
+        const loadMore = await startFixtureServer('load-more.html');
+        try {
+            const { shots, report } = await scrape60fps({
+                ...TEST_OPTIONS,
+                baseUrl: loadMore.url,
+                contentWait: 20000,
+                loadWait: 20000
+            });
+
+            assert.equal(shots.length, 6);
+            assert.ok(report.phases.wait + report.phases.load < 10000, JSON.stringify(report.phases));
+            assert.deepEqual(
+                report.load.attempts.map(attempt => attempt.waited_for),
+                ['growth', 'growth', 'none']
+            );
+        } finally {
+            await loadMore.close();
+        }
+    });
+
+    it('waits for a grid that renders after navigation', async () => {
+        const { report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: url, contentWait: 20000, maxLoadAttempts: 1 });
+
+        assert.equal(report.selector, 'a[href^="/shots/"]');
+        assert.ok(report.phases.wait < 10000);
+    });
+
+    it('returns partial results within the time budget', async () => {
+        const { shots, meta, report } = await scrape60fps({
+            ...TEST_OPTIONS,
+            baseUrl: url,
+            contentWait: 5000,
+            loadWait: 20000,
+            maxLoadAttempts: 10000,
+            timeBudget: 5000,
+            budgetReserve: 1500
+        });
+
+        assert.equal(meta.status, 'partial');
+        assert.equal(meta.errorCode, ERROR_CODES.TIME_BUDGET_EXCEEDED);
+        assert.equal(report.load.stopped_by, 'time-budget');
+        assert.ok(shots.length > 2);
+        assert.ok(report.duration_ms < 5000 + 1000, `took ${report.duration_ms}ms`);
+    });
+});
+
+describe('pagination strategies', () => {
+    it('skips denied buttons and undoes a click that navigates away', async () => {
+        const decoys = await startFixtureServer('decoy-buttons.html');
+        try {
+            const { shots, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: decoys.url });
+
+            assert.equal(shots.length, 6);
+            assert.equal(report.load.navigations, 1);
+            assert.equal(report.load.attempts[0].waited_for, 'navigation');
+            assert.equal(report.load.strategy, 'button');
+            assert.equal(report.load.stopped_by, 'no-button');
+        } finally {
+            await decoys.close();
+        }
+    });
+
+    it('switches to infinite scroll when there is no load button', async () => {
+        const feed = await startFixtureServer('infinite-scroll.html');
+        try {
+            const { shots, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: feed.url });
+
+            assert.equal(shots.length, 6);
+            assert.equal(report.load.strategy, 'scroll');
+            assert.equal(report.load.stopped_by, 'no-growth');
+            assert.equal(report.load.attempts[0].waited_for, 'growth');
+        } finally {
+            await feed.close();
+        }
+    });
+
+    it('only clicks buttons with pagination "button"', async () => {
+        const feed = await startFixtureServer('infinite-scroll.html');
+        try {
+            const { shots, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: feed.url, pagination: 'button' });
+
+            assert.equal(shots.length, 2);
+            assert.equal(report.load.strategy, 'button');
+            assert.equal(report.load.stopped_by, 'no-button');
+        } finally {
+            await feed.close();
+        }
+    });
+});
+
+describe('structure drift', () => {
+    let webhook;
+
+    before(async () => {
+        webhook = await startWebhookServer();
+    });
+
+    after(() => webhook.close());
+
+    it('posts a drift signal with a DOM snapshot and screenshot on a breach', async () => {
+        const cards = await startFixtureServer('missing-links.html');
+        const snapshotPath = path.join(os.tmpdir(), `60fps-test-drift-snapshot-${process.pid}.json`);
+        try {
+            const { meta, report } = await scrape60fps({
+                ...TEST_OPTIONS,
+                snapshotPath,
+                baseUrl: cards.url,
+                ancestorDepth: 2,
+                health: { minShots: 1 },
+                driftWebhook: `${webhook.url}/drift`
+            });
+
+            assert.equal(meta.status, 'ok');
+            assert.equal(meta.drift, true);
+            assert.equal(fs.existsSync(snapshotPath), false, 'a drifted run is not a last good snapshot');
+            assert.deepEqual(report.health.breaches, ['permalink_ratio', 'title_quality']);
+            assert.deepEqual(report.health.webhook, { delivered: true, status: 200 });
+
+            const [{ url, body: signal }] = webhook.requests;
+            assert.equal(url, '/drift');
+            assert.equal(signal.type, 'structure_drift');
+            assert.equal(signal.selector, 'video');
+            assert.match(signal.snapshot.html, /<video/);
+            assert.equal(signal.snapshot.screenshot.content_type, 'image/png');
+            assert.ok(Buffer.from(signal.snapshot.screenshot.data, 'base64').length > 0);
+        } finally {
+            await cards.close();
+        }
+    });
+
+    it('stays quiet for a healthy run', async () => {
+        const grid = await startFixtureServer('grid.html');
+        const drifts = [];
+        try {
+            const { meta, report } = await scrape60fps({
+                ...TEST_OPTIONS,
+                baseUrl: grid.url,
+                health: { minShots: 3 },
+                onDrift: signal => drifts.push(signal)
+            });
+
+            assert.equal(meta.drift, false);
+            assert.equal(report.health.healthy, true);
+            assert.deepEqual(drifts, []);
+        } finally {
+            await grid.close();
+        }
+    });
+
+    it('does not hold an incremental run to the homepage shot count', async () => {
+        const grid = await startFixtureServer('grid.html');
+        const drifts = [];
+        try {
+            const { meta, report } = await scrape60fps({
+                ...TEST_OPTIONS,
+                baseUrl: grid.url,
+                stateStore: createMemoryStore(),
+                sinceLastRun: true,
+                onDrift: signal => drifts.push(signal)
+            });
+
+            assert.equal(meta.drift, false);
+            assert.deepEqual(report.health.checks.find(check => check.name === 'min_shots'), { name: 'min_shots', value: 3, threshold: 1, ok: true });
+            assert.deepEqual(drifts, []);
+        } finally {
+            await grid.close();
+        }
+    });
+});
+
+describe('new shot webhooks', () => {
+    let grid;
+    let webhook;
+
+    before(async () => {
+        grid = await startFixtureServer('grid.html');
+        webhook = await startWebhookServer();
+    });
+
+    after(async () => {
+        await grid.close();
+        await webhook.close();
+    });
+
+    it('records a baseline first, then posts only shots the state has not seen', async () => {
+        const stateStore = createMemoryStore();
+        const options = {
+            ...TEST_OPTIONS,
+            baseUrl: grid.url,
+            stateStore,
+            webhooks: [{ url: `${webhook.url}/hook`, format: 'json' }],
+            webhookSecret: 's3cr3t'
+        };
+
+        const baseline = await scrape60fps(options);
+        assert.equal(baseline.report.counts.new_shots, 3);
+        assert.equal(baseline.report.webhooks, undefined);
+        assert.equal(webhook.requests.length, 0);
+
+        const state = await stateStore.load();
+        delete state.shots['cred-recurring-payments-card-swipe-interaction'];
+        await stateStore.save(state);
+
+        const { report } = await scrape60fps(options);
+        assert.equal(report.counts.new_shots, 1);
+        assert.equal(report.counts.webhooks_failed, 0);
+        assert.deepEqual(report.webhooks, [{ target: webhook.url, format: 'json', messages: 1, delivered: 1, failed: 0 }]);
+        assert.ok('notify' in report.phases);
+
+        const [{ url, headers, body }] = webhook.requests;
+        assert.equal(url, '/hook');
+        assert.match(headers['x-60fps-signature'], /^sha256=[0-9a-f]{64}$/);
+        assert.deepEqual(body.shots.map(row => row.title), ['CRED Recurring Payments Card Swipe Interaction']);
+        assert.equal(body.shots[0].preview_url, `${GUMLET}/68adddc0cd4a3cfd5418a305/main.mp4`);
+    });
+});
+
+describe('retries and circuit breaker', () => {
+    // Retries without the real backoff
+    const retries = { wait: { baseDelay: 10, maxDelay: 10 } };
+
+    it('retries a dropped connection and reports the retries', async () => {
+        const flaky = await startFixtureServer('grid.html', { dropConnections: 2 });
+        try {
+            const { shots, meta, report } = await scrape60fps({
+                ...TEST_OPTIONS,
+                baseUrl: flaky.url,
+                // Long enough for Chromium to settle on its error page before the next attempt
+                retries: { navigate: { baseDelay: 250, maxDelay: 250, jitter: 0 } }
+            });
+
+            assert.equal(meta.status, 'ok');
+            assert.equal(shots.length, 3);
+            assert.equal(flaky.dropped(), 2);
+            assert.deepEqual(report.retries.map(retry => [retry.phase, retry.attempt, retry.error_code, retry.error_class, retry.delay_ms]), [
+                ['navigate', 1, 'NAVIGATION_FAILED', 'transient', 250],
+                ['navigate', 2, 'NAVIGATION_FAILED', 'transient', 250]
+            ]);
+        } finally {
+            await flaky.close();
+        }
+    });
+
+    it('reloads an error page once before giving up', async () => {
+        const wups = await startFixtureServer('wups.html');
+        try {
+            await assert.rejects(
+                scrape60fps({ ...TEST_OPTIONS, baseUrl: wups.url, retries }),
+                error => error.code === ERROR_CODES.SITE_ERROR_PAGE &&
+                    error.report.error_class === 'transient' &&
+                    error.report.retries.length === 1 &&
+                    error.report.retries[0].phase === 'wait'
+            );
+        } finally {
+            await wups.close();
+        }
+    });
+
+    it('does not retry a page without shots', async () => {
+        const grid = await startFixtureServer('grid.html');
+        try {
+            await assert.rejects(
+                scrape60fps({ ...TEST_OPTIONS, baseUrl: grid.url, listings: [{ type: 'path', value: '/missing' }], retries }),
+                error => error.code === ERROR_CODES.NO_CONTENT &&
+                    error.report.error_class === 'structural' &&
+                    error.report.retries.length === 0
+            );
+        } finally {
+            await grid.close();
+        }
+    });
+
+    it('counts one circuit failure per failed run and stops launching browsers once it opens', async () => {
+        const down = await startFixtureServer('grid.html', { dropConnections: Infinity });
+        const breaker = createCircuitBreaker({ threshold: 2 });
+        let launches = 0;
+        const options = {
+            ...TEST_OPTIONS,
+            baseUrl: down.url,
+            retries: { navigate: { retries: 2, baseDelay: 250, maxDelay: 250, jitter: 0 } },
+            circuitBreaker: breaker,
+            launchBrowser: () => {
+                launches++;
+                return launchTestBrowser();
+            }
+        };
+        try {
+            await assert.rejects(scrape60fps(options), error => {
+                assert.equal(error.code, ERROR_CODES.NAVIGATION_FAILED);
+                assert.equal(error.report.retries.length, 2);
+                assert.equal(error.report.circuit.state, 'closed');
+                assert.equal(error.report.circuit.failures, 1);
+                return true;
+            });
+            await assert.rejects(scrape60fps(options), error => {
+                assert.equal(error.report.retries.length, 2);
+                assert.equal(error.report.circuit.state, 'open');
+                assert.equal(error.report.circuit.failures, 2);
+                return true;
+            });
+            assert.equal(down.dropped(), 6);
+
+            const { meta, report } = await scrape60fps({ ...options, fallback: 'mock' });
+            assert.equal(meta.status, 'mock');
+            assert.equal(meta.errorCode, ERROR_CODES.CIRCUIT_OPEN);
+            assert.equal(report.circuit.state, 'open');
+            assert.equal(report.circuit.failures, 2);
+            assert.equal(launches, 2);
+            assert.equal(down.dropped(), 6);
+        } finally {
+            await down.close();
+        }
+    });
+
+    it('does not count retries of a run that succeeds against the circuit', async () => {
+        const flaky = await startFixtureServer('grid.html', { dropConnections: 2 });
+        try {
+            const { meta, report } = await scrape60fps({
+                ...TEST_OPTIONS,
+                baseUrl: flaky.url,
+                retries: { navigate: { baseDelay: 250, maxDelay: 250, jitter: 0 } },
+                circuitBreaker: createCircuitBreaker({ threshold: 2 })
+            });
+
+            assert.equal(meta.status, 'ok');
+            assert.equal(report.retries.length, 2);
+            assert.equal(report.circuit.state, 'closed');
+            assert.equal(report.circuit.failures, 0);
+        } finally {
+            await flaky.close();
+        }
+    });
+});
+
+describe('resource blocking', () => {
+    let server;
+
+    before(async () => {
+        server = await startFixtureServer('heavy.html');
+    });
+
+    after(() => server.close());
+
+    const heavyPaths = requests => requests.filter(url => /^\/(images|fonts|media)\//.test(url));
+
+    it('loads posters, fonts and playlists without it', async () => {
+        const { report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: server.url });
+
+        assert.ok(heavyPaths(server.requests()).length >= 3);
+        assert.equal(report.resources, undefined);
+    });
+
+    it('keeps media, images, fonts and trackers off the wire but extracts the same shots', async () => {
+        const before = server.requests().length;
+        const { shots, meta, report } = await scrape60fps({ ...TEST_OPTIONS, baseUrl: server.url, blockResources: true });
+
+        assert.equal(meta.status, 'ok');
+        assert.deepEqual(shots.map(shot => shot.preview), [
+            `${GUMLET}/68adddc0cd4a3cfd5418a305/main.mp4`,
+            `${GUMLET}/68a1f0c2cd4a3cfd5418a001/main.mp4`
+        ]);
+        assert.deepEqual(heavyPaths(server.requests().slice(before)), []);
+
+        const { resources } = report;
+        assert.ok(resources.blocked.media >= 1, 'playlist fetch and video sources');
+        assert.ok(resources.blocked.image >= 2, 'logo and posters');
+        assert.equal(resources.blocked.font, 1);
+        assert.equal(resources.blocked.tracker, 1);
+        assert.equal(resources.requests_blocked, Object.values(resources.blocked).reduce((sum, count) => sum + count, 0));
+        assert.ok(resources.bytes_transferred > 0);
+        assert.ok(resources.bytes_saved >= 1000000);
+        // Too few bytes on a local page to measure a transfer rate
+        assert.equal(resources.time_saved_ms, null);
+    });
+});
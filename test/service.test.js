@@ -0,0 +1,236 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApiServer } = require('../lib/serve');
+const { createBrowserPool } = require('../lib/browser-pool');
+const { createScrapeService, createServiceScrape, createServiceRoutes, parseJobRequest } = require('../lib/service');
+const { createRunEnvelope } = require('../lib/schema');
+const { ScrapeError, ERROR_CODES } = require('../lib/errors');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { launchTestBrowser } = require('./helpers/browser');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+const SEEN_AT = '2025-09-19T08:00:00.000Z';
+
+function row(slug, videoId) {
+    return {
+        title: slug.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+        url: `https://60fps.design/shots/${slug}?video=${videoId}`,
+        preview_url: `${GUMLET}/${videoId}/main.mp4`,
+        source: '60fps.design',
+        first_seen_at: SEEN_AT,
+        last_seen_at: SEEN_AT
+    };
+}
+
+/**
+ * Scrape stand-in: every call waits until release() and resolves to the rows
+ */
+function fakeScrape(rows) {
+    const calls = [];
+    let release;
+    let released = new Promise(resolve => { release = resolve; });
+
+    const scrape = async params => {
+        calls.push(params);
+        await released;
+        if (scrape.error) throw scrape.error;
+        return createRunEnvelope({ meta: { status: 'ok' }, rows });
+    };
+    scrape.calls = calls;
+    scrape.release = () => {
+        release();
+        released = Promise.resolve();
+    };
+    return scrape;
+}
+
+async function startService(serviceOptions) {
+    const service = createScrapeService(serviceOptions);
+    const server = createApiServer(createServiceRoutes(service));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        service,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: async () => {
+            await service.idle();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+const postJob = (url, body) => fetch(`${url}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+describe('parseJobRequest', () => {
+    it('parses listings and flags, and rejects anything else', () => {
+        assert.deepEqual(parseJobRequest({ listing: 'app:cred', media: true }), {
+            listings: [{ id: 'app:cred', type: 'app', value: 'cred', path: '/apps/cred' }],
+            details: false,
+            media: true,
+            network: false
+        });
+        assert.throws(() => parseJobRequest({ listing: ['cred'], details: 'yes', limit: 5 }), error => {
+            assert.equal(error.code, 'INVALID_BODY');
+            assert.deepEqual(error.details.map(detail => detail.param), ['limit', 'listing', 'details']);
+            return true;
+        });
+    });
+});
+
+describe('scrape service', () => {
+    let server;
+
+    after(() => server && server.close());
+
+    it('runs concurrent requests for the same scrape once', async () => {
+        const scrape = fakeScrape([row('amie-drag', '68a1')]);
+        server = await startService({ scrape });
+
+        const responses = await Promise.all([
+            postJob(server.url, { listing: 'app:amie' }),
+            postJob(server.url, { listing: ['app:amie'] }),
+            postJob(server.url, {})
+        ]);
+        const [first, second, home] = await Promise.all(responses.map(response => response.json()));
+
+        assert.equal(responses[0].status, 202);
+        assert.equal(responses[0].headers.get('location'), `/jobs/${first.id}`);
+        assert.deepEqual([first.deduplicated, second.deduplicated, home.deduplicated], [false, true, false]);
+        assert.equal(second.id, first.id);
+        assert.notEqual(home.id, first.id);
+        // One scrape at a time by default: the homepage waits its turn
+        assert.deepEqual([first.status, home.status], ['running', 'queued']);
+        assert.equal(scrape.calls.length, 1);
+
+        scrape.release();
+        await server.service.idle();
+        assert.equal(scrape.calls.length, 2);
+
+        const job = await (await fetch(`${server.url}/jobs/${first.id}`)).json();
+        assert.equal(job.status, 'done');
+        assert.equal(job.requests, 2);
+        assert.deepEqual(job.params, { listing: ['app:amie'], details: false, media: false, network: false });
+        assert.deepEqual(job.result.rows, [row('amie-drag', '68a1')]);
+
+        await server.close();
+        server = null;
+    });
+
+    it('answers errors as JSON', async () => {
+        server = await startService({ scrape: fakeScrape([]) });
+
+        const invalid = await postJob(server.url, { listing: 'cred' });
+        assert.equal(invalid.status, 400);
+        assert.equal((await invalid.json()).error_code, 'INVALID_BODY');
+
+        const notJson = await fetch(`${server.url}/jobs`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+        assert.equal(notJson.status, 400);
+
+        const missing = await fetch(`${server.url}/jobs/nope`);
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error_code, 'JOB_NOT_FOUND');
+
+        assert.equal((await fetch(`${server.url}/jobs`)).status, 405);
+
+        // Malformed escapes in a path parameter are the client's fault, and the server keeps running
+        const malformed = await fetch(`${server.url}/jobs/%E0%A4%A`);
+        assert.equal(malformed.status, 400);
+        assert.equal((await malformed.json()).error_code, 'INVALID_PATH');
+        assert.equal((await fetch(`${server.url}/jobs/nope`)).status, 404);
+
+        await server.close();
+        server = null;
+    });
+
+    it('serves /shots from the cache and refreshes it once expired', async () => {
+        const scrape = fakeScrape([row('amie-drag', '68a1'), row('cred-swipe', '68a2')]);
+        scrape.release();
+        server = await startService({ scrape, cacheTtl: 60000 });
+
+        const miss = await fetch(`${server.url}/shots?limit=1`);
+        assert.equal(miss.status, 200);
+        assert.equal(miss.headers.get('x-cache'), 'MISS');
+        assert.equal(miss.headers.get('x-total-count'), '2');
+        assert.equal(miss.headers.get('x-rejected-count'), '0');
+        assert.deepEqual((await miss.json()).map(shot => shot.title), ['Amie Drag']);
+
+        const hit = await fetch(`${server.url}/shots?format=csv`);
+        assert.equal(hit.headers.get('x-cache'), 'HIT');
+        assert.match(hit.headers.get('content-type'), /text\/csv/);
+        assert.match(await hit.text(), /Cred Swipe/);
+        assert.equal(scrape.calls.length, 1);
+
+        await server.close();
+
+        server = await startService({ scrape, cacheTtl: 0 });
+        assert.equal((await fetch(`${server.url}/shots`)).headers.get('x-cache'), 'MISS');
+        assert.equal((await fetch(`${server.url}/shots`)).headers.get('x-cache'), 'STALE');
+        await server.service.idle();
+        assert.equal(scrape.calls.length, 3);
+
+        await server.close();
+        server = null;
+    });
+
+    it('answers /shots with a 502 when there is nothing cached and the scrape fails', async () => {
+        const scrape = fakeScrape([]);
+        scrape.error = new ScrapeError(ERROR_CODES.NO_CONTENT, 'No content selector matched');
+        scrape.release();
+        server = await startService({ scrape });
+
+        const response = await fetch(`${server.url}/shots`);
+        const body = await response.json();
+
+        assert.equal(response.status, 502);
+        assert.equal(body.error_code, 'NO_CONTENT');
+
+        await server.close();
+        server = null;
+    });
+});
+
+describe('serve mode scrapes', () => {
+    let site;
+    let pool;
+
+    before(async () => {
+        site = await startFixtureServer('grid.html');
+        pool = createBrowserPool({ launch: () => launchTestBrowser({ reusable: true }), size: 1 });
+    });
+
+    after(async () => {
+        await pool.close();
+        await site.close();
+    });
+
+    it('reuses one warm browser across jobs', async () => {
+        const service = createScrapeService({
+            scrape: createServiceScrape({
+                launchBrowser: pool.launchBrowser,
+                baseUrl: site.url,
+                navigationTimeout: 10000,
+                contentWait: 100,
+                loadWait: 300
+            })
+        });
+
+        const home = service.submit({ listings: [], details: false, media: false, network: false }).job;
+        await home.done;
+        const again = service.submit({ listings: [], details: false, media: false, network: true }).job;
+        await again.done;
+
+        assert.equal(home.error, null);
+        assert.equal(home.status, 'done');
+        assert.equal(again.error, null);
+        assert.equal(again.status, 'done');
+        assert.ok(home.result.rows.length > 0);
+        assert.deepEqual(home.result.rejected, []);
+        assert.equal(home.result.meta.status, 'ok');
+        assert.deepEqual(pool.stats(), { size: 1, browsers: 1, idle: 1, waiting: 0, launched: 1 });
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { normalizeShot } = require('../lib/normalize');
+const { toRows } = require('../lib/rows');
+const {
+    shotId,
+    snapshotTime,
+    saveSnapshot,
+    listSnapshots,
+    resolveSnapshot,
+    diffRows,
+    toChangelog,
+    formatChangelog
+} = require('../lib/snapshots');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+function row(slug, videoId, title = slug) {
+    return {
+        title,
+        url: `https://60fps.design/shots/${slug}?video=${videoId}`,
+        preview_url: `${GUMLET}/${videoId}/main.mp4`,
+        source: '60fps.design'
+    };
+}
+
+describe('shotId', () => {
+    it('uses the slug, ignoring the rotating ?video= query', () => {
+        assert.equal(shotId(row('amie-drag', '68a1')), 'amie-drag');
+        assert.equal(shotId({ url: 'https://60fps.design/', preview: `${GUMLET}/68a2/main.mp4` }), '68a2');
+    });
+
+    it('keys a shot with a made-up slug on its video ID, whatever its title', () => {
+        const sighting = title => toRows([normalizeShot({
+            url: `https://60fps.design/shots/${title.toLowerCase().replace(/ /g, '-')}?video=68a5`,
+            preview: `${GUMLET}/68a5/main.mp4`,
+            title,
+            synthesized: true
+        })]);
+        const [before] = sighting('Motion Video 5');
+        const [after] = sighting('Streak Progress Bar');
+
+        assert.equal(before.id, '68a5');
+        assert.equal(before.confidence, 'synthesized');
+        assert.deepEqual(diffRows([before], [after]).changed.map(entry => entry.id), ['68a5']);
+    });
+});
+
+describe('diffRows', () => {
+    it('reports added, removed and changed shots by stable ID', () => {
+        const oldRows = [row('amie-drag', '68a1', 'Amie Drag'), row('cred-swipe', '68a2'), row('mozi-tabs', '68a3')];
+        const newRows = [row('amie-drag', '68a9', 'Amie Drag To Calendar'), row('cred-swipe', '68a2'), row('opentable-splash', '68a4')];
+
+        const diff = diffRows(oldRows, newRows);
+
+        assert.deepEqual(diff.added.map(shotId), ['opentable-splash']);
+        assert.deepEqual(diff.removed.map(shotId), ['mozi-tabs']);
+        assert.equal(diff.unchanged, 1);
+        assert.deepEqual(diff.changed, [{
+            id: 'amie-drag',
+            title: 'Amie Drag To Calendar',
+            url: 'https://60fps.design/shots/amie-drag?video=68a9',
+            changes: {
+                title: { from: 'Amie Drag', to: 'Amie Drag To Calendar' },
+                preview_url: { from: `${GUMLET}/68a1/main.mp4`, to: `${GUMLET}/68a9/main.mp4` }
+            }
+        }]);
+    });
+});
+
+describe('changelog', () => {
+    const changelog = toChangelog(
+        diffRows([row('amie-drag', '68a1', 'Amie Drag'), row('mozi-tabs', '68a3')], [row('amie-drag', '68a9', 'Amie Drag'), row('cred-swipe', '68a2')]),
+        { from: '2025-09-19T08:00:00.000Z', to: '2025-09-20T08:00:00.000Z' }
+    );
+
+    it('summarizes the diff as JSON', () => {
+        const parsed = JSON.parse(formatChangelog(changelog, 'json'));
+
+        assert.deepEqual(parsed.summary, { added: 1, removed: 1, changed: 1, unchanged: 0 });
+        assert.equal(parsed.from, '2025-09-19T08:00:00.000Z');
+    });
+
+    it('renders a Markdown changelog', () => {
+        assert.equal(formatChangelog(changelog, 'markdown'), [
+            '# 60fps.design changelog',
+            '',
+            '2025-09-19T08:00:00.000Z → 2025-09-20T08:00:00.000Z',
+            '',
+            '**1 added, 1 removed, 1 changed**',
+            '',
+            '## Added (1)',
+            '',
+            '- [cred-swipe](https://60fps.design/shots/cred-swipe?video=68a2)',
+            '',
+            '## Removed (1)',
+            '',
+            '- [mozi-tabs](https://60fps.design/shots/mozi-tabs?video=68a3)',
+            '',
+            '## Changed (1)',
+            '',
+            '- [Amie Drag](https://60fps.design/shots/amie-drag?video=68a9): preview URL rotated',
+            ''
+        ].join('\n'));
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => formatChangelog(changelog, 'html'), /Unknown changelog format/);
+    });
+});
+
+describe('snapshot files', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-snapshots-'));
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('saves timestamped snapshots and resolves latest and previous', async () => {
+        assert.equal(await resolveSnapshot('latest', dir), null);
+
+        const first = await saveSnapshot(dir, [row('amie-drag', '68a1')], { status: 'ok', selector: 'video' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await saveSnapshot(dir, [row('cred-swipe', '68a2')], { status: 'partial' });
+
+        assert.deepEqual(await listSnapshots(dir), [first.path, second.path]);
+        assert.equal(await resolveSnapshot('latest', dir), second.path);
+        assert.equal(await resolveSnapshot('previous', dir), first.path);
+        assert.equal(await resolveSnapshot('rows.json', dir), 'rows.json');
+        assert.equal(snapshotTime(first.path), first.taken_at);
+        assert.equal(snapshotTime('rows.json'), null);
+
+        const saved = JSON.parse(await fs.readFile(first.path, 'utf8'));
+        assert.deepEqual(saved.meta, { status: 'ok', selector: 'video', extractor: null });
+        assert.equal(saved.rows.length, 1);
+    });
+});
+
+describe('/api/diff', () => {
+    let dir;
+    let handler;
+
+    function call(query) {
+        return new Promise(resolve => {
+            const res = {
+                statusCode: 200,
+                headers: {},
+                setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+                status(code) { this.statusCode = code; return this; },
+                json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; },
+                send(body) { resolve({ status: this.statusCode, headers: this.headers, body }); return this; },
+                end() { resolve({ status: this.statusCode, headers: this.headers }); return this; }
+            };
+            handler({ method: 'GET', query }, res);
+        });
+    }
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), '60fps-api-diff-'));
+        process.env.SNAPSHOT_DIR = dir;
+        handler = require('../api/diff');
+    });
+
+    after(async () => {
+        delete process.env.SNAPSHOT_DIR;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('answers 404 until there are two snapshots, then the changelog', async () => {
+        assert.equal((await call({})).status, 404);
+
+        const first = await saveSnapshot(dir, [row('amie-drag', '68a1')], { status: 'ok' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await saveSnapshot(dir, [row('amie-drag', '68a1'), row('cred-swipe', '68a2')], { status: 'ok' });
+
+        const json = await call({});
+        assert.equal(json.status, 200);
+        assert.deepEqual(json.body.summary, { added: 1, removed: 0, changed: 0, unchanged: 1 });
+
+        const markdown = await call({ from: path.basename(first.path), to: 'latest', format: 'markdown' });
+        assert.equal(markdown.headers['content-type'], 'text/markdown; charset=utf-8');
+        assert.match(markdown.body, /## Added \(1\)/);
+    });
+
+    it('rejects paths and unknown formats', async () => {
+        assert.equal((await call({ from: '../../etc/passwd' })).status, 400);
+        assert.equal((await call({ format: 'csv' })).status, 400);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { emptyState, createKnownCheck, recordShots } = require('../lib/state');
+const { normalizeShot } = require('../lib/normalize');
+const { toRows } = require('../lib/rows');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+function shot(slug, videoId, extra = {}) {
+    return normalizeShot({
+        url: `https://60fps.design/shots/${slug}?video=${videoId}`,
+        preview: `${GUMLET}/${videoId}/main.mp4`,
+        title: slug,
+        ...extra
+    });
+}
+
+describe('recordShots', () => {
+    it('stamps first and last seen times without touching the input state', () => {
+        const first = recordShots(emptyState(), [shot('amie-drag', '68a1'), shot('cred-swipe', '68a2')], '2025-09-19T08:00:00.000Z');
+
+        assert.deepEqual(first.shots.map(seen => [seen.isNew, seen.firstSeenAt, seen.lastSeenAt]), [
+            [true, '2025-09-19T08:00:00.000Z', '2025-09-19T08:00:00.000Z'],
+            [true, '2025-09-19T08:00:00.000Z', '2025-09-19T08:00:00.000Z']
+        ]);
+        assert.equal(first.state.last_run_at, '2025-09-19T08:00:00.000Z');
+
+        const before = JSON.stringify(first.state);
+        const second = recordShots(first.state, [shot('amie-drag', '68a9'), shot('mozi-tabs', '68a3')], '2025-09-20T08:00:00.000Z');
+
+        assert.deepEqual(second.shots.map(seen => [seen.id, seen.isNew, seen.firstSeenAt, seen.lastSeenAt]), [
+            ['amie-drag', false, '2025-09-19T08:00:00.000Z', '2025-09-20T08:00:00.000Z'],
+            ['mozi-tabs', true, '2025-09-20T08:00:00.000Z', '2025-09-20T08:00:00.000Z']
+        ]);
+        assert.equal(second.state.shots['amie-drag'].video_id, '68a9');
+        assert.equal(second.state.shots['cred-swipe'].last_seen_at, '2025-09-19T08:00:00.000Z', 'shots not seen again are kept');
+        assert.equal(second.state.last_run_at, '2025-09-20T08:00:00.000Z');
+        assert.equal(JSON.stringify(first.state), before);
+    });
+
+    it('keys shots on the canonical id rows carry', () => {
+        const shots = [shot('amie-drag', '68a1'), shot('motion-video-2', '68a2', { synthesized: true })];
+        const { state } = recordShots(emptyState(), shots, '2025-09-19T08:00:00.000Z');
+
+        assert.deepEqual(Object.keys(state.shots), toRows(shots).map(row => row.id));
+        assert.deepEqual(Object.keys(state.shots), ['amie-drag', '68a2']);
+        assert.deepEqual(state.shots['amie-drag'], {
+            id: 'amie-drag',
+            video_id: '68a1',
+            slug: 'amie-drag',
+            first_seen_at: '2025-09-19T08:00:00.000Z',
+            last_seen_at: '2025-09-19T08:00:00.000Z'
+        });
+    });
+
+    it('moves entries of version 1 state files to the canonical id', () => {
+        const legacy = {
+            version: 1,
+            last_run_at: '2025-09-18T08:00:00.000Z',
+            shots: { '68a1': { video_id: '68a1', slug: 'amie-drag', first_seen_at: '2025-09-01T00:00:00.000Z', last_seen_at: '2025-09-18T08:00:00.000Z' } }
+        };
+
+        assert.equal(createKnownCheck(legacy)({ videoId: null, slug: 'amie-drag' }), true);
+
+        const { shots, state } = recordShots(legacy, [shot('amie-drag', '68a9')], '2025-09-19T08:00:00.000Z');
+        assert.equal(shots[0].isNew, false);
+        assert.equal(shots[0].firstSeenAt, '2025-09-01T00:00:00.000Z');
+        assert.equal(state.version, 2);
+        assert.deepEqual(Object.keys(state.shots), ['amie-drag']);
+    });
+});
+
+describe('createKnownCheck', () => {
+    it('recognises the keys read off the page by slug or video ID', () => {
+        const { state } = recordShots(emptyState(), [shot('amie-drag', '68a1'), shot('motion-video-2', '68a2', { synthesized: true })]);
+        const isKnown = createKnownCheck(state);
+
+        assert.equal(isKnown({ videoId: '68a7', slug: 'amie-drag' }), true);
+        assert.equal(isKnown({ videoId: '68a1', slug: null }), true);
+        assert.equal(isKnown({ videoId: '68a2', slug: null }), true);
+        assert.equal(isKnown({ videoId: '68a3', slug: 'cred-swipe' }), false);
+        assert.equal(isKnown(shot('amie-drag', '68a8')), true);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSupabaseSink, SinkError } = require('../lib/sinks/supabase');
+const { startPostgrestServer } = require('./helpers/postgrest-server');
+
+const GUMLET = 'https://video.gumlet.io/66b49d08225b7b88f78b7b44';
+
+function row(slug, videoId, overrides = {}) {
+    return {
+        id: slug,
+        title: slug.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+        url: `https://60fps.design/shots/${slug}?video=${videoId}`,
+        preview_url: `${GUMLET}/${videoId}/main.mp4`,
+        source: '60fps.design',
+        first_seen_at: '2025-09-20T00:00:00.000Z',
+        last_seen_at: '2025-09-20T00:00:00.000Z',
+        ...overrides
+    };
+}
+
+// A row as the sink writes it: the id in the ID column
+function stored({ id, ...columns }) {
+    return { ...columns, shot_id: id };
+}
+
+describe('Supabase upsert sink', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startPostgrestServer({
+            rows: [
+                { ...stored(row('amie-drag-to-calendar-morph', 'v1')), first_seen_at: '2025-09-01T00:00:00.000Z' },
+                stored(row('cred-card-swipe', 'v2'))
+            ]
+        });
+    });
+
+    afterEach(() => server.close());
+
+    function sink(options = {}) {
+        return createSupabaseSink({ url: server.url, key: 'test-key', ...options });
+    }
+
+    it('reports inserted, updated and unchanged rows', async () => {
+        const later = { first_seen_at: '2025-09-21T00:00:00.000Z', last_seen_at: '2025-09-21T00:00:00.000Z' };
+
+        const counts = await sink().upsert([
+            row('amie-drag-to-calendar-morph', 'v1', later),
+            row('cred-card-swipe', 'v2', { ...later, title: 'CRED Card Swipe' }),
+            row('mozi-onboarding-carousel-tabs', 'v3', later)
+        ]);
+
+        assert.deepEqual(counts, { inserted: 1, updated: 1, unchanged: 1 });
+
+        const stored = server.rows('shots');
+        assert.equal(stored.length, 3);
+        assert.equal(stored[0].first_seen_at, '2025-09-01T00:00:00.000Z', 'first_seen_at is kept');
+        assert.equal(stored[0].last_seen_at, '2025-09-21T00:00:00.000Z', 'last_seen_at is refreshed');
+        assert.equal(stored[1].title, 'CRED Card Swipe');
+    });
+
+    it('writes in batches keyed on the canonical shot id', async () => {
+        const rows = ['a', 'b', 'c', 'd', 'e'].map(letter => row(`shot-${letter}`, `id-${letter}`));
+
+        const counts = await sink({ batchSize: 2 }).upsert(rows);
+
+        assert.deepEqual(counts, { inserted: 5, updated: 0, unchanged: 0 });
+        const posts = server.requests.filter(request => request.method === 'POST');
+        assert.deepEqual(posts.map(request => request.body.length), [2, 2, 1]);
+        assert.ok(posts.every(request => request.url.endsWith('on_conflict=shot_id')));
+        assert.deepEqual(server.rows('shots').slice(2).map(stored => stored.shot_id), ['shot-a', 'shot-b', 'shot-c', 'shot-d', 'shot-e']);
+        assert.ok(posts.every(request => request.body.every(written => !('id' in written))));
+    });
+
+    it('fails with a SinkError when PostgREST rejects the request', async () => {
+        await assert.rejects(
+            sink({ key: 'wrong-key' }).upsert([row('shot-a', 'id-a')]),
+            error => error instanceof SinkError && error.status === 401
+        );
+    });
+});